@@ -0,0 +1,404 @@
+// --- Mock Backend: Chunked Uploads ---
+// A dependency-free stand-in for the real backend, used to try out resumable uploads locally.
+// Implements the chunk protocol documented in src/utils/uploadFile.js, plus just enough of the
+// user/folder/file API for the app to log in, list folders and download what was uploaded.
+//
+//   npm run mock:chunks                 # listens on http://localhost:3000
+//   PORT=3001 FAIL_RATE=0.2 npm run mock:chunks
+//
+// FAIL_RATE makes that fraction of chunk requests fail with 503 to exercise retries/resume.
+// QUOTA_MB sets the storage quota reported by GET /api/user/storage (default 1024).
+// GET /api/events streams new folders and uploaded/updated files live (see event-hub.js).
+// Folder listings are paged when asked for with `limit` (protocol in src/utils/folderWalk.js).
+// Stars (PUT/DELETE /api/{folders|files}/:id/star, GET /api/starred) are kept on the records.
+// PUT /api/folders/:id/encryption marks a folder end-to-end encrypted; the key parameters it stores can't be changed later.
+// File records carry their SHA-256 (`sha256`); an upload sending `sha256` that doesn't match is rejected with 422.
+// Login accepts any password, but changing the password or deleting the account checks it
+// (MOCK_PASSWORD, default "password123"). Password reset links are printed to the console.
+// State lives in memory (uploaded bytes in a temp directory) and is lost on restart.
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { createEventHub } from './event-hub.js';
+
+const PORT = Number(process.env.PORT) || 3000;
+const FAIL_RATE = Number(process.env.FAIL_RATE) || 0;
+const QUOTA_BYTES = (Number(process.env.QUOTA_MB) || 1024) * 1024 * 1024;
+const STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'drive-mock-'));
+
+const user = { id: 1, name: 'Mock User', email: 'mock@example.com' };
+const account = { password: process.env.MOCK_PASSWORD || 'password123' };
+const resetTokens = new Map(); // token -> expiresAt (ms)
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000;
+const folders = new Map(); // id -> { id, name, parentId, starred?, encryption? }
+const files = new Map(); // id -> { id, name, size, mimeType, folderId, path, updatedAt, sha256, starred? }
+const uploads = new Map(); // uploadId -> { uploadId, fileName, size, mimeType, chunkSize, folderId, fileId, sha256, path, receivedChunks:Set }
+let nextId = 1;
+const events = createEventHub();
+
+// --- Helpers ---
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+const readJson = async (req) => {
+    const body = await readBody(req);
+    return body.length ? JSON.parse(body.toString('utf8')) : {};
+};
+
+const SORT_VALUES = {
+    type: item => item.mimeType || '',
+    size: item => item.size ?? -1,
+    modified: item => item.updatedAt || '',
+};
+
+const compareBy = (sortKey) => (a, b) => {
+    const value = SORT_VALUES[sortKey];
+    const byKey = value ? (value(a) < value(b) ? -1 : value(a) > value(b) ? 1 : 0) : 0;
+    return byKey || a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+};
+
+// Everything as a bare array, or with `limit` one page of { [key]: [...], nextCursor }.
+// The cursor is the offset of the next page.
+const sendListing = (res, url, key, records) => {
+    const limit = Number(url.searchParams.get('limit'));
+    if (!limit) return sendJson(res, 200, records);
+    const query = (url.searchParams.get('q') || '').toLowerCase();
+    const matches = records.filter(record => record.name.toLowerCase().includes(query)).sort(compareBy(url.searchParams.get('sort')));
+    if (url.searchParams.get('order') === 'desc') matches.reverse();
+    const offset = Number(url.searchParams.get('cursor')) || 0;
+    sendJson(res, 200, { [key]: matches.slice(offset, offset + limit), nextCursor: offset + limit < matches.length ? String(offset + limit) : null });
+};
+
+// "null"/"" from query strings and FormData mean the root folder
+const parseFolderId = (value) => (value == null || value === '' || value === 'null' ? null : Number(value));
+
+// Just enough multipart parsing for the single-request upload path (one file + text fields)
+const parseMultipart = (body, contentType) => {
+    const boundary = `--${/boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType)?.slice(1).find(Boolean)}`;
+    const fields = {};
+    let file = null;
+    let start = body.indexOf(boundary);
+    while (start !== -1) {
+        start += boundary.length + 2; // Skip the boundary and its CRLF
+        const end = body.indexOf(boundary, start);
+        if (end === -1) break;
+        const part = body.subarray(start, end - 2); // Drop the CRLF before the next boundary
+        const headerEnd = part.indexOf('\r\n\r\n');
+        const headers = part.subarray(0, headerEnd).toString('utf8');
+        const content = part.subarray(headerEnd + 4);
+        const name = /name="([^"]*)"/.exec(headers)?.[1];
+        const filename = /filename="([^"]*)"/.exec(headers)?.[1];
+        if (filename != null) {
+            file = { name: filename, mimeType: /Content-Type: (.+)/i.exec(headers)?.[1]?.trim(), content };
+        } else if (name) {
+            fields[name] = content.toString('utf8');
+        }
+        start = end;
+    }
+    return { fields, file };
+};
+
+// Read in slices so large chunked uploads aren't loaded whole
+const hashFileSync = (filePath) => {
+    const hash = crypto.createHash('sha256');
+    const buffer = Buffer.alloc(4 * 1024 * 1024);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        let bytesRead;
+        while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) hash.update(buffer.subarray(0, bytesRead));
+    } finally {
+        fs.closeSync(fd);
+    }
+    return hash.digest('hex');
+};
+
+// Returns the stored record, or null (and drops the bytes) when they don't match `expectedSha256`
+const storeFile = ({ name, size, mimeType, folderId, sourcePath, fileId, expectedSha256 }) => {
+    const sha256 = hashFileSync(sourcePath);
+    if (expectedSha256 && expectedSha256.toLowerCase() !== sha256) {
+        fs.rmSync(sourcePath, { force: true });
+        return null;
+    }
+    const existing = fileId != null ? files.get(fileId) : null;
+    const id = existing?.id ?? nextId++;
+    const filePath = path.join(STORAGE_DIR, `file-${id}`);
+    fs.renameSync(sourcePath, filePath);
+    const record = {
+        id,
+        name,
+        size,
+        mimeType: mimeType || 'application/octet-stream',
+        folderId: existing ? existing.folderId : folderId,
+        path: filePath,
+        updatedAt: new Date().toISOString(),
+        sha256,
+        starred: existing?.starred || false,
+    };
+    files.set(id, record);
+    return record;
+};
+
+// Strip the server-side storage path before sending a file record
+const publicFile = (file) => {
+    const { path: _ignored, ...rest } = file;
+    return rest;
+};
+
+const publishFile = (action, file) => events.publish({ folderId: file.folderId, action, item: { ...publicFile(file), type: 'file' } });
+
+const setStarred = (res, kind, id, starred) => {
+    const record = (kind === 'folders' ? folders : files).get(id);
+    if (!record) return sendJson(res, 404, { message: `${kind === 'folders' ? 'Folder' : 'File'} not found.` });
+    record.starred = starred;
+    sendJson(res, 200, { message: starred ? 'Starred.' : 'Unstarred.' });
+};
+
+const uploadStatus = (upload) => ({
+    uploadId: upload.uploadId,
+    chunkSize: upload.chunkSize,
+    receivedChunks: [...upload.receivedChunks].sort((a, b) => a - b),
+});
+
+// --- Routes ---
+const routes = [
+    ['GET', /^\/api\/health$/, (req, res) => sendJson(res, 200, { status: 'ok' })],
+    ['GET', /^\/api\/events$/, (req, res, params, url) => events.subscribe(req, res, parseFolderId(url.searchParams.get('folderId')))],
+
+    // User/session stubs: every request is treated as logged in
+    ['GET', /^\/api\/user\/profile$/, (req, res) => sendJson(res, 200, user)],
+    ['POST', /^\/api\/user\/(login|register)$/, (req, res) => sendJson(res, 200, { user })],
+    ['POST', /^\/api\/user\/logout$/, (req, res) => sendJson(res, 200, { message: 'Logged out.' })],
+    ['PATCH', /^\/api\/user\/profile$/, async (req, res) => {
+        const { name, email } = await readJson(req);
+        if (!name?.trim() || !email?.includes('@')) return sendJson(res, 400, { message: 'A name and a valid email are required.' });
+        Object.assign(user, { name: name.trim(), email: email.trim() });
+        sendJson(res, 200, user);
+    }],
+    ['PUT', /^\/api\/user\/password$/, async (req, res) => {
+        const { currentPassword, newPassword } = await readJson(req);
+        if (currentPassword !== account.password) return sendJson(res, 400, { message: 'Current password is incorrect.' });
+        if (!newPassword || newPassword.length < 8) return sendJson(res, 400, { message: 'The new password must have at least 8 characters.' });
+        account.password = newPassword;
+        sendJson(res, 200, { message: 'Password changed.' });
+    }],
+    ['DELETE', /^\/api\/user$/, async (req, res) => {
+        const { password } = await readJson(req);
+        if (password !== account.password) return sendJson(res, 400, { message: 'Password is incorrect.' });
+        folders.clear();
+        files.clear();
+        sendJson(res, 200, { message: 'Account deleted.' });
+    }],
+    ['POST', /^\/api\/user\/forgot-password$/, async (req, res) => {
+        const { email, resetUrl } = await readJson(req);
+        if (email === user.email && resetUrl) {
+            const token = crypto.randomUUID();
+            resetTokens.set(token, Date.now() + RESET_TOKEN_TTL_MS);
+            console.log(`Password reset link for ${email}: ${resetUrl}?token=${token}`);
+        }
+        sendJson(res, 200, { message: 'If the account exists, a reset link has been sent.' });
+    }],
+    ['POST', /^\/api\/user\/reset-password$/, async (req, res) => {
+        const { token, newPassword } = await readJson(req);
+        const expiresAt = resetTokens.get(token);
+        if (!expiresAt) return sendJson(res, 400, { message: 'This reset link is invalid or was already used.' });
+        resetTokens.delete(token);
+        if (expiresAt < Date.now()) return sendJson(res, 410, { message: 'This reset link has expired.' });
+        if (!newPassword || newPassword.length < 8) return sendJson(res, 400, { message: 'The new password must have at least 8 characters.' });
+        account.password = newPassword;
+        sendJson(res, 200, { message: 'Password reset.' });
+    }],
+    ['GET', /^\/api\/user\/storage$/, (req, res) => {
+        const used = [...files.values()].reduce((total, file) => total + file.size, 0);
+        sendJson(res, 200, { used, quota: QUOTA_BYTES });
+    }],
+
+    ['GET', /^\/api\/folders$/, (req, res, params, url) => {
+        const parentId = parseFolderId(url.searchParams.get('parentId'));
+        sendListing(res, url, 'folders', [...folders.values()].filter(f => f.parentId === parentId));
+    }],
+    ['GET', /^\/api\/folders\/(\d+)$/, (req, res, [id]) => {
+        const folder = folders.get(Number(id));
+        if (!folder) return sendJson(res, 404, { message: 'Folder not found.' });
+        sendJson(res, 200, folder);
+    }],
+    ['POST', /^\/api\/folders$/, async (req, res) => {
+        const { name, parentId } = await readJson(req);
+        const folder = { id: nextId++, name, parentId: parseFolderId(parentId) };
+        folders.set(folder.id, folder);
+        events.publish({ folderId: folder.parentId, action: 'created', item: { ...folder, type: 'folder' } });
+        sendJson(res, 201, folder);
+    }],
+
+    ['PUT', /^\/api\/folders\/(\d+)\/encryption$/, async (req, res, [id]) => {
+        const folder = folders.get(Number(id));
+        if (!folder) return sendJson(res, 404, { message: 'Folder not found.' });
+        const { version, salt, iterations, verifier } = await readJson(req);
+        if (!salt || !verifier || !Number.isInteger(iterations)) return sendJson(res, 400, { message: 'salt, iterations and verifier are required.' });
+        // Files already encrypted under the old key would become unreadable
+        if (folder.encryption) return sendJson(res, 409, { message: 'This folder is already encrypted.' });
+        folder.encryption = { version, salt, iterations, verifier };
+        sendJson(res, 200, folder);
+    }],
+    ['PUT', /^\/api\/(folders|files)\/(\d+)\/star$/, (req, res, [kind, id]) => setStarred(res, kind, Number(id), true)],
+    ['DELETE', /^\/api\/(folders|files)\/(\d+)\/star$/, (req, res, [kind, id]) => setStarred(res, kind, Number(id), false)],
+    ['GET', /^\/api\/starred$/, (req, res) => sendJson(res, 200, {
+        folders: [...folders.values()].filter(f => f.starred),
+        files: [...files.values()].filter(f => f.starred).map(publicFile),
+    })],
+
+    ['GET', /^\/api\/files$/, (req, res, params, url) => {
+        const folderId = parseFolderId(url.searchParams.get('folderId'));
+        sendListing(res, url, 'files', [...files.values()].filter(f => f.folderId === folderId).map(publicFile));
+    }],
+    ['GET', /^\/api\/files\/download\/(\d+)$/, (req, res, [id]) => {
+        const file = files.get(Number(id));
+        if (!file) return sendJson(res, 404, { message: 'File not found.' });
+        res.writeHead(200, {
+            'Content-Type': file.mimeType,
+            'Content-Length': file.size,
+            'Content-Disposition': `attachment; filename="${file.name}"`,
+        });
+        fs.createReadStream(file.path).pipe(res);
+    }],
+
+    // Single-request upload/update, kept so small files work against the mock too
+    ['POST', /^\/api\/files\/upload\/?$/, async (req, res) => {
+        const { fields, file } = parseMultipart(await readBody(req), req.headers['content-type']);
+        if (!file) return sendJson(res, 400, { message: 'No file provided.' });
+        const tmpPath = path.join(STORAGE_DIR, `tmp-${crypto.randomUUID()}`);
+        fs.writeFileSync(tmpPath, file.content);
+        const record = storeFile({ name: file.name, size: file.content.length, mimeType: file.mimeType, folderId: parseFolderId(fields.folderId), sourcePath: tmpPath, expectedSha256: fields.sha256 });
+        if (!record) return sendJson(res, 422, { message: 'The file was damaged on the way (checksum mismatch).' });
+        publishFile('created', record);
+        sendJson(res, 201, publicFile(record));
+    }],
+    ['PUT', /^\/api\/files\/(\d+)$/, async (req, res, [id]) => {
+        if (!files.has(Number(id))) return sendJson(res, 404, { message: 'File not found.' });
+        const { fields, file } = parseMultipart(await readBody(req), req.headers['content-type']);
+        if (!file) return sendJson(res, 400, { message: 'No file provided.' });
+        const tmpPath = path.join(STORAGE_DIR, `tmp-${crypto.randomUUID()}`);
+        fs.writeFileSync(tmpPath, file.content);
+        const record = storeFile({ name: file.name, size: file.content.length, mimeType: file.mimeType, sourcePath: tmpPath, fileId: Number(id), expectedSha256: fields.sha256 });
+        if (!record) return sendJson(res, 422, { message: 'The file was damaged on the way (checksum mismatch).' });
+        publishFile('updated', record);
+        sendJson(res, 200, { message: 'File updated successfully!', file: publicFile(record) });
+    }],
+
+    // Chunk protocol
+    ['POST', /^\/api\/files\/uploads$/, async (req, res) => {
+        const { fileName, size, mimeType, chunkSize, folderId, fileId, sha256 } = await readJson(req);
+        if (!fileName || !(size >= 0) || !(chunkSize > 0)) return sendJson(res, 400, { message: 'fileName, size and chunkSize are required.' });
+        if (fileId != null && !files.has(Number(fileId))) return sendJson(res, 422, { message: 'File to update not found.' });
+        const upload = {
+            uploadId: crypto.randomUUID(),
+            fileName,
+            size,
+            mimeType,
+            chunkSize,
+            folderId: parseFolderId(folderId),
+            fileId: fileId != null ? Number(fileId) : null,
+            sha256: sha256 || null,
+            path: path.join(STORAGE_DIR, `upload-${crypto.randomUUID()}`),
+            receivedChunks: new Set(),
+        };
+        fs.writeFileSync(upload.path, Buffer.alloc(0));
+        uploads.set(upload.uploadId, upload);
+        sendJson(res, 201, uploadStatus(upload));
+    }],
+    ['GET', /^\/api\/files\/uploads\/([\w-]+)$/, (req, res, [uploadId]) => {
+        const upload = uploads.get(uploadId);
+        if (!upload) return sendJson(res, 404, { message: 'Upload session not found.' });
+        sendJson(res, 200, uploadStatus(upload));
+    }],
+    ['PUT', /^\/api\/files\/uploads\/([\w-]+)\/chunks\/(\d+)$/, async (req, res, [uploadId, rawIndex]) => {
+        const upload = uploads.get(uploadId);
+        if (!upload) return sendJson(res, 404, { message: 'Upload session not found.' });
+        const data = await readBody(req);
+        if (Math.random() < FAIL_RATE) return sendJson(res, 503, { message: 'Simulated chunk failure.' });
+
+        const index = Number(rawIndex);
+        const offset = index * upload.chunkSize;
+        const expected = Math.min(upload.chunkSize, upload.size - offset);
+        if (expected <= 0 || data.length !== expected) {
+            return sendJson(res, 400, { message: `Chunk ${index} should be ${expected} bytes, got ${data.length}.` });
+        }
+        const fd = fs.openSync(upload.path, 'r+');
+        try {
+            fs.writeSync(fd, data, 0, data.length, offset);
+        } finally {
+            fs.closeSync(fd);
+        }
+        upload.receivedChunks.add(index);
+        sendJson(res, 200, uploadStatus(upload));
+    }],
+    ['POST', /^\/api\/files\/uploads\/([\w-]+)\/complete$/, (req, res, [uploadId]) => {
+        const upload = uploads.get(uploadId);
+        if (!upload) return sendJson(res, 404, { message: 'Upload session not found.' });
+        const totalChunks = Math.max(1, Math.ceil(upload.size / upload.chunkSize));
+        if (upload.receivedChunks.size < totalChunks) {
+            return sendJson(res, 409, { message: `Missing chunks: received ${upload.receivedChunks.size} of ${totalChunks}.` });
+        }
+        const record = storeFile({
+            name: upload.fileName,
+            size: upload.size,
+            mimeType: upload.mimeType,
+            folderId: upload.folderId,
+            sourcePath: upload.path,
+            fileId: upload.fileId,
+            expectedSha256: upload.sha256,
+        });
+        uploads.delete(uploadId);
+        if (!record) return sendJson(res, 422, { message: 'The uploaded chunks don\'t add up to the original file (checksum mismatch).' });
+        publishFile(upload.fileId != null ? 'updated' : 'created', record);
+        sendJson(res, upload.fileId != null ? 200 : 201, { message: `File '${record.name}' uploaded.`, file: publicFile(record) });
+    }],
+    ['DELETE', /^\/api\/files\/uploads\/([\w-]+)$/, (req, res, [uploadId]) => {
+        const upload = uploads.get(uploadId);
+        if (!upload) return sendJson(res, 404, { message: 'Upload session not found.' });
+        fs.rmSync(upload.path, { force: true });
+        uploads.delete(uploadId);
+        sendJson(res, 200, { message: 'Upload aborted.' });
+    }],
+];
+
+const server = http.createServer(async (req, res) => {
+    // The app sends cookies (withCredentials), so echo the origin instead of using "*"
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        return res.end();
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    for (const [method, pattern, handler] of routes) {
+        const match = method === req.method && pattern.exec(url.pathname);
+        if (!match) continue;
+        try {
+            await handler(req, res, match.slice(1), url);
+        } catch (err) {
+            console.error(`${req.method} ${url.pathname} failed:`, err);
+            if (!res.headersSent) sendJson(res, 500, { message: 'Mock server error.' });
+        }
+        return;
+    }
+    sendJson(res, 404, { message: `No mock route for ${req.method} ${url.pathname}` });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock chunked-upload backend on http://localhost:${PORT} (storage: ${STORAGE_DIR}, FAIL_RATE=${FAIL_RATE})`);
+});
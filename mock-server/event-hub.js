@@ -0,0 +1,44 @@
+// --- Mock Backend: Event Hub ---
+// Server-sent events for live folder updates, in the format documented in src/utils/liveEvents.js.
+// Shared by the chunked-upload mock (which publishes its own changes) and the standalone
+// event server (which publishes whatever it is told to).
+
+// Comment lines keep idle connections from being closed by proxies and dev servers
+const KEEPALIVE_MS = 25000;
+
+export const createEventHub = () => {
+    const clients = new Set(); // { res, folderId }
+
+    // GET /api/events?folderId=<id|null>
+    const subscribe = (req, res, folderId) => {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+        });
+        res.write('retry: 3000\n\n');
+        const client = { res, folderId };
+        clients.add(client);
+        const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+        req.on('close', () => {
+            clearInterval(keepalive);
+            clients.delete(client);
+        });
+    };
+
+    // Sends `{ folderId, action, item }` to everyone watching that folder
+    const publish = (change) => {
+        const payload = `event: change\ndata: ${JSON.stringify(change)}\n\n`;
+        let delivered = 0;
+        clients.forEach(client => {
+            if (client.folderId !== change.folderId) return;
+            client.res.write(payload);
+            delivered += 1;
+        });
+        return delivered;
+    };
+
+    const watchedFolderIds = () => [...new Set([...clients].map(client => client.folderId))];
+
+    return { subscribe, publish, watchedFolderIds };
+};
@@ -0,0 +1,103 @@
+// --- Mock Backend: Event Server ---
+// A standalone stream of live folder events, for trying out live updates against any backend.
+// Point the app at it with VITE_EVENTS_URL (or `eventsUrl` in config.json):
+//
+//   npm run mock:events                       # http://localhost:3001/api/events
+//   SIMULATE_MS=5000 npm run mock:events      # a "teammate" changes every watched folder each 5 s
+//
+// Publish an event by hand (format in src/utils/liveEvents.js):
+//   curl -X POST localhost:3001/api/events -H 'Content-Type: application/json' \
+//     -d '{"folderId":null,"action":"created","item":{"type":"file","id":9001,"name":"hello.txt","size":5}}'
+//
+// Simulated files get ids from 900000 up, so they don't collide with real ones; opening or
+// downloading them fails against the real backend.
+import http from 'node:http';
+import { createEventHub } from './event-hub.js';
+
+const PORT = Number(process.env.PORT) || 3001;
+const SIMULATE_MS = Number(process.env.SIMULATE_MS) || 0;
+
+const events = createEventHub();
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+const readJson = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        try {
+            resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+        } catch (err) {
+            reject(err);
+        }
+    });
+    req.on('error', reject);
+});
+
+const parseFolderId = (value) => (value == null || value === '' || value === 'null' ? null : Number(value));
+
+// --- Simulated Teammate ---
+// In every watched folder, each cycle of four ticks adds a file on the first two, renames the
+// oldest added file on the third and deletes it on the fourth, so all three actions show up.
+let nextSimulatedId = 900000;
+let tick = 0;
+const simulatedFiles = new Map(); // folderId -> [file]
+
+const simulateChanges = () => {
+    tick += 1;
+    events.watchedFolderIds().forEach(folderId => {
+        const own = simulatedFiles.get(folderId) || [];
+        simulatedFiles.set(folderId, own);
+        if (tick % 4 === 0 && own.length > 0) {
+            const file = own.shift();
+            events.publish({ folderId, action: 'deleted', item: { type: 'file', id: file.id } });
+            return;
+        }
+        if (tick % 4 === 3 && own.length > 0) {
+            own[0] = { ...own[0], name: `renamed-${own[0].name}`, updatedAt: new Date().toISOString() };
+            events.publish({ folderId, action: 'updated', item: own[0] });
+            return;
+        }
+        const id = nextSimulatedId++;
+        const file = { type: 'file', id, name: `teammate-${id}.txt`, size: 1024 * (1 + (id % 50)), mimeType: 'text/plain', folderId, updatedAt: new Date().toISOString() };
+        own.push(file);
+        events.publish({ folderId, action: 'created', item: file });
+    });
+};
+
+const server = http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        return res.end();
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    if (url.pathname !== '/api/events') return sendJson(res, 404, { message: `No mock route for ${req.method} ${url.pathname}` });
+
+    if (req.method === 'GET') return events.subscribe(req, res, parseFolderId(url.searchParams.get('folderId')));
+    if (req.method === 'POST') {
+        try {
+            const change = await readJson(req);
+            if (!['created', 'updated', 'deleted'].includes(change.action) || change.item?.id == null) {
+                return sendJson(res, 400, { message: 'Expected { folderId, action: created|updated|deleted, item: { type, id, ... } }.' });
+            }
+            const delivered = events.publish({ ...change, folderId: change.folderId ?? null });
+            return sendJson(res, 200, { delivered });
+        } catch {
+            return sendJson(res, 400, { message: 'Invalid JSON.' });
+        }
+    }
+    sendJson(res, 405, { message: 'Method not allowed.' });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock event server on http://localhost:${PORT}/api/events${SIMULATE_MS ? ` (simulating changes every ${SIMULATE_MS} ms)` : ''}`);
+    if (SIMULATE_MS) setInterval(simulateChanges, SIMULATE_MS);
+});
@@ -0,0 +1,79 @@
+// --- Service Worker ---
+// Keeps the app shell (index.html, the built JS/CSS, icons) available offline so the app opens
+// without a connection. Folder listings, files and queued changes are the app's job (see
+// src/utils/offlineCache.js and src/utils/outbox.js); API requests are never answered from here.
+
+const CACHE_NAME = 'drive-clone-shell-v1';
+const SHELL_URL = new URL('index.html', self.registration.scope).href;
+const PRECACHE_URLS = [SHELL_URL, 'manifest.webmanifest', 'icon-192.png', 'icon-512.png']
+    .map(path => new URL(path, self.registration.scope).href);
+
+// Built assets have hashed names, so every deploy adds new ones; the oldest are dropped past this
+const MAX_CACHED_ASSETS = 60;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+const trimCache = async (cache) => {
+    const keys = await cache.keys();
+    const precached = new Set(PRECACHE_URLS);
+    const assets = keys.filter(request => !precached.has(request.url));
+    await Promise.all(assets.slice(0, Math.max(0, assets.length - MAX_CACHED_ASSETS)).map(request => cache.delete(request)));
+};
+
+// Fresh copy when online, saved copy otherwise; `cacheKey` lets every route share the one index.html
+const networkFirst = async (request, cacheKey = request) => {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(cacheKey, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await cache.match(cacheKey);
+        if (cached) return cached;
+        throw err;
+    }
+};
+
+const cacheFirst = async (request) => {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+        trimCache(cache);
+    }
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    // The backend usually lives on another origin; a same-origin one is proxied under /api/
+    if (url.origin !== self.location.origin || url.pathname.includes('/api/')) return;
+
+    if (request.mode === 'navigate') {
+        // Every route renders the same index.html (SPA fallback)
+        event.respondWith(networkFirst(request, SHELL_URL));
+    } else if (url.pathname.endsWith('/config.json')) {
+        // Deploy-specific and fetched uncached by the app; the saved copy is only for offline starts
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
@@ -1,7 +1,75 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import axios from 'axios';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { api, isCanceled, isNetworkError, getErrorMessage, setUnauthorizedHandler } from './utils/apiClient';
+import { getApiBaseUrl, getEventsUrl } from './utils/runtimeConfig';
 import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css'; // Don't forget CSS
+import UploadPanel from './components/UploadPanel';
+import useUploadQueue from './hooks/useUploadQueue';
+import useZipDownload from './hooks/useZipDownload';
+import ZipProgress from './components/ZipProgress';
+import { resolveFolderPath } from './utils/folderWalk';
+import useDriveRoute from './hooks/useDriveRoute';
+import { uploadFile } from './utils/uploadFile';
+import { fetchFileBlob, saveBlob } from './utils/download';
+import FilePreview from './components/FilePreview';
+import Breadcrumbs from './components/Breadcrumbs';
+import MoveDialog from './components/MoveDialog';
+import VersionHistory from './components/VersionHistory';
+import BulkActionBar from './components/BulkActionBar';
+import BulkResultDialog from './components/BulkResultDialog';
+import SearchPanel from './components/SearchPanel';
+import ViewToolbar from './components/ViewToolbar';
+import ItemGrid from './components/ItemGrid';
+import ItemTable from './components/ItemTable';
+import ItemActions from './components/ItemActions';
+import useViewPrefs from './hooks/useViewPrefs';
+import useRecentFiles from './hooks/useRecentFiles';
+import useFolderEncryption from './hooks/useFolderEncryption';
+import useFolderListing from './hooks/useFolderListing';
+import useFolderUploads from './hooks/useFolderUploads';
+import { sortItems, filterItemsByName } from './utils/itemSort';
+import { clearSearchIndexCache } from './utils/search';
+import TrashView from './components/TrashView';
+import SharedView from './components/SharedView';
+import StarredView from './components/StarredView';
+import RecentView from './components/RecentView';
+import Sidebar from './components/Sidebar';
+import ShareDialog from './components/ShareDialog';
+import StorageView from './components/StorageView';
+import StorageMeter from './components/StorageMeter';
+import OfflineBanner from './components/OfflineBanner';
+import AccountSettings from './components/AccountSettings';
+import ForgotPasswordForm from './components/ForgotPasswordForm';
+import ResetPasswordForm from './components/ResetPasswordForm';
+import AuthForm from './components/AuthForm';
+import ConfirmDialog from './components/ConfirmDialog';
+import ShortcutsDialog from './components/ShortcutsDialog';
+import DuplicateUploadDialog from './components/DuplicateUploadDialog';
+import EncryptionBar from './components/EncryptionBar';
+import EncryptFolderDialog from './components/EncryptFolderDialog';
+import UnlockDialog from './components/UnlockDialog';
+import LiveRegion from './components/LiveRegion';
+import useItemKeyboard from './hooks/useItemKeyboard';
+import useVirtualRows, { VIRTUALIZE_FROM_ROWS } from './hooks/useVirtualRows';
+import LoadMore from './components/LoadMore';
+import { announce } from './utils/announce';
+import useStorageUsage from './hooks/useStorageUsage';
+import useOnlineStatus from './hooks/useOnlineStatus';
+import useOutbox from './hooks/useOutbox';
+import useLiveFolder from './hooks/useLiveFolder';
+import { applyItemChange } from './utils/liveEvents';
+import { postTabMessage, subscribeToTabMessages } from './utils/tabSync';
+import { describeChange } from './utils/outbox';
+import { saveFolderPath, getCachedFolderPath, updateCachedListing, clearOfflineCache, getOfflineUser, rememberOfflineUser } from './utils/offlineCache';
+import { clearFolderSizeCache, getFreeBytes } from './utils/storage';
+import { canEditItem, canShareItem } from './utils/sharing';
+import { isStarred, setStarred, getContainingFolderId } from './utils/starred';
+import { verifyBlob, getItemHash } from './utils/fileHash';
+import { setFolderEncryption, rememberFolderEncryption, MAX_ENCRYPTED_FILE_BYTES, getUnlockedKey, lockKey, encryptFile } from './utils/encryption';
+import UndoToast, { UNDO_TOAST_MS } from './components/UndoToast';
+import { getItemKey, trashItem, restoreItem, renameItem, moveItem, getMoveError, DRAG_ITEM_MIME, hasDraggedItem, readDraggedItem } from './utils/itemActions';
+import { runWithConcurrency, BULK_CONCURRENCY } from './utils/bulk';
+import { formatBytes } from './utils/format';
 
 // --- Helper: Create Hidden Input ---
 const createFileInput = (onChangeCallback) => {
@@ -13,265 +81,476 @@ const createFileInput = (onChangeCallback) => {
     return fileInput;
 };
 
-// --- Helper: Format Bytes ---
-const formatBytes = (bytes, decimals = 2) => {
-    if (!+bytes) return '0 Bytes' // Handle 0 or non-numeric input
-    const k = 1024
-    const dm = decimals < 0 ? 0 : decimals
-    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB']
-    const i = Math.floor(Math.log(bytes) / Math.log(k))
-    // Prevent index out of bounds for extremely large numbers
-    const index = Math.min(i, sizes.length - 1);
-    return `${parseFloat((bytes / Math.pow(k, index)).toFixed(dm))} ${sizes[index]}`
-};
-
-// --- Component: Breadcrumbs ---
-function Breadcrumbs({ path, onNavigate, isLoading }) {
-    return (
-        <nav aria-label="breadcrumb" className={`breadcrumbs mb-4 text-sm text-gray-600 ${isLoading ? 'opacity-50' : ''}`}>
-            <ol className="breadcrumb-list flex items-center space-x-1 sm:space-x-2 flex-wrap">
-                {path.map((folder, index) => (
-                    <li key={folder.id ?? 'root'} className="breadcrumb-item flex items-center">
-                        {/* Make clickable only if not the last item AND not loading */}
-                        {(index < path.length - 1) ? (
-                            <button
-                                onClick={() => !isLoading && onNavigate(folder.id, folder.name)}
-                                className="breadcrumb-link hover:underline text-blue-600 disabled:text-gray-500 disabled:no-underline"
-                                disabled={isLoading}
-                            >
-                                {folder.name}
-                            </button>
-                        ) : (
-                            <span aria-current="page" className="breadcrumb-current font-semibold text-gray-800 truncate" title={folder.name}>
-                                {folder.name}
-                            </span>
-                        )}
-                        {index < path.length - 1 && <span className="breadcrumb-separator text-gray-400 mx-1">/</span>}
-                    </li>
-                ))}
-            </ol>
-        </nav>
-    );
-}
-
 // --- Main App Component ---
 export default function App() {
     // --- State ---
     const [user, setUser] = useState(null);
     const [isAuthenticating, setIsAuthenticating] = useState(true); // Track initial auth check
-    const [email, setEmail] = useState('');
-    const [password, setPassword] = useState('');
-    const [name, setName] = useState('');
-    const [isLogin, setIsLogin] = useState(true);
-    const [items, setItems] = useState([]);
-    const [fileToUpload, setFileToUpload] = useState(null);
     const [folderName, setFolderName] = useState('');
-    const [isLoading, setIsLoading] = useState(false); // For API calls/fetching
     const [currentFolderId, setCurrentFolderId] = useState(null);
     const [breadcrumbPath, setBreadcrumbPath] = useState([{ id: null, name: 'Root' }]);
+    const [renamingKey, setRenamingKey] = useState(null); // `${type}-${id}` of the row being renamed inline
+    const [moveDialogItems, setMoveDialogItems] = useState(null); // Items picked for "Move to…"
+    const [dropTargetKey, setDropTargetKey] = useState(null); // Folder row highlighted while dragging
+    const [selectedKeys, setSelectedKeys] = useState(() => new Set()); // Row keys (see getItemKey) of checked rows
+    const [bulkSummary, setBulkSummary] = useState(null); // Result of the last bulk action with failures
+    const [filterText, setFilterText] = useState(''); // Quick filter for the open folder
+    const [versionsFile, setVersionsFile] = useState(null); // File whose version history is open
+    const [shareItem, setShareItem] = useState(null); // Item whose Share dialog is open
+    const [folderSizesVersion, setFolderSizesVersion] = useState(0); // Bumped when cached folder sizes are dropped
+    const [replaceConfirm, setReplaceConfirm] = useState(null); // { file, fileId, quotaNote } waiting for "Replace" to be confirmed
+    const [showShortcuts, setShowShortcuts] = useState(false);
 
     // --- Refs ---
     const updateFileInputRef = useRef(null);
     const fileToUpdateIdRef = useRef(null);
+    const currentFolderIdRef = useRef(null); // Lets async callbacks see the folder currently shown
+    const selectionAnchorRef = useRef(null); // Row key of the last clicked checkbox, for shift-click ranges
+    const breadcrumbPathRef = useRef(breadcrumbPath);
+    const folderHintRef = useRef(null); // { path } (Root→folder crumbs) of a folder opened by click or search, saves resolving its ancestors
+    const highlightHandledRef = useRef(null); // `${folderId}|${itemKey}` of the last highlight scrolled into view
+    const lastUsedBytesRef = useRef(null); // Storage usage seen last, to notice changes made anywhere
+    const pendingFocusRef = useRef(null); // { folderId, key } of the item to focus once that folder's listing is shown
+    const announcedFolderRef = useRef(undefined); // Folder whose contents were last announced to screen readers
+    const browserRef = useRef(null); // Breadcrumbs and listing, where keyboard focus is managed
+    const contentsHeadingRef = useRef(null);
 
-    // --- Config ---
-    const API_BASE_URL = 'http://localhost:3000'; // <-- IMPORTANT: Verify this port!
+    // --- Routing ---
+    // The URL is the source of truth for the open folder and the previewed file
+    const route = useDriveRoute();
+    const previewFileId = route.fileId;
 
-    // --- Fetching Logic ---
-    // useCallback helps prevent re-creating the function on every render
-    const fetchItems = useCallback(async (folderId) => {
-        console.log(`Fetching items for folderId: ${folderId}`);
-        setIsLoading(true); // Start loading indicator
-        let fetchedFolders = [];
-        let fetchedFiles = [];
+    // --- View Preferences ---
+    const { prefs: viewPrefs, updatePrefs: updateViewPrefs } = useViewPrefs(user?.id);
 
-        try {
-            const [folderRes, fileRes] = await Promise.all([
-                axios.get(`${API_BASE_URL}/api/folders`, { params: { parentId: folderId }, withCredentials: true }),
-                axios.get(`${API_BASE_URL}/api/files`, { params: { folderId }, withCredentials: true })
-            ]);
-
-            console.log("API Response Folders:", folderRes);
-            console.log("API Response Files:", fileRes);
-
-            // Process folders (assuming direct array response based on updated backend)
-            if (Array.isArray(folderRes?.data)) {
-                fetchedFolders = folderRes.data.map(f => ({ ...f, type: 'folder' }));
-                console.log("Processed Folders:", fetchedFolders)
-            } else {
-                // Handle case where backend might still wrap it (less likely now)
-                 if (Array.isArray(folderRes?.data?.folders)) {
-                    fetchedFolders = folderRes.data.folders.map(f => ({ ...f, type: 'folder' }));
-                    console.log("Processed Folders (nested):", fetchedFolders);
-                 } else {
-                    console.warn("Received unexpected data format for folders:", folderRes?.data);
-                 }
-            }
+    // --- Recent Files ---
+    // Fed by the upload, update, preview and download handlers below
+    const { entries: recentEntries, addRecent, clearRecent } = useRecentFiles(user?.id);
 
-            // Process files (assuming direct array response)
-            if (Array.isArray(fileRes?.data)) {
-                fetchedFiles = fileRes.data.map(f => ({ ...f, type: 'file' }));
-                 console.log("Processed Files:", fetchedFiles);
-            } else {
-                console.warn("Received unexpected data format for files:", fileRes?.data);
-            }
+    // --- Config ---
+    const API_BASE_URL = getApiBaseUrl(); // Build-time env, overridable by /config.json (see utils/runtimeConfig.js)
+    const EVENTS_URL = getEventsUrl();
 
-             // Combine, sort (folders first, then alphabetically), and update state
-             const combinedItems = [...fetchedFolders, ...fetchedFiles];
-             combinedItems.sort((a, b) => {
-                 // Folders come before files
-                 if (a.type === 'folder' && b.type === 'file') return -1;
-                 if (a.type === 'file' && b.type === 'folder') return 1;
-                 // Otherwise, sort alphabetically by name
-                 return a.name.localeCompare(b.name);
-             });
-             setItems(combinedItems);
+    // --- Storage Usage ---
+    const { usage: storageUsage, refresh: refreshStorageUsage } = useStorageUsage(API_BASE_URL, user?.id);
 
-        } catch (err) {
-            toast.error('Failed to fetch items.');
-            console.error('Fetch error:', err.response?.data || err.message || err);
-            if (err.response?.status === 401) {
-                // Use handleLogout to clear state correctly, suppress toast if desired
-                handleLogout(false);
-                toast.info("Session expired. Please log in again.");
-            }
-            if (err.response?.status === 404 && folderId !== null) { // Only redirect if not fetching root
-                 toast.warn("Folder not found, returning to root.");
-                 navigateToFolder(null, 'Root'); // Go back to root
-            }
-        } finally {
-            setIsLoading(false); // Stop loading indicator regardless of success/error
-        }
-    }, []); // Empty dependency array because it doesn't depend on component state directly
+    // Recursive folder sizes are cached; drop them when their contents may have changed
+    const invalidateFolderSizes = useCallback(() => {
+        clearFolderSizeCache();
+        setFolderSizesVersion(version => version + 1);
+    }, []);
+
+    // Any change in total usage (uploads, deletes, another tab or device) can affect any folder's size
+    useEffect(() => {
+        const used = storageUsage?.used ?? null;
+        if (lastUsedBytesRef.current !== null && used !== null && used !== lastUsedBytesRef.current) invalidateFolderSizes();
+        lastUsedBytesRef.current = used;
+    }, [storageUsage, invalidateFolderSizes]);
 
     // --- Navigation Logic ---
-    // Separate function to handle navigation and state updates together
-    const navigateToFolder = useCallback((folderId, folderName) => {
-        console.log(`Navigating to folder: ID=${folderId}, Name=${folderName}`);
-        setCurrentFolderId(folderId);
+    // Only changes the URL; the route effect below loads the folder and its breadcrumbs.
+    // goToFolder changes with the location, so it is read through a ref to keep this stable.
+    const { goToFolder, goToView } = route;
+    const goToFolderRef = useRef(goToFolder);
+    useEffect(() => {
+        goToFolderRef.current = goToFolder;
+    }, [goToFolder]);
+    const navigateToFolder = useCallback((folderId, folderName, options) => {
+        // Clicked folders are children of the open one, so their breadcrumb can be appended directly
+        const knownPath = breadcrumbPathRef.current;
+        const isChild = knownPath[knownPath.length - 1].id === currentFolderIdRef.current;
+        folderHintRef.current = folderId === null || !isChild ? null : { path: [...knownPath, { id: folderId, name: folderName }] };
+        goToFolderRef.current(folderId, options);
+    }, []);
 
-        // Update breadcrumbs state
-        if (folderId === null) {
-            setBreadcrumbPath([{ id: null, name: 'Root' }]);
+    // --- Folder Listing ---
+    const filterQuery = filterText.trim();
+    const handleFolderMissing = useCallback(() => {
+        toast.warn("Folder not found, returning to root.");
+        navigateToFolder(null, 'Root', { replace: true }); // Go back to root, dropping the bad URL from history
+    }, [navigateToFolder]);
+    const {
+        items, setItems, isLoading, setIsLoading, finishLoading, loadedFolderId,
+        nextPage, listingOptions, isLoadingMore, loadMoreFailed, savedListing,
+        fetchItems, loadMoreItems, reset: resetListing,
+    } = useFolderListing({
+        apiBaseUrl: API_BASE_URL,
+        folderId: currentFolderId,
+        sortKey: viewPrefs.sortKey,
+        sortDir: viewPrefs.sortDir,
+        filterQuery,
+        onListed: refreshStorageUsage, // Every listing follows navigation or a change; keep the meter current
+        onFolderMissing: handleFolderMissing,
+    });
+    const sortedItems = useMemo(() => sortItems(items, viewPrefs.sortKey, viewPrefs.sortDir), [items, viewPrefs.sortKey, viewPrefs.sortDir]);
+    const visibleItems = useMemo(() => filterItemsByName(sortedItems, filterText), [sortedItems, filterText]);
+    const tableRows = useVirtualRows(visibleItems.length, { enabled: viewPrefs.viewMode !== 'grid' && visibleItems.length >= VIRTUALIZE_FROM_ROWS });
+
+    // --- Live Updates ---
+    // After a change made in this tab: refetch the folder if it is still on screen, and tell
+    // other tabs so they can do the same. `folderId` undefined means "not sure which folder".
+    const refreshAfterChange = useCallback((folderId) => {
+        postTabMessage({ type: 'folderChanged', folderId });
+        if (folderId === undefined || folderId === currentFolderIdRef.current) fetchItems(currentFolderIdRef.current, { keepLoaded: true });
+        else finishLoading(); // Navigated away meanwhile; the change's own loading state ends here
+    }, [fetchItems, finishLoading]);
+
+    // Changes from the server's event stream are patched into the listing (and its saved copy)
+    const handleLiveChange = useCallback((change) => {
+        const folderId = currentFolderIdRef.current;
+        setItems(prev => applyItemChange(prev, change));
+        updateCachedListing(folderId, listing => applyItemChange(listing, change));
+        if (change.item.type === 'file') refreshStorageUsage(); // A new usage total also invalidates folder sizes
+    }, [refreshStorageUsage, setItems]);
+
+    const handleLiveRefresh = useCallback(() => fetchItems(currentFolderIdRef.current, { keepLoaded: true }), [fetchItems]);
+
+    // --- Encrypted Folders ---
+    const {
+        openFolder, folderEncryption, rememberedEncryption, isEncryptionMissing,
+        unlockRequest, requestUnlock, closeUnlockRequest,
+        isFolderSettingsKnown, getUploadKey, decryptWithUnlock,
+        showEncryptFolder, setShowEncryptFolder, encryptOpenFolder,
+        reset: resetFolderEncryption,
+    } = useFolderEncryption({
+        apiBaseUrl: API_BASE_URL,
+        userId: user?.id,
+        folderId: currentFolderId,
+        enabled: Boolean(user) && route.view === 'drive',
+        items,
+        onEncrypted: refreshAfterChange,
+    });
+
+    // --- Upload Queue ---
+    // Refetch once a folder's uploads have all settled, but only if it is still the one on screen
+    const handleFolderUploaded = useCallback((folderId) => refreshAfterChange(folderId), [refreshAfterChange]);
+    const handleFileUploaded = useCallback((upload, record) => {
+        const action = upload.fileId != null ? 'updated' : 'uploaded';
+        addRecent({ id: record?.id ?? upload.fileId, name: record?.name || upload.file.name }, action, { folderId: upload.folderId });
+    }, [addRecent]);
+    const uploadQueue = useUploadQueue({ apiBaseUrl: API_BASE_URL, onFolderUploaded: handleFolderUploaded, onFileUploaded: handleFileUploaded });
+    const zipDownload = useZipDownload({ apiBaseUrl: API_BASE_URL, requestUnlock });
+    const { reset: resetUploadQueue } = uploadQueue;
+    const { cancel: cancelZipDownload } = zipDownload;
+
+    // --- Uploads ---
+    const isListingComplete = loadedFolderId === currentFolderId && !nextPage && !listingOptions?.query;
+    const folderUploads = useFolderUploads({
+        apiBaseUrl: API_BASE_URL,
+        folderId: currentFolderId,
+        loadedItems: loadedFolderId === currentFolderId ? items : [],
+        isListingComplete,
+        storageUsage,
+        uploadQueue,
+        folderEncryption,
+        isFolderSettingsKnown,
+        getUploadKey,
+        onFoldersCreated: refreshAfterChange,
+    });
+    const { quotaWarning, closeQuotaWarning, duplicateCheck, closeDuplicateCheck, reset: resetFolderUploads } = folderUploads;
+
+    // --- Offline ---
+    // While offline the drive is read-only, except that new folders, renames and deletes go to
+    // an outbox that is replayed once the browser is back online
+    const isOnline = useOnlineStatus();
+    const handleOutboxReplayed = useCallback(({ applied, conflicts }) => {
+        if (conflicts.length === 0) {
+            toast.success(`Synced ${applied.length} change(s) made while offline.`);
         } else {
-            setBreadcrumbPath(prevPath => {
-                const existingIndex = prevPath.findIndex(f => f.id === folderId);
-                if (existingIndex !== -1) {
-                    return prevPath.slice(0, existingIndex + 1); // Navigate up
-                } else {
-                    return [...prevPath, { id: folderId, name: folderName }]; // Navigate down
-                }
+            setBulkSummary({
+                title: 'Sync changes made offline',
+                succeeded: applied.length,
+                failures: conflicts.map(({ entry, reason }) => ({ item: { type: 'change', id: entry.id, name: describeChange(entry) }, error: reason })),
+                notes: [],
             });
         }
-        // Fetch items for the new folder
-        fetchItems(folderId);
-    }, [fetchItems]); // Depends on fetchItems
+        refreshAfterChange(undefined); // Changes may have been queued in several folders
+    }, [refreshAfterChange]);
+    const outbox = useOutbox({ apiBaseUrl: API_BASE_URL, userId: user?.id, isOnline, onReplayed: handleOutboxReplayed });
+
+    // Only a live listing of the folder in the URL is patched; saved copies wait for the next fetch
+    useLiveFolder({
+        eventsUrl: EVENTS_URL,
+        folderId: currentFolderId,
+        enabled: Boolean(user) && isOnline && route.view === 'drive' && loadedFolderId === currentFolderId && savedListing === null,
+        onChange: handleLiveChange,
+        onRefresh: handleLiveRefresh,
+    });
 
     // --- Effects ---
+    useEffect(() => {
+        currentFolderIdRef.current = currentFolderId;
+    }, [currentFolderId]);
+
+    useEffect(() => {
+        breadcrumbPathRef.current = breadcrumbPath;
+        if (breadcrumbPath.length > 1) saveFolderPath(breadcrumbPath); // Rebuilds breadcrumbs of deep links offline
+    }, [breadcrumbPath]);
+
     // Initial Authentication Check
     useEffect(() => {
         const checkAuth = async () => {
             setIsAuthenticating(true); // Start auth check
             try {
                 // Use profile endpoint or similar GET request that requires auth
-                const res = await axios.get(`${API_BASE_URL}/api/user/profile`, { withCredentials: true }); // ADJUST URL IF NEEDED
+                // A 401 here just means "not logged in", not an expired session
+                const res = await api.get(`${API_BASE_URL}/api/user/profile`, { skipAuthHandler: true }); // ADJUST URL IF NEEDED
                 setUser(res.data); // Set user if session is valid
-                console.log("User session restored:", res.data)
             } catch (err) {
-                console.log("No active session or failed to get profile.", err.message);
-                setUser(null); // Ensure user is null if auth check fails
+                // Without a connection, reopen the last session so its saved copies can be browsed
+                setUser(isNetworkError(err) ? getOfflineUser() : null);
             } finally {
                 setIsAuthenticating(false); // Finish auth check
             }
         };
         checkAuth();
-    }, []); // Run only once on component mount
+    }, [API_BASE_URL]); // Runs once: API_BASE_URL never changes after startup
+
+    // Offline reloads need to know whose saved copies they are
+    useEffect(() => {
+        if (user) rememberOfflineUser(user);
+    }, [user]);
 
-    // Fetch items when user logs in or folder changes (triggered by navigateToFolder)
-    // NOTE: We call fetchItems *directly* within navigateToFolder now,
-    // so this effect only handles the *initial* fetch after login/auth restoration.
+    // The local side of every logout: saved copies go, and other tabs follow (`reason` is for their notice)
+    const endSession = useCallback((reason) => {
+        clearOfflineCache(); // Saved listings and files must not outlive the session
+        postTabMessage({ type: 'logout', reason });
+        setUser(null); // Triggers the cleanup effect below
+    }, []);
+
+    // Any request answered with 401 while logged in means the session expired server-side.
+    // Concurrent failures share one toast (same toastId).
+    useEffect(() => {
+        if (!user) return undefined;
+        return setUnauthorizedHandler(() => {
+            toast.info('Your session has expired. Please log in again.', { toastId: 'session-expired' });
+            endSession('expired');
+        });
+    }, [user, endSession]);
+
+    // Tabs share the session cookie, so a login or logout in one applies to all of them
+    useEffect(() => subscribeToTabMessages(message => {
+        if (message?.type === 'logout' && user) {
+            toast.info(message.reason === 'expired'
+                ? 'Your session has expired. Please log in again.'
+                : 'You logged out in another tab.', { toastId: 'session-expired' });
+            setUser(null);
+        } else if (message?.type === 'login' && message.user?.id !== user?.id) {
+            if (user) window.location.reload(); // Another account took over the session; start clean
+            else setUser(message.user);
+        } else if (message?.type === 'userUpdated' && user && message.user?.id === user.id) {
+            setUser(message.user); // Name or email edited in another tab
+        }
+    }), [user]);
+
+    // Clear per-session state on logout
     useEffect(() => {
-        if (user && !isLoading && !isAuthenticating) { // Only fetch if user exists, not loading, and auth check complete
-             // Check if we need to fetch initial root items
-             if(currentFolderId === null && items.length === 0) { // Example condition: fetch root only if not already loaded
-                 console.log("User logged in or restored, fetching initial root items.");
-                 fetchItems(null);
-             }
-        } else if (!user) {
-            setItems([]); // Clear items on logout
+        if (!user) {
+            resetListing(); // Clear items on logout
+            setSelectedKeys(new Set());
+            resetUploadQueue(); // Abort uploads that belong to the previous session
+            cancelZipDownload();
             setBreadcrumbPath([{ id: null, name: 'Root' }]); // Reset breadcrumbs
             setCurrentFolderId(null); // Reset current folder
+            clearSearchIndexCache(); // The next user must not search this user's files
+            clearFolderSizeCache();
+            setReplaceConfirm(null);
+            resetFolderEncryption();
+            resetFolderUploads(); // Checks of picked files still running belong to the previous session
+            pendingFocusRef.current = null;
+            announcedFolderRef.current = undefined;
         }
-    }, [user, isAuthenticating]); // Rerun when user or auth status changes
+    }, [user, resetListing, resetUploadQueue, cancelZipDownload, resetFolderEncryption, resetFolderUploads]); // Rerun when user changes; the others are stable
 
-    // --- Auth Handlers ---
-    const handleAuth = async (event) => {
-        event.preventDefault(); // Prevent default form submission
-        setIsLoading(true);
-        try {
-            const url = isLogin ? '/api/user/login' : '/api/user/register';
-            const payload = isLogin ? { email, password } : { name, email, password };
-            const res = await axios.post(`${API_BASE_URL}${url}`, payload, { withCredentials: true });
-
-            // Adjust based on YOUR backend response structure for login/register
-            const userData = res.data?.data?.user || res.data?.user || res.data;
-            if (!userData || !userData.id) { // Basic check for valid user data
-                throw new Error("Invalid user data received from server.");
-            }
+    // Load the folder named in the URL once logged in, and again whenever the URL changes
+    // (clicks, breadcrumbs, back/forward, deep links)
+    const routeFolderId = route.folderId;
+    const routeMatched = route.matched;
+    const routeView = route.view;
+    useEffect(() => {
+        if (!user || isAuthenticating) return;
+        if (!routeMatched) {
+            goToFolder(null, { replace: true }); // Unknown path, show Root
+            return;
+        }
+        if (routeView === 'forgotPassword' || routeView === 'resetPassword') {
+            goToView('account', { replace: true }); // Logged in: the password is changed in the settings
+            return;
+        }
+        if (routeView !== 'drive') {
+            setSelectedKeys(new Set()); // Trash and Shared with me load their own lists
+            selectionAnchorRef.current = null;
+            return;
+        }
 
-            setUser(userData);
-            toast.success(isLogin ? 'Login successful!' : 'Registration successful!');
-            // Clear form fields after successful auth
-            setEmail('');
-            setPassword('');
-            setName('');
-            // navigateToFolder(null, 'Root') will be triggered by the useEffect watching `user`
-        } catch (err) {
-            toast.error(err.response?.data?.message || 'Authentication failed');
-            console.error('Auth error:', err.response?.data || err.message || err);
-        } finally {
-            setIsLoading(false);
+        // Keyboard focus follows into the new folder unless it is elsewhere (e.g. in the search box); going up,
+        // it lands on the folder just left (see the focus effect below)
+        const knownPath = breadcrumbPathRef.current;
+        const existingIndex = knownPath.findIndex(f => f.id === routeFolderId);
+        const active = document.activeElement;
+        if (routeFolderId !== currentFolderIdRef.current && (!active || active === document.body || browserRef.current?.contains(active))) {
+            const folderLeft = existingIndex !== -1 ? knownPath[existingIndex + 1] : null;
+            pendingFocusRef.current = { folderId: routeFolderId, key: folderLeft ? getItemKey({ type: 'folder', id: folderLeft.id }) : null };
+        }
+        if (routeFolderId !== currentFolderIdRef.current) announce('Loading folder…');
+
+        setCurrentFolderId(routeFolderId);
+        setSelectedKeys(new Set()); // Selections don't carry across folders
+        selectionAnchorRef.current = null;
+        setFilterText(''); // Neither does the quick filter
+        fetchItems(routeFolderId, { query: '' });
+
+        // Breadcrumbs: reuse the known chain when possible, otherwise resolve the folder's ancestors
+        const hint = folderHintRef.current;
+        folderHintRef.current = null;
+        if (routeFolderId === null) {
+            setBreadcrumbPath([{ id: null, name: 'Root' }]);
+        } else if (existingIndex !== -1) {
+            setBreadcrumbPath(knownPath.slice(0, existingIndex + 1)); // Navigate up
+        } else if (hint?.path[hint.path.length - 1].id === routeFolderId) {
+            setBreadcrumbPath(hint.path); // Navigate down, or jump to a search result's folder
+        } else {
+            const controller = new AbortController();
+            resolveFolderPath(API_BASE_URL, routeFolderId, { signal: controller.signal })
+                .then(setBreadcrumbPath)
+                .catch(async err => {
+                    if (isCanceled(err)) return;
+                    // fetchItems reports missing folders; show the saved chain (offline) or a placeholder crumb meanwhile
+                    console.error('Breadcrumb resolve error:', err.data || err.message || err);
+                    const savedPath = isNetworkError(err) ? await getCachedFolderPath(routeFolderId) : null;
+                    if (controller.signal.aborted) return;
+                    setBreadcrumbPath(savedPath || [{ id: null, name: 'Root' }, { id: routeFolderId, name: `Folder ${routeFolderId}` }]);
+                });
+            return () => controller.abort();
+        }
+    }, [user, isAuthenticating, routeMatched, routeView, routeFolderId, fetchItems, goToFolder, goToView, API_BASE_URL]);
+
+    // A preview URL for a file that isn't in the loaded folder falls back to the folder itself
+    // (once every page is loaded; the effect below fetches pages until it turns up)
+    const { closePreview } = route;
+    useEffect(() => {
+        if (previewFileId === null || isLoading || nextPage || loadedFolderId !== routeFolderId) return;
+        if (!items.some(item => item.type === 'file' && item.id === previewFileId)) {
+            toast.warn('File not found in this folder.');
+            closePreview({ replace: true });
         }
+    }, [previewFileId, isLoading, nextPage, loadedFolderId, routeFolderId, items, closePreview]);
+
+    // Scroll a highlighted row (e.g. from a search result) into view once its folder has loaded
+    const { highlightKey } = route;
+    const { scrollToIndex: scrollToTableRow } = tableRows;
+    useEffect(() => {
+        if (!highlightKey || isLoading || loadedFolderId !== routeFolderId) return;
+        const handledKey = `${routeFolderId}|${highlightKey}`;
+        if (highlightHandledRef.current === handledKey) return; // Later refetches keep the highlight but don't scroll again
+        const index = visibleItems.findIndex(item => getItemKey(item) === highlightKey);
+        if (index === -1 && nextPage && !loadMoreFailed) return; // On a page still to load, see below
+        highlightHandledRef.current = handledKey;
+        if (index === -1) toast.warn('That item is no longer in this folder.');
+        else if (scrollToTableRow) scrollToTableRow(index, { block: 'center', behavior: 'smooth' }); // The row may not be rendered yet
+        else document.getElementById(`item-row-${highlightKey}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [highlightKey, isLoading, loadedFolderId, routeFolderId, visibleItems, nextPage, loadMoreFailed, scrollToTableRow]);
+
+    // A previewed or highlighted item may be on a page that isn't loaded yet
+    useEffect(() => {
+        if (!nextPage || loadMoreFailed || isLoading || loadedFolderId !== routeFolderId) return;
+        const previewMissing = previewFileId !== null && !items.some(item => item.type === 'file' && item.id === previewFileId);
+        const highlightMissing = highlightKey && highlightHandledRef.current !== `${routeFolderId}|${highlightKey}`
+            && !items.some(item => getItemKey(item) === highlightKey);
+        if (previewMissing || highlightMissing) loadMoreItems();
+    }, [nextPage, loadMoreFailed, isLoading, loadedFolderId, routeFolderId, previewFileId, highlightKey, items, loadMoreItems]);
+
+    // Screen readers hear when a folder has loaded and when the selection changes
+    useEffect(() => {
+        if (routeView !== 'drive' || isLoading || loadedFolderId === undefined || loadedFolderId === announcedFolderRef.current) return;
+        announcedFolderRef.current = loadedFolderId;
+        const crumb = breadcrumbPath[breadcrumbPath.length - 1];
+        const label = crumb.id === loadedFolderId ? crumb.name : 'Folder'; // The crumbs may still be resolving
+        const folderCount = items.filter(item => item.type === 'folder').length;
+        const more = !nextPage ? '' : viewPrefs.viewMode === 'grid' ? ', more to load' : ', more load as you scroll';
+        const saved = !savedListing ? '' : savedListing.complete ? ', saved copy' : ', partial saved copy';
+        announce(`${label}: ${folderCount} folder(s), ${items.length - folderCount} file(s)${more}${saved}.`);
+    }, [routeView, isLoading, loadedFolderId, breadcrumbPath, items, nextPage, savedListing, viewPrefs.viewMode]);
+
+    const selectedCount = selectedKeys.size;
+    const lastSelectedCountRef = useRef(0);
+    useEffect(() => {
+        if (selectedCount === lastSelectedCountRef.current) return;
+        lastSelectedCountRef.current = selectedCount;
+        announce(selectedCount === 0 ? 'Selection cleared.' : `${selectedCount} item(s) selected.`);
+    }, [selectedCount]);
+
+    // File browser shortcuts (unless typing or a dialog is open): Ctrl/Cmd+A selects every item shown,
+    // Esc clears the selection, Backspace goes up a folder and "?" lists all shortcuts
+    const isDialogOpen = previewFileId !== null || moveDialogItems !== null || bulkSummary !== null || versionsFile !== null || shareItem !== null
+        || quotaWarning !== null || replaceConfirm !== null || duplicateCheck !== null || showShortcuts
+        || unlockRequest !== null || showEncryptFolder;
+    useEffect(() => {
+        if (!user || isDialogOpen || routeView !== 'drive') return;
+        const handleKeyDown = (e) => {
+            const target = e.target;
+            if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+            if (e.key.toLowerCase() === 'a' && (e.ctrlKey || e.metaKey)) {
+                setSelectedKeys(new Set(visibleItems.map(getItemKey)));
+            } else if (e.ctrlKey || e.metaKey || e.altKey) {
+                return;
+            } else if (e.key === '?') {
+                setShowShortcuts(true);
+            } else if (e.key === 'Escape' && selectedCount > 0) {
+                setSelectedKeys(new Set());
+                selectionAnchorRef.current = null;
+            } else if (e.key === 'Backspace' && breadcrumbPath.length > 1) {
+                const parent = breadcrumbPath[breadcrumbPath.length - 2];
+                navigateToFolder(parent.id, parent.name);
+            } else {
+                return;
+            }
+            e.preventDefault();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [user, isDialogOpen, routeView, visibleItems, selectedCount, breadcrumbPath, navigateToFolder]);
+
+    // --- Auth Handlers ---
+    // Logged in or registered on the login screen; other tabs follow. The route effect then loads the folder in the URL.
+    const handleAuthenticated = (userData) => {
+        setUser(userData);
+        postTabMessage({ type: 'login', user: userData });
     };
 
     const handleLogout = useCallback(async (showToast = true) => {
-        console.log("Logging out...");
         try {
-            await axios.post(`${API_BASE_URL}/api/user/logout`, {}, { withCredentials: true });
+            await api.post(`${API_BASE_URL}/api/user/logout`, {}, { skipAuthHandler: true });
             if (showToast) toast.success("Logged out successfully!");
         } catch (err) {
-            console.error('Logout API error:', err.response?.data || err.message || err);
+            console.error('Logout API error:', err.data || err.message || err);
             // Optionally show a toast even if API fails, as user is logged out client-side
             if (showToast) toast.error("Logout failed on server, logged out locally.");
         } finally {
-            setUser(null); // Clear user state (triggers cleanup useEffect)
+            endSession();
         }
-    }, [API_BASE_URL]); // Include dependencies if needed
+    }, [API_BASE_URL, endSession]);
 
+    // Saved in Account settings; other tabs show the new name too
+    const handleUserUpdated = (updatedUser) => {
+        setUser(updatedUser);
+        postTabMessage({ type: 'userUpdated', user: updatedUser });
+    };
 
-    // --- File/Folder Action Handlers ---
-    const handleFileUpload = async () => {
-        if (!fileToUpload) return toast.warn("Please select a file.");
-        if (isLoading) return; // Prevent concurrent actions
-
-        const targetFolderId = currentFolderId; // Use the current folder
-        const formData = new FormData();
-        formData.append('folderId', targetFolderId); // Send null if root
-        formData.append('file', fileToUpload);
-       
 
-        setIsLoading(true);
+    // --- File/Folder Action Handlers ---
+    // Offline: records the change in the outbox and shows it in the saved listing right away
+    const queueOfflineChange = async (change, updateListing, message) => {
+        const folderId = currentFolderId;
         try {
-            await axios.post(`${API_BASE_URL}/api/files/upload/`, formData, { withCredentials: true, headers: { 'Content-Type': 'multipart/form-data' } });
-            toast.success(`File '${fileToUpload.name}' uploaded.`);
-            setFileToUpload(null);
-            if(document.getElementById('file-upload-input')) document.getElementById('file-upload-input').value = null; // Reset input visually
-            fetchItems(targetFolderId); // Refetch current folder
+            await outbox.enqueue({ ...change, parentId: folderId });
+            await updateCachedListing(folderId, updateListing);
+            toast.info(message);
         } catch (err) {
-            toast.error(err.response?.data?.message || 'File upload failed.');
-            console.error('Upload error:', err.response?.data || err.message || err);
-            setIsLoading(false); // Reset loading on error
+            toast.error('Could not save the change on this device.');
+            console.error('Outbox error:', err);
         }
+        refreshAfterChange(folderId);
     };
 
     const createFolder = async (event) => {
@@ -279,45 +558,201 @@ export default function App() {
         if (!folderName.trim()) return toast.warn("Folder name cannot be empty.");
         if (isLoading) return;
 
+        if (!isOnline) {
+            if (folderEncryption) return toast.warn("Folders inside an encrypted folder can only be created online.");
+            const name = folderName.trim();
+            const tempId = `offline-${Date.now()}`;
+            setFolderName('');
+            return queueOfflineChange(
+                { type: 'createFolder', name, tempId },
+                listing => [...listing, { id: tempId, type: 'folder', name, pendingSync: 'create' }],
+                `Folder '${name}' will be created when you're back online.`
+            );
+        }
+
+        if (isEncryptionMissing) return toast.error("This folder was encrypted, but the server no longer says so, so no folder was created.");
+        if (rememberedEncryption && !openFolder) return toast.warn("Still checking this folder's settings. Try again in a moment.");
         const targetParentId = currentFolderId; // Create inside current folder
+        const parentEncryption = folderEncryption;
         setIsLoading(true);
         try {
-            await axios.post(`${API_BASE_URL}/api/folders`,
-                { name: folderName.trim(), parentId: targetParentId },
-                { withCredentials: true }
+            const res = await api.post(`${API_BASE_URL}/api/folders`,
+                { name: folderName.trim(), parentId: targetParentId }
             );
+            // Subfolders of an encrypted folder share its passphrase
+            if (parentEncryption) {
+                const created = res.data?.folder || res.data;
+                await setFolderEncryption(API_BASE_URL, created.id, parentEncryption).then(() => {
+                    rememberFolderEncryption(user.id, created.id, parentEncryption);
+                }, err => {
+                    toast.error(`Folder '${folderName.trim()}' was created but isn't encrypted. Encrypt it before uploading into it.`);
+                    console.error('Encrypt subfolder error:', err.data || err.message || err);
+                });
+            }
             toast.success(`Folder '${folderName.trim()}' created.`);
             setFolderName('');
-            fetchItems(targetParentId); // Refetch current folder
+            refreshAfterChange(targetParentId);
         } catch (err) {
-            toast.error(err.response?.data?.message || 'Failed to create folder.');
-            console.error('Create folder error:', err.response?.data || err.message || err);
+            toast.error(getErrorMessage(err, 'Failed to create folder.'));
+            console.error('Create folder error:', err.data || err.message || err);
             setIsLoading(false); // Reset loading on error
         }
     };
 
+    // --- Trash & Undo ---
+    // Restores items trashed a moment ago; the folder they came from is refetched if still open
+    const undoTrash = async (trashedItems, folderId) => {
+        const results = await runWithConcurrency(trashedItems, BULK_CONCURRENCY, item => restoreItem(API_BASE_URL, item));
+        reportBulkResults('Undo', results, trashedItems.length === 1
+            ? `Restored '${trashedItems[0].name}'.`
+            : `Restored ${trashedItems.length} items.`);
+        refreshAfterChange(folderId);
+    };
+
+    const showUndoToast = (message, trashedItems, folderId) => {
+        toast.success(({ closeToast }) => (
+            <UndoToast message={message} closeToast={closeToast} onUndo={() => undoTrash(trashedItems, folderId)} />
+        ), { autoClose: UNDO_TOAST_MS });
+    };
+
+    // Deleting only moves to the Trash, so there is no confirmation; the toast offers Undo instead
     const handleDelete = async (item) => {
         if (isLoading) return;
-        const isFolder = item.type === 'folder';
-        const endpoint = isFolder ? 'folders' : 'files';
-        const itemTypeName = isFolder ? 'Folder' : 'File';
-        const confirmationMessage = isFolder
-            ? `DELETE FOLDER?\n\nAre you sure you want to delete the folder "${item.name}" and ALL its contents? This cannot be undone.`
-            : `DELETE FILE?\n\nAre you sure you want to delete the file "${item.name}"?`;
-
-        if (window.confirm(confirmationMessage)) {
-            const folderToRefetch = currentFolderId;
-            setIsLoading(true);
-            try {
-                await axios.delete(`${API_BASE_URL}/api/${endpoint}/${item.id}`, { withCredentials: true });
-                toast.success(`${itemTypeName} '${item.name}' deleted.`);
-                fetchItems(folderToRefetch); // Refetch current folder
-            } catch (err) {
-                toast.error(err.response?.data?.message || `Failed to delete ${itemTypeName}.`);
-                console.error('Delete error:', err.response?.data || err.message || err);
-                setIsLoading(false); // Reset loading on error
+        const itemTypeName = item.type === 'folder' ? 'Folder' : 'File';
+        if (!isOnline) {
+            return queueOfflineChange(
+                { type: 'trash', item: { id: item.id, type: item.type, name: item.name } },
+                listing => listing.filter(i => getItemKey(i) !== getItemKey(item)),
+                `${itemTypeName} '${item.name}' will be moved to Trash when you're back online.`
+            );
+        }
+        const folderToRefetch = currentFolderId;
+        setIsLoading(true);
+        try {
+            await trashItem(API_BASE_URL, item);
+            showUndoToast(`${itemTypeName} '${item.name}' moved to Trash.`, [item], folderToRefetch);
+            refreshAfterChange(folderToRefetch);
+        } catch (err) {
+            toast.error(getErrorMessage(err, `Failed to delete ${itemTypeName}.`));
+            console.error('Delete error:', err.data || err.message || err);
+            setIsLoading(false); // Reset loading on error
+        }
+    };
+
+    // --- Selection & Bulk Actions ---
+    const selectedItems = items.filter(item => selectedKeys.has(getItemKey(item)));
+
+    const clearSelection = () => {
+        setSelectedKeys(new Set());
+        selectionAnchorRef.current = null;
+    };
+
+    // Plain click toggles one row; shift-click applies the clicked row's new state to the whole range from the anchor
+    // (ranges follow the on-screen order, so they use the sorted and filtered list)
+    const toggleSelection = (item, shiftKey) => {
+        const key = getItemKey(item);
+        const anchorIndex = shiftKey ? visibleItems.findIndex(i => getItemKey(i) === selectionAnchorRef.current) : -1;
+        setSelectedKeys(prev => {
+            const next = new Set(prev);
+            const shouldSelect = !prev.has(key);
+            if (anchorIndex !== -1) {
+                const index = visibleItems.findIndex(i => getItemKey(i) === key);
+                const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+                visibleItems.slice(from, to + 1).forEach(i => (shouldSelect ? next.add(getItemKey(i)) : next.delete(getItemKey(i))));
+            } else if (shouldSelect) {
+                next.add(key);
+            } else {
+                next.delete(key);
             }
+            return next;
+        });
+        selectionAnchorRef.current = key;
+    };
+
+    const allVisibleSelected = visibleItems.length > 0 && visibleItems.every(item => selectedKeys.has(getItemKey(item)));
+    const toggleSelectAll = () => {
+        if (allVisibleSelected) clearSelection();
+        else setSelectedKeys(new Set(visibleItems.map(getItemKey)));
+    };
+
+    // One toast when everything worked (or a single item failed), otherwise one summary dialog
+    const reportBulkResults = (title, results, successMessage, notes = []) => {
+        const failures = results.filter(r => !r.ok);
+        if (failures.length === 0 && notes.length === 0) return toast.success(successMessage);
+        if (results.length === 1 && notes.length === 0) return toast.error(`${title} failed: ${failures[0].error}`);
+        setBulkSummary({ title, succeeded: results.length - failures.length, failures, notes });
+    };
+
+    const handleBulkDelete = async () => {
+        if (isLoading || selectedItems.length === 0) return;
+        const targets = selectedItems;
+        const folderToRefetch = currentFolderId;
+        setIsLoading(true);
+        const results = await runWithConcurrency(targets, BULK_CONCURRENCY, item => trashItem(API_BASE_URL, item));
+        const trashed = results.filter(r => r.ok).map(r => r.item);
+        if (trashed.length < targets.length) reportBulkResults('Move to Trash', results, '');
+        if (trashed.length > 0) showUndoToast(`Moved ${trashed.length} item(s) to Trash.`, trashed, folderToRefetch);
+        clearSelection();
+        refreshAfterChange(folderToRefetch);
+    };
+
+    // A single file downloads as-is; anything else becomes one ZIP archive
+    const handleBulkDownload = () => {
+        if (selectedItems.length === 0) return;
+        if (selectedItems.length === 1 && selectedItems[0].type === 'file') {
+            return downloadFile(selectedItems[0]);
         }
+        const currentFolderName = breadcrumbPath[breadcrumbPath.length - 1].name;
+        zipDownload.start(selectedItems, `${currentFolderName} (${selectedItems.length} items).zip`);
+    };
+
+    // --- Rename / Move ---
+    const handleRename = async (item, newName) => {
+        setRenamingKey(null);
+        const folderToRefetch = currentFolderId;
+        const itemTypeName = item.type === 'folder' ? 'Folder' : 'File';
+        if (!isOnline) {
+            return queueOfflineChange(
+                { type: 'rename', item: { id: item.id, type: item.type, name: item.name }, name: newName },
+                listing => listing.map(i => (getItemKey(i) === getItemKey(item) ? { ...i, name: newName, pendingSync: 'rename' } : i)),
+                `${itemTypeName} will be renamed to '${newName}' when you're back online.`
+            );
+        }
+        setIsLoading(true);
+        try {
+            await renameItem(API_BASE_URL, item, newName);
+            toast.success(`${itemTypeName} renamed to '${newName}'.`);
+            refreshAfterChange(folderToRefetch);
+        } catch (err) {
+            toast.error(getErrorMessage(err, `Failed to rename ${itemTypeName}.`));
+            console.error('Rename error:', err.data || err.message || err);
+            setIsLoading(false);
+        }
+    };
+
+    // `targetPathIds` is the Root→target id chain, used to reject moving a folder into its own subtree
+    const handleMove = async (itemsToMove, targetFolder, targetPathIds) => {
+        const sourceFolderId = currentFolderId;
+        const moveError = getMoveError(itemsToMove, sourceFolderId, targetFolder.id, targetPathIds);
+        if (moveError) return toast.warn(moveError);
+
+        setMoveDialogItems(null);
+        setIsLoading(true);
+        const results = await runWithConcurrency(itemsToMove, BULK_CONCURRENCY, item => moveItem(API_BASE_URL, item, targetFolder.id));
+        reportBulkResults(`Move to '${targetFolder.name}'`, results, itemsToMove.length === 1
+            ? `Moved '${itemsToMove[0].name}' to '${targetFolder.name}'.`
+            : `Moved ${itemsToMove.length} items to '${targetFolder.name}'.`);
+        clearSelection();
+        invalidateFolderSizes(); // Total usage stays the same, but the source and target folders changed size
+        postTabMessage({ type: 'folderChanged', folderId: targetFolder.id });
+        refreshAfterChange(sourceFolderId); // Refetch even on failure: some items may have moved
+    };
+
+    // Drop of a table row onto a folder row or a breadcrumb entry
+    const handleDropItem = (dataTransfer, targetFolder, targetPathIds) => {
+        const dragged = readDraggedItem(dataTransfer);
+        const item = dragged && items.find(i => i.type === dragged.type && i.id === dragged.id);
+        if (item) handleMove([item], targetFolder, targetPathIds);
     };
 
     // --- Update File Logic ---
@@ -332,27 +767,39 @@ export default function App() {
         updateFileInputRef.current.click();
     };
 
-    const handleActualFileUpdate = async (event) => {
+    const handleActualFileUpdate = (event) => {
         const newFile = event.target.files[0];
         const fileIdToUpdate = fileToUpdateIdRef.current;
         if (!newFile || !fileIdToUpdate) return cleanupFileInput();
-        if (!window.confirm(`Replace the existing file with "${newFile.name}"?`)) return cleanupFileInput();
+        // Only the growth counts against the quota; the old content is kept as a version, which some backends bill too
+        const oldSize = items.find(i => i.type === 'file' && i.id === fileIdToUpdate)?.size || 0;
+        const overQuota = newFile.size - oldSize > getFreeBytes(storageUsage);
+        const quotaNote = overQuota ? ' It is larger than the free space left in your storage, so the server may reject it.' : '';
+        cleanupFileInput();
+        fileToUpdateIdRef.current = null;
+        setReplaceConfirm({ file: newFile, fileId: fileIdToUpdate, quotaNote }); // Uploaded once confirmed, see replaceFileContent
+    };
 
+    const replaceFileContent = async ({ file, fileId }) => {
+        setReplaceConfirm(null);
+        if (isLoading) return;
         const folderToRefetch = currentFolderId;
-        const formData = new FormData();
-        formData.append('file', newFile);
+        const encryptWith = await getUploadKey(`The new content of ${file.name} is encrypted with this folder's passphrase.`);
+        if (encryptWith === undefined) return;
+        if (encryptWith && file.size > MAX_ENCRYPTED_FILE_BYTES) {
+            return toast.error(`${file.name} can't be encrypted in the browser: files in encrypted folders can be up to ${formatBytes(MAX_ENCRYPTED_FILE_BYTES)}.`);
+        }
         setIsLoading(true);
         try {
-            const res = await axios.put(`${API_BASE_URL}/api/files/${fileIdToUpdate}`, formData, { withCredentials: true, headers: { 'Content-Type': 'multipart/form-data' } });
+            const content = encryptWith ? await encryptFile(file, encryptWith) : file;
+            const res = await uploadFile({ apiBaseUrl: API_BASE_URL, file: content, fileId });
             toast.success(res.data?.message || 'File updated successfully!');
-            fetchItems(folderToRefetch); // Refetch current folder
+            addRecent({ id: fileId, name: res.data?.file?.name || file.name }, 'updated', { folderId: folderToRefetch });
+            refreshAfterChange(folderToRefetch);
         } catch (err) {
-            toast.error(err.response?.data?.message || 'Failed to update file.');
-            console.error('Update error:', err.response?.data || err.message || err);
+            toast.error(getErrorMessage(err, 'Failed to update file.'));
+            console.error('Update error:', err.data || err.message || err);
             setIsLoading(false); // Reset loading on error
-        } finally {
-            cleanupFileInput();
-            fileToUpdateIdRef.current = null;
         }
     };
 
@@ -365,38 +812,196 @@ export default function App() {
     };
 
     // --- Download File ---
-    const downloadFile = async (fileId, fileName) => { // Accept fileName for better UX on error
+    // `location` is where Recent will look for the file: its folder, or { shared: true } for "Shared with me"
+    const downloadFile = async (file, location = { folderId: currentFolderId }) => {
          if (isLoading) return;
-        const downloadUrl = `${API_BASE_URL}/api/files/download/${fileId}`;
-        toast.info(`Preparing download for ${fileName}...`);
+        toast.info(`Preparing download for ${file.name}...`);
         try {
-            const response = await axios.get(downloadUrl, { responseType: 'blob', withCredentials: true });
-            const contentDisposition = response.headers['content-disposition'];
-            let effectiveFilename = fileName; // Use provided name as fallback
-
-            if (contentDisposition) {
-                const filenameRegex = /filename[^;=\n]*=(?:(['"])(?<f1>.*?)\1|(?<f2>[^;\n]*))/; // Handles quotes
-                const matches = filenameRegex.exec(contentDisposition);
-                if (matches?.groups) {
-                     effectiveFilename = matches.groups.f1 || matches.groups.f2 || fileName;
-                 }
+            const { blob, contentType, filename: effectiveFilename, fromCache } = await fetchFileBlob(API_BASE_URL, file.id, { fallbackName: file.name, keepOffline: true });
+            // When the backend keeps a hash, only content that matches it is saved (for encrypted files, the ciphertext)
+            const expectedHash = getItemHash(file);
+            if (expectedHash && await verifyBlob(blob, expectedHash) === false) {
+                toast.error(fromCache
+                    ? `The copy of ${effectiveFilename} saved on this device is outdated or damaged. Download it again once you're online.`
+                    : `${effectiveFilename} was damaged on the way (its checksum doesn't match), so it wasn't saved. Please try again.`);
+                console.error('Download checksum mismatch:', { fileId: file.id, expectedHash, fromCache });
+                return;
             }
+            const content = await decryptWithUnlock(blob, contentType, `${effectiveFilename} is encrypted. Enter the passphrase of its folder to download it.`);
+            if (!content) return;
+            saveBlob(content, effectiveFilename);
+            addRecent(file, 'downloaded', location);
+            toast.success(fromCache ? `Offline: saved the copy of ${effectiveFilename} kept on this device.` : `Downloading ${effectiveFilename}...`);
+        } catch (err) {
+            toast.error(err?.name === 'OperationError' // Web Crypto: authentication of the ciphertext failed
+                ? `${file.name} couldn't be decrypted. The file may be damaged.`
+                : getErrorMessage(err, `Failed to download ${file.name}.`));
+            console.error('Download error:', err.data || err.message || err);
+        }
+    };
+
+    // --- Shared With Me ---
+    // The owner's ancestors are usually off-limits, so the breadcrumb starts right below Root
+    const openSharedFolder = (folder) => {
+        folderHintRef.current = { path: [{ id: null, name: 'Root' }, { id: folder.id, name: folder.name }] };
+        goToFolder(folder.id);
+    };
+
+    // Open the folder containing an item, with the item highlighted. `path` (Root→folder crumbs) saves
+    // resolving the folder's ancestors when the caller knows them.
+    const showItemInFolder = (item, containingFolderId, path = null) => {
+        highlightHandledRef.current = null;
+        setFilterText(''); // Don't let the quick filter hide the item
+        // Same folder: the route effect won't run, so leave no hint behind
+        folderHintRef.current = path && containingFolderId !== null && containingFolderId !== currentFolderId ? { path } : null;
+        goToFolder(containingFolderId, item.id != null ? { highlight: getItemKey(item) } : undefined);
+    };
+
+    // --- Search ---
+    const openSearchResult = (entry) => {
+        const path = entry.pathIds.map((id, index) => ({ id, name: entry.pathNames[index] }));
+        showItemInFolder(entry, path[path.length - 1].id, path);
+    };
 
-            const url = window.URL.createObjectURL(new Blob([response.data], { type: response.headers['content-type'] || 'application/octet-stream' }));
-            const link = document.createElement('a');
-            link.href = url;
-            link.setAttribute('download', effectiveFilename);
-            document.body.appendChild(link);
-            link.click();
-            link.parentNode.removeChild(link);
-            window.URL.revokeObjectURL(url);
-            toast.success(`Downloading ${effectiveFilename}...`);
+    // --- Starred & Recent ---
+    const toggleStar = async (item) => {
+        const starred = !isStarred(item);
+        try {
+            await setStarred(API_BASE_URL, item, starred);
+            setItems(prev => prev.map(i => (getItemKey(i) === getItemKey(item) ? { ...i, starred } : i)));
+            toast.success(starred ? `Starred '${item.name}'.` : `Removed '${item.name}' from Starred.`);
         } catch (err) {
-            toast.error(err.response?.data?.message || `Failed to download ${fileName}.`);
-            console.error('Download error:', err.response || err.message || err);
+            toast.error(getErrorMessage(err, starred ? `Failed to star '${item.name}'.` : `Failed to unstar '${item.name}'.`));
+            console.error('Star error:', err.data || err.message || err);
+        }
+    };
+
+    // The file may have moved since; the highlight then reports it missing
+    const openRecentEntry = (entry) => {
+        if (entry.shared) return goToView('shared');
+        showItemInFolder({ type: 'file', id: entry.id }, entry.folderId);
+    };
+
+    // --- Item Views (table & grid) ---
+    // Clicking the active column flips the direction; a new column starts ascending
+    const handleSort = (sortKey) => {
+        updateViewPrefs(prev => ({ sortKey, sortDir: prev.sortKey === sortKey && prev.sortDir === 'asc' ? 'desc' : 'asc' }));
+    };
+
+    const openItem = (item) => {
+        if (item.pendingSync === 'create') return toast.info(`'${item.name}' can be opened once it has synced.`);
+        if (item.type === 'folder') navigateToFolder(item.id, item.name);
+        else route.openPreview(item.id);
+    };
+
+    // --- Keyboard ---
+    // Row keys (see hooks/useItemKeyboard.js) follow the same rules as the row's buttons
+    const canChangeItem = (item) => canEditItem(item) && item.pendingSync !== 'create';
+
+    const handleKeyboardDelete = (item) => {
+        if (isLoading) return;
+        if (!canChangeItem(item)) return announce(`You can't delete '${item.name}'.`);
+        // Delete on a selected item removes the whole selection, as the bulk bar's button would
+        const targets = selectedKeys.has(getItemKey(item)) && selectedItems.length > 1 ? selectedItems : [item];
+        if (targets.length > 1 && (!isOnline || !targets.every(canEditItem))) {
+            return announce(isOnline ? `You can't delete all ${targets.length} selected items.` : 'Deleting several items needs a connection.');
         }
+        // Focus moves on to the next item left (or the previous one at the end) once the listing reloads
+        const index = visibleItems.indexOf(item);
+        const remaining = visibleItems.filter(i => !targets.includes(i));
+        const next = remaining.find(i => visibleItems.indexOf(i) > index) || remaining[remaining.length - 1];
+        pendingFocusRef.current = { folderId: currentFolderId, key: next ? getItemKey(next) : null };
+        if (targets.length > 1) handleBulkDelete();
+        else handleDelete(item);
+    };
+
+    const handleKeyboardRename = (item) => {
+        if (isLoading) return;
+        if (!canChangeItem(item)) return announce(`You can't rename '${item.name}'.`);
+        const key = getItemKey(item);
+        pendingFocusRef.current = { folderId: currentFolderId, key }; // Back to the row when the input closes
+        setRenamingKey(key);
     };
 
+    const itemKeyboard = useItemKeyboard(visibleItems, {
+        layout: viewPrefs.viewMode === 'grid' ? 'grid' : 'list',
+        handlers: { onOpen: openItem, onToggleSelect: toggleSelection, onDelete: handleKeyboardDelete, onRename: handleKeyboardRename },
+        revealItem: scrollToTableRow, // Rows outside the rendered window
+    });
+
+    // Once a folder's listing is shown, focus the item pendingFocusRef names, else the highlighted search
+    // result, else the first item; an empty folder focuses the Contents heading
+    const { focusItem } = itemKeyboard;
+    useEffect(() => {
+        const pending = pendingFocusRef.current;
+        if (!pending || isLoading || renamingKey !== null || loadedFolderId !== pending.folderId) return;
+        pendingFocusRef.current = null;
+        const candidates = [pending.key, highlightKey, visibleItems[0] && getItemKey(visibleItems[0])];
+        if (!candidates.some(key => key && focusItem(key))) contentsHeadingRef.current?.focus();
+    }, [isLoading, renamingKey, loadedFolderId, visibleItems, highlightKey, focusItem]);
+
+    // Rows/cards the user may edit can be dragged; such folders also accept drops
+    const getDragProps = (item) => {
+        const key = getItemKey(item);
+        if (!canEditItem(item) || !isOnline || item.pendingSync === 'create') return {}; // Moves need the server
+        return {
+            draggable: !isLoading && renamingKey !== key,
+            onDragStart: e => {
+                e.dataTransfer.setData(DRAG_ITEM_MIME, JSON.stringify({ type: item.type, id: item.id }));
+                e.dataTransfer.effectAllowed = 'move';
+            },
+            ...(item.type === 'folder' && {
+                onDragOver: e => {
+                    if (isLoading || !hasDraggedItem(e.dataTransfer)) return;
+                    e.preventDefault();
+                    e.dataTransfer.dropEffect = 'move';
+                    setDropTargetKey(key);
+                },
+                onDragLeave: () => setDropTargetKey(null),
+                onDrop: e => {
+                    e.preventDefault();
+                    setDropTargetKey(null);
+                    handleDropItem(e.dataTransfer, item, [...breadcrumbPath.map(f => f.id), item.id]);
+                },
+            }),
+        };
+    };
+
+    const renderItemActions = (item) => (
+        <ItemActions
+            item={item}
+            isOnline={isOnline}
+            isLoading={isLoading}
+            isZipRunning={Boolean(zipDownload.job)}
+            onStar={toggleStar}
+            onDownloadZip={folder => zipDownload.start([folder], `${folder.name}.zip`)}
+            onUpdate={file => triggerUpdateFile(file.id)}
+            onDownload={file => downloadFile(file)}
+            onVersions={setVersionsFile}
+            onShare={setShareItem}
+            onRename={target => setRenamingKey(getItemKey(target))}
+            onMove={target => setMoveDialogItems([target])}
+            onDelete={handleDelete}
+        />
+    );
+
+    const emptyMessage = filterQuery ? `No items match "${filterQuery}".` : 'This folder is empty.';
+
+    // --- Preview ---
+    const previewFiles = sortedItems.filter(item => item.type === 'file'); // Prev/next follow the sort order
+    const previewFile = previewFiles.find(f => f.id === previewFileId) || null;
+
+    // Each file shown in the preview counts as recent once per opening (prev/next included)
+    const lastPreviewedIdRef = useRef(null);
+    useEffect(() => {
+        if (!previewFile) {
+            lastPreviewedIdRef.current = null;
+            return;
+        }
+        if (lastPreviewedIdRef.current === previewFile.id) return;
+        lastPreviewedIdRef.current = previewFile.id;
+        addRecent(previewFile, 'previewed', { folderId: currentFolderId });
+    }, [previewFile, currentFolderId, addRecent]);
 
     // --- Render Logic ---
 
@@ -412,66 +1017,96 @@ export default function App() {
 
     return (
         <div className="p-4 md:p-6 max-w-6xl mx-auto font-sans text-gray-800">
-            {/* --- Auth Form (Rendered when user is null) --- */}
-            {!user ? (
-                <div key="auth-form" className="space-y-4 bg-white shadow-md rounded px-8 pt-6 pb-8 mb-4 max-w-md mx-auto">
-                    <h1 className="text-center text-2xl font-bold mb-6 text-gray-700">{isLogin ? 'Login' : 'Register'}</h1>
-                    <form onSubmit={handleAuth}> {/* Use onSubmit for form */}
-                        {!isLogin && (
-                            <div className="mb-4">
-                                <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="name_auth">Name</label>
-                                <input id="name_auth" type="text" value={name} onChange={e => setName(e.target.value)} placeholder="Your Name" required={!isLogin}
-                                    className="shadow-sm appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-1 focus:ring-blue-500" />
-                            </div>
-                        )}
-                        <div className="mb-4">
-                             <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="email_auth">Email</label>
-                             <input id="email_auth" type="email" value={email} onChange={e => setEmail(e.target.value)} placeholder="your.email@example.com" required
-                                 className="shadow-sm appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-1 focus:ring-blue-500" />
-                        </div>
-                         <div className="mb-6">
-                             <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="password_auth">Password</label>
-                             <input id="password_auth" type="password" value={password} onChange={e => setPassword(e.target.value)} placeholder="******************" required
-                                 className="shadow-sm appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-1 focus:ring-blue-500" />
-                        </div>
-                         <div className="flex items-center justify-between">
-                            <button type="submit" disabled={isLoading}
-                                className={`bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline ${isLoading ? 'opacity-50 cursor-not-allowed' : ''}`}>
-                                {isLoading ? 'Processing...' : (isLogin ? 'Sign In' : 'Register')}
-                            </button>
-                             <button type="button" onClick={() => setIsLogin(!isLogin)} disabled={isLoading}
-                                 className="inline-block align-baseline font-bold text-sm text-blue-500 hover:text-blue-800 disabled:opacity-50">
-                                 {isLogin ? 'Need an account?' : 'Already registered?'}
-                            </button>
-                        </div>
-                    </form>
-                </div>
+            {/* --- Auth Screens (Rendered when user is null) --- */}
+            {!user && routeView === 'forgotPassword' ? (
+                <ForgotPasswordForm key="forgot-password" apiBaseUrl={API_BASE_URL} onBackToLogin={() => goToFolder(null)} />
+            ) : !user && routeView === 'resetPassword' ? (
+                <ResetPasswordForm
+                    key="reset-password"
+                    apiBaseUrl={API_BASE_URL}
+                    token={route.searchParams.get('token')}
+                    onRequestNewLink={() => goToView('forgotPassword', { replace: true })}
+                    onDone={() => goToFolder(null, { replace: true })}
+                />
+            ) : !user ? (
+                <AuthForm key="auth-form" apiBaseUrl={API_BASE_URL} onAuthenticated={handleAuthenticated} onForgotPassword={() => goToView('forgotPassword')} />
             ) : (
                  // --- Logged In View (Rendered when user exists) ---
                 <div key="logged-in-view" className="space-y-6">
                     {/* Header */}
                     <div className="flex flex-wrap justify-between items-center border-b pb-4 gap-4">
                         <h1 className="text-xl md:text-2xl font-bold text-gray-800">Drive Clone</h1>
+                        <SearchPanel apiBaseUrl={API_BASE_URL} userId={user.id} onOpenResult={openSearchResult} />
                         <div className="flex items-center gap-4">
                              <span className="text-sm text-gray-600 hidden sm:inline">Welcome, {user.name || 'User'}!</span>
+                             <StorageMeter usage={storageUsage} onOpen={() => route.goToView('storage')} />
+                             <button type="button" onClick={() => setShowShortcuts(true)} aria-label="Keyboard shortcuts" title="Keyboard shortcuts (?)"
+                                 className="py-2 px-3 rounded text-sm font-medium text-gray-700 hover:bg-gray-100">
+                                 ⌨
+                             </button>
+                             <button type="button" onClick={() => route.goToView('account')} aria-current={routeView === 'account' ? 'page' : undefined}
+                                 className={`py-2 px-3 rounded text-sm font-medium whitespace-nowrap ${routeView === 'account' ? 'bg-gray-200 text-gray-900' : 'text-gray-700 hover:bg-gray-100'}`}>
+                                 ⚙ Account
+                             </button>
                              <button className="bg-red-500 hover:bg-red-700 text-white font-bold py-2 px-3 rounded focus:outline-none focus:shadow-outline text-sm" onClick={() => handleLogout()}>Logout</button>
                         </div>
                     </div>
 
+                    <OfflineBanner isOnline={isOnline} savedListing={routeView === 'drive' ? savedListing : null} pendingCount={outbox.pendingCount} />
+
+                    <div className="flex flex-col md:flex-row gap-6">
+                    <Sidebar view={routeView} onNavigate={view => (view === 'drive' ? goToFolder(null) : route.goToView(view))} />
+                    <main className="flex-1 min-w-0">
+                    {routeView === 'account' ? (
+                        <AccountSettings
+                            key={user.id}
+                            apiBaseUrl={API_BASE_URL}
+                            user={user}
+                            onUserUpdated={handleUserUpdated}
+                            onAccountDeleted={() => endSession()}
+                            onBack={() => goToFolder(currentFolderId)}
+                        />
+                    ) : routeView === 'trash' ? (
+                        <TrashView apiBaseUrl={API_BASE_URL} onBack={() => goToFolder(currentFolderId)} />
+                    ) : routeView === 'storage' ? (
+                        <StorageView
+                            apiBaseUrl={API_BASE_URL}
+                            userId={user.id}
+                            usage={storageUsage}
+                            onBack={() => goToFolder(currentFolderId)}
+                            onOpenItem={openSearchResult}
+                        />
+                    ) : routeView === 'starred' ? (
+                        <StarredView
+                            apiBaseUrl={API_BASE_URL}
+                            onBack={() => goToFolder(currentFolderId)}
+                            onOpenItem={item => showItemInFolder(item, getContainingFolderId(item))}
+                        />
+                    ) : routeView === 'recent' ? (
+                        <RecentView entries={recentEntries} onBack={() => goToFolder(currentFolderId)} onOpenEntry={openRecentEntry} onClear={clearRecent} />
+                    ) : routeView === 'shared' ? (
+                        <SharedView
+                            apiBaseUrl={API_BASE_URL}
+                            onBack={() => goToFolder(currentFolderId)}
+                            onOpenFolder={openSharedFolder}
+                            onDownloadFile={file => downloadFile(file, { shared: true })}
+                        />
+                    ) : (
+                    <>
                      {/* Action Sections */}
                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                          {/* File Upload */}
-                        <div className="p-4 border rounded shadow-sm bg-white">
-                            <h2 className="text-lg font-semibold mb-3 text-gray-700">Upload New File</h2>
-                            <div className="flex items-center space-x-3">
-                                <input id="file-upload-input" type="file" onChange={e => setFileToUpload(e.target.files[0])} disabled={isLoading}
-                                    className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-violet-50 file:text-violet-700 hover:file:bg-violet-100 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"/>
-                                <button onClick={handleFileUpload} disabled={isLoading || !fileToUpload}
-                                    className={`bg-green-500 hover:bg-green-700 text-white px-4 py-2 rounded font-bold text-sm disabled:opacity-50 disabled:cursor-not-allowed`}>
-                                    Upload
-                                </button>
-                            </div>
-                        </div>
+                        <UploadPanel
+                            uploads={uploadQueue.uploads}
+                            isPreparingFolders={folderUploads.isPreparingFolders}
+                            checkProgress={folderUploads.hashProgress}
+                            disabled={!isOnline}
+                            onFilesSelected={folderUploads.uploadFiles}
+                            onFolderSelected={folderUploads.uploadFolder}
+                            onCancel={uploadQueue.cancel}
+                            onRetry={uploadQueue.retry}
+                            onClearFinished={uploadQueue.clearFinished}
+                        />
                          {/* Create Folder */}
                         <div className="p-4 border rounded shadow-sm bg-white">
                              <h2 className="text-lg font-semibold mb-3 text-gray-700">Create New Folder</h2>
@@ -486,77 +1121,189 @@ export default function App() {
                         </div>
                     </div>
 
+                    <div ref={browserRef}>
                      {/* Breadcrumbs */}
-                     <Breadcrumbs path={breadcrumbPath} onNavigate={navigateToFolder} isLoading={isLoading}/>
+                     <Breadcrumbs path={breadcrumbPath} onNavigate={navigateToFolder} onDropItem={handleDropItem} isLoading={isLoading}/>
 
                     {/* Files and Folders List */}
                     <div className="mt-2">
-                         <h2 className="text-xl font-semibold mb-4 text-gray-800">
+                         <h2 ref={contentsHeadingRef} tabIndex={-1} className="text-xl font-semibold mb-4 text-gray-800 outline-none">
                              Contents {isLoading && <span className="text-sm text-gray-500 ml-2">(Loading...)</span>}
                          </h2>
+                         <EncryptionBar
+                             isEncrypted={Boolean(folderEncryption)}
+                             isUnlocked={Boolean(getUnlockedKey(folderEncryption))}
+                             onUnlock={() => requestUnlock(folderEncryption)}
+                             onLock={() => lockKey(folderEncryption)}
+                             onEncrypt={openFolder && canShareItem(openFolder) && isOnline ? () => setShowEncryptFolder(true) : undefined}
+                         />
+                         {selectedItems.length > 0 && (
+                             <BulkActionBar
+                                 count={selectedItems.length}
+                                 isLoading={isLoading}
+                                 canModify={isOnline && selectedItems.every(canEditItem)}
+                                 onDelete={handleBulkDelete}
+                                 onMove={() => setMoveDialogItems(selectedItems)}
+                                 onDownload={handleBulkDownload}
+                                 onClear={clearSelection}
+                             />
+                         )}
+                         <ViewToolbar filterText={filterText} onFilterChange={setFilterText} prefs={viewPrefs} onPrefsChange={updateViewPrefs} />
                          <div className={`overflow-x-auto shadow-md rounded-lg border bg-white relative ${isLoading && items.length > 0 ? 'opacity-60' : ''}`}>
                              {/* Optional: Overlay loading spinner */}
                              {isLoading && items.length === 0 && <div className="text-center py-10 text-gray-500">Loading items...</div>}
 
-                             <table className="w-full text-sm text-left text-gray-500">
-                                 <thead className="text-xs text-gray-700 uppercase bg-gray-50">
-                                     <tr>
-                                         <th scope="col" className="px-4 sm:px-6 py-3 w-2/5 sm:w-1/2">Name</th>
-                                         <th scope="col" className="px-4 sm:px-6 py-3 hidden md:table-cell">Type</th>
-                                         <th scope="col" className="px-4 sm:px-6 py-3 hidden sm:table-cell">Size</th>
-                                         <th scope="col" className="px-4 sm:px-6 py-3 text-right">Actions</th>
-                                     </tr>
-                                 </thead>
-                                 {/* Render table body only if not initial loading */}
-                                 { (!isLoading || items.length > 0) && (
-                                     <tbody>
-                                         {items.length > 0 ? items.map((item) => (
-                                             <tr key={`${item.type}-${item.id}`} className="bg-white border-b hover:bg-gray-50 align-middle">
-                                                 {/* Name & Icon */}
-                                                 <td className="px-4 sm:px-6 py-3 font-medium text-gray-900 whitespace-nowrap flex items-center max-w-xs sm:max-w-sm md:max-w-md lg:max-w-lg">
-                                                     <span className="mr-2 text-lg flex-shrink-0">{item.type === 'folder' ? '📁' : '📄'}</span>
-                                                     {item.type === 'folder' ? (
-                                                         <button onClick={() => navigateToFolder(item.id, item.name)} className="text-blue-600 hover:underline font-semibold text-left truncate" title={item.name}>
-                                                             {item.name}
-                                                         </button>
-                                                     ) : (
-                                                         <span className="truncate" title={item.name}>{item.name}</span>
-                                                     )}
-                                                 </td>
-                                                 {/* Type */}
-                                                 <td className="px-4 sm:px-6 py-3 hidden md:table-cell">
-                                                     {item.type === 'folder' ? 'Folder' : (item.type || 'File')}
-                                                 </td>
-                                                 {/* Size */}
-                                                 <td className="px-4 sm:px-6 py-3 hidden sm:table-cell">
-                                                     {item.type === 'file' && item.size != null ? formatBytes(item.size) : '-'}
-                                                 </td>
-                                                 {/* Actions */}
-                                                 <td className="px-4 sm:px-6 py-3 text-right space-x-2 whitespace-nowrap">
-                                                     {item.type === 'file' && (
-                                                         <> {/* Use Fragment for multiple buttons */}
-                                                             <button onClick={() => triggerUpdateFile(item.id)} disabled={isLoading} className="font-medium text-yellow-600 hover:text-yellow-800 hover:underline disabled:opacity-50 disabled:no-underline" title="Replace File Content">Update</button>
-                                                             <button onClick={() => downloadFile(item.id, item.name)} disabled={isLoading} className="font-medium text-blue-600 hover:text-blue-800 hover:underline disabled:opacity-50 disabled:no-underline" title="Download File">Download</button>
-                                                         </>
-                                                     )}
-                                                     <button onClick={() => handleDelete(item)} disabled={isLoading} className="font-medium text-red-600 hover:text-red-800 hover:underline disabled:opacity-50 disabled:no-underline" title={`Delete ${item.type}`}>Delete</button>
-                                                 </td>
-                                             </tr>
-                                         )) : (
-                                              // Only show "empty" message if not loading
-                                             !isLoading && (
-                                                 <tr>
-                                                     <td colSpan="4" className="text-center py-6 px-6 text-gray-500 italic">This folder is empty.</td>
-                                                 </tr>
-                                             )
-                                         )}
-                                     </tbody>
-                                  )}
-                             </table>
+                             {viewPrefs.viewMode === 'grid' ? (
+                                 (!isLoading || items.length > 0) && (visibleItems.length > 0 ? (
+                                     <ItemGrid
+                                         apiBaseUrl={API_BASE_URL}
+                                         items={visibleItems}
+                                         selectedKeys={selectedKeys}
+                                         highlightKey={highlightKey}
+                                         dropTargetKey={dropTargetKey}
+                                         renamingKey={renamingKey}
+                                         showImages={!folderEncryption}
+                                         onToggleSelect={toggleSelection}
+                                         onOpen={openItem}
+                                         onRename={handleRename}
+                                         onRenameCancel={() => setRenamingKey(null)}
+                                         getDragProps={getDragProps}
+                                         renderActions={renderItemActions}
+                                         containerRef={itemKeyboard.containerRef}
+                                         getItemProps={itemKeyboard.getItemProps}
+                                     />
+                                 ) : (
+                                     !isLoading && <p className="text-center py-6 px-6 text-gray-500 italic">{emptyMessage}</p>
+                                 ))
+                             ) : (
+                                 <ItemTable
+                                     apiBaseUrl={API_BASE_URL}
+                                     items={visibleItems}
+                                     hasMore={Boolean(nextPage)}
+                                     isLoading={isLoading}
+                                     emptyMessage={emptyMessage}
+                                     prefs={viewPrefs}
+                                     rows={tableRows}
+                                     folderSizesVersion={folderSizesVersion}
+                                     selectedKeys={selectedKeys}
+                                     hasSelection={selectedItems.length > 0}
+                                     highlightKey={highlightKey}
+                                     dropTargetKey={dropTargetKey}
+                                     renamingKey={renamingKey}
+                                     onSort={handleSort}
+                                     onToggleSelect={toggleSelection}
+                                     onToggleSelectAll={toggleSelectAll}
+                                     onOpen={openItem}
+                                     onRename={handleRename}
+                                     onRenameCancel={() => setRenamingKey(null)}
+                                     getDragProps={getDragProps}
+                                     renderActions={renderItemActions}
+                                     containerRef={itemKeyboard.containerRef}
+                                     getItemProps={itemKeyboard.getItemProps}
+                                 />
+                             )}
+                             {/* The grid isn't windowed, so it grows only when asked rather than as it scrolls */}
+                             {nextPage && !isLoading && (
+                                 <LoadMore loadedCount={items.length} isLoading={isLoadingMore} paused={loadMoreFailed || viewPrefs.viewMode === 'grid'} onLoadMore={loadMoreItems} />
+                             )}
                          </div>
                     </div>
+                    </div>
+                    </>
+                    )}
+                    </main>
+                    </div>
                 </div>
             )}
+            {/* File preview modal */}
+            {user && previewFile && (
+                <FilePreview
+                    apiBaseUrl={API_BASE_URL}
+                    file={previewFile}
+                    files={previewFiles}
+                    onSelect={file => route.openPreview(file.id, { replace: true })} // Prev/next don't stack history
+                    onClose={() => route.closePreview()}
+                    onDownload={file => downloadFile(file)}
+                />
+            )}
+            {/* Move dialog */}
+            {user && moveDialogItems && (
+                <MoveDialog
+                    apiBaseUrl={API_BASE_URL}
+                    items={moveDialogItems}
+                    sourceFolderId={currentFolderId}
+                    onMove={(targetFolder, targetPathIds) => handleMove(moveDialogItems, targetFolder, targetPathIds)}
+                    onClose={() => setMoveDialogItems(null)}
+                />
+            )}
+            {/* Version history */}
+            {user && versionsFile && (
+                <VersionHistory
+                    apiBaseUrl={API_BASE_URL}
+                    file={versionsFile}
+                    canRestore={canEditItem(versionsFile)}
+                    onClose={() => setVersionsFile(null)}
+                    onRestored={() => refreshAfterChange(currentFolderId)} // Size and timestamp of the file change
+                />
+            )}
+            {/* Share dialog */}
+            {user && shareItem && <ShareDialog apiBaseUrl={API_BASE_URL} item={shareItem} onClose={() => setShareItem(null)} />}
+            {/* ZIP download progress */}
+            {zipDownload.job && <ZipProgress job={zipDownload.job} onCancel={zipDownload.cancel} />}
+            {/* Upload over the storage quota */}
+            {quotaWarning && (
+                <ConfirmDialog
+                    title="Not enough storage"
+                    message={quotaWarning.message}
+                    confirmLabel="Upload anyway"
+                    onConfirm={quotaWarning.onConfirm}
+                    onCancel={closeQuotaWarning}
+                />
+            )}
+            {/* Replace a file's content */}
+            {replaceConfirm && (
+                <ConfirmDialog
+                    title="Replace file"
+                    message={`Replace the existing file with "${replaceConfirm.file.name}"? The current content is kept in its version history.${replaceConfirm.quotaNote}`}
+                    confirmLabel="Replace"
+                    onConfirm={() => replaceFileContent(replaceConfirm)}
+                    onCancel={() => setReplaceConfirm(null)}
+                />
+            )}
+            {/* Uploads matching files already in the folder */}
+            {duplicateCheck && (
+                <DuplicateUploadDialog
+                    duplicates={duplicateCheck.duplicates}
+                    totalCount={duplicateCheck.totalCount}
+                    onConfirm={duplicateCheck.onConfirm}
+                    onCancel={closeDuplicateCheck}
+                />
+            )}
+            {/* Encrypt the open folder */}
+            {user && showEncryptFolder && openFolder && (
+                <EncryptFolderDialog
+                    folderName={openFolder.name}
+                    context={{ name: user.name, email: user.email }}
+                    onConfirm={encryptOpenFolder}
+                    onCancel={() => setShowEncryptFolder(false)}
+                />
+            )}
+            {/* Passphrase for an encrypted folder */}
+            {unlockRequest && (
+                <UnlockDialog
+                    keyParams={unlockRequest.keyParams}
+                    sample={unlockRequest.sample}
+                    reason={unlockRequest.reason}
+                    onUnlocked={() => closeUnlockRequest(true)}
+                    onCancel={() => closeUnlockRequest(false)}
+                />
+            )}
+            {/* Keyboard shortcuts */}
+            {user && showShortcuts && <ShortcutsDialog onClose={() => setShowShortcuts(false)} />}
+            {/* Bulk action summary */}
+            {bulkSummary && <BulkResultDialog summary={bulkSummary} onClose={() => setBulkSummary(null)} />}
+            {/* Screen reader announcements */}
+            <LiveRegion />
             {/* Toast notifications container */}
             <ToastContainer position="bottom-right" autoClose={3000} hideProgressBar={false} newestOnTop closeOnClick rtl={false} pauseOnFocusLoss draggable pauseOnHover theme="colored" />
         </div>
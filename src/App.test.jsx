@@ -0,0 +1,266 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, within, waitFor, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import { backend, seedBackend, TEST_USER, TEST_PASSWORD } from './test/mockBackend';
+import App from './App';
+
+const FOLDERS = [
+    { id: 1, name: 'Projects', parentId: null },
+    { id: 2, name: 'Drive', parentId: 1 },
+];
+const FILES = [
+    { id: 10, name: 'notes.txt', folderId: null, content: 'first draft' },
+    { id: 11, name: 'plan.md', folderId: 1, content: '# Plan' },
+];
+
+const renderApp = (url = '/') => render(
+    <MemoryRouter initialEntries={[url]}>
+        <App />
+    </MemoryRouter>
+);
+
+const getRow = (name) => screen.getByRole('row', { name });
+
+// Resolves once the listing of the open folder has rendered
+const findRow = (name) => screen.findByRole('row', { name });
+
+// Row actions are disabled while a request is in flight
+const waitForIdle = (name) => waitFor(() => expect(within(getRow(name)).getByRole('button', { name: 'Delete' })).toBeEnabled());
+
+afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+});
+
+describe('session restore', () => {
+    it('opens the drive for an active session', async () => {
+        seedBackend({ loggedIn: true, folders: FOLDERS, files: FILES });
+        renderApp();
+
+        expect(await findRow('Projects')).toBeInTheDocument();
+        expect(getRow('notes.txt')).toBeInTheDocument();
+        expect(screen.queryByRole('row', { name: 'plan.md' })).not.toBeInTheDocument();
+    });
+
+    it('shows the login form without one', async () => {
+        renderApp();
+
+        expect(await screen.findByRole('heading', { name: 'Login' })).toBeInTheDocument();
+    });
+});
+
+describe('login', () => {
+    it('lists the root folder after signing in', async () => {
+        seedBackend({ folders: FOLDERS, files: FILES });
+        renderApp();
+
+        await userEvent.type(await screen.findByLabelText('Email'), TEST_USER.email);
+        await userEvent.type(screen.getByLabelText('Password'), TEST_PASSWORD);
+        await userEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+
+        expect(await findRow('Projects')).toBeInTheDocument();
+        expect(screen.getByText(`Welcome, ${TEST_USER.name}!`, { exact: false })).toBeInTheDocument();
+    });
+});
+
+describe('breadcrumb navigation', () => {
+    it('follows folders down and crumbs back up', async () => {
+        seedBackend({ loggedIn: true, folders: FOLDERS, files: FILES });
+        renderApp();
+        const breadcrumb = () => within(screen.getByRole('navigation', { name: 'breadcrumb' }));
+
+        await userEvent.click(within(await findRow('Projects')).getByRole('button', { name: 'Projects' }));
+        expect(await findRow('plan.md')).toBeInTheDocument();
+        expect(breadcrumb().getByText('Projects')).toHaveAttribute('aria-current', 'page');
+
+        await userEvent.click(within(await findRow('Drive')).getByRole('button', { name: 'Drive' }));
+        await waitFor(() => expect(breadcrumb().getByText('Drive')).toHaveAttribute('aria-current', 'page'));
+        expect(breadcrumb().getByRole('button', { name: 'Projects' })).toBeInTheDocument();
+
+        await userEvent.click(breadcrumb().getByRole('button', { name: 'Root' }));
+        expect(await findRow('notes.txt')).toBeInTheDocument();
+        expect(breadcrumb().getByText('Root')).toHaveAttribute('aria-current', 'page');
+    });
+
+    it('rebuilds the breadcrumbs of a deep link', async () => {
+        seedBackend({ loggedIn: true, folders: FOLDERS, files: FILES });
+        renderApp('/folders/2');
+
+        const breadcrumb = await screen.findByRole('navigation', { name: 'breadcrumb' });
+        await waitFor(() => expect(within(breadcrumb).getByRole('button', { name: 'Projects' })).toBeInTheDocument());
+        expect(within(breadcrumb).getByText('Drive')).toHaveAttribute('aria-current', 'page');
+    });
+});
+
+describe('file operations', () => {
+    it('uploads a file into the open folder', async () => {
+        seedBackend({ loggedIn: true, folders: FOLDERS, files: FILES });
+        renderApp();
+        await findRow('notes.txt');
+
+        fireEvent.change(screen.getByLabelText('Choose Files'), { target: { files: [new File(['hello world'], 'hello.txt', { type: 'text/plain' })] } });
+
+        expect(await findRow('hello.txt')).toBeInTheDocument();
+        const uploaded = [...backend.files.values()].find(file => file.name === 'hello.txt');
+        expect(uploaded).toMatchObject({ folderId: null, content: 'hello world' });
+    });
+
+    it('replaces the content of a file after confirmation', async () => {
+        seedBackend({ loggedIn: true, folders: FOLDERS, files: FILES });
+        renderApp();
+        await findRow('notes.txt');
+        await waitForIdle('notes.txt');
+
+        await userEvent.click(within(getRow('notes.txt')).getByRole('button', { name: 'Update' }));
+        const picker = document.body.querySelector('body > input[type="file"]');
+        fireEvent.change(picker, { target: { files: [new File(['second draft'], 'notes-v2.txt', { type: 'text/plain' })] } });
+        const dialog = await screen.findByRole('alertdialog', { name: 'Replace file' });
+        await userEvent.click(within(dialog).getByRole('button', { name: 'Replace' }));
+
+        expect(await screen.findByText('File updated successfully!')).toBeInTheDocument();
+        expect(backend.files.get(10).content).toBe('second draft');
+        expect(backend.files.get(10).versions.map(version => version.content)).toEqual(['first draft']);
+    });
+
+    it('saves downloads under the name from Content-Disposition', async () => {
+        seedBackend({ loggedIn: true, files: [{ id: 10, name: 'Q3 résumé.txt', folderId: null, content: 'hello' }] });
+        const savedNames = [];
+        window.URL.createObjectURL = vi.fn(() => 'blob:download');
+        window.URL.revokeObjectURL = vi.fn();
+        vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            savedNames.push(this.getAttribute('download'));
+        });
+        renderApp();
+
+        await userEvent.click(within(await findRow('Q3 résumé.txt')).getByRole('button', { name: 'Download' }));
+
+        await waitFor(() => expect(savedNames).toEqual(['Q3 résumé.txt']));
+        expect(window.URL.createObjectURL).toHaveBeenCalledWith(expect.any(Blob));
+    });
+
+    it('moves deleted items to the Trash', async () => {
+        seedBackend({ loggedIn: true, folders: FOLDERS, files: FILES });
+        renderApp();
+        await findRow('notes.txt');
+        await waitForIdle('notes.txt');
+
+        await userEvent.click(within(getRow('notes.txt')).getByRole('button', { name: 'Delete' }));
+
+        expect(await screen.findByText("File 'notes.txt' moved to Trash.")).toBeInTheDocument();
+        await waitFor(() => expect(screen.queryByRole('row', { name: 'notes.txt' })).not.toBeInTheDocument());
+        expect(backend.files.get(10).trashed).toBe(true);
+    });
+});
+
+describe('encrypted folders', () => {
+    it('refuses plain uploads into a folder the server stopped reporting as encrypted', async () => {
+        const encryption = { version: 1, salt: 'c2FsdA==', iterations: 1000, verifier: 'dmVyaWZpZXI=' };
+        seedBackend({ loggedIn: true, folders: [{ id: 1, name: 'Private', encryption }], files: [{ id: 11, name: 'plan.md', folderId: 1 }] });
+        const { unmount } = renderApp('/folders/1');
+        await findRow('plan.md');
+        await screen.findByRole('button', { name: 'Unlock' });
+        unmount();
+
+        delete backend.folders.get(1).encryption; // E.g. a compromised backend
+        renderApp('/folders/1');
+        await findRow('plan.md');
+        await screen.findByRole('button', { name: /Encrypt this folder/ });
+        fireEvent.change(screen.getByLabelText('Choose Files'), { target: { files: [new File(['secret'], 'secret.txt', { type: 'text/plain' })] } });
+
+        expect(await screen.findByText('This folder was encrypted, but the server no longer says so, so nothing was uploaded.')).toBeInTheDocument();
+        expect([...backend.files.values()].map(file => file.name)).toEqual(['plan.md']);
+    });
+});
+
+describe('large folders', () => {
+    // More than one page (see LISTING_PAGE_SIZE), and enough rows for the table to render only some of them
+    const manyFiles = (count) => Array.from({ length: count }, (_, i) => ({ id: 1000 + i, name: `file-${String(i).padStart(3, '0')}.txt`, folderId: null }));
+
+    it('renders the rows near the viewport and loads further pages on demand', async () => {
+        seedBackend({ loggedIn: true, files: manyFiles(250) });
+        renderApp();
+
+        expect(await findRow('file-000.txt')).toBeInTheDocument();
+        expect(screen.getByText('200 items loaded.')).toBeInTheDocument();
+        const renderedRows = screen.getAllByRole('row').length;
+        expect(renderedRows).toBeLessThan(100);
+
+        await userEvent.click(screen.getByRole('button', { name: 'Load more' }));
+
+        await waitFor(() => expect(screen.queryByRole('button', { name: /Load more/ })).not.toBeInTheDocument());
+        expect(screen.getByRole('table', { name: 'Folder contents' })).toHaveAttribute('aria-rowcount', '251');
+        expect(screen.getAllByRole('row')).toHaveLength(renderedRows);
+    });
+
+    it('loads further pages of the grid only when asked', async () => {
+        const observe = vi.fn();
+        vi.stubGlobal('IntersectionObserver', class {
+            observe = observe;
+            disconnect() {}
+        });
+        localStorage.setItem(`drive-clone:view-prefs:${TEST_USER.id}`, JSON.stringify({ viewMode: 'grid' }));
+        seedBackend({ loggedIn: true, files: manyFiles(250) });
+        renderApp();
+
+        expect(await screen.findByText('200 items loaded.')).toBeInTheDocument();
+        const grid = screen.getByRole('list', { name: 'Folder contents' });
+        expect(grid.children).toHaveLength(200);
+        expect(observe).not.toHaveBeenCalled(); // Scrolling to the foot loads nothing
+
+        await userEvent.click(screen.getByText('Load more'));
+
+        await waitFor(() => expect(grid.children).toHaveLength(250));
+    });
+
+    it('filters and sorts across pages that are not loaded yet', async () => {
+        seedBackend({ loggedIn: true, files: manyFiles(250) });
+        renderApp();
+        await findRow('file-000.txt');
+
+        await userEvent.type(screen.getByLabelText('Filter items in this folder'), 'file-24');
+        expect(await findRow('file-249.txt')).toBeInTheDocument();
+        expect(screen.getAllByRole('row', { name: /^file-/ })).toHaveLength(10);
+        expect(screen.queryByRole('button', { name: 'Load more' })).not.toBeInTheDocument();
+
+        await userEvent.clear(screen.getByLabelText('Filter items in this folder'));
+        await findRow('file-000.txt');
+        await userEvent.click(screen.getByRole('button', { name: 'Name' }));
+        expect(await findRow('file-249.txt')).toBeInTheDocument();
+        expect(screen.queryByRole('row', { name: 'file-000.txt' })).not.toBeInTheDocument();
+    });
+
+    it('asks about duplicates that are on pages not loaded yet', async () => {
+        seedBackend({ loggedIn: true, files: manyFiles(250) });
+        renderApp();
+        await findRow('file-000.txt');
+
+        fireEvent.change(screen.getByLabelText('Choose Files'), { target: { files: [new File(['new'], 'file-249.txt', { type: 'text/plain' })] } });
+
+        expect(await screen.findByRole('dialog', { name: 'This file is already here' })).toBeInTheDocument();
+    });
+});
+
+describe('listing errors', () => {
+    it('returns to the login form when the session expired', async () => {
+        seedBackend({ loggedIn: true, folders: FOLDERS, files: FILES });
+        renderApp();
+        await findRow('Projects');
+
+        backend.loggedIn = false; // Expired server-side
+        await userEvent.click(within(getRow('Projects')).getByRole('button', { name: 'Projects' }));
+
+        expect(await screen.findByRole('heading', { name: 'Login' })).toBeInTheDocument();
+        expect(await screen.findByText('Your session has expired. Please log in again.')).toBeInTheDocument();
+    });
+
+    it('returns to Root from a folder that no longer exists', async () => {
+        seedBackend({ loggedIn: true, folders: FOLDERS, files: FILES });
+        renderApp('/folders/99');
+
+        expect(await screen.findByText('Folder not found, returning to root.')).toBeInTheDocument();
+        expect(await findRow('notes.txt')).toBeInTheDocument();
+        expect(within(screen.getByRole('navigation', { name: 'breadcrumb' })).getByText('Root')).toHaveAttribute('aria-current', 'page');
+    });
+});
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { getErrorMessage } from '../utils/apiClient';
+import { updateProfile, changePassword, deleteAccount } from '../utils/account';
+import { validateNewPassword } from '../utils/password';
+import NewPasswordFields from './NewPasswordFields';
+import ConfirmDialog from './ConfirmDialog';
+
+const LABEL_CLASS = 'block text-gray-700 text-sm font-bold mb-2';
+const INPUT_CLASS = 'shadow-sm appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-1 focus:ring-blue-500 disabled:opacity-50';
+const SECTION_CLASS = 'p-4 border rounded shadow-sm bg-white max-w-xl';
+
+// --- Component: Account Settings ---
+// Profile (name, email), password change and account deletion. `onUserUpdated(user)` receives
+// the saved profile; `onAccountDeleted()` ends the session once the backend confirms.
+export default function AccountSettings({ apiBaseUrl, user, onUserUpdated, onAccountDeleted, onBack }) {
+    const [name, setName] = useState(user.name || '');
+    const [email, setEmail] = useState(user.email || '');
+    const [isSavingProfile, setIsSavingProfile] = useState(false);
+
+    const [currentPassword, setCurrentPassword] = useState('');
+    const [newPassword, setNewPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [isSavingPassword, setIsSavingPassword] = useState(false);
+
+    const [deletePassword, setDeletePassword] = useState('');
+    const [confirmDelete, setConfirmDelete] = useState(false);
+    const [isDeleting, setIsDeleting] = useState(false);
+
+    const profileChanged = name.trim() !== (user.name || '') || email.trim() !== (user.email || '');
+    const passwordError = validateNewPassword(newPassword, confirmPassword, { name: user.name, email: user.email })
+        || (newPassword === currentPassword ? 'The new password must differ from the current one.' : null);
+
+    const handleSaveProfile = async (event) => {
+        event.preventDefault();
+        if (!name.trim()) return toast.warn('Name cannot be empty.');
+        setIsSavingProfile(true);
+        try {
+            const saved = await updateProfile(apiBaseUrl, { name: name.trim(), email: email.trim() });
+            onUserUpdated({ ...user, ...saved });
+            toast.success('Profile saved.');
+        } catch (err) {
+            toast.error(getErrorMessage(err, 'Failed to save the profile.'));
+            console.error('Profile update error:', err.data || err.message || err);
+        } finally {
+            setIsSavingProfile(false);
+        }
+    };
+
+    const handleChangePassword = async (event) => {
+        event.preventDefault();
+        if (passwordError) return toast.warn(passwordError);
+        setIsSavingPassword(true);
+        try {
+            await changePassword(apiBaseUrl, currentPassword, newPassword);
+            setCurrentPassword('');
+            setNewPassword('');
+            setConfirmPassword('');
+            toast.success('Password changed.');
+        } catch (err) {
+            toast.error(getErrorMessage(err, 'Failed to change the password.'));
+            console.error('Password change error:', err.data || err.message || err);
+        } finally {
+            setIsSavingPassword(false);
+        }
+    };
+
+    const handleDeleteAccount = async () => {
+        setConfirmDelete(false);
+        setIsDeleting(true);
+        try {
+            await deleteAccount(apiBaseUrl, deletePassword);
+            toast.success('Your account has been deleted.');
+            onAccountDeleted();
+        } catch (err) {
+            toast.error(getErrorMessage(err, 'Failed to delete the account.'));
+            console.error('Account deletion error:', err.data || err.message || err);
+            setIsDeleting(false);
+        }
+    };
+
+    return (
+        <div className="mt-2 space-y-6">
+            <div className="flex items-center gap-3">
+                <button type="button" onClick={onBack} className="text-sm text-blue-600 hover:underline">← My Drive</button>
+                <h2 className="text-xl font-semibold text-gray-800">Account settings</h2>
+            </div>
+
+            <form onSubmit={handleSaveProfile} className={SECTION_CLASS}>
+                <h3 className="text-lg font-semibold mb-3 text-gray-700">Profile</h3>
+                <div className="mb-4">
+                    <label className={LABEL_CLASS} htmlFor="account_name">Name</label>
+                    <input id="account_name" type="text" autoComplete="name" value={name} onChange={e => setName(e.target.value)} disabled={isSavingProfile} required className={INPUT_CLASS} />
+                </div>
+                <div className="mb-4">
+                    <label className={LABEL_CLASS} htmlFor="account_email">Email</label>
+                    <input id="account_email" type="email" autoComplete="email" value={email} onChange={e => setEmail(e.target.value)} disabled={isSavingProfile} required className={INPUT_CLASS} />
+                </div>
+                <button type="submit" disabled={isSavingProfile || !profileChanged}
+                    className="bg-blue-500 hover:bg-blue-700 text-white px-4 py-2 rounded font-bold text-sm disabled:opacity-50 disabled:cursor-not-allowed">
+                    {isSavingProfile ? 'Saving...' : 'Save profile'}
+                </button>
+            </form>
+
+            <form onSubmit={handleChangePassword} className={SECTION_CLASS}>
+                <h3 className="text-lg font-semibold mb-3 text-gray-700">Change password</h3>
+                {/* Lets password managers tie the new password to this account */}
+                <input type="text" autoComplete="username" value={user.email || ''} readOnly hidden />
+                <div className="mb-4">
+                    <label className={LABEL_CLASS} htmlFor="account_current_password">Current password</label>
+                    <input id="account_current_password" type="password" autoComplete="current-password" value={currentPassword} onChange={e => setCurrentPassword(e.target.value)} disabled={isSavingPassword} required className={INPUT_CLASS} />
+                </div>
+                <NewPasswordFields
+                    idPrefix="account_new"
+                    label="New password"
+                    password={newPassword}
+                    confirmPassword={confirmPassword}
+                    onPasswordChange={setNewPassword}
+                    onConfirmChange={setConfirmPassword}
+                    context={{ name: user.name, email: user.email }}
+                    disabled={isSavingPassword}
+                />
+                <button type="submit" disabled={isSavingPassword || !currentPassword || Boolean(passwordError)}
+                    className="bg-blue-500 hover:bg-blue-700 text-white px-4 py-2 rounded font-bold text-sm disabled:opacity-50 disabled:cursor-not-allowed">
+                    {isSavingPassword ? 'Saving...' : 'Change password'}
+                </button>
+            </form>
+
+            <form onSubmit={e => { e.preventDefault(); setConfirmDelete(true); }} className={`${SECTION_CLASS} border-red-200`}>
+                <h3 className="text-lg font-semibold mb-1 text-red-700">Delete account</h3>
+                <p className="text-sm text-gray-600 mb-3">Deletes your account together with all your files, folders, versions and shares. This cannot be undone.</p>
+                <div className="mb-4">
+                    <label className={LABEL_CLASS} htmlFor="account_delete_password">Confirm with your password</label>
+                    <input id="account_delete_password" type="password" autoComplete="current-password" value={deletePassword} onChange={e => setDeletePassword(e.target.value)} disabled={isDeleting} required className={INPUT_CLASS} />
+                </div>
+                <button type="submit" disabled={isDeleting || !deletePassword}
+                    className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded font-bold text-sm disabled:opacity-50 disabled:cursor-not-allowed">
+                    {isDeleting ? 'Deleting...' : 'Delete account'}
+                </button>
+            </form>
+
+            {confirmDelete && (
+                <ConfirmDialog
+                    title="Delete your account?"
+                    message={`The account ${user.email || user.name} and everything stored in it will be permanently deleted.`}
+                    confirmLabel="Delete account"
+                    danger
+                    onConfirm={handleDeleteAccount}
+                    onCancel={() => setConfirmDelete(false)}
+                />
+            )}
+        </div>
+    );
+}
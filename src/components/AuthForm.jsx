@@ -0,0 +1,118 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { api, isNetworkError, getErrorMessage, checkBackendHealth } from '../utils/apiClient';
+import { validateNewPassword } from '../utils/password';
+import NewPasswordFields from './NewPasswordFields';
+
+const INPUT_CLASS = 'shadow-sm appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+// --- Component: Auth Form ---
+// Login and registration against POST /api/user/login and /api/user/register. `onAuthenticated(user)`
+// receives the user the backend answered with. While shown, the backend is probed so an unreachable
+// server is reported as such instead of as a failed login.
+export default function AuthForm({ apiBaseUrl, onAuthenticated, onForgotPassword }) {
+    const [isLogin, setIsLogin] = useState(true);
+    const [name, setName] = useState('');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState(''); // Register only
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [backendStatus, setBackendStatus] = useState('unknown'); // 'unknown' | 'checking' | 'up' | 'down'
+
+    const checkBackend = useCallback(async () => {
+        setBackendStatus('checking');
+        setBackendStatus(await checkBackendHealth(apiBaseUrl) ? 'up' : 'down');
+    }, [apiBaseUrl]);
+
+    useEffect(() => {
+        checkBackend();
+    }, [checkBackend]);
+
+    const registerError = isLogin ? null : validateNewPassword(password, confirmPassword, { name, email });
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        if (registerError) return toast.warn(registerError);
+        setIsSubmitting(true);
+        try {
+            const url = isLogin ? '/api/user/login' : '/api/user/register';
+            const payload = isLogin ? { email, password } : { name, email, password };
+            const res = await api.post(`${apiBaseUrl}${url}`, payload, { skipAuthHandler: true });
+
+            // Backends have answered with the user bare, as { user } and as { data: { user } }
+            const userData = res.data?.data?.user || res.data?.user || res.data;
+            if (!userData || !userData.id) {
+                throw new Error("Invalid user data received from server.");
+            }
+
+            toast.success(isLogin ? 'Login successful!' : 'Registration successful!');
+            onAuthenticated(userData); // Unmounts this form
+        } catch (err) {
+            if (isNetworkError(err)) {
+                setBackendStatus('down');
+                toast.error(`Can't reach the server at ${apiBaseUrl}.`);
+            } else {
+                toast.error(getErrorMessage(err, 'Authentication failed'));
+            }
+            console.error('Auth error:', err.data || err.message || err);
+            setIsSubmitting(false);
+        }
+    };
+
+    const switchMode = () => {
+        setIsLogin(!isLogin);
+        setConfirmPassword('');
+    };
+
+    return (
+        <div className="space-y-4 bg-white shadow-md rounded px-8 pt-6 pb-8 mb-4 max-w-md mx-auto">
+            <h1 className="text-center text-2xl font-bold mb-6 text-gray-700">{isLogin ? 'Login' : 'Register'}</h1>
+            {backendStatus === 'down' && (
+                <div role="alert" className="flex items-start justify-between gap-3 rounded border border-yellow-300 bg-yellow-50 px-3 py-2 text-sm text-yellow-800">
+                    <span>Can't reach the server at <span className="font-mono break-all">{apiBaseUrl}</span>. Check that the backend is running.</span>
+                    <button type="button" onClick={checkBackend} className="font-semibold text-yellow-900 hover:underline whitespace-nowrap">Retry</button>
+                </div>
+            )}
+            <form onSubmit={handleSubmit}>
+                {!isLogin && (
+                    <div className="mb-4">
+                        <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="name_auth">Name</label>
+                        <input id="name_auth" type="text" value={name} onChange={e => setName(e.target.value)} placeholder="Your Name" required className={INPUT_CLASS} />
+                    </div>
+                )}
+                <div className="mb-4">
+                    <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="email_auth">Email</label>
+                    <input id="email_auth" type="email" autoComplete="username" value={email} onChange={e => setEmail(e.target.value)} placeholder="your.email@example.com" required className={INPUT_CLASS} />
+                </div>
+                {isLogin ? (
+                    <div className="mb-6">
+                        <div className="flex items-baseline justify-between mb-2">
+                            <label className="block text-gray-700 text-sm font-bold" htmlFor="password_auth">Password</label>
+                            <button type="button" onClick={onForgotPassword} className="text-xs font-bold text-blue-500 hover:text-blue-800">Forgot password?</button>
+                        </div>
+                        <input id="password_auth" type="password" autoComplete="current-password" value={password} onChange={e => setPassword(e.target.value)} placeholder="******************" required className={INPUT_CLASS} />
+                    </div>
+                ) : (
+                    <NewPasswordFields
+                        idPrefix="register"
+                        password={password}
+                        confirmPassword={confirmPassword}
+                        onPasswordChange={setPassword}
+                        onConfirmChange={setConfirmPassword}
+                        context={{ name, email }}
+                    />
+                )}
+                <div className="flex items-center justify-between">
+                    <button type="submit" disabled={isSubmitting || Boolean(registerError)}
+                        className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-50 disabled:cursor-not-allowed">
+                        {isSubmitting ? 'Processing...' : (isLogin ? 'Sign In' : 'Register')}
+                    </button>
+                    <button type="button" onClick={switchMode} disabled={isSubmitting}
+                        className="inline-block align-baseline font-bold text-sm text-blue-500 hover:text-blue-800 disabled:opacity-50">
+                        {isLogin ? 'Need an account?' : 'Already registered?'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}
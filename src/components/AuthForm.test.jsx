@@ -0,0 +1,89 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { ToastContainer } from 'react-toastify';
+import { http, HttpResponse } from 'msw';
+import { server } from '../test/server';
+import { API, TEST_USER, TEST_PASSWORD, backend } from '../test/mockBackend';
+import AuthForm from './AuthForm';
+
+const renderForm = () => {
+    const onAuthenticated = vi.fn();
+    const onForgotPassword = vi.fn();
+    render(
+        <>
+            <AuthForm apiBaseUrl={API} onAuthenticated={onAuthenticated} onForgotPassword={onForgotPassword} />
+            <ToastContainer />
+        </>
+    );
+    return { onAuthenticated, onForgotPassword };
+};
+
+describe('AuthForm', () => {
+    it('logs in', async () => {
+        const { onAuthenticated } = renderForm();
+
+        await userEvent.type(screen.getByLabelText('Email'), TEST_USER.email);
+        await userEvent.type(screen.getByLabelText('Password'), TEST_PASSWORD);
+        await userEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+
+        expect(await screen.findByText('Login successful!')).toBeInTheDocument();
+        expect(onAuthenticated).toHaveBeenCalledWith(TEST_USER);
+    });
+
+    it('shows the backend message for rejected credentials', async () => {
+        const { onAuthenticated } = renderForm();
+
+        await userEvent.type(screen.getByLabelText('Email'), TEST_USER.email);
+        await userEvent.type(screen.getByLabelText('Password'), 'wrong-password');
+        await userEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+
+        expect(await screen.findByText('Invalid email or password.')).toBeInTheDocument();
+        expect(onAuthenticated).not.toHaveBeenCalled();
+        expect(screen.getByRole('button', { name: 'Sign In' })).toBeEnabled();
+    });
+
+    it('registers once the password is acceptable', async () => {
+        const { onAuthenticated } = renderForm();
+
+        await userEvent.click(screen.getByRole('button', { name: 'Need an account?' }));
+        await userEvent.type(screen.getByLabelText('Name'), 'New Person');
+        await userEvent.type(screen.getByLabelText('Email'), 'new@example.com');
+        await userEvent.type(screen.getByLabelText('Password'), 'short');
+        expect(screen.getByRole('button', { name: 'Register' })).toBeDisabled();
+
+        await userEvent.clear(screen.getByLabelText('Password'));
+        await userEvent.type(screen.getByLabelText('Password'), 'plum-lantern-47');
+        await userEvent.type(screen.getByLabelText('Confirm password'), 'plum-lantern-47');
+        await userEvent.click(screen.getByRole('button', { name: 'Register' }));
+
+        expect(await screen.findByText('Registration successful!')).toBeInTheDocument();
+        expect(onAuthenticated).toHaveBeenCalledWith(expect.objectContaining({ name: 'New Person', email: 'new@example.com' }));
+        expect(backend.users[0]).toMatchObject({ email: 'new@example.com', password: 'plum-lantern-47' });
+    });
+
+    it('reports an unreachable backend', async () => {
+        server.use(
+            http.get(`${API}/api/health`, () => HttpResponse.error()),
+            http.post(`${API}/api/user/login`, () => HttpResponse.error())
+        );
+        renderForm();
+
+        expect(await screen.findByRole('alert')).toHaveTextContent(`Can't reach the server at ${API}`);
+
+        await userEvent.type(screen.getByLabelText('Email'), TEST_USER.email);
+        await userEvent.type(screen.getByLabelText('Password'), TEST_PASSWORD);
+        await userEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+
+        expect(await screen.findByText(`Can't reach the server at ${API}.`)).toBeInTheDocument();
+    });
+
+    it('links to the forgot password flow', async () => {
+        const { onForgotPassword } = renderForm();
+
+        await userEvent.click(screen.getByRole('button', { name: 'Forgot password?' }));
+
+        expect(onForgotPassword).toHaveBeenCalled();
+    });
+});
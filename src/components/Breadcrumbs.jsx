@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { hasDraggedItem } from '../utils/itemActions';
+
+// --- Component: Breadcrumbs ---
+// Root→current folder trail. Ancestors navigate on click (`onNavigate(id, name)`) and accept dragged
+// rows (`onDropItem(dataTransfer, folder, pathIds)`); the last crumb is the open folder.
+export default function Breadcrumbs({ path, onNavigate, onDropItem, isLoading }) {
+    const [dropTargetIndex, setDropTargetIndex] = useState(null);
+
+    return (
+        <nav aria-label="breadcrumb" className={`breadcrumbs mb-4 text-sm text-gray-600 ${isLoading ? 'opacity-50' : ''}`}>
+            <ol className="breadcrumb-list flex items-center space-x-1 sm:space-x-2 flex-wrap">
+                {path.map((folder, index) => (
+                    <li key={folder.id ?? 'root'} className="breadcrumb-item flex items-center">
+                        {/* Make clickable only if not the last item AND not loading */}
+                        {(index < path.length - 1) ? (
+                            <button
+                                onClick={() => !isLoading && onNavigate(folder.id, folder.name)}
+                                // Ancestors double as drop targets for moving rows up the tree
+                                onDragOver={e => {
+                                    if (isLoading || !hasDraggedItem(e.dataTransfer)) return;
+                                    e.preventDefault();
+                                    e.dataTransfer.dropEffect = 'move';
+                                    setDropTargetIndex(index);
+                                }}
+                                onDragLeave={() => setDropTargetIndex(null)}
+                                onDrop={e => {
+                                    e.preventDefault();
+                                    setDropTargetIndex(null);
+                                    onDropItem(e.dataTransfer, folder, path.slice(0, index + 1).map(f => f.id));
+                                }}
+                                className={`breadcrumb-link hover:underline text-blue-600 disabled:text-gray-500 disabled:no-underline rounded px-1 ${dropTargetIndex === index ? 'bg-blue-100 ring-1 ring-blue-400' : ''}`}
+                                disabled={isLoading}
+                            >
+                                {folder.name}
+                            </button>
+                        ) : (
+                            <span aria-current="page" className="breadcrumb-current font-semibold text-gray-800 truncate" title={folder.name}>
+                                {folder.name}
+                            </span>
+                        )}
+                        {index < path.length - 1 && <span className="breadcrumb-separator text-gray-400 mx-1">/</span>}
+                    </li>
+                ))}
+            </ol>
+        </nav>
+    );
+}
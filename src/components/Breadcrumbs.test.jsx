@@ -0,0 +1,42 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Breadcrumbs from './Breadcrumbs';
+
+const PATH = [
+    { id: null, name: 'Root' },
+    { id: 1, name: 'Projects' },
+    { id: 2, name: 'Drive' },
+];
+
+describe('Breadcrumbs', () => {
+    it('links the ancestors and marks the open folder', () => {
+        render(<Breadcrumbs path={PATH} onNavigate={() => {}} onDropItem={() => {}} isLoading={false} />);
+
+        expect(screen.getByRole('button', { name: 'Root' })).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'Projects' })).toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Drive' })).not.toBeInTheDocument();
+        expect(screen.getByText('Drive')).toHaveAttribute('aria-current', 'page');
+    });
+
+    it('navigates to the clicked ancestor', async () => {
+        const onNavigate = vi.fn();
+        render(<Breadcrumbs path={PATH} onNavigate={onNavigate} onDropItem={() => {}} isLoading={false} />);
+
+        await userEvent.click(screen.getByRole('button', { name: 'Projects' }));
+        await userEvent.click(screen.getByRole('button', { name: 'Root' }));
+
+        expect(onNavigate.mock.calls).toEqual([[1, 'Projects'], [null, 'Root']]);
+    });
+
+    it('ignores clicks while loading', async () => {
+        const onNavigate = vi.fn();
+        render(<Breadcrumbs path={PATH} onNavigate={onNavigate} onDropItem={() => {}} isLoading />);
+
+        expect(screen.getByRole('button', { name: 'Root' })).toBeDisabled();
+        await userEvent.click(screen.getByRole('button', { name: 'Root' }));
+
+        expect(onNavigate).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,23 @@
+import React from 'react';
+
+// --- Component: Bulk Action Bar ---
+// Shown above the items table while one or more rows are selected.
+// `canModify` is false when the selection includes view-only items; Move and Delete are hidden then.
+export default function BulkActionBar({ count, isLoading, canModify = true, onDelete, onMove, onDownload, onClear }) {
+    const buttonClass = 'font-medium hover:underline disabled:opacity-50 disabled:no-underline';
+    return (
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-3 px-4 py-2 rounded border border-blue-200 bg-blue-50 text-sm" role="toolbar" aria-label="Bulk actions">
+            <span className="font-semibold text-blue-800">{count} selected</span>
+            <div className="flex items-center gap-4">
+                <button onClick={onDownload} disabled={isLoading} className={`${buttonClass} text-blue-600 hover:text-blue-800`}>Download</button>
+                {canModify && (
+                    <>
+                        <button onClick={onMove} disabled={isLoading} className={`${buttonClass} text-gray-700 hover:text-gray-900`}>Move</button>
+                        <button onClick={onDelete} disabled={isLoading} className={`${buttonClass} text-red-600 hover:text-red-800`}>Delete</button>
+                    </>
+                )}
+                <button onClick={onClear} disabled={isLoading} className={`${buttonClass} text-gray-500 hover:text-gray-700`}>Clear selection</button>
+            </div>
+        </div>
+    );
+}
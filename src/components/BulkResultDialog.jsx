@@ -0,0 +1,54 @@
+import React, { useEffect, useRef } from 'react';
+import useFocusTrap from '../hooks/useFocusTrap';
+
+// --- Component: Bulk Result Dialog ---
+// One summary for a bulk action: how many succeeded, and which items failed and why
+export default function BulkResultDialog({ summary, onClose }) {
+    const dialogRef = useRef(null);
+    useFocusTrap(dialogRef);
+    const { title, succeeded, failures, notes = [] } = summary;
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+            <div
+                ref={dialogRef}
+                tabIndex={-1}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="bulk-result-title"
+                className="outline-none bg-white rounded-lg shadow-xl w-full max-w-md flex flex-col max-h-[80vh]"
+                onClick={e => e.stopPropagation()}
+            >
+                <h2 id="bulk-result-title" className="border-b px-4 py-3 font-semibold text-gray-800">{title}</h2>
+                <div className="flex-1 overflow-y-auto px-4 py-3 text-sm space-y-2">
+                    <p className="text-green-700">{succeeded} succeeded</p>
+                    {failures.length > 0 && (
+                        <>
+                            <p className="text-red-700">{failures.length} failed:</p>
+                            <ul className="list-disc pl-5 space-y-1">
+                                {failures.map(({ item, error }) => (
+                                    <li key={`${item.type}-${item.id}`}>
+                                        <span className="font-medium text-gray-800">{item.name}</span>
+                                        <span className="text-gray-600"> — {error}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </>
+                    )}
+                    {notes.map(note => <p key={note} className="text-gray-500">{note}</p>)}
+                </div>
+                <div className="border-t px-4 py-3 flex justify-end">
+                    <button type="button" onClick={onClose} className="bg-blue-500 hover:bg-blue-700 text-white px-4 py-2 rounded font-bold text-sm">Close</button>
+                </div>
+            </div>
+        </div>
+    );
+}
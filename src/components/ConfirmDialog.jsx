@@ -0,0 +1,45 @@
+import React, { useEffect, useRef } from 'react';
+import useFocusTrap from '../hooks/useFocusTrap';
+
+// --- Component: Confirm Dialog ---
+// Modal replacement for window.confirm. Cancel has focus initially so Enter never
+// triggers a destructive action by accident; Escape and the backdrop cancel too.
+export default function ConfirmDialog({ title, message, confirmLabel = 'Confirm', danger = false, onConfirm, onCancel }) {
+    const dialogRef = useRef(null);
+    useFocusTrap(dialogRef);
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onCancel();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onCancel]);
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onCancel}>
+            <div
+                ref={dialogRef}
+                tabIndex={-1}
+                role="alertdialog"
+                aria-modal="true"
+                aria-labelledby="confirm-dialog-title"
+                aria-describedby="confirm-dialog-message"
+                className="outline-none bg-white rounded-lg shadow-xl w-full max-w-md"
+                onClick={e => e.stopPropagation()}
+            >
+                <h2 id="confirm-dialog-title" className="border-b px-4 py-3 font-semibold text-gray-800">{title}</h2>
+                <div id="confirm-dialog-message" className="px-4 py-3 text-sm text-gray-700">{message}</div>
+                <div className="border-t px-4 py-3 flex justify-end gap-2">
+                    <button type="button" onClick={onCancel} autoFocus className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded font-bold text-sm">Cancel</button>
+                    <button
+                        type="button"
+                        onClick={onConfirm}
+                        className={`${danger ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-500 hover:bg-blue-700'} text-white px-4 py-2 rounded font-bold text-sm`}
+                    >
+                        {confirmLabel}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
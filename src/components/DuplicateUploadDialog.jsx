@@ -0,0 +1,103 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useFocusTrap from '../hooks/useFocusTrap';
+import { DUPLICATE_CHOICES } from '../utils/duplicates';
+import { canEditItem } from '../utils/sharing';
+import { formatBytes } from '../utils/format';
+
+const describeClash = ({ nameMatch, hashMatch }) => {
+    if (nameMatch && hashMatch === nameMatch) return 'Identical to the file already here.';
+    if (nameMatch && hashMatch) return `A file with this name exists, and '${hashMatch.name}' has the same content.`;
+    if (nameMatch) return 'A file with this name exists.';
+    return `Same content as '${hashMatch.name}'.`;
+};
+
+// The file "Replace" would overwrite; view-only files can't be replaced
+const replaceTarget = (duplicate) => duplicate.nameMatch || duplicate.hashMatch;
+
+// Identical content is most likely a repeat upload; a name clash alone more likely a new copy
+const defaultChoice = (duplicate) => (duplicate.hashMatch ? 'skip' : 'keepBoth');
+
+// --- Component: Duplicate Upload Dialog ---
+// Asks what to do with each uploaded file that matches one already in the folder, by name or
+// content (see utils/duplicates.js). `onConfirm(choices)` gets one DUPLICATE_CHOICES value per duplicate.
+export default function DuplicateUploadDialog({ duplicates, totalCount, onConfirm, onCancel }) {
+    const dialogRef = useRef(null);
+    useFocusTrap(dialogRef);
+    const [choices, setChoices] = useState(() => duplicates.map(defaultChoice));
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onCancel();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onCancel]);
+
+    const isAllowed = (duplicate, choice) => choice !== 'replace' || canEditItem(replaceTarget(duplicate));
+    const chooseAll = (choice) => setChoices(duplicates.map((duplicate, i) => (isAllowed(duplicate, choice) ? choice : choices[i])));
+    const setChoice = (index, choice) => setChoices(prev => prev.map((c, i) => (i === index ? choice : c)));
+    const uploadCount = totalCount - choices.filter(choice => choice === 'skip').length;
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onCancel}>
+            <div
+                ref={dialogRef}
+                tabIndex={-1}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="duplicates-title"
+                className="outline-none bg-white rounded-lg shadow-xl w-full max-w-xl flex flex-col max-h-[85vh]"
+                onClick={e => e.stopPropagation()}
+            >
+                <div className="border-b px-4 py-3">
+                    <h2 id="duplicates-title" className="font-semibold text-gray-800">
+                        {duplicates.length === 1 ? 'This file is already here' : `${duplicates.length} files are already here`}
+                    </h2>
+                    <div className="mt-2 flex flex-wrap gap-2 text-xs" role="group" aria-label="Apply to all">
+                        <span className="text-gray-500 self-center">For all:</span>
+                        {DUPLICATE_CHOICES.map(option => (
+                            <button key={option.value} type="button" onClick={() => chooseAll(option.value)} className="px-2 py-1 rounded border text-gray-700 hover:bg-gray-100">
+                                {option.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                <ul className="flex-1 overflow-y-auto divide-y text-sm">
+                    {duplicates.map((duplicate, index) => (
+                        <li key={duplicate.index} className="px-4 py-3">
+                            <p className="font-medium text-gray-900 truncate" title={duplicate.file.name}>
+                                {duplicate.file.name} <span className="text-xs font-normal text-gray-400">{formatBytes(duplicate.file.size)}</span>
+                            </p>
+                            <p className="text-xs text-gray-600 mb-2">{describeClash(duplicate)}</p>
+                            <fieldset className="flex flex-wrap gap-x-4 gap-y-1">
+                                <legend className="sr-only">What to do with {duplicate.file.name}</legend>
+                                {DUPLICATE_CHOICES.map(option => {
+                                    const allowed = isAllowed(duplicate, option.value);
+                                    return (
+                                        <label key={option.value} className={`flex items-center gap-1 ${allowed ? 'text-gray-700' : 'text-gray-400'}`} title={allowed ? option.hint : 'You can only view the existing file'}>
+                                            <input
+                                                type="radio"
+                                                name={`duplicate-${duplicate.index}`}
+                                                value={option.value}
+                                                checked={choices[index] === option.value}
+                                                disabled={!allowed}
+                                                onChange={() => setChoice(index, option.value)}
+                                            />
+                                            {option.label}
+                                        </label>
+                                    );
+                                })}
+                            </fieldset>
+                        </li>
+                    ))}
+                </ul>
+                <div className="border-t px-4 py-3 flex justify-end gap-2">
+                    <button type="button" onClick={onCancel} className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded font-bold text-sm">Cancel upload</button>
+                    <button type="button" onClick={() => onConfirm(choices)} className="bg-blue-500 hover:bg-blue-700 text-white px-4 py-2 rounded font-bold text-sm">
+                        {uploadCount > 0 ? `Upload ${uploadCount} file(s)` : 'Done'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,86 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useFocusTrap from '../hooks/useFocusTrap';
+import NewPasswordFields from './NewPasswordFields';
+import { validateNewPassword } from '../utils/password';
+
+const MIN_PASSPHRASE_LENGTH = 12;
+
+// --- Component: Encrypt Folder Dialog ---
+// Sets a passphrase for a folder, and its subfolders, that should be end-to-end encrypted. Makes the user
+// acknowledge that a lost passphrase can't be recovered before `onConfirm(passphrase)`.
+export default function EncryptFolderDialog({ folderName, context, onConfirm, onCancel }) {
+    const dialogRef = useRef(null);
+    useFocusTrap(dialogRef);
+    const [passphrase, setPassphrase] = useState('');
+    const [confirmPassphrase, setConfirmPassphrase] = useState('');
+    const [acknowledged, setAcknowledged] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        if (isSaving) return undefined;
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onCancel();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onCancel, isSaving]);
+
+    const passphraseError = passphrase.length < MIN_PASSPHRASE_LENGTH
+        ? `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`
+        : validateNewPassword(passphrase, confirmPassphrase, context);
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        if (passphraseError || !acknowledged) return;
+        setIsSaving(true);
+        if (!(await onConfirm(passphrase))) setIsSaving(false); // Stays open after a failure
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={isSaving ? undefined : onCancel}>
+            <form
+                ref={dialogRef}
+                tabIndex={-1}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="encrypt-folder-title"
+                onSubmit={handleSubmit}
+                className="outline-none bg-white rounded-lg shadow-xl w-full max-w-md"
+                onClick={e => e.stopPropagation()}
+            >
+                <h2 id="encrypt-folder-title" className="border-b px-4 py-3 font-semibold text-gray-800">🔒 Encrypt '{folderName}'</h2>
+                <div className="px-4 py-3 text-sm text-gray-700">
+                    <p className="mb-3">
+                        Files you upload here or into its subfolders from now on are encrypted in your browser before they
+                        leave this device. Subfolders that are encrypted already keep their own passphrase.
+                        <strong> Files already in the folder and its subfolders stay unencrypted.</strong>
+                    </p>
+                    <div role="alert" className="mb-4 rounded border border-red-300 bg-red-50 p-3 text-red-800">
+                        <strong>If you lose the passphrase, your files are lost.</strong> It is never sent to the server,
+                        so nobody can reset it or decrypt the files for you.
+                    </div>
+                    <NewPasswordFields
+                        idPrefix="encrypt"
+                        label="Passphrase"
+                        password={passphrase}
+                        confirmPassword={confirmPassphrase}
+                        onPasswordChange={setPassphrase}
+                        onConfirmChange={setConfirmPassphrase}
+                        context={context}
+                        disabled={isSaving}
+                    />
+                    <label className="flex items-start gap-2">
+                        <input type="checkbox" checked={acknowledged} onChange={e => setAcknowledged(e.target.checked)} disabled={isSaving} className="mt-1" />
+                        <span>I understand that the files can't be recovered without this passphrase.</span>
+                    </label>
+                </div>
+                <div className="border-t px-4 py-3 flex justify-end gap-2">
+                    <button type="button" onClick={onCancel} disabled={isSaving} className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded font-bold text-sm disabled:opacity-50">Cancel</button>
+                    <button type="submit" disabled={isSaving || Boolean(passphraseError) || !acknowledged} className="bg-blue-500 hover:bg-blue-700 text-white px-4 py-2 rounded font-bold text-sm disabled:opacity-50">
+                        {isSaving ? 'Encrypting...' : 'Encrypt folder'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}
@@ -0,0 +1,31 @@
+import React from 'react';
+
+// --- Component: Encryption Bar ---
+// Encryption state of the open folder above its contents: locked or unlocked with the matching
+// action, or an offer to encrypt a plain folder the user owns (`onEncrypt`, omitted otherwise).
+export default function EncryptionBar({ isEncrypted, isUnlocked, onUnlock, onLock, onEncrypt }) {
+    if (!isEncrypted) {
+        if (!onEncrypt) return null;
+        return (
+            <div className="mb-3 text-right">
+                <button type="button" onClick={onEncrypt} className="text-sm text-gray-600 hover:text-gray-900 hover:underline">🔒 Encrypt this folder…</button>
+            </div>
+        );
+    }
+    return (
+        <div className={`mb-3 flex flex-wrap items-center justify-between gap-2 rounded border px-3 py-2 text-sm ${isUnlocked ? 'border-green-300 bg-green-50 text-green-800' : 'border-yellow-300 bg-yellow-50 text-yellow-800'}`}>
+            <span>
+                {isUnlocked
+                    ? '🔓 Encrypted folder, unlocked for this session. Files are encrypted before upload and decrypted on download.'
+                    : "🔒 Encrypted folder. Unlock it with its passphrase to upload, preview or download files."}
+            </span>
+            <button
+                type="button"
+                onClick={isUnlocked ? onLock : onUnlock}
+                className="rounded border border-current px-3 py-1 font-medium hover:bg-white"
+            >
+                {isUnlocked ? 'Lock' : 'Unlock'}
+            </button>
+        </div>
+    );
+}
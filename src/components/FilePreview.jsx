@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { isCanceled, isNetworkError } from '../utils/apiClient';
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+import hljs from 'highlight.js/lib/common';
+import 'highlight.js/styles/github.css';
+import { fetchFileBlob } from '../utils/download';
+import { getPreviewKind, getPreviewContentType, getCodeLanguage } from '../utils/fileTypes';
+import { formatBytes } from '../utils/format';
+import { decryptDownload, EncryptionLockedError } from '../utils/encryption';
+import useFocusTrap from '../hooks/useFocusTrap';
+import useKeyring from '../hooks/useKeyring';
+import PassphraseForm from './PassphraseForm';
+
+// Text-like files are cut off after this many bytes to keep highlighting responsive
+const MAX_TEXT_PREVIEW_BYTES = 1024 * 1024;
+// Don't download big files just to find out they can't be previewed
+const MAX_UNKNOWN_TYPE_FETCH_BYTES = 20 * 1024 * 1024;
+
+const TEXT_KINDS = ['text', 'code', 'markdown'];
+
+// --- Component: Preview Body ---
+function PreviewBody({ preview, file }) {
+    const { kind, url, text } = preview;
+
+    const highlighted = useMemo(() => {
+        if (kind !== 'code') return null;
+        const language = getCodeLanguage(file.name);
+        try {
+            return language && hljs.getLanguage(language)
+                ? hljs.highlight(text, { language }).value
+                : hljs.highlightAuto(text).value;
+        } catch {
+            return null; // Fall back to plain text below
+        }
+    }, [kind, text, file.name]);
+
+    const markdownHtml = useMemo(
+        () => (kind === 'markdown' ? DOMPurify.sanitize(marked.parse(text)) : null),
+        [kind, text]
+    );
+
+    switch (kind) {
+        case 'image':
+            return <img src={url} alt={file.name} className="max-h-full max-w-full mx-auto object-contain" />;
+        case 'pdf':
+            // Not sandboxed: Chromium won't load its PDF viewer in a sandboxed frame, and the blob is
+            // typed application/pdf (see getPreviewContentType), so it can't run as a page anyway
+            return <iframe src={url} title={file.name} className="w-full h-full border-0" />;
+        case 'audio':
+            return <audio src={url} controls className="w-full mt-8" />;
+        case 'video':
+            return <video src={url} controls className="max-h-full max-w-full mx-auto" />;
+        case 'markdown':
+            return <div className="markdown-body text-sm text-gray-800" dangerouslySetInnerHTML={{ __html: markdownHtml }} />;
+        case 'code':
+            return highlighted != null
+                ? <pre className="hljs text-xs p-3 rounded overflow-auto"><code dangerouslySetInnerHTML={{ __html: highlighted }} /></pre>
+                : <pre className="text-xs p-3 rounded overflow-auto bg-gray-50 whitespace-pre-wrap">{text}</pre>;
+        default:
+            return <pre className="text-xs p-3 rounded overflow-auto bg-gray-50 whitespace-pre-wrap">{text}</pre>;
+    }
+}
+
+// --- Component: File Preview ---
+// Modal that renders the selected file inline, with previous/next across `files`.
+// `loadBlob({ signal })` overrides where the content of `file` comes from (e.g. an older version);
+// it should be stable across renders, and return decrypted content. `subtitle` replaces the size line
+// under the name. Files from encrypted folders ask for the passphrase inline while it is locked.
+export default function FilePreview({ apiBaseUrl, file, files, onSelect, onClose, onDownload, loadBlob, subtitle }) {
+    const dialogRef = useRef(null);
+    useFocusTrap(dialogRef);
+    const [preview, setPreview] = useState({ status: 'loading' });
+    const keyringVersion = useKeyring(); // Reloads on unlock, and hides the content again on lock
+    // A new object for the same file (e.g. after a listing refresh) must not refetch
+    const { id: fileId, name: fileName, mimeType: fileMimeType, size: fileSize } = file;
+
+    const index = files.findIndex(f => f.id === file.id);
+    const prevFile = index > 0 ? files[index - 1] : null;
+    const nextFile = index !== -1 && index < files.length - 1 ? files[index + 1] : null;
+
+    // Load the file whenever the selection changes; abort and free the blob URL when it changes again
+    useEffect(() => {
+        const controller = new AbortController();
+        let objectUrl = null;
+
+        const guessedKind = getPreviewKind(fileMimeType || '', fileName);
+        if (!guessedKind && fileSize > MAX_UNKNOWN_TYPE_FETCH_BYTES) {
+            setPreview({ status: 'ready', kind: null });
+            return undefined;
+        }
+
+        setPreview({ status: 'loading' });
+        const request = loadBlob
+            ? loadBlob({ signal: controller.signal })
+            : fetchFileBlob(apiBaseUrl, fileId, { fallbackName: fileName, signal: controller.signal, keepOffline: true }).then(decryptDownload);
+        request
+            .then(async ({ blob, contentType }) => {
+                const kind = getPreviewKind(contentType, fileName);
+                if (TEXT_KINDS.includes(kind)) {
+                    const truncated = blob.size > MAX_TEXT_PREVIEW_BYTES;
+                    const text = await blob.slice(0, MAX_TEXT_PREVIEW_BYTES).text();
+                    setPreview({ status: 'ready', kind, text, truncated });
+                } else if (kind) {
+                    // Re-typed, so content the uploader labelled e.g. text/html can't run as an app-origin page
+                    objectUrl = URL.createObjectURL(new Blob([blob], { type: getPreviewContentType(kind, contentType, fileName) }));
+                    setPreview({ status: 'ready', kind, url: objectUrl });
+                } else {
+                    setPreview({ status: 'ready', kind: null });
+                }
+            })
+            .catch(err => {
+                if (isCanceled(err)) return;
+                if (err instanceof EncryptionLockedError) return setPreview({ status: 'locked', keyParams: err.keyParams, sample: err.sample });
+                console.error('Preview error:', err.data || err.message || err);
+                setPreview({
+                    status: 'error',
+                    error: isNetworkError(err) ? `No offline copy of ${fileName} on this device.`
+                        : err.name === 'OperationError' ? `${fileName} couldn't be decrypted. The file may be damaged.` // Web Crypto
+                        : `Could not load ${fileName}.`,
+                });
+            });
+
+        return () => {
+            controller.abort();
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [apiBaseUrl, fileId, fileName, fileMimeType, fileSize, loadBlob, keyringVersion]);
+
+    // Keyboard: Escape closes, arrows move between files
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+            else if (e.key === 'ArrowLeft' && prevFile) onSelect(prevFile);
+            else if (e.key === 'ArrowRight' && nextFile) onSelect(nextFile);
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose, onSelect, prevFile, nextFile]);
+
+    const navButtonClass = 'px-3 py-1 rounded text-sm font-medium bg-gray-100 hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed';
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+            <div
+                ref={dialogRef}
+                tabIndex={-1}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="file-preview-title"
+                className="outline-none bg-white rounded-lg shadow-xl w-full max-w-5xl h-[85vh] flex flex-col"
+                onClick={e => e.stopPropagation()}
+            >
+                {/* Header */}
+                <div className="flex items-center justify-between gap-3 border-b px-4 py-3">
+                    <div className="min-w-0">
+                        <h2 id="file-preview-title" className="font-semibold text-gray-800 truncate" title={file.name}>{file.name}</h2>
+                        {subtitle ? <p className="text-xs text-gray-500">{subtitle}</p>
+                            : file.size != null && <p className="text-xs text-gray-500">{formatBytes(file.size)}</p>}
+                    </div>
+                    <div className="flex items-center gap-2 flex-shrink-0">
+                        {files.length > 1 && (
+                            <>
+                                <button onClick={() => onSelect(prevFile)} disabled={!prevFile} className={navButtonClass} title="Previous file">‹ Prev</button>
+                                <span className="text-xs text-gray-500">{index + 1} / {files.length}</span>
+                                <button onClick={() => onSelect(nextFile)} disabled={!nextFile} className={navButtonClass} title="Next file">Next ›</button>
+                            </>
+                        )}
+                        <button onClick={() => onDownload(file)} className="font-medium text-sm text-blue-600 hover:text-blue-800 hover:underline ml-2">Download</button>
+                        <button onClick={onClose} className="ml-2 text-gray-500 hover:text-gray-800 text-xl leading-none" aria-label="Close preview">×</button>
+                    </div>
+                </div>
+
+                {/* Body */}
+                <div className="flex-1 overflow-auto p-4">
+                    {preview.status === 'loading' && <p className="text-center py-10 text-gray-500">Loading preview...</p>}
+                    {preview.status === 'error' && <p className="text-center py-10 text-red-600">{preview.error}</p>}
+                    {preview.status === 'locked' && (
+                        <div className="mx-auto max-w-sm py-10">
+                            <p className="mb-4 text-center text-gray-700">🔒 This file is encrypted. Enter the passphrase of its folder to preview it.</p>
+                            <PassphraseForm idPrefix="preview_unlock" keyParams={preview.keyParams} sample={preview.sample} autoFocus />
+                        </div>
+                    )}
+                    {preview.status === 'ready' && (preview.kind ? (
+                        <>
+                            {preview.truncated && (
+                                <p className="mb-2 text-xs text-yellow-700">Showing the first {formatBytes(MAX_TEXT_PREVIEW_BYTES)} only.</p>
+                            )}
+                            <PreviewBody preview={preview} file={file} />
+                        </>
+                    ) : (
+                        <div className="text-center py-10 text-gray-600">
+                            <p className="mb-4">No preview available for this file type.</p>
+                            <button onClick={() => onDownload(file)} className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded text-sm">Download instead</button>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,29 @@
+import React, { useState, useEffect } from 'react';
+import { getFolderSize } from '../utils/storage';
+import { formatBytes } from '../utils/format';
+
+// --- Component: Folder Size ---
+// Recursive size of a folder, computed when the row first shows and cached in utils/storage.
+// `version` changes whenever App clears that cache, which makes mounted rows recompute.
+export default function FolderSize({ apiBaseUrl, folderId, version }) {
+    const [size, setSize] = useState({ status: 'loading' });
+
+    useEffect(() => {
+        let cancelled = false;
+        setSize({ status: 'loading' });
+        getFolderSize(apiBaseUrl, folderId)
+            .then(bytes => {
+                if (!cancelled) setSize({ status: 'ready', bytes });
+            })
+            .catch(err => {
+                if (cancelled) return;
+                setSize({ status: 'error' });
+                console.warn(`Folder size error (${folderId}):`, err.data || err.message || err);
+            });
+        return () => { cancelled = true; };
+    }, [apiBaseUrl, folderId, version]);
+
+    if (size.status === 'loading') return <span className="text-gray-400" title="Calculating size...">…</span>;
+    if (size.status === 'error') return '-';
+    return formatBytes(size.bytes);
+}
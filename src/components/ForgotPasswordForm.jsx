@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { getErrorMessage } from '../utils/apiClient';
+import { requestPasswordReset } from '../utils/account';
+import { viewUrl } from '../hooks/useDriveRoute';
+
+// --- Component: Forgot Password ---
+// Asks the backend to email a reset link. The answer is the same whether or not the email has
+// an account, so the confirmation is worded to match.
+export default function ForgotPasswordForm({ apiBaseUrl, onBackToLogin }) {
+    const [email, setEmail] = useState('');
+    const [sentTo, setSentTo] = useState(null);
+    const [isSending, setIsSending] = useState(false);
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        setIsSending(true);
+        try {
+            await requestPasswordReset(apiBaseUrl, email.trim(), `${window.location.origin}${viewUrl('resetPassword')}`);
+            setSentTo(email.trim());
+        } catch (err) {
+            toast.error(getErrorMessage(err, 'Could not send the reset link.'));
+            console.error('Password reset request error:', err.data || err.message || err);
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    return (
+        <div className="space-y-4 bg-white shadow-md rounded px-8 pt-6 pb-8 mb-4 max-w-md mx-auto">
+            <h1 className="text-center text-2xl font-bold mb-6 text-gray-700">Reset password</h1>
+            {sentTo ? (
+                <p role="status" className="text-sm text-gray-700">
+                    If an account exists for <span className="font-semibold">{sentTo}</span>, we've sent it a link to choose a new password.
+                    The link expires after a while; request a new one if it has.
+                </p>
+            ) : (
+                <form onSubmit={handleSubmit}>
+                    <p className="text-sm text-gray-600 mb-4">Enter the email address of your account and we'll send you a link to choose a new password.</p>
+                    <div className="mb-6">
+                        <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="email_forgot">Email</label>
+                        <input id="email_forgot" type="email" autoComplete="email" value={email} onChange={e => setEmail(e.target.value)} placeholder="your.email@example.com" required
+                            className="shadow-sm appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-1 focus:ring-blue-500" />
+                    </div>
+                    <button type="submit" disabled={isSending}
+                        className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-50 disabled:cursor-not-allowed">
+                        {isSending ? 'Sending...' : 'Send reset link'}
+                    </button>
+                </form>
+            )}
+            <button type="button" onClick={onBackToLogin} className="font-bold text-sm text-blue-500 hover:text-blue-800">← Back to login</button>
+        </div>
+    );
+}
@@ -0,0 +1,60 @@
+import React from 'react';
+import { canEditItem, canShareItem } from '../utils/sharing';
+import { isStarred } from '../utils/starred';
+
+const linkClass = 'font-medium hover:underline disabled:opacity-50 disabled:no-underline';
+
+// --- Component: Item Actions ---
+// The action links of one row (or grid card). Viewers only get the read-only actions; sharing is left
+// to the owner. Offline (`isOnline` false), only what works from saved copies or goes through the
+// outbox is offered. `isZipRunning` disables Download ZIP while another archive is being built.
+export default function ItemActions({
+    item, isOnline, isLoading, isZipRunning,
+    onStar, onDownloadZip, onUpdate, onDownload, onVersions, onShare, onRename, onMove, onDelete,
+}) {
+    const canEdit = canEditItem(item);
+    const pendingLabel = item.pendingSync && <span className="text-xs text-gray-400 italic" title="Saved on this device, not yet on the server">⏳ Waiting to sync</span>;
+    if (item.pendingSync === 'create') return pendingLabel; // No server id yet
+    if (!isOnline) {
+        return (
+            <>
+                {pendingLabel}
+                {item.type === 'file' && <button onClick={() => onDownload(item)} disabled={isLoading} className={`${linkClass} text-blue-600 hover:text-blue-800`} title="Download the copy saved on this device">Download</button>}
+                {canEdit && (
+                    <>
+                        <button onClick={() => onRename(item)} disabled={isLoading} className={`${linkClass} text-gray-600 hover:text-gray-800`} title={`Rename ${item.type}`}>Rename</button>
+                        <button onClick={() => onDelete(item)} disabled={isLoading} className={`${linkClass} text-red-600 hover:text-red-800`} title={`Delete ${item.type}`}>Delete</button>
+                    </>
+                )}
+            </>
+        );
+    }
+    return (
+        <>
+            {pendingLabel}
+            <button onClick={() => onStar(item)} disabled={isLoading} aria-pressed={isStarred(item)} className={`${linkClass} text-amber-600 hover:text-amber-800`} title={isStarred(item) ? 'Remove from Starred' : 'Add to Starred'}>
+                {isStarred(item) ? '★ Starred' : '☆ Star'}
+            </button>
+            {item.type === 'folder' && (
+                <button onClick={() => onDownloadZip(item)} disabled={isLoading || isZipRunning} className={`${linkClass} text-blue-600 hover:text-blue-800`} title="Download Folder as ZIP">Download ZIP</button>
+            )}
+            {item.type === 'file' && (
+                <>
+                    {canEdit && <button onClick={() => onUpdate(item)} disabled={isLoading} className={`${linkClass} text-yellow-600 hover:text-yellow-800`} title="Replace File Content">Update</button>}
+                    <button onClick={() => onDownload(item)} disabled={isLoading} className={`${linkClass} text-blue-600 hover:text-blue-800`} title="Download File">Download</button>
+                    <button onClick={() => onVersions(item)} disabled={isLoading} className={`${linkClass} text-gray-600 hover:text-gray-800`} title="Version History">Versions</button>
+                </>
+            )}
+            {canShareItem(item) && (
+                <button onClick={() => onShare(item)} disabled={isLoading} className={`${linkClass} text-green-600 hover:text-green-800`} title={`Share ${item.type}`}>Share</button>
+            )}
+            {canEdit && (
+                <>
+                    <button onClick={() => onRename(item)} disabled={isLoading} className={`${linkClass} text-gray-600 hover:text-gray-800`} title={`Rename ${item.type}`}>Rename</button>
+                    <button onClick={() => onMove(item)} disabled={isLoading} className={`${linkClass} text-gray-600 hover:text-gray-800`} title={`Move ${item.type}`}>Move</button>
+                    <button onClick={() => onDelete(item)} disabled={isLoading} className={`${linkClass} text-red-600 hover:text-red-800`} title={`Delete ${item.type}`}>Delete</button>
+                </>
+            )}
+        </>
+    );
+}
@@ -0,0 +1,61 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ItemActions from './ItemActions';
+
+const FILE = { type: 'file', id: 10, name: 'notes.txt' };
+const FOLDER = { type: 'folder', id: 1, name: 'Projects' };
+
+const HANDLERS = ['onStar', 'onDownloadZip', 'onUpdate', 'onDownload', 'onVersions', 'onShare', 'onRename', 'onMove', 'onDelete'];
+
+const renderActions = (item, props = {}) => {
+    const handlers = Object.fromEntries(HANDLERS.map(name => [name, vi.fn()]));
+    render(<ItemActions item={item} isOnline isLoading={false} isZipRunning={false} {...handlers} {...props} />);
+    return handlers;
+};
+
+const buttonNames = () => screen.getAllByRole('button').map(button => button.textContent);
+
+describe('ItemActions', () => {
+    it.each([
+        ['an owned file', FILE, ['☆ Star', 'Update', 'Download', 'Versions', 'Share', 'Rename', 'Move', 'Delete']],
+        ['an owned folder', FOLDER, ['☆ Star', 'Download ZIP', 'Share', 'Rename', 'Move', 'Delete']],
+        ['an editable file shared with me', { ...FILE, role: 'editor' }, ['☆ Star', 'Update', 'Download', 'Versions', 'Rename', 'Move', 'Delete']],
+        ['a view-only file', { ...FILE, role: 'viewer' }, ['☆ Star', 'Download', 'Versions']],
+    ])('offers the actions allowed on %s', (_, item, expected) => {
+        renderActions(item);
+
+        expect(buttonNames()).toEqual(expected);
+    });
+
+    it('offers only what works from saved copies while offline', () => {
+        renderActions(FILE, { isOnline: false });
+
+        expect(buttonNames()).toEqual(['Download', 'Rename', 'Delete']);
+    });
+
+    it('shows only the sync note for an item created offline', () => {
+        renderActions({ ...FOLDER, id: 'offline-1', pendingSync: 'create' });
+
+        expect(screen.queryByRole('button')).not.toBeInTheDocument();
+        expect(screen.getByText('⏳ Waiting to sync')).toBeInTheDocument();
+    });
+
+    it('hands the item to the clicked action', async () => {
+        const handlers = renderActions(FOLDER);
+
+        await userEvent.click(screen.getByRole('button', { name: 'Download ZIP' }));
+        await userEvent.click(screen.getByRole('button', { name: 'Move' }));
+
+        expect(handlers.onDownloadZip).toHaveBeenCalledWith(FOLDER);
+        expect(handlers.onMove).toHaveBeenCalledWith(FOLDER);
+    });
+
+    it('disables Download ZIP while another archive is being built', () => {
+        renderActions(FOLDER, { isZipRunning: true });
+
+        expect(screen.getByRole('button', { name: 'Download ZIP' })).toBeDisabled();
+        expect(screen.getByRole('button', { name: 'Move' })).toBeEnabled();
+    });
+});
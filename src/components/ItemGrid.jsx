@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import RenameInput from './RenameInput';
+import { getItemKey } from '../utils/itemActions';
+import { isInFileGroup, getTypeLabel } from '../utils/fileTypes';
+import { fileDownloadUrl } from '../utils/download';
+import { formatBytes } from '../utils/format';
+import { getFolderEncryption } from '../utils/encryption';
+
+const MAX_THUMBNAIL_BYTES = 5 * 1024 * 1024; // There is no thumbnail endpoint, so a thumbnail is the whole image
+
+// Images load straight from the download endpoint (the session cookie goes along);
+// anything else, an image of unknown size or over MAX_THUMBNAIL_BYTES, or one that fails to load shows the type icon instead
+function Thumbnail({ apiBaseUrl, item, showImages }) {
+    const [failed, setFailed] = useState(false);
+    const showImage = showImages && item.type === 'file' && !failed && isInFileGroup(item, 'image')
+        && item.size != null && Number(item.size) <= MAX_THUMBNAIL_BYTES;
+
+    return (
+        <div className="h-28 flex items-center justify-center bg-gray-50 rounded overflow-hidden">
+            {showImage ? (
+                <img src={fileDownloadUrl(apiBaseUrl, item.id)} alt="" loading="lazy" onError={() => setFailed(true)} className="max-h-full max-w-full object-contain" />
+            ) : (
+                <span className="text-5xl" aria-hidden="true">{item.type === 'folder' ? '📁' : '📄'}{getFolderEncryption(item) && <span className="text-2xl">🔒</span>}</span>
+            )}
+        </div>
+    );
+}
+
+// --- Component: Item Grid ---
+// Thumbnail view of the current folder. Selection, drag & drop, inline rename, keyboard
+// navigation and the row actions behave as in the table; the parent supplies drag handlers,
+// the keyboard props (see hooks/useItemKeyboard.js) and action buttons. Without `showImages`
+// (e.g. in an encrypted folder, whose images the browser can't decode) every item shows its icon.
+export default function ItemGrid({
+    apiBaseUrl, items, selectedKeys, highlightKey, dropTargetKey, renamingKey, showImages = true,
+    onToggleSelect, onOpen, onRename, onRenameCancel, getDragProps, renderActions, containerRef, getItemProps,
+}) {
+    return (
+        <ul ref={containerRef} aria-label="Folder contents" className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 gap-3 p-3">
+            {items.map(item => {
+                const key = getItemKey(item);
+                const isSelected = selectedKeys.has(key);
+                const stateClass = dropTargetKey === key ? 'ring-2 ring-blue-400 bg-blue-50'
+                    : isSelected ? 'ring-2 ring-blue-300 bg-blue-50'
+                    : highlightKey === key ? 'ring-2 ring-yellow-400 bg-yellow-50'
+                    : 'hover:shadow-md bg-white';
+                return (
+                    <li
+                        key={key}
+                        id={`item-row-${key}`}
+                        {...getDragProps(item)}
+                        {...getItemProps(item)}
+                        aria-label={item.name}
+                        className={`relative border rounded-lg p-2 flex flex-col gap-2 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${stateClass}`}
+                    >
+                        <input
+                            type="checkbox"
+                            aria-label={`Select ${item.name}`}
+                            checked={isSelected}
+                            onChange={e => onToggleSelect(item, e.nativeEvent.shiftKey)}
+                            className="absolute top-3 left-3 z-10"
+                        />
+                        <button type="button" onClick={() => onOpen(item)} className="block w-full" title={item.type === 'folder' ? `Open ${item.name}` : `Preview ${item.name}`}>
+                            <Thumbnail apiBaseUrl={apiBaseUrl} item={item} showImages={showImages} />
+                        </button>
+                        {renamingKey === key ? (
+                            <RenameInput item={item} onSubmit={newName => onRename(item, newName)} onCancel={onRenameCancel} />
+                        ) : (
+                            <button type="button" onClick={() => onOpen(item)} className={`text-sm text-left truncate hover:underline ${item.type === 'folder' ? 'text-blue-600 font-semibold' : 'text-gray-900 font-medium'}`} title={item.name}>
+                                {item.name}
+                            </button>
+                        )}
+                        <p className="text-xs text-gray-500 truncate">
+                            {getTypeLabel(item)}{item.type === 'file' && item.size != null && ` · ${formatBytes(item.size)}`}
+                        </p>
+                        <div className="flex flex-wrap gap-x-2 gap-y-1 text-xs">{renderActions(item)}</div>
+                    </li>
+                );
+            })}
+        </ul>
+    );
+}
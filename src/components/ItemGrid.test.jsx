@@ -0,0 +1,39 @@
+import React from 'react';
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import ItemGrid from './ItemGrid';
+
+const MiB = 1024 * 1024;
+
+const renderGrid = (items, props = {}) => render(
+    <ItemGrid
+        apiBaseUrl="http://api"
+        items={items}
+        selectedKeys={new Set()}
+        onToggleSelect={() => {}}
+        onOpen={() => {}}
+        getDragProps={() => ({})}
+        renderActions={() => null}
+        getItemProps={() => ({})}
+        {...props}
+    />
+);
+
+const image = (id, size) => ({ type: 'file', id, name: `photo-${id}.jpg`, mimeType: 'image/jpeg', size });
+
+describe('ItemGrid', () => {
+    it('loads thumbnails only for images small enough to download whole', () => {
+        const { container } = renderGrid([image(1, 200 * 1024), image(2, 50 * MiB), image(3, undefined)]);
+
+        const thumbnails = container.querySelectorAll('img');
+        expect(thumbnails).toHaveLength(1);
+        expect(thumbnails[0]).toHaveAttribute('src', 'http://api/api/files/download/1');
+        expect(screen.getByRole('listitem', { name: 'photo-2.jpg' }).querySelector('img')).toBeNull();
+    });
+
+    it('shows icons instead of images when asked to', () => {
+        const { container } = renderGrid([image(1, 200 * 1024)], { showImages: false });
+
+        expect(container.querySelector('img')).toBeNull();
+    });
+});
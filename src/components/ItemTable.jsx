@@ -0,0 +1,146 @@
+import React from 'react';
+import RenameInput from './RenameInput';
+import FolderSize from './FolderSize';
+import { getItemKey } from '../utils/itemActions';
+import { getTypeLabel } from '../utils/fileTypes';
+import { formatBytes, formatDate, getModifiedAt } from '../utils/format';
+import { getFolderEncryption } from '../utils/encryption';
+
+// --- Component: Sortable Column Header ---
+function SortHeader({ label, sortKey, prefs, onSort, className = '' }) {
+    const isActive = prefs.sortKey === sortKey;
+    return (
+        <th scope="col" className={`px-4 sm:px-6 py-3 ${className}`} aria-sort={isActive ? (prefs.sortDir === 'asc' ? 'ascending' : 'descending') : 'none'}>
+            <button type="button" onClick={() => onSort(sortKey)} className="inline-flex items-center gap-1 uppercase font-semibold hover:text-gray-900">
+                {label}
+                <span className={isActive ? 'text-gray-700' : 'text-gray-300'} aria-hidden="true">{isActive && prefs.sortDir === 'desc' ? '▼' : '▲'}</span>
+            </button>
+        </th>
+    );
+}
+
+// --- Component: Item Table ---
+// Table view of the current folder, the counterpart of ItemGrid: the parent supplies drag handlers,
+// the keyboard props (see hooks/useItemKeyboard.js) and action buttons. `rows` is the window of
+// rendered rows from hooks/useVirtualRows.js; `hasMore` says further pages are still to load, so the
+// total row count is unknown. `prefs` picks the sort order shown and the optional columns.
+export default function ItemTable({
+    apiBaseUrl, items, hasMore, isLoading, emptyMessage, prefs, rows, folderSizesVersion,
+    selectedKeys, hasSelection, highlightKey, dropTargetKey, renamingKey,
+    onSort, onToggleSelect, onToggleSelectAll, onOpen, onRename, onRenameCancel, getDragProps, renderActions, containerRef, getItemProps,
+}) {
+    const allSelected = items.length > 0 && items.every(item => selectedKeys.has(getItemKey(item)));
+    // Checkbox, Name and Actions always show
+    const columnCount = 3 + ['type', 'size', 'modified'].filter(column => prefs.columns[column]).length;
+
+    return (
+        <table
+            ref={containerRef}
+            aria-label="Folder contents"
+            aria-rowcount={hasMore ? -1 : items.length + 1} // Rows outside the window aren't in the DOM; -1 = total unknown yet
+            className="w-full text-sm text-left text-gray-500"
+        >
+            <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                <tr>
+                    <th scope="col" className="pl-4 py-3 w-8">
+                        <input
+                            type="checkbox"
+                            aria-label="Select all items"
+                            checked={allSelected}
+                            ref={el => { if (el) el.indeterminate = hasSelection && !allSelected; }}
+                            onChange={onToggleSelectAll}
+                            disabled={items.length === 0}
+                        />
+                    </th>
+                    <SortHeader label="Name" sortKey="name" prefs={prefs} onSort={onSort} className="w-2/5 sm:w-1/2" />
+                    {prefs.columns.type && <SortHeader label="Type" sortKey="type" prefs={prefs} onSort={onSort} className="hidden md:table-cell" />}
+                    {prefs.columns.size && <SortHeader label="Size" sortKey="size" prefs={prefs} onSort={onSort} className="hidden sm:table-cell" />}
+                    {prefs.columns.modified && <SortHeader label="Modified" sortKey="modified" prefs={prefs} onSort={onSort} className="hidden lg:table-cell" />}
+                    <th scope="col" className="px-4 sm:px-6 py-3 text-right">Actions</th>
+                </tr>
+            </thead>
+            {/* Render table body only if not initial loading */}
+            {(!isLoading || items.length > 0) && (
+                <tbody ref={rows.bodyRef}>
+                    {rows.paddingTop > 0 && (
+                        <tr aria-hidden="true" style={{ height: rows.paddingTop }}><td colSpan={columnCount} /></tr>
+                    )}
+                    {items.length > 0 ? items.slice(rows.start, rows.end).map((item, offset) => {
+                        const rowKey = getItemKey(item);
+                        const isRenaming = renamingKey === rowKey;
+                        const isHighlighted = highlightKey === rowKey;
+                        return (
+                            <tr
+                                key={rowKey}
+                                ref={offset === 0 ? rows.measureRef : undefined}
+                                id={`item-row-${rowKey}`}
+                                {...getDragProps(item)}
+                                {...getItemProps(item)}
+                                aria-label={item.name}
+                                aria-rowindex={rows.start + offset + 2} // The header row is 1
+                                className={`border-b align-middle focus:outline-none focus-visible:ring-2 focus-visible:ring-inset focus-visible:ring-blue-500 ${dropTargetKey === rowKey ? 'bg-blue-50 ring-1 ring-inset ring-blue-400' : selectedKeys.has(rowKey) ? 'bg-blue-50' : isHighlighted ? 'bg-yellow-50 ring-1 ring-inset ring-yellow-400' : 'bg-white hover:bg-gray-50'}`}
+                            >
+                                {/* Selection */}
+                                <td className="pl-4 py-3 w-8">
+                                    <input
+                                        type="checkbox"
+                                        aria-label={`Select ${item.name}`}
+                                        checked={selectedKeys.has(rowKey)}
+                                        // React fires onChange from the click, so the native event carries shiftKey
+                                        onChange={e => onToggleSelect(item, e.nativeEvent.shiftKey)}
+                                    />
+                                </td>
+                                {/* Name & Icon */}
+                                <td className="px-4 sm:px-6 py-3 font-medium text-gray-900 whitespace-nowrap flex items-center max-w-xs sm:max-w-sm md:max-w-md lg:max-w-lg">
+                                    <span className="mr-2 text-lg flex-shrink-0">{item.type === 'folder' ? '📁' : '📄'}</span>
+                                    {getFolderEncryption(item) && <span className="mr-1 text-xs flex-shrink-0" title="Encrypted folder" aria-label="Encrypted">🔒</span>}
+                                    {isRenaming ? (
+                                        <RenameInput item={item} onSubmit={newName => onRename(item, newName)} onCancel={onRenameCancel} />
+                                    ) : item.type === 'folder' ? (
+                                        <button onClick={() => onOpen(item)} className="text-blue-600 hover:underline font-semibold text-left truncate" title={item.name}>
+                                            {item.name}
+                                        </button>
+                                    ) : (
+                                        <button onClick={() => onOpen(item)} className="text-gray-900 hover:underline text-left truncate" title={`Preview ${item.name}`}>
+                                            {item.name}
+                                        </button>
+                                    )}
+                                </td>
+                                {/* Type */}
+                                {prefs.columns.type && (
+                                    <td className="px-4 sm:px-6 py-3 hidden md:table-cell">{getTypeLabel(item)}</td>
+                                )}
+                                {/* Size */}
+                                {prefs.columns.size && (
+                                    <td className="px-4 sm:px-6 py-3 hidden sm:table-cell">
+                                        {item.pendingSync === 'create' ? '-' : item.type === 'folder'
+                                            ? <FolderSize apiBaseUrl={apiBaseUrl} folderId={item.id} version={folderSizesVersion} />
+                                            : item.size != null ? formatBytes(item.size) : '-'}
+                                    </td>
+                                )}
+                                {/* Modified */}
+                                {prefs.columns.modified && (
+                                    <td className="px-4 sm:px-6 py-3 hidden lg:table-cell whitespace-nowrap">{formatDate(getModifiedAt(item))}</td>
+                                )}
+                                {/* Actions */}
+                                <td className="px-4 sm:px-6 py-3 text-right space-x-2 whitespace-nowrap">
+                                    {renderActions(item)}
+                                </td>
+                            </tr>
+                        );
+                    }) : (
+                        // Only show "empty" message if not loading
+                        !isLoading && (
+                            <tr>
+                                <td colSpan={columnCount} className="text-center py-6 px-6 text-gray-500 italic">{emptyMessage}</td>
+                            </tr>
+                        )
+                    )}
+                    {rows.paddingBottom > 0 && (
+                        <tr aria-hidden="true" style={{ height: rows.paddingBottom }}><td colSpan={columnCount} /></tr>
+                    )}
+                </tbody>
+            )}
+        </table>
+    );
+}
@@ -0,0 +1,88 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ItemTable from './ItemTable';
+import { DEFAULT_VIEW_PREFS } from '../hooks/useViewPrefs';
+
+const ITEMS = [
+    { type: 'folder', id: 1, name: 'Projects' },
+    { type: 'file', id: 10, name: 'notes.txt', size: 2048 },
+    { type: 'file', id: 11, name: 'plan.md' },
+];
+
+// Every row rendered, as useVirtualRows gives for short listings
+const ALL_ROWS = { start: 0, end: Infinity, paddingTop: 0, paddingBottom: 0 };
+
+const renderTable = (props = {}) => {
+    const handlers = { onSort: vi.fn(), onToggleSelect: vi.fn(), onToggleSelectAll: vi.fn(), onOpen: vi.fn() };
+    render(
+        <ItemTable
+            apiBaseUrl="http://api"
+            items={ITEMS}
+            hasMore={false}
+            isLoading={false}
+            emptyMessage="This folder is empty."
+            prefs={{ ...DEFAULT_VIEW_PREFS, columns: { type: true, size: false, modified: false } }}
+            rows={ALL_ROWS}
+            folderSizesVersion={0}
+            selectedKeys={new Set()}
+            hasSelection={false}
+            getDragProps={() => ({})}
+            renderActions={item => <button type="button">Delete {item.name}</button>}
+            getItemProps={() => ({})}
+            {...handlers}
+            {...props}
+        />
+    );
+    return handlers;
+};
+
+describe('ItemTable', () => {
+    it('lists the items with the chosen columns', () => {
+        renderTable();
+
+        const table = screen.getByRole('table', { name: 'Folder contents' });
+        expect(table).toHaveAttribute('aria-rowcount', '4');
+        expect(screen.getAllByRole('columnheader').map(header => header.textContent)).toEqual(['', 'Name▲', 'Type▲', 'Actions']);
+        expect(within(screen.getByRole('row', { name: 'notes.txt' })).getByRole('button', { name: 'Delete notes.txt' })).toBeInTheDocument();
+    });
+
+    it('marks the sort column and sorts by the clicked one', async () => {
+        const { onSort } = renderTable();
+
+        expect(screen.getByRole('columnheader', { name: /Name/ })).toHaveAttribute('aria-sort', 'ascending');
+        await userEvent.click(screen.getByRole('button', { name: /Type/ }));
+
+        expect(onSort).toHaveBeenCalledWith('type');
+    });
+
+    it('opens items and toggles their selection', async () => {
+        const { onOpen, onToggleSelect, onToggleSelectAll } = renderTable({ selectedKeys: new Set(['file-10']), hasSelection: true });
+
+        expect(screen.getByLabelText('Select all items')).toHaveProperty('indeterminate', true);
+        await userEvent.click(screen.getByRole('button', { name: 'Projects' }));
+        await userEvent.click(screen.getByLabelText('Select plan.md'));
+        await userEvent.click(screen.getByLabelText('Select all items'));
+
+        expect(onOpen).toHaveBeenCalledWith(ITEMS[0]);
+        expect(onToggleSelect).toHaveBeenCalledWith(ITEMS[2], false);
+        expect(onToggleSelectAll).toHaveBeenCalled();
+    });
+
+    it('renders only the rows in the window, with spacers for the rest', () => {
+        renderTable({ rows: { start: 1, end: 2, paddingTop: 53, paddingBottom: 53 }, hasMore: true });
+
+        expect(screen.getAllByRole('row', { name: /\./ }).map(row => row.getAttribute('aria-label'))).toEqual(['notes.txt']);
+        expect(screen.getByRole('row', { name: 'notes.txt' })).toHaveAttribute('aria-rowindex', '3');
+        expect(screen.getByRole('table')).toHaveAttribute('aria-rowcount', '-1');
+        expect(document.querySelectorAll('tr[aria-hidden="true"]')).toHaveLength(2);
+    });
+
+    it('says when there is nothing to show', () => {
+        renderTable({ items: [] });
+
+        expect(screen.getByText('This folder is empty.')).toBeInTheDocument();
+        expect(screen.getByLabelText('Select all items')).toBeDisabled();
+    });
+});
@@ -0,0 +1,24 @@
+import React, { useState, useEffect } from 'react';
+import { subscribeToAnnouncements } from '../utils/announce';
+
+// --- Component: Live Region ---
+// Visually hidden status region that reads out messages passed to announce(). The text is
+// cleared first, so announcing the same message twice is read twice.
+export default function LiveRegion() {
+    const [message, setMessage] = useState('');
+
+    useEffect(() => {
+        let timer = null;
+        const unsubscribe = subscribeToAnnouncements(next => {
+            setMessage('');
+            clearTimeout(timer);
+            timer = setTimeout(() => setMessage(next), 50);
+        });
+        return () => {
+            clearTimeout(timer);
+            unsubscribe();
+        };
+    }, []);
+
+    return <div role="status" aria-live="polite" aria-atomic="true" className="sr-only">{message}</div>;
+}
@@ -0,0 +1,35 @@
+import React, { useEffect, useRef } from 'react';
+
+const PRELOAD_MARGIN_PX = 600; // The next page is requested this far before the end of the list comes into view
+
+// --- Component: Load More ---
+// Foot of a listing that has more pages on the server. The next page loads by itself as the foot
+// scrolls near the viewport (unless `paused`, e.g. after a failed page or in the grid view); the button loads it for
+// keyboard users and browsers without IntersectionObserver.
+export default function LoadMore({ loadedCount, isLoading, paused, onLoadMore }) {
+    const footRef = useRef(null);
+
+    // Observing anew after every page also catches a foot that is still in view, e.g. after a short page
+    useEffect(() => {
+        if (isLoading || paused || typeof IntersectionObserver === 'undefined' || !footRef.current) return undefined;
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) onLoadMore();
+        }, { rootMargin: `${PRELOAD_MARGIN_PX}px 0px` });
+        observer.observe(footRef.current);
+        return () => observer.disconnect();
+    }, [isLoading, paused, onLoadMore]);
+
+    return (
+        <div ref={footRef} className="flex items-center justify-center gap-3 border-t px-4 py-3 text-sm text-gray-500">
+            <span>{loadedCount} items loaded.</span>
+            <button
+                type="button"
+                onClick={onLoadMore}
+                disabled={isLoading}
+                className="font-medium text-blue-600 hover:text-blue-800 hover:underline disabled:opacity-50 disabled:no-underline"
+            >
+                {isLoading ? 'Loading more...' : 'Load more'}
+            </button>
+        </div>
+    );
+}
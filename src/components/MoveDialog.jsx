@@ -0,0 +1,144 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { api } from '../utils/apiClient';
+import { getMoveError } from '../utils/itemActions';
+import useFocusTrap from '../hooks/useFocusTrap';
+
+// --- Component: Folder Tree Node ---
+// Children are fetched the first time a node is expanded
+function FolderTreeNode({ apiBaseUrl, folder, pathIds, depth, movingFolderIds, selectedId, onSelect }) {
+    const [isExpanded, setIsExpanded] = useState(depth === 0);
+    const [children, setChildren] = useState(null); // null = not loaded yet
+    const [loadError, setLoadError] = useState(null);
+
+    // A folder being moved can't be a target, and neither can anything below it
+    const isDisabled = movingFolderIds.includes(folder.id);
+
+    useEffect(() => {
+        if (!isExpanded || children !== null || isDisabled) return;
+        let cancelled = false;
+        api.get(`${apiBaseUrl}/api/folders`, { params: { parentId: folder.id } })
+            .then(res => {
+                if (cancelled) return;
+                const folders = Array.isArray(res.data) ? res.data : res.data?.folders || [];
+                setChildren([...folders].sort((a, b) => a.name.localeCompare(b.name)));
+            })
+            .catch(err => {
+                if (cancelled) return;
+                setLoadError('Could not load subfolders.');
+                console.error('Folder tree error:', err.data || err.message || err);
+            });
+        return () => { cancelled = true; };
+    }, [apiBaseUrl, folder.id, isExpanded, children, isDisabled]);
+
+    const isSelected = selectedId === folder.id;
+
+    return (
+        <li>
+            <div className="flex items-center" style={{ paddingLeft: `${depth * 1.25}rem` }}>
+                <button
+                    type="button"
+                    onClick={() => setIsExpanded(!isExpanded)}
+                    disabled={isDisabled}
+                    className="w-5 text-gray-500 disabled:opacity-30"
+                    aria-label={isExpanded ? `Collapse ${folder.name}` : `Expand ${folder.name}`}
+                >
+                    {isExpanded && !isDisabled ? '▾' : '▸'}
+                </button>
+                <button
+                    type="button"
+                    onClick={() => onSelect(folder, pathIds)}
+                    disabled={isDisabled}
+                    className={`flex-1 text-left px-2 py-1 rounded text-sm truncate ${isSelected ? 'bg-blue-100 text-blue-800 font-semibold' : 'hover:bg-gray-100'} disabled:text-gray-400 disabled:hover:bg-transparent disabled:cursor-not-allowed`}
+                    aria-pressed={isSelected}
+                >
+                    📁 {folder.name}
+                </button>
+            </div>
+            {isExpanded && !isDisabled && (
+                <>
+                    {loadError && <p className="text-xs text-red-600" style={{ paddingLeft: `${(depth + 1) * 1.25 + 1.25}rem` }}>{loadError}</p>}
+                    {children === null && !loadError && (
+                        <p className="text-xs text-gray-400" style={{ paddingLeft: `${(depth + 1) * 1.25 + 1.25}rem` }}>Loading...</p>
+                    )}
+                    {children?.length > 0 && (
+                        <ul>
+                            {children.map(child => (
+                                <FolderTreeNode
+                                    key={child.id}
+                                    apiBaseUrl={apiBaseUrl}
+                                    folder={child}
+                                    pathIds={[...pathIds, child.id]}
+                                    depth={depth + 1}
+                                    movingFolderIds={movingFolderIds}
+                                    selectedId={selectedId}
+                                    onSelect={onSelect}
+                                />
+                            ))}
+                        </ul>
+                    )}
+                </>
+            )}
+        </li>
+    );
+}
+
+// --- Component: Move Dialog ---
+// "Move to…" picker. `items` all come from `sourceFolderId`; onMove gets the chosen folder.
+export default function MoveDialog({ apiBaseUrl, items, sourceFolderId, onMove, onClose }) {
+    const dialogRef = useRef(null);
+    useFocusTrap(dialogRef);
+    const [target, setTarget] = useState(null); // { folder, pathIds }
+
+    const movingFolderIds = items.filter(item => item.type === 'folder').map(item => item.id);
+    const moveError = target ? getMoveError(items, sourceFolderId, target.folder.id, target.pathIds) : null;
+    const title = items.length === 1 ? `Move "${items[0].name}"` : `Move ${items.length} items`;
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+            <div
+                ref={dialogRef}
+                tabIndex={-1}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="move-dialog-title"
+                className="outline-none bg-white rounded-lg shadow-xl w-full max-w-md flex flex-col max-h-[80vh]"
+                onClick={e => e.stopPropagation()}
+            >
+                <h2 id="move-dialog-title" className="border-b px-4 py-3 font-semibold text-gray-800 truncate">{title}</h2>
+                <ul className="flex-1 overflow-y-auto p-3">
+                    <FolderTreeNode
+                        apiBaseUrl={apiBaseUrl}
+                        folder={{ id: null, name: 'Root' }}
+                        pathIds={[null]}
+                        depth={0}
+                        movingFolderIds={movingFolderIds}
+                        selectedId={target?.folder.id}
+                        onSelect={(folder, pathIds) => setTarget({ folder, pathIds })}
+                    />
+                </ul>
+                <div className="border-t px-4 py-3">
+                    {moveError && <p className="text-xs text-red-600 mb-2">{moveError}</p>}
+                    <div className="flex justify-end gap-2">
+                        <button type="button" onClick={onClose} className="px-4 py-2 rounded text-sm font-bold bg-gray-100 hover:bg-gray-200">Cancel</button>
+                        <button
+                            type="button"
+                            onClick={() => onMove(target.folder, target.pathIds)}
+                            disabled={!target || !!moveError}
+                            className="bg-blue-500 hover:bg-blue-700 text-white px-4 py-2 rounded font-bold text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Move here
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
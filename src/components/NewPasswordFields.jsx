@@ -0,0 +1,68 @@
+import React from 'react';
+import { getPasswordIssues, getPasswordStrength } from '../utils/password';
+
+const INPUT_CLASS = 'shadow-sm appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-1 focus:ring-blue-500 disabled:opacity-50';
+
+const STRENGTH_COLORS = ['bg-red-500', 'bg-red-500', 'bg-yellow-500', 'bg-green-500', 'bg-green-600'];
+
+// --- Component: New Password Fields ---
+// Password + confirmation with a strength meter and the unmet rules (utils/password.js), shared
+// by registration, password change and reset. Hints appear once the user starts typing; the
+// parent decides whether to submit via validateNewPassword().
+export default function NewPasswordFields({ idPrefix, password, confirmPassword, onPasswordChange, onConfirmChange, context, label = 'Password', disabled = false }) {
+    const issues = password ? getPasswordIssues(password, context) : [];
+    const strength = getPasswordStrength(password);
+    const mismatch = confirmPassword && confirmPassword !== password;
+
+    return (
+        <>
+            <div className="mb-4">
+                <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor={`${idPrefix}_password`}>{label}</label>
+                <input
+                    id={`${idPrefix}_password`}
+                    type="password"
+                    autoComplete="new-password"
+                    value={password}
+                    onChange={e => onPasswordChange(e.target.value)}
+                    disabled={disabled}
+                    required
+                    aria-describedby={`${idPrefix}_password_hints`}
+                    className={INPUT_CLASS}
+                />
+                <div id={`${idPrefix}_password_hints`} aria-live="polite">
+                    {password && (
+                        <div className="mt-2 flex items-center gap-2">
+                            <span className="flex flex-1 gap-1" aria-hidden="true">
+                                {[1, 2, 3, 4].map(step => (
+                                    <span key={step} className={`h-1.5 flex-1 rounded ${step <= strength.score ? STRENGTH_COLORS[strength.score] : 'bg-gray-200'}`} />
+                                ))}
+                            </span>
+                            <span className="text-xs text-gray-600 w-16 text-right">{strength.label}</span>
+                        </div>
+                    )}
+                    {issues.length > 0 && (
+                        <ul className="mt-1 list-disc pl-5 text-xs text-red-600">
+                            {issues.map(issue => <li key={issue}>{issue}</li>)}
+                        </ul>
+                    )}
+                </div>
+            </div>
+            <div className="mb-6">
+                <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor={`${idPrefix}_confirm`}>Confirm {label.toLowerCase()}</label>
+                <input
+                    id={`${idPrefix}_confirm`}
+                    type="password"
+                    autoComplete="new-password"
+                    value={confirmPassword}
+                    onChange={e => onConfirmChange(e.target.value)}
+                    disabled={disabled}
+                    required
+                    aria-invalid={mismatch ? true : undefined}
+                    aria-describedby={mismatch ? `${idPrefix}_confirm_error` : undefined}
+                    className={INPUT_CLASS}
+                />
+                {mismatch && <p id={`${idPrefix}_confirm_error`} className="mt-1 text-xs text-red-600">The passwords don't match.</p>}
+            </div>
+        </>
+    );
+}
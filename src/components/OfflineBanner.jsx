@@ -0,0 +1,29 @@
+import React from 'react';
+import { formatDate } from '../utils/format';
+
+// --- Component: Offline Banner ---
+// Explains why the drive is read-only and what is waiting in the outbox.
+// `savedListing` ({ savedAt, complete }) is set while the folder on screen is a saved copy rather
+// than a live listing; `complete` is false when only its first pages were ever loaded.
+export default function OfflineBanner({ isOnline, savedListing, pendingCount }) {
+    const pendingNote = pendingCount > 0 ? ` ${pendingCount} change(s) waiting to sync.` : '';
+    const partialNote = savedListing && !savedListing.complete
+        ? ' This saved copy is incomplete: the rest of the folder was never loaded on this device.'
+        : '';
+    let message = null;
+    if (!isOnline) {
+        message = "You're offline. Browsing copies saved on this device; uploads, moves and sharing are unavailable. "
+            + `New folders, renames and deletes will sync when you're back online.${partialNote}${pendingNote}`;
+    } else if (savedListing) {
+        message = `Can't reach the server. Showing the copy of this folder saved ${formatDate(new Date(savedListing.savedAt))}.${partialNote}${pendingNote}`;
+    } else if (pendingCount > 0) {
+        message = `Syncing ${pendingCount} change(s) made while offline...`;
+    }
+    if (!message) return null;
+
+    return (
+        <div role="status" className="rounded border border-yellow-300 bg-yellow-50 px-4 py-2 text-sm text-yellow-800">
+            {message}
+        </div>
+    );
+}
@@ -0,0 +1,30 @@
+import React from 'react';
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import OfflineBanner from './OfflineBanner';
+
+const SAVED_AT = Date.UTC(2024, 0, 15, 9, 30);
+
+describe('OfflineBanner', () => {
+    it('shows nothing online with a live listing and nothing to sync', () => {
+        const { container } = render(<OfflineBanner isOnline savedListing={null} pendingCount={0} />);
+
+        expect(container).toBeEmptyDOMElement();
+    });
+
+    it('says when the folder on screen is a saved copy', () => {
+        render(<OfflineBanner isOnline savedListing={{ savedAt: SAVED_AT, complete: true }} pendingCount={0} />);
+
+        expect(screen.getByRole('status')).toHaveTextContent("Can't reach the server. Showing the copy of this folder saved");
+        expect(screen.getByRole('status')).not.toHaveTextContent('incomplete');
+    });
+
+    it.each([
+        ['online', true],
+        ['offline', false],
+    ])('says when the saved copy is incomplete (%s)', (_, isOnline) => {
+        render(<OfflineBanner isOnline={isOnline} savedListing={{ savedAt: SAVED_AT, complete: false }} pendingCount={2} />);
+
+        expect(screen.getByRole('status')).toHaveTextContent('This saved copy is incomplete: the rest of the folder was never loaded on this device. 2 change(s) waiting to sync.');
+    });
+});
@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { unlockKey, WrongPassphraseError } from '../utils/encryption';
+
+// --- Component: Passphrase Form ---
+// Asks for the passphrase of an encrypted folder and unlocks its key for this session
+// (utils/encryption.js). `keyParams` and `sample` are as for unlockKey; `onUnlocked()`, if given,
+// runs once the key is unlocked. Used inline by the preview and inside UnlockDialog.
+export default function PassphraseForm({ idPrefix, keyParams, sample, onUnlocked, onCancel, autoFocus = false }) {
+    const [passphrase, setPassphrase] = useState('');
+    const [error, setError] = useState(null);
+    const [isUnlocking, setIsUnlocking] = useState(false);
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        if (!passphrase) return;
+        setIsUnlocking(true);
+        setError(null);
+        try {
+            await unlockKey(keyParams, passphrase, { sample });
+            onUnlocked?.();
+        } catch (err) {
+            setError(err instanceof WrongPassphraseError ? 'Wrong passphrase.' : 'Could not unlock the folder.');
+            if (!(err instanceof WrongPassphraseError)) console.error('Unlock error:', err.message || err);
+            setIsUnlocking(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="text-left">
+            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor={`${idPrefix}_passphrase`}>Passphrase</label>
+            <input
+                id={`${idPrefix}_passphrase`}
+                type="password"
+                autoComplete="current-password"
+                value={passphrase}
+                onChange={e => setPassphrase(e.target.value)}
+                disabled={isUnlocking}
+                autoFocus={autoFocus}
+                required
+                aria-invalid={error ? true : undefined}
+                aria-describedby={error ? `${idPrefix}_passphrase_error` : undefined}
+                className="shadow-sm appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:ring-1 focus:ring-blue-500 disabled:opacity-50"
+            />
+            {error && <p id={`${idPrefix}_passphrase_error`} className="mt-1 text-xs text-red-600">{error}</p>}
+            <div className="mt-4 flex justify-end gap-2">
+                {onCancel && <button type="button" onClick={onCancel} className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded font-bold text-sm">Cancel</button>}
+                <button type="submit" disabled={isUnlocking || !passphrase} className="bg-blue-500 hover:bg-blue-700 text-white px-4 py-2 rounded font-bold text-sm disabled:opacity-50">
+                    {isUnlocking ? 'Unlocking...' : 'Unlock'}
+                </button>
+            </div>
+        </form>
+    );
+}
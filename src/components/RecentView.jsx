@@ -0,0 +1,56 @@
+import React from 'react';
+import { RECENT_ACTIONS } from '../hooks/useRecentFiles';
+import { formatDate } from '../utils/format';
+
+// --- Component: Recent View ---
+// Files recently uploaded, updated, previewed or downloaded in this browser (see hooks/useRecentFiles.js).
+// Clicking one opens its containing folder with it highlighted.
+export default function RecentView({ entries, onBack, onOpenEntry, onClear }) {
+    return (
+        <div className="mt-2">
+            <div className="flex items-center gap-3 mb-4">
+                <button type="button" onClick={onBack} className="text-sm text-blue-600 hover:underline">← My Drive</button>
+                <h2 className="text-xl font-semibold text-gray-800">Recent</h2>
+                {entries.length > 0 && (
+                    <button type="button" onClick={onClear} className="ml-auto text-sm font-medium text-gray-600 hover:text-gray-800 hover:underline">
+                        Clear list
+                    </button>
+                )}
+            </div>
+
+            <div className="overflow-x-auto shadow-md rounded-lg border bg-white">
+                <table className="w-full text-sm text-left text-gray-500">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                        <tr>
+                            <th scope="col" className="px-4 sm:px-6 py-3">Name</th>
+                            <th scope="col" className="px-4 sm:px-6 py-3">Activity</th>
+                            <th scope="col" className="px-4 sm:px-6 py-3 hidden sm:table-cell">When</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entries.length > 0 ? entries.map(entry => (
+                            <tr key={entry.id ?? `${entry.folderId}/${entry.name}`} className="border-b bg-white hover:bg-gray-50">
+                                <td className="px-4 sm:px-6 py-3 font-medium text-gray-900 whitespace-nowrap">
+                                    <span className="mr-2 text-lg">📄</span>
+                                    <button
+                                        onClick={() => onOpenEntry(entry)}
+                                        className="hover:underline text-left text-gray-900"
+                                        title={entry.shared ? 'Show in Shared with me' : `Show ${entry.name} in its folder`}
+                                    >
+                                        {entry.name}
+                                    </button>
+                                </td>
+                                <td className="px-4 sm:px-6 py-3">{RECENT_ACTIONS[entry.action] || entry.action}</td>
+                                <td className="px-4 sm:px-6 py-3 hidden sm:table-cell whitespace-nowrap">{formatDate(new Date(entry.at))}</td>
+                            </tr>
+                        )) : (
+                            <tr>
+                                <td colSpan="3" className="text-center py-6 px-6 text-gray-500 italic">Files you upload, update, preview or download show up here.</td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
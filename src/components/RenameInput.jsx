@@ -0,0 +1,42 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// --- Component: Inline Rename Input ---
+// Enter (or blur) submits, Escape cancels. For files, only the part before the
+// extension is pre-selected so typing keeps ".pdf" etc.
+export default function RenameInput({ item, onSubmit, onCancel }) {
+    const [value, setValue] = useState(item.name);
+    const inputRef = useRef(null);
+    const doneRef = useRef(false); // Blur fires after Enter/Escape too; only finish once
+
+    useEffect(() => {
+        const input = inputRef.current;
+        if (!input) return;
+        input.focus();
+        const dot = item.type === 'file' ? item.name.lastIndexOf('.') : -1;
+        input.setSelectionRange(0, dot > 0 ? dot : item.name.length);
+    }, [item.name, item.type]);
+
+    const finish = (submit) => {
+        if (doneRef.current) return;
+        doneRef.current = true;
+        const trimmed = value.trim();
+        if (submit && trimmed && trimmed !== item.name) onSubmit(trimmed);
+        else onCancel();
+    };
+
+    return (
+        <input
+            ref={inputRef}
+            type="text"
+            value={value}
+            aria-label={`Rename ${item.name}`}
+            onChange={e => setValue(e.target.value)}
+            onKeyDown={e => {
+                if (e.key === 'Enter') finish(true);
+                else if (e.key === 'Escape') finish(false);
+            }}
+            onBlur={() => finish(true)}
+            className="shadow-sm border rounded py-1 px-2 text-gray-700 text-sm w-full focus:outline-none focus:ring-1 focus:ring-blue-500"
+        />
+    );
+}
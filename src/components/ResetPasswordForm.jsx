@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { getErrorMessage } from '../utils/apiClient';
+import { resetPassword } from '../utils/account';
+import { validateNewPassword } from '../utils/password';
+import NewPasswordFields from './NewPasswordFields';
+
+// --- Component: Reset Password ---
+// Landing page of the emailed link (/reset-password?token=...). The token is checked by the
+// backend on submit; an invalid or expired one offers to request a new link.
+export default function ResetPasswordForm({ apiBaseUrl, token, onRequestNewLink, onDone }) {
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [tokenRejected, setTokenRejected] = useState(!token);
+
+    const validationError = validateNewPassword(password, confirmPassword);
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        if (validationError) return toast.warn(validationError);
+        setIsSaving(true);
+        try {
+            await resetPassword(apiBaseUrl, token, password);
+            toast.success('Your password has been changed. Log in with the new one.');
+            onDone();
+        } catch (err) {
+            // 400/404/410: unknown, used or expired token; anything else is worth retrying
+            if ([400, 404, 410].includes(err.status)) setTokenRejected(true);
+            toast.error(getErrorMessage(err, 'Could not reset the password.'));
+            console.error('Password reset error:', err.data || err.message || err);
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="space-y-4 bg-white shadow-md rounded px-8 pt-6 pb-8 mb-4 max-w-md mx-auto">
+            <h1 className="text-center text-2xl font-bold mb-6 text-gray-700">Choose a new password</h1>
+            {tokenRejected ? (
+                <div role="alert" className="text-sm text-gray-700 space-y-3">
+                    <p>This reset link is invalid or has expired.</p>
+                    <button type="button" onClick={onRequestNewLink} className="font-bold text-blue-500 hover:text-blue-800">Request a new link</button>
+                </div>
+            ) : (
+                <form onSubmit={handleSubmit}>
+                    <NewPasswordFields
+                        idPrefix="reset"
+                        label="New password"
+                        password={password}
+                        confirmPassword={confirmPassword}
+                        onPasswordChange={setPassword}
+                        onConfirmChange={setConfirmPassword}
+                        disabled={isSaving}
+                    />
+                    <button type="submit" disabled={isSaving || Boolean(validationError)}
+                        className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-50 disabled:cursor-not-allowed">
+                        {isSaving ? 'Saving...' : 'Set new password'}
+                    </button>
+                </form>
+            )}
+            <button type="button" onClick={onDone} className="font-bold text-sm text-blue-500 hover:text-blue-800">← Back to login</button>
+        </div>
+    );
+}
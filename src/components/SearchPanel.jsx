@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { isCanceled, getErrorMessage } from '../utils/apiClient';
+import { searchDrive, getSearchIndex } from '../utils/search';
+import { FILE_GROUPS } from '../utils/fileTypes';
+import { formatBytes, formatDate, getModifiedAt } from '../utils/format';
+
+const SEARCH_DEBOUNCE_MS = 300;
+const MB = 1024 * 1024;
+
+const EMPTY_FILTERS = { type: 'all', extension: '', minSizeMb: '', maxSizeMb: '', modifiedFrom: '', modifiedTo: '' };
+
+// Form values are strings; searchDrive wants bytes and nulls
+const toSearchFilters = (form) => ({
+    type: form.type,
+    extension: form.extension.trim(),
+    minSize: form.minSizeMb === '' ? null : Number(form.minSizeMb) * MB,
+    maxSize: form.maxSizeMb === '' ? null : Number(form.maxSizeMb) * MB,
+    modifiedFrom: form.modifiedFrom,
+    modifiedTo: form.modifiedTo,
+});
+
+// --- Component: Search Panel ---
+// Search box with filters; results drop down below it and open their containing folder on click
+export default function SearchPanel({ apiBaseUrl, userId, onOpenResult }) {
+    const [query, setQuery] = useState('');
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [showFilters, setShowFilters] = useState(false);
+    const [search, setSearch] = useState({ status: 'idle' }); // { status, results, truncated, source, error, foldersScanned }
+    const [refreshKey, setRefreshKey] = useState(0); // Bumped to re-run the search after an index rebuild
+    const containerRef = useRef(null);
+
+    const trimmedQuery = query.trim();
+    const hasActiveFilters = JSON.stringify(filters) !== JSON.stringify(EMPTY_FILTERS);
+
+    // Debounced search whenever the query or filters change
+    useEffect(() => {
+        if (!trimmedQuery) {
+            setSearch({ status: 'idle' });
+            return undefined;
+        }
+        const controller = new AbortController();
+        const timer = setTimeout(() => {
+            setSearch(prev => ({ ...prev, status: 'loading', foldersScanned: 0 }));
+            searchDrive(apiBaseUrl, userId, trimmedQuery, toSearchFilters(filters), {
+                signal: controller.signal,
+                onIndexProgress: foldersScanned => setSearch(prev => ({ ...prev, foldersScanned })),
+            })
+                .then(result => {
+                    if (!controller.signal.aborted) setSearch({ status: 'ready', ...result });
+                })
+                .catch(err => {
+                    if (isCanceled(err) || controller.signal.aborted) return;
+                    console.error('Search error:', err.data || err.message || err);
+                    setSearch({ status: 'error', error: getErrorMessage(err, 'Search failed.') });
+                });
+        }, SEARCH_DEBOUNCE_MS);
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [apiBaseUrl, userId, trimmedQuery, filters, refreshKey]);
+
+    // Clicking outside closes the results
+    useEffect(() => {
+        if (!trimmedQuery) return undefined;
+        const handleMouseDown = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) setQuery('');
+        };
+        document.addEventListener('mousedown', handleMouseDown);
+        return () => document.removeEventListener('mousedown', handleMouseDown);
+    }, [trimmedQuery]);
+
+    const rebuildIndex = async () => {
+        setSearch(prev => ({ ...prev, status: 'loading', foldersScanned: 0 }));
+        try {
+            await getSearchIndex(apiBaseUrl, userId, {
+                force: true,
+                onProgress: foldersScanned => setSearch(prev => ({ ...prev, foldersScanned })),
+            });
+        } finally {
+            setRefreshKey(key => key + 1);
+        }
+    };
+
+    const openResult = (entry) => {
+        setQuery('');
+        onOpenResult(entry);
+    };
+
+    const updateFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+    const inputClass = 'shadow-sm border rounded py-1 px-2 text-gray-700 text-sm w-full focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+    return (
+        <div ref={containerRef} className="relative w-full md:max-w-md">
+            <div className="flex items-center gap-2">
+                <input
+                    type="search"
+                    value={query}
+                    onChange={e => setQuery(e.target.value)}
+                    onKeyDown={e => { if (e.key === 'Escape') setQuery(''); }}
+                    placeholder="Search the whole drive..."
+                    aria-label="Search files and folders"
+                    className="shadow-sm appearance-none border rounded w-full py-2 px-3 text-gray-700 text-sm leading-tight focus:outline-none focus:ring-1 focus:ring-blue-500"
+                />
+                <button
+                    type="button"
+                    onClick={() => setShowFilters(!showFilters)}
+                    aria-expanded={showFilters}
+                    className={`px-3 py-2 rounded text-sm font-medium whitespace-nowrap ${hasActiveFilters ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                >
+                    Filters{hasActiveFilters ? ' •' : ''}
+                </button>
+            </div>
+
+            {showFilters && (
+                <div className="mt-2 p-3 border rounded bg-white shadow-sm grid grid-cols-2 gap-2 text-xs text-gray-600">
+                    <label className="col-span-2">Type
+                        <select value={filters.type} onChange={e => updateFilter('type', e.target.value)} className={inputClass}>
+                            <option value="all">Everything</option>
+                            <option value="folder">Folders</option>
+                            <option value="file">Files</option>
+                            {Object.entries(FILE_GROUPS).map(([key, group]) => <option key={key} value={key}>{group.label}</option>)}
+                        </select>
+                    </label>
+                    <label className="col-span-2">Extension
+                        <input type="text" value={filters.extension} onChange={e => updateFilter('extension', e.target.value)} placeholder="e.g. pdf" className={inputClass} />
+                    </label>
+                    <label>Min size (MB)
+                        <input type="number" min="0" step="any" value={filters.minSizeMb} onChange={e => updateFilter('minSizeMb', e.target.value)} className={inputClass} />
+                    </label>
+                    <label>Max size (MB)
+                        <input type="number" min="0" step="any" value={filters.maxSizeMb} onChange={e => updateFilter('maxSizeMb', e.target.value)} className={inputClass} />
+                    </label>
+                    <label>Modified from
+                        <input type="date" value={filters.modifiedFrom} onChange={e => updateFilter('modifiedFrom', e.target.value)} className={inputClass} />
+                    </label>
+                    <label>Modified to
+                        <input type="date" value={filters.modifiedTo} onChange={e => updateFilter('modifiedTo', e.target.value)} className={inputClass} />
+                    </label>
+                    {hasActiveFilters && (
+                        <button type="button" onClick={() => setFilters(EMPTY_FILTERS)} className="col-span-2 text-left font-medium text-blue-600 hover:underline">Reset filters</button>
+                    )}
+                </div>
+            )}
+
+            {trimmedQuery && (
+                <div className="absolute z-30 mt-2 w-full md:w-[36rem] max-h-96 overflow-y-auto border rounded bg-white shadow-lg text-sm" role="region" aria-label="Search results" aria-live="polite">
+                    {search.status === 'loading' && (
+                        <p className="px-4 py-3 text-gray-500">
+                            Searching...{search.foldersScanned > 0 && ` (indexing: ${search.foldersScanned} folders scanned)`}
+                        </p>
+                    )}
+                    {search.status === 'error' && <p className="px-4 py-3 text-red-600">{search.error}</p>}
+                    {search.status === 'ready' && (
+                        <>
+                            {search.results.length === 0 && <p className="px-4 py-3 text-gray-500 italic">No matches.</p>}
+                            <ul className="divide-y">
+                                {search.results.map(entry => (
+                                    <li key={`${entry.type}-${entry.id}`}>
+                                        <button type="button" onClick={() => openResult(entry)} className="w-full text-left px-4 py-2 hover:bg-gray-50 flex items-center gap-2">
+                                            <span className="text-lg flex-shrink-0">{entry.type === 'folder' ? '📁' : '📄'}</span>
+                                            <span className="min-w-0 flex-1">
+                                                <span className="block font-medium text-gray-900 truncate">{entry.name}</span>
+                                                <span className="block text-xs text-gray-500 truncate">{entry.pathNames.join(' / ')}</span>
+                                            </span>
+                                            <span className="text-xs text-gray-400 text-right flex-shrink-0">
+                                                {entry.type === 'file' && entry.size != null && <span className="block">{formatBytes(entry.size)}</span>}
+                                                <span className="block">{formatDate(getModifiedAt(entry))}</span>
+                                            </span>
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                            <div className="px-4 py-2 border-t text-xs text-gray-500 flex justify-between gap-2">
+                                <span>{search.truncated ? `Showing the first ${search.results.length} matches.` : `${search.results.length} match(es).`}</span>
+                                {search.source === 'index' && (
+                                    <button type="button" onClick={rebuildIndex} className="font-medium text-blue-600 hover:underline">Refresh index</button>
+                                )}
+                            </div>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { isCanceled, getErrorMessage } from '../utils/apiClient';
+import { toast } from 'react-toastify';
+import {
+    SHARE_ROLES, getShares, addShare, updateShare, removeShare,
+    createShareLink, revokeShareLink, getShareLinkUrl,
+} from '../utils/sharing';
+import { formatDate } from '../utils/format';
+import useFocusTrap from '../hooks/useFocusTrap';
+
+const inputClass = 'shadow-sm appearance-none border rounded py-1.5 px-2 text-gray-700 text-sm leading-tight focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+// --- Component: Share Dialog ---
+// Per-user access (viewer/editor by email) and public links with optional expiry and password
+export default function ShareDialog({ apiBaseUrl, item, onClose }) {
+    const dialogRef = useRef(null);
+    useFocusTrap(dialogRef);
+    const [permissions, setPermissions] = useState([]);
+    const [links, setLinks] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [email, setEmail] = useState('');
+    const [role, setRole] = useState('viewer');
+    const [linkExpiry, setLinkExpiry] = useState(''); // 'YYYY-MM-DD' from the date input
+    const [linkPassword, setLinkPassword] = useState('');
+
+    useEffect(() => {
+        const controller = new AbortController();
+        getShares(apiBaseUrl, item, { signal: controller.signal })
+            .then(shares => {
+                setPermissions(shares.permissions);
+                setLinks(shares.links);
+            })
+            .catch(err => {
+                if (isCanceled(err)) return;
+                toast.error(getErrorMessage(err, 'Failed to load sharing settings.'));
+                console.error('Shares fetch error:', err.data || err.message || err);
+            })
+            .finally(() => {
+                if (!controller.signal.aborted) setIsLoading(false);
+            });
+        return () => controller.abort();
+    }, [apiBaseUrl, item]);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    // Wraps one request: disables the form meanwhile and reports failures with `errorMessage`
+    const runRequest = async (request, errorMessage) => {
+        setIsSaving(true);
+        try {
+            return await request();
+        } catch (err) {
+            toast.error(getErrorMessage(err, errorMessage));
+            console.error('Sharing error:', err.data || err.message || err);
+            return null;
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleAddShare = async (event) => {
+        event.preventDefault();
+        const trimmedEmail = email.trim();
+        if (!trimmedEmail) return;
+        if (permissions.some(p => p.user?.email?.toLowerCase() === trimmedEmail.toLowerCase())) {
+            return toast.warn(`${trimmedEmail} already has access; change their role below.`);
+        }
+        const permission = await runRequest(() => addShare(apiBaseUrl, item, trimmedEmail, role), `Could not share with ${trimmedEmail}.`);
+        if (permission) {
+            setPermissions(prev => [...prev, permission]);
+            setEmail('');
+            toast.success(`Shared '${item.name}' with ${trimmedEmail}.`);
+        }
+    };
+
+    const handleRoleChange = async (permission, newRole) => {
+        const result = await runRequest(() => updateShare(apiBaseUrl, item, permission.id, newRole), 'Could not change access.');
+        if (result) setPermissions(prev => prev.map(p => (p.id === permission.id ? { ...p, role: newRole } : p)));
+    };
+
+    const handleRemoveShare = async (permission) => {
+        const result = await runRequest(() => removeShare(apiBaseUrl, item, permission.id), 'Could not remove access.');
+        if (result) setPermissions(prev => prev.filter(p => p.id !== permission.id));
+    };
+
+    const handleCreateLink = async (event) => {
+        event.preventDefault();
+        // The link stays valid through the whole chosen day
+        const expiresAt = linkExpiry ? new Date(`${linkExpiry}T23:59:59`).toISOString() : null;
+        const link = await runRequest(() => createShareLink(apiBaseUrl, item, { expiresAt, password: linkPassword }), 'Could not create the link.');
+        if (link) {
+            setLinks(prev => [...prev, link]);
+            setLinkExpiry('');
+            setLinkPassword('');
+            copyLink(link);
+        }
+    };
+
+    const handleRevokeLink = async (link) => {
+        const result = await runRequest(() => revokeShareLink(apiBaseUrl, item, link.id), 'Could not revoke the link.');
+        if (result) {
+            setLinks(prev => prev.filter(l => l.id !== link.id));
+            toast.success('Link revoked.');
+        }
+    };
+
+    const copyLink = async (link) => {
+        try {
+            await navigator.clipboard.writeText(getShareLinkUrl(apiBaseUrl, link));
+            toast.success('Link copied to the clipboard.');
+        } catch {
+            toast.info('Copy the link from the list below.'); // Clipboard access denied or unavailable
+        }
+    };
+
+    const today = new Date().toLocaleDateString('en-CA'); // Local YYYY-MM-DD for the date input's min
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+            <div
+                ref={dialogRef}
+                tabIndex={-1}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="share-dialog-title"
+                className="outline-none bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] flex flex-col"
+                onClick={e => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between gap-3 border-b px-4 py-3">
+                    <h2 id="share-dialog-title" className="font-semibold text-gray-800 truncate">Share '{item.name}'</h2>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-xl leading-none" aria-label="Close sharing">×</button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto px-4 py-3 space-y-5 text-sm">
+                    {/* People */}
+                    <section className="space-y-2">
+                        <h3 className="font-semibold text-gray-700">People with access</h3>
+                        <form onSubmit={handleAddShare} className="flex flex-wrap gap-2">
+                            <input type="email" value={email} onChange={e => setEmail(e.target.value)} placeholder="teammate@example.com" required
+                                aria-label="Email to share with" disabled={isSaving} className={`${inputClass} flex-1 min-w-[12rem]`} />
+                            <select value={role} onChange={e => setRole(e.target.value)} aria-label="Access level" disabled={isSaving} className={inputClass}>
+                                {SHARE_ROLES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                            </select>
+                            <button type="submit" disabled={isSaving || !email.trim()} className="bg-blue-500 hover:bg-blue-700 text-white px-3 py-1.5 rounded font-bold disabled:opacity-50 disabled:cursor-not-allowed">Share</button>
+                        </form>
+                        {isLoading ? (
+                            <p className="text-gray-500">Loading...</p>
+                        ) : permissions.length === 0 ? (
+                            <p className="text-gray-500 italic">Only you have access.</p>
+                        ) : (
+                            <ul className="divide-y border rounded">
+                                {permissions.map(permission => (
+                                    <li key={permission.id} className="flex items-center justify-between gap-2 px-3 py-2">
+                                        <span className="min-w-0">
+                                            <span className="block font-medium text-gray-800 truncate">{permission.user?.name || permission.user?.email}</span>
+                                            {permission.user?.name && <span className="block text-xs text-gray-500 truncate">{permission.user.email}</span>}
+                                        </span>
+                                        <span className="flex items-center gap-2 flex-shrink-0">
+                                            <select value={permission.role} onChange={e => handleRoleChange(permission, e.target.value)} disabled={isSaving}
+                                                aria-label={`Access for ${permission.user?.email}`} className={inputClass}>
+                                                {SHARE_ROLES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                                            </select>
+                                            <button onClick={() => handleRemoveShare(permission)} disabled={isSaving} className="font-medium text-red-600 hover:text-red-800 hover:underline disabled:opacity-50">Remove</button>
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </section>
+
+                    {/* Public links */}
+                    <section className="space-y-2 border-t pt-4">
+                        <h3 className="font-semibold text-gray-700">Public links</h3>
+                        <p className="text-xs text-gray-500">Anyone with the link can view and download. Leave the date empty for a link that never expires.</p>
+                        <form onSubmit={handleCreateLink} className="flex flex-wrap items-end gap-2">
+                            <label className="text-xs text-gray-600">Expires
+                                <input type="date" value={linkExpiry} min={today} onChange={e => setLinkExpiry(e.target.value)} disabled={isSaving} className={`${inputClass} block`} />
+                            </label>
+                            <label className="text-xs text-gray-600 flex-1 min-w-[10rem]">Password (optional)
+                                <input type="password" value={linkPassword} onChange={e => setLinkPassword(e.target.value)} autoComplete="new-password" disabled={isSaving} className={`${inputClass} block w-full`} />
+                            </label>
+                            <button type="submit" disabled={isSaving} className="bg-green-600 hover:bg-green-700 text-white px-3 py-1.5 rounded font-bold disabled:opacity-50 disabled:cursor-not-allowed">Create link</button>
+                        </form>
+                        {!isLoading && links.length > 0 && (
+                            <ul className="divide-y border rounded">
+                                {links.map(link => (
+                                    <li key={link.id} className="px-3 py-2 space-y-1">
+                                        <input type="text" readOnly value={getShareLinkUrl(apiBaseUrl, link)} onFocus={e => e.target.select()}
+                                            aria-label="Share link" className={`${inputClass} w-full font-mono text-xs`} />
+                                        <div className="flex items-center justify-between gap-2 text-xs text-gray-500">
+                                            <span>
+                                                {link.expiresAt ? `Expires ${formatDate(new Date(link.expiresAt))}` : 'Never expires'}
+                                                {link.hasPassword && ' · Password protected'}
+                                            </span>
+                                            <span className="space-x-3">
+                                                <button onClick={() => copyLink(link)} className="font-medium text-blue-600 hover:underline">Copy</button>
+                                                <button onClick={() => handleRevokeLink(link)} disabled={isSaving} className="font-medium text-red-600 hover:underline disabled:opacity-50">Revoke</button>
+                                            </span>
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </section>
+                </div>
+            </div>
+        </div>
+    );
+}
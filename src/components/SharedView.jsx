@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import { isCanceled, getErrorMessage } from '../utils/apiClient';
+import { toast } from 'react-toastify';
+import { listSharedWithMe, getItemRole, SHARE_ROLES } from '../utils/sharing';
+import { getItemKey } from '../utils/itemActions';
+import { formatBytes, formatDate } from '../utils/format';
+
+const roleLabel = (item) => SHARE_ROLES.find(r => r.value === getItemRole(item))?.label || getItemRole(item);
+
+const ownerName = (item) => item.owner?.name || item.owner?.email || item.ownerName || 'Unknown';
+
+// --- Component: Shared With Me ---
+// Items other users have shared with the current user; folders open in the normal folder view
+export default function SharedView({ apiBaseUrl, onBack, onOpenFolder, onDownloadFile }) {
+    const [items, setItems] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        listSharedWithMe(apiBaseUrl, { signal: controller.signal })
+            .then(shared => {
+                shared.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'folder' ? -1 : 1));
+                setItems(shared);
+            })
+            .catch(err => {
+                if (isCanceled(err)) return;
+                toast.error(getErrorMessage(err, 'Failed to load items shared with you.'));
+                console.error('Shared fetch error:', err.data || err.message || err);
+            })
+            .finally(() => {
+                if (!controller.signal.aborted) setIsLoading(false);
+            });
+        return () => controller.abort();
+    }, [apiBaseUrl]);
+
+    return (
+        <div className="mt-2">
+            <div className="flex items-center gap-3 mb-4">
+                <button type="button" onClick={onBack} className="text-sm text-blue-600 hover:underline">← My Drive</button>
+                <h2 className="text-xl font-semibold text-gray-800">
+                    Shared with me {isLoading && <span className="text-sm text-gray-500 ml-2">(Loading...)</span>}
+                </h2>
+            </div>
+
+            <div className="overflow-x-auto shadow-md rounded-lg border bg-white">
+                <table className="w-full text-sm text-left text-gray-500">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                        <tr>
+                            <th scope="col" className="px-4 sm:px-6 py-3">Name</th>
+                            <th scope="col" className="px-4 sm:px-6 py-3 hidden sm:table-cell">Owner</th>
+                            <th scope="col" className="px-4 sm:px-6 py-3">Access</th>
+                            <th scope="col" className="px-4 sm:px-6 py-3 hidden md:table-cell">Size</th>
+                            <th scope="col" className="px-4 sm:px-6 py-3 hidden lg:table-cell">Shared</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {items.length > 0 ? items.map(item => (
+                            <tr key={getItemKey(item)} className="border-b bg-white hover:bg-gray-50">
+                                <td className="px-4 sm:px-6 py-3 font-medium text-gray-900 whitespace-nowrap">
+                                    <span className="mr-2 text-lg">{item.type === 'folder' ? '📁' : '📄'}</span>
+                                    <button
+                                        onClick={() => (item.type === 'folder' ? onOpenFolder(item) : onDownloadFile(item))}
+                                        className={`hover:underline text-left ${item.type === 'folder' ? 'text-blue-600 font-semibold' : 'text-gray-900'}`}
+                                        title={item.type === 'folder' ? `Open ${item.name}` : `Download ${item.name}`}
+                                    >
+                                        {item.name}
+                                    </button>
+                                </td>
+                                <td className="px-4 sm:px-6 py-3 hidden sm:table-cell">{ownerName(item)}</td>
+                                <td className="px-4 sm:px-6 py-3">{roleLabel(item)}</td>
+                                <td className="px-4 sm:px-6 py-3 hidden md:table-cell">
+                                    {item.type === 'file' && item.size != null ? formatBytes(item.size) : '-'}
+                                </td>
+                                <td className="px-4 sm:px-6 py-3 hidden lg:table-cell whitespace-nowrap">
+                                    {formatDate(item.sharedAt ? new Date(item.sharedAt) : null)}
+                                </td>
+                            </tr>
+                        )) : (
+                            !isLoading && (
+                                <tr>
+                                    <td colSpan="5" className="text-center py-6 px-6 text-gray-500 italic">Nothing has been shared with you yet.</td>
+                                </tr>
+                            )
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
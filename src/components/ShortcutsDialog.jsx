@@ -0,0 +1,86 @@
+import React, { useEffect, useRef } from 'react';
+import useFocusTrap from '../hooks/useFocusTrap';
+
+// Keep in sync with useItemKeyboard and the global shortcuts in App.jsx.
+// `keys` lists alternatives; each alternative is a combination pressed together.
+const SHORTCUTS = [
+    { group: 'Moving around', keys: [['↑'], ['↓']], description: 'Previous / next item' },
+    { group: 'Moving around', keys: [['←'], ['→']], description: 'Previous / next item in the thumbnail grid' },
+    { group: 'Moving around', keys: [['Home'], ['End']], description: 'First / last item' },
+    { group: 'Moving around', keys: [['Enter']], description: 'Open the folder or preview the file' },
+    { group: 'Moving around', keys: [['Backspace']], description: 'Go up to the parent folder' },
+    { group: 'Selecting', keys: [['Space']], description: 'Select or deselect the item' },
+    { group: 'Selecting', keys: [['Shift', 'Space']], description: 'Select everything up to the item' },
+    { group: 'Selecting', keys: [['Ctrl', 'A'], ['⌘', 'A']], description: 'Select all items' },
+    { group: 'Selecting', keys: [['Esc']], description: 'Clear the selection' },
+    { group: 'Changing', keys: [['F2']], description: 'Rename the item' },
+    { group: 'Changing', keys: [['Delete']], description: 'Move the item, or the selection it belongs to, to Trash' },
+    { group: 'Anywhere', keys: [['?']], description: 'Show this list' },
+    { group: 'Anywhere', keys: [['Esc']], description: 'Close the open dialog or preview' },
+    { group: 'Preview', keys: [['←'], ['→']], description: 'Previous / next file' },
+];
+
+const GROUPS = [...new Set(SHORTCUTS.map(shortcut => shortcut.group))];
+
+function Keys({ alternatives }) {
+    return alternatives.map((combo, index) => (
+        <React.Fragment key={combo.join('+')}>
+            {index > 0 && <span className="text-gray-400"> / </span>}
+            {combo.map((key, keyIndex) => (
+                <React.Fragment key={key}>
+                    {keyIndex > 0 && <span className="text-gray-400"> + </span>}
+                    <kbd className="inline-block min-w-[1.5rem] rounded border border-gray-300 bg-gray-50 px-1.5 py-0.5 text-center font-mono text-xs text-gray-800">{key}</kbd>
+                </React.Fragment>
+            ))}
+        </React.Fragment>
+    ));
+}
+
+// --- Component: Shortcuts Dialog ---
+// Cheat sheet of the file browser's keyboard shortcuts, opened with "?" or the header button
+export default function ShortcutsDialog({ onClose }) {
+    const dialogRef = useRef(null);
+    useFocusTrap(dialogRef);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+            <div
+                ref={dialogRef}
+                tabIndex={-1}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="shortcuts-title"
+                className="outline-none bg-white rounded-lg shadow-xl w-full max-w-lg flex flex-col max-h-[85vh]"
+                onClick={e => e.stopPropagation()}
+            >
+                <h2 id="shortcuts-title" className="border-b px-4 py-3 font-semibold text-gray-800">Keyboard shortcuts</h2>
+                <div className="flex-1 overflow-y-auto px-4 py-3 text-sm space-y-4">
+                    {GROUPS.map(group => (
+                        <section key={group}>
+                            <h3 className="font-semibold text-gray-700 mb-1">{group}</h3>
+                            <dl className="space-y-1">
+                                {SHORTCUTS.filter(shortcut => shortcut.group === group).map(shortcut => (
+                                    <div key={shortcut.description} className="flex items-baseline justify-between gap-4">
+                                        <dt className="whitespace-nowrap"><Keys alternatives={shortcut.keys} /></dt>
+                                        <dd className="text-gray-600 text-right">{shortcut.description}</dd>
+                                    </div>
+                                ))}
+                            </dl>
+                        </section>
+                    ))}
+                </div>
+                <div className="border-t px-4 py-3 flex justify-end">
+                    <button type="button" onClick={onClose} className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded font-bold text-sm">Close</button>
+                </div>
+            </div>
+        </div>
+    );
+}
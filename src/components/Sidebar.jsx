@@ -0,0 +1,34 @@
+import React from 'react';
+
+const SECTIONS = [
+    { view: 'drive', label: 'My Drive', icon: '🏠' },
+    { view: 'starred', label: 'Starred', icon: '⭐' },
+    { view: 'recent', label: 'Recent', icon: '🕒' },
+    { view: 'shared', label: 'Shared with me', icon: '👥' },
+    { view: 'trash', label: 'Trash', icon: '🗑' },
+];
+
+// --- Component: Sidebar ---
+// Left navigation between the drive and the item lists that live outside the folder tree.
+// `view` is the current route view (see hooks/useDriveRoute.js).
+export default function Sidebar({ view, onNavigate }) {
+    return (
+        <nav aria-label="Drive" className="md:w-48 flex-shrink-0">
+            <ul className="flex md:flex-col gap-1 overflow-x-auto">
+                {SECTIONS.map(section => (
+                    <li key={section.view}>
+                        <button
+                            type="button"
+                            onClick={() => onNavigate(section.view)}
+                            aria-current={view === section.view ? 'page' : undefined}
+                            className={`w-full flex items-center gap-2 py-2 px-3 rounded text-sm font-medium whitespace-nowrap text-left ${view === section.view ? 'bg-blue-100 text-blue-800' : 'text-gray-700 hover:bg-gray-100'}`}
+                        >
+                            <span aria-hidden="true">{section.icon}</span>
+                            {section.label}
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </nav>
+    );
+}
@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import { isCanceled, getErrorMessage } from '../utils/apiClient';
+import { toast } from 'react-toastify';
+import { listStarred, setStarred } from '../utils/starred';
+import { getItemKey } from '../utils/itemActions';
+import { getTypeLabel } from '../utils/fileTypes';
+import { formatBytes, formatDate, getModifiedAt } from '../utils/format';
+
+// --- Component: Starred View ---
+// Items the user has starred, folders first. Clicking one opens its containing folder with it highlighted.
+export default function StarredView({ apiBaseUrl, onBack, onOpenItem }) {
+    const [items, setItems] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [busyKeys, setBusyKeys] = useState(() => new Set()); // Rows with an unstar in flight
+
+    useEffect(() => {
+        const controller = new AbortController();
+        listStarred(apiBaseUrl, { signal: controller.signal })
+            .then(starred => {
+                starred.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'folder' ? -1 : 1));
+                setItems(starred);
+            })
+            .catch(err => {
+                if (isCanceled(err)) return;
+                toast.error(getErrorMessage(err, 'Failed to load starred items.'));
+                console.error('Starred fetch error:', err.data || err.message || err);
+            })
+            .finally(() => {
+                if (!controller.signal.aborted) setIsLoading(false);
+            });
+        return () => controller.abort();
+    }, [apiBaseUrl]);
+
+    const setBusy = (key, busy) => setBusyKeys(prev => {
+        const next = new Set(prev);
+        if (busy) next.add(key);
+        else next.delete(key);
+        return next;
+    });
+
+    const handleUnstar = async (item) => {
+        const key = getItemKey(item);
+        setBusy(key, true);
+        try {
+            await setStarred(apiBaseUrl, item, false);
+            setItems(prev => prev.filter(i => getItemKey(i) !== key));
+            toast.success(`Removed '${item.name}' from Starred.`);
+        } catch (err) {
+            toast.error(getErrorMessage(err, `Failed to unstar '${item.name}'.`));
+            console.error('Unstar error:', err.data || err.message || err);
+        } finally {
+            setBusy(key, false);
+        }
+    };
+
+    return (
+        <div className="mt-2">
+            <div className="flex items-center gap-3 mb-4">
+                <button type="button" onClick={onBack} className="text-sm text-blue-600 hover:underline">← My Drive</button>
+                <h2 className="text-xl font-semibold text-gray-800">
+                    Starred {isLoading && <span className="text-sm text-gray-500 ml-2">(Loading...)</span>}
+                </h2>
+            </div>
+
+            <div className="overflow-x-auto shadow-md rounded-lg border bg-white">
+                <table className="w-full text-sm text-left text-gray-500">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                        <tr>
+                            <th scope="col" className="px-4 sm:px-6 py-3">Name</th>
+                            <th scope="col" className="px-4 sm:px-6 py-3 hidden md:table-cell">Type</th>
+                            <th scope="col" className="px-4 sm:px-6 py-3 hidden sm:table-cell">Size</th>
+                            <th scope="col" className="px-4 sm:px-6 py-3 hidden lg:table-cell">Modified</th>
+                            <th scope="col" className="px-4 sm:px-6 py-3 text-right">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {items.length > 0 ? items.map(item => {
+                            const key = getItemKey(item);
+                            return (
+                                <tr key={key} className="border-b bg-white hover:bg-gray-50">
+                                    <td className="px-4 sm:px-6 py-3 font-medium text-gray-900 whitespace-nowrap">
+                                        <span className="mr-2 text-lg">{item.type === 'folder' ? '📁' : '📄'}</span>
+                                        <button
+                                            onClick={() => onOpenItem(item)}
+                                            className={`hover:underline text-left ${item.type === 'folder' ? 'text-blue-600 font-semibold' : 'text-gray-900'}`}
+                                            title={`Show ${item.name} in its folder`}
+                                        >
+                                            {item.name}
+                                        </button>
+                                    </td>
+                                    <td className="px-4 sm:px-6 py-3 hidden md:table-cell">{getTypeLabel(item)}</td>
+                                    <td className="px-4 sm:px-6 py-3 hidden sm:table-cell">
+                                        {item.type === 'file' && item.size != null ? formatBytes(item.size) : '-'}
+                                    </td>
+                                    <td className="px-4 sm:px-6 py-3 hidden lg:table-cell whitespace-nowrap">{formatDate(getModifiedAt(item))}</td>
+                                    <td className="px-4 sm:px-6 py-3 text-right whitespace-nowrap">
+                                        <button onClick={() => handleUnstar(item)} disabled={busyKeys.has(key)} className="font-medium text-gray-600 hover:text-gray-800 hover:underline disabled:opacity-50 disabled:no-underline">
+                                            Unstar
+                                        </button>
+                                    </td>
+                                </tr>
+                            );
+                        }) : (
+                            !isLoading && (
+                                <tr>
+                                    <td colSpan="5" className="text-center py-6 px-6 text-gray-500 italic">Nothing starred yet. Use ☆ Star on a file or folder to find it here quickly.</td>
+                                </tr>
+                            )
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
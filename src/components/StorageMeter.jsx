@@ -0,0 +1,38 @@
+import React from 'react';
+import { formatBytes } from '../utils/format';
+
+// Bar colour by how full the quota is
+const barColor = (percent) => {
+    if (percent >= 100) return 'bg-red-500';
+    if (percent >= 90) return 'bg-yellow-500';
+    return 'bg-blue-500';
+};
+
+// --- Component: Storage Meter ---
+// Header summary of used vs. quota; opens the Storage page. Without a quota only usage is shown.
+export default function StorageMeter({ usage, onOpen }) {
+    if (!usage) return null;
+
+    const percent = usage.quota ? Math.min(Math.round((usage.used / usage.quota) * 100), 100) : null;
+    const label = usage.quota
+        ? `${formatBytes(usage.used, 1)} of ${formatBytes(usage.quota, 1)} used`
+        : `${formatBytes(usage.used, 1)} used`;
+
+    return (
+        <button type="button" onClick={onOpen} title="Storage details" className="w-40 text-left rounded px-2 py-1 hover:bg-gray-100">
+            <span className="block text-xs text-gray-600 whitespace-nowrap">{label}</span>
+            {percent !== null && (
+                <span
+                    role="progressbar"
+                    aria-label="Storage used"
+                    aria-valuenow={percent}
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                    className="mt-1 block h-1.5 w-full overflow-hidden rounded bg-gray-200"
+                >
+                    <span className={`block h-full ${barColor(percent)}`} style={{ width: `${percent}%` }} />
+                </span>
+            )}
+        </button>
+    );
+}
@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { getErrorMessage } from '../utils/apiClient';
+import { getSearchIndex } from '../utils/search';
+import { summarizeStorage, getFreeBytes } from '../utils/storage';
+import { getItemKey } from '../utils/itemActions';
+import { formatBytes, formatDate } from '../utils/format';
+
+const GROUP_COLORS = {
+    image: 'bg-purple-500',
+    document: 'bg-blue-500',
+    audio: 'bg-pink-500',
+    video: 'bg-red-500',
+    archive: 'bg-yellow-500',
+    code: 'bg-green-500',
+    other: 'bg-gray-400',
+};
+
+const percentOf = (part, whole) => (whole > 0 ? (part / whole) * 100 : 0);
+
+// Largest files or folders; the name opens the containing folder with the item highlighted
+function LargestList({ title, entries, onOpenItem }) {
+    return (
+        <section className="bg-white shadow-md rounded-lg border">
+            <h3 className="border-b px-4 py-3 font-semibold text-gray-800">{title}</h3>
+            {entries.length === 0 ? (
+                <p className="px-4 py-4 text-sm text-gray-500 italic">Nothing here yet.</p>
+            ) : (
+                <ol className="divide-y text-sm">
+                    {entries.map(entry => (
+                        <li key={getItemKey(entry)} className="flex items-center justify-between gap-3 px-4 py-2">
+                            <div className="min-w-0">
+                                <button
+                                    type="button"
+                                    onClick={() => onOpenItem(entry)}
+                                    className="block max-w-full truncate text-left font-medium text-blue-600 hover:underline"
+                                    title={`Show '${entry.name}' in its folder`}
+                                >
+                                    <span className="mr-1">{entry.type === 'folder' ? '📁' : '📄'}</span>{entry.name}
+                                </button>
+                                <span className="block truncate text-xs text-gray-500">{entry.pathNames.join(' / ')}</span>
+                            </div>
+                            <span className="whitespace-nowrap text-gray-700">{formatBytes(entry.size)}</span>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </section>
+    );
+}
+
+// --- Component: Storage Page ---
+// Usage against the quota, a breakdown by file type, and the largest files and folders.
+// Works from the drive index that search falls back to, so it covers every backend.
+export default function StorageView({ apiBaseUrl, userId, usage, onBack, onOpenItem }) {
+    const [index, setIndex] = useState({ status: 'loading', foldersScanned: 0 }); // { status, builtAt, entries, error, foldersScanned }
+    const [refreshKey, setRefreshKey] = useState(0); // Bumped by Refresh to force a rebuild
+
+    useEffect(() => {
+        let cancelled = false;
+        setIndex({ status: 'loading', foldersScanned: 0 });
+        getSearchIndex(apiBaseUrl, userId, {
+            force: refreshKey > 0,
+            onProgress: foldersScanned => !cancelled && setIndex(prev => ({ ...prev, foldersScanned })),
+        })
+            .then(({ builtAt, entries }) => {
+                if (!cancelled) setIndex({ status: 'ready', builtAt, entries });
+            })
+            .catch(err => {
+                if (cancelled) return;
+                setIndex({ status: 'error', error: getErrorMessage(err, 'Could not scan the drive.') });
+                console.error('Storage scan error:', err.data || err.message || err);
+            });
+        return () => { cancelled = true; };
+    }, [apiBaseUrl, userId, refreshKey]);
+
+    const summary = useMemo(() => (index.status === 'ready' ? summarizeStorage(index.entries) : null), [index]);
+    const usedPercent = usage?.quota ? Math.min(percentOf(usage.used, usage.quota), 100) : null;
+
+    return (
+        <div className="mt-2 space-y-4">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="flex items-center gap-3">
+                    <button type="button" onClick={onBack} className="text-sm text-blue-600 hover:underline">← My Drive</button>
+                    <h2 className="text-xl font-semibold text-gray-800">
+                        Storage {index.status === 'loading' && (
+                            <span className="text-sm text-gray-500 ml-2">
+                                (Scanning...{index.foldersScanned > 0 && ` ${index.foldersScanned} folders`})
+                            </span>
+                        )}
+                    </h2>
+                </div>
+                <button
+                    type="button"
+                    onClick={() => setRefreshKey(key => key + 1)}
+                    disabled={index.status === 'loading'}
+                    className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-3 py-2 rounded text-sm font-medium disabled:opacity-50"
+                >
+                    Refresh
+                </button>
+            </div>
+
+            {/* Quota */}
+            <section className="bg-white shadow-md rounded-lg border px-4 py-4">
+                {usage ? (
+                    <>
+                        <p className="text-lg font-semibold text-gray-800">
+                            {formatBytes(usage.used)} used{usage.quota && <span className="font-normal text-gray-600"> of {formatBytes(usage.quota)}</span>}
+                        </p>
+                        {usedPercent !== null && (
+                            <>
+                                <div className="mt-2 h-3 w-full overflow-hidden rounded bg-gray-200">
+                                    <div className={`h-full ${usedPercent >= 100 ? 'bg-red-500' : usedPercent >= 90 ? 'bg-yellow-500' : 'bg-blue-500'}`} style={{ width: `${usedPercent}%` }} />
+                                </div>
+                                <p className="mt-1 text-sm text-gray-600">
+                                    {usage.used >= usage.quota ? 'Your storage is full.' : `${formatBytes(getFreeBytes(usage))} free.`}
+                                </p>
+                            </>
+                        )}
+                    </>
+                ) : (
+                    <p className="text-sm text-gray-600">The server doesn't report a storage quota. The figures below are totals of your files.</p>
+                )}
+            </section>
+
+            {index.status === 'error' && <p className="text-sm text-red-600">{index.error}</p>}
+
+            {summary && (
+                <>
+                    {/* Breakdown by type */}
+                    <section className="bg-white shadow-md rounded-lg border px-4 py-4">
+                        <h3 className="font-semibold text-gray-800">
+                            By type <span className="font-normal text-sm text-gray-500">({summary.fileCount} file(s), {formatBytes(summary.totalBytes)})</span>
+                        </h3>
+                        <div className="mt-3 flex h-3 w-full overflow-hidden rounded bg-gray-200" aria-hidden="true">
+                            {summary.byGroup.map(group => (
+                                <div key={group.group} className={GROUP_COLORS[group.group]} style={{ width: `${percentOf(group.bytes, summary.totalBytes)}%` }} />
+                            ))}
+                        </div>
+                        <table className="mt-3 w-full text-sm text-left text-gray-600">
+                            <tbody>
+                                {summary.byGroup.map(group => (
+                                    <tr key={group.group} className="border-b last:border-b-0">
+                                        <td className="py-2">
+                                            <span className={`mr-2 inline-block h-3 w-3 rounded-sm align-middle ${GROUP_COLORS[group.group]}`} />
+                                            {group.label}
+                                        </td>
+                                        <td className="py-2 text-right">{group.count} file(s)</td>
+                                        <td className="py-2 text-right whitespace-nowrap">{formatBytes(group.bytes)}</td>
+                                        <td className="py-2 text-right w-16">{Math.round(percentOf(group.bytes, summary.totalBytes))}%</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </section>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <LargestList title="Largest files" entries={summary.largestFiles} onOpenItem={onOpenItem} />
+                        <LargestList title="Largest folders" entries={summary.largestFolders} onOpenItem={onOpenItem} />
+                    </div>
+                    <p className="text-xs text-gray-500">Scanned {formatDate(new Date(index.builtAt))}. Items in the Trash are not included.</p>
+                </>
+            )}
+        </div>
+    );
+}
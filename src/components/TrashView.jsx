@@ -0,0 +1,179 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { isCanceled, getErrorMessage } from '../utils/apiClient';
+import { toast } from 'react-toastify';
+import ConfirmDialog from './ConfirmDialog';
+import { listTrash, restoreItem, deleteItem, emptyTrash, getItemKey } from '../utils/itemActions';
+import { formatBytes, formatDate } from '../utils/format';
+import { postTabMessage } from '../utils/tabSync';
+
+// Backends name the deletion timestamp differently
+const getTrashedAt = (item) => {
+    const raw = item.trashedAt ?? item.trashed_at ?? item.deletedAt ?? item.deleted_at;
+    return raw ? new Date(raw) : null;
+};
+
+// --- Component: Trash View ---
+// Lists trashed items with Restore and Delete forever, plus Empty trash. Both permanent
+// actions go through a confirmation dialog.
+export default function TrashView({ apiBaseUrl, onBack }) {
+    const [items, setItems] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [busyKeys, setBusyKeys] = useState(() => new Set()); // Rows with a request in flight
+    const [confirm, setConfirm] = useState(null); // { title, message, confirmLabel, onConfirm }
+
+    const loadTrash = useCallback(async (signal) => {
+        setIsLoading(true);
+        try {
+            const trashed = await listTrash(apiBaseUrl, { signal });
+            trashed.sort((a, b) => (getTrashedAt(b)?.getTime() ?? 0) - (getTrashedAt(a)?.getTime() ?? 0)); // Newest first
+            setItems(trashed);
+        } catch (err) {
+            if (isCanceled(err)) return;
+            toast.error(getErrorMessage(err, 'Failed to load the trash.'));
+            console.error('Trash fetch error:', err.data || err.message || err);
+        } finally {
+            if (!signal?.aborted) setIsLoading(false);
+        }
+    }, [apiBaseUrl]);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        loadTrash(controller.signal);
+        return () => controller.abort();
+    }, [loadTrash]);
+
+    // Runs one row action, keeping the row disabled meanwhile and dropping it from the list on success
+    const runItemAction = async (item, action, successMessage, errorMessage) => {
+        const key = getItemKey(item);
+        setBusyKeys(prev => new Set(prev).add(key));
+        try {
+            await action(apiBaseUrl, item);
+            setItems(prev => prev.filter(i => getItemKey(i) !== key));
+            toast.success(successMessage);
+        } catch (err) {
+            toast.error(getErrorMessage(err, errorMessage));
+            console.error('Trash action error:', err.data || err.message || err);
+        } finally {
+            setBusyKeys(prev => {
+                const next = new Set(prev);
+                next.delete(key);
+                return next;
+            });
+        }
+    };
+
+    // Restored items reappear in a folder that other tabs may be showing
+    const restoreAndAnnounce = async (baseUrl, item) => {
+        await restoreItem(baseUrl, item);
+        postTabMessage({ type: 'folderChanged' });
+    };
+
+    const handleRestore = (item) =>
+        runItemAction(item, restoreAndAnnounce, `Restored '${item.name}'.`, `Failed to restore '${item.name}'.`);
+
+    const handlePurge = (item) => setConfirm({
+        title: 'Delete forever?',
+        message: item.type === 'folder'
+            ? `"${item.name}" and everything in it will be permanently deleted. This cannot be undone.`
+            : `"${item.name}" will be permanently deleted. This cannot be undone.`,
+        confirmLabel: 'Delete forever',
+        onConfirm: () => {
+            setConfirm(null);
+            runItemAction(item, deleteItem, `Permanently deleted '${item.name}'.`, `Failed to delete '${item.name}'.`);
+        },
+    });
+
+    const handleEmptyTrash = () => setConfirm({
+        title: 'Empty trash?',
+        message: `All ${items.length} item(s) in the trash will be permanently deleted. This cannot be undone.`,
+        confirmLabel: 'Empty trash',
+        onConfirm: async () => {
+            setConfirm(null);
+            setIsLoading(true);
+            try {
+                await emptyTrash(apiBaseUrl);
+                setItems([]);
+                toast.success('Trash emptied.');
+            } catch (err) {
+                toast.error(getErrorMessage(err, 'Failed to empty the trash.'));
+                console.error('Empty trash error:', err.data || err.message || err);
+                loadTrash(); // Some items may be gone already
+                return;
+            }
+            setIsLoading(false);
+        },
+    });
+
+    return (
+        <div className="mt-2">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <div className="flex items-center gap-3">
+                    <button type="button" onClick={onBack} className="text-sm text-blue-600 hover:underline">← My Drive</button>
+                    <h2 className="text-xl font-semibold text-gray-800">
+                        Trash {isLoading && <span className="text-sm text-gray-500 ml-2">(Loading...)</span>}
+                    </h2>
+                </div>
+                <button
+                    type="button"
+                    onClick={handleEmptyTrash}
+                    disabled={isLoading || items.length === 0}
+                    className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded font-bold text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    Empty trash
+                </button>
+            </div>
+            <p className="text-sm text-gray-500 mb-3">Restored items go back to the folder they were deleted from, or to Root if that folder no longer exists.</p>
+
+            <div className={`overflow-x-auto shadow-md rounded-lg border bg-white ${isLoading && items.length > 0 ? 'opacity-60' : ''}`}>
+                <table className="w-full text-sm text-left text-gray-500">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                        <tr>
+                            <th scope="col" className="px-4 sm:px-6 py-3">Name</th>
+                            <th scope="col" className="px-4 sm:px-6 py-3 hidden sm:table-cell">Size</th>
+                            <th scope="col" className="px-4 sm:px-6 py-3 hidden md:table-cell">Deleted</th>
+                            <th scope="col" className="px-4 sm:px-6 py-3 text-right">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {items.length > 0 ? items.map(item => {
+                            const isBusy = busyKeys.has(getItemKey(item));
+                            return (
+                                <tr key={getItemKey(item)} className="border-b bg-white hover:bg-gray-50">
+                                    <td className="px-4 sm:px-6 py-3 font-medium text-gray-900 whitespace-nowrap">
+                                        <span className="mr-2 text-lg">{item.type === 'folder' ? '📁' : '📄'}</span>
+                                        {item.name}
+                                    </td>
+                                    <td className="px-4 sm:px-6 py-3 hidden sm:table-cell">
+                                        {item.type === 'file' && item.size != null ? formatBytes(item.size) : '-'}
+                                    </td>
+                                    <td className="px-4 sm:px-6 py-3 hidden md:table-cell whitespace-nowrap">{formatDate(getTrashedAt(item))}</td>
+                                    <td className="px-4 sm:px-6 py-3 text-right space-x-2 whitespace-nowrap">
+                                        <button onClick={() => handleRestore(item)} disabled={isBusy || isLoading} className="font-medium text-blue-600 hover:text-blue-800 hover:underline disabled:opacity-50 disabled:no-underline">Restore</button>
+                                        <button onClick={() => handlePurge(item)} disabled={isBusy || isLoading} className="font-medium text-red-600 hover:text-red-800 hover:underline disabled:opacity-50 disabled:no-underline">Delete forever</button>
+                                    </td>
+                                </tr>
+                            );
+                        }) : (
+                            !isLoading && (
+                                <tr>
+                                    <td colSpan="4" className="text-center py-6 px-6 text-gray-500 italic">Trash is empty.</td>
+                                </tr>
+                            )
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            {confirm && (
+                <ConfirmDialog
+                    title={confirm.title}
+                    message={confirm.message}
+                    confirmLabel={confirm.confirmLabel}
+                    danger
+                    onConfirm={confirm.onConfirm}
+                    onCancel={() => setConfirm(null)}
+                />
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,24 @@
+import React from 'react';
+
+// How long the Undo button stays available after an item is moved to the Trash
+export const UNDO_TOAST_MS = 8000;
+
+// --- Component: Undo Toast ---
+// Toast body with an Undo button; react-toastify passes `closeToast` to render functions
+export default function UndoToast({ message, onUndo, closeToast }) {
+    return (
+        <div className="flex items-center justify-between gap-3">
+            <span>{message}</span>
+            <button
+                type="button"
+                onClick={() => {
+                    closeToast();
+                    onUndo();
+                }}
+                className="font-bold underline whitespace-nowrap"
+            >
+                Undo
+            </button>
+        </div>
+    );
+}
@@ -0,0 +1,39 @@
+import React, { useEffect, useRef } from 'react';
+import useFocusTrap from '../hooks/useFocusTrap';
+import PassphraseForm from './PassphraseForm';
+
+// --- Component: Unlock Dialog ---
+// Modal passphrase prompt for an encrypted folder, opened when an upload or download needs
+// its key. `reason` says what is waiting on it.
+export default function UnlockDialog({ keyParams, sample, reason, onUnlocked, onCancel }) {
+    const dialogRef = useRef(null);
+    useFocusTrap(dialogRef);
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onCancel();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onCancel]);
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onCancel}>
+            <div
+                ref={dialogRef}
+                tabIndex={-1}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="unlock-dialog-title"
+                className="outline-none bg-white rounded-lg shadow-xl w-full max-w-md"
+                onClick={e => e.stopPropagation()}
+            >
+                <h2 id="unlock-dialog-title" className="border-b px-4 py-3 font-semibold text-gray-800">🔒 Unlock encrypted folder</h2>
+                <div className="px-4 py-3 text-sm text-gray-700">
+                    {reason && <p className="mb-3">{reason}</p>}
+                    <PassphraseForm idPrefix="unlock" keyParams={keyParams} sample={sample} onUnlocked={onUnlocked} onCancel={onCancel} autoFocus />
+                    <p className="mt-3 text-xs text-gray-500">The folder stays unlocked until you lock it, log out or reload the page.</p>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { formatBytes } from '../utils/format';
+import { collectDroppedEntries, entriesFromDirectoryInput } from '../utils/folderUpload';
+
+const STATUS_LABELS = {
+    queued: 'Queued',
+    uploading: 'Uploading',
+    done: 'Done',
+    error: 'Failed',
+    canceled: 'Canceled',
+};
+
+const STATUS_COLORS = {
+    queued: 'text-gray-500',
+    uploading: 'text-blue-600',
+    done: 'text-green-600',
+    error: 'text-red-600',
+    canceled: 'text-gray-400',
+};
+
+// --- Component: Upload Queue Item ---
+function UploadQueueItem({ upload, onCancel, onRetry }) {
+    const { file, status, progress, error } = upload;
+    const canCancel = status === 'queued' || status === 'uploading';
+    const canRetry = status === 'error' || status === 'canceled';
+
+    return (
+        <li className="py-2">
+            <div className="flex items-center justify-between gap-2 text-sm">
+                <span className="truncate text-gray-800" title={file.name}>
+                    {file.name}
+                    {upload.fileId != null && <span className="ml-1 text-xs text-gray-400">(replaces existing)</span>}
+                </span>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                    <span className="text-xs text-gray-400 hidden sm:inline">{formatBytes(file.size)}</span>
+                    <span className={`text-xs font-semibold ${STATUS_COLORS[status]}`}>
+                        {status === 'uploading' ? `${progress}%` : STATUS_LABELS[status]}
+                    </span>
+                    {canCancel && (
+                        <button onClick={() => onCancel(upload.id)} className="text-xs font-medium text-red-600 hover:text-red-800 hover:underline" title="Cancel upload">Cancel</button>
+                    )}
+                    {canRetry && (
+                        <button onClick={() => onRetry(upload.id)} className="text-xs font-medium text-blue-600 hover:text-blue-800 hover:underline" title="Retry upload">Retry</button>
+                    )}
+                </div>
+            </div>
+            <div className="mt-1 h-1.5 w-full bg-gray-200 rounded" role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={progress} aria-label={`Upload progress for ${file.name}`}>
+                <div className={`h-1.5 rounded ${status === 'error' ? 'bg-red-500' : 'bg-green-500'}`} style={{ width: `${progress}%` }} />
+            </div>
+            {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+        </li>
+    );
+}
+
+// --- Component: Upload Panel ---
+// Drop zone + file/folder pickers feeding the upload queue, with the queue listed below.
+// `checkProgress` (0..1) is shown while picked files are hashed for the duplicate check.
+export default function UploadPanel({ uploads, isPreparingFolders, checkProgress = null, disabled = false, onFilesSelected, onFolderSelected, onCancel, onRetry, onClearFinished }) {
+    const [isDragOver, setIsDragOver] = useState(false);
+
+    const handleDragOver = (e) => {
+        if (disabled) return; // Not calling preventDefault refuses the drop
+        e.preventDefault(); // Required to allow dropping
+        e.dataTransfer.dropEffect = 'copy';
+        setIsDragOver(true);
+    };
+
+    const handleDrop = async (e) => {
+        e.preventDefault();
+        setIsDragOver(false);
+        const droppedEntries = collectDroppedEntries(e.dataTransfer); // Must run before the first await
+        if (!droppedEntries) {
+            if (e.dataTransfer.files.length > 0) onFilesSelected(e.dataTransfer.files);
+            return;
+        }
+        try {
+            onFolderSelected(await droppedEntries);
+        } catch (err) {
+            toast.error('Could not read the dropped folder.');
+            console.error('Folder read error:', err);
+        }
+    };
+
+    const handleInputChange = (e) => {
+        onFilesSelected(e.target.files);
+        e.target.value = null; // Allow picking the same files again
+    };
+
+    const handleDirectoryInputChange = (e) => {
+        onFolderSelected(entriesFromDirectoryInput(e.target.files));
+        e.target.value = null;
+    };
+
+    const pendingCount = uploads.filter(u => u.status === 'queued' || u.status === 'uploading').length;
+    const hasFinished = uploads.length > pendingCount;
+
+    return (
+        <div className="p-4 border rounded shadow-sm bg-white">
+            <h2 className="text-lg font-semibold mb-3 text-gray-700">Upload New Files</h2>
+            <div
+                onDragOver={handleDragOver}
+                onDragLeave={() => setIsDragOver(false)}
+                onDrop={handleDrop}
+                className={`border-2 border-dashed rounded p-4 text-center text-sm ${isDragOver ? 'border-violet-500 bg-violet-50' : 'border-gray-300'} ${disabled ? 'opacity-50' : ''}`}
+            >
+                <p className="text-gray-500 mb-2">{disabled ? 'Uploading needs a connection.' : <>Drag &amp; drop files or folders here, or</>}</p>
+                <div className="flex justify-center gap-2 flex-wrap">
+                    <label className={`inline-block py-2 px-4 rounded-full text-sm font-semibold bg-violet-50 text-violet-700 ${disabled ? 'cursor-not-allowed' : 'cursor-pointer hover:bg-violet-100'}`}>
+                        Choose Files
+                        <input id="file-upload-input" type="file" multiple disabled={disabled} onChange={handleInputChange} className="sr-only" />
+                    </label>
+                    <label className={`inline-block py-2 px-4 rounded-full text-sm font-semibold bg-violet-50 text-violet-700 ${disabled ? 'cursor-not-allowed' : 'cursor-pointer hover:bg-violet-100'}`}>
+                        Choose Folder
+                        <input id="folder-upload-input" type="file" webkitdirectory="" directory="" disabled={disabled} onChange={handleDirectoryInputChange} className="sr-only" />
+                    </label>
+                </div>
+            </div>
+            {isPreparingFolders && <p className="mt-2 text-xs text-gray-500">Creating folders...</p>}
+            {checkProgress !== null && <p className="mt-2 text-xs text-gray-500">Checking for duplicates... {Math.round(checkProgress * 100)}%</p>}
+
+            {uploads.length > 0 && (
+                <div className="mt-3">
+                    <div className="flex items-center justify-between text-xs text-gray-500">
+                        <span>{pendingCount > 0 ? `${pendingCount} upload(s) in progress` : 'All uploads finished'}</span>
+                        {hasFinished && (
+                            <button onClick={onClearFinished} className="font-medium text-gray-600 hover:text-gray-800 hover:underline">Clear finished</button>
+                        )}
+                    </div>
+                    <ul className="divide-y max-h-60 overflow-y-auto">
+                        {uploads.map(upload => (
+                            <UploadQueueItem key={upload.id} upload={upload} onCancel={onCancel} onRetry={onRetry} />
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+import { isCanceled } from '../utils/apiClient';
+import { fetchVersionBlob } from '../utils/versions';
+import { buildSideBySideDiff } from '../utils/textDiff';
+import { formatBytes } from '../utils/format';
+
+// Larger versions are not diffed; the line diff is quadratic in the worst case
+const MAX_DIFF_BYTES = 1024 * 1024;
+
+const CELL_CLASSES = {
+    same: '',
+    removed: 'bg-red-50 text-red-900',
+    added: 'bg-green-50 text-green-900',
+};
+
+function DiffCell({ side }) {
+    if (!side) return <><td className="bg-gray-50" /><td className="bg-gray-50" /></>;
+    return (
+        <>
+            <td className={`px-2 text-right text-gray-400 select-none align-top ${CELL_CLASSES[side.type]}`}>{side.number}</td>
+            <td className={`px-2 whitespace-pre-wrap break-all align-top ${CELL_CLASSES[side.type]}`}>{side.text || ' '}</td>
+        </>
+    );
+}
+
+// --- Component: Version Diff ---
+// Side-by-side line diff of two text versions of a file (older on the left)
+export default function VersionDiff({ apiBaseUrl, fileId, oldVersion, newVersion }) {
+    const [diff, setDiff] = useState({ status: 'loading' });
+
+    useEffect(() => {
+        const tooLarge = [oldVersion, newVersion].find(v => v.size > MAX_DIFF_BYTES);
+        if (tooLarge) {
+            setDiff({ status: 'error', error: `Version ${tooLarge.number} is larger than ${formatBytes(MAX_DIFF_BYTES)} and can't be compared here.` });
+            return undefined;
+        }
+
+        const controller = new AbortController();
+        setDiff({ status: 'loading' });
+        Promise.all([oldVersion, newVersion].map(version =>
+            fetchVersionBlob(apiBaseUrl, fileId, version.id, { signal: controller.signal }).then(({ blob }) => blob.text())
+        ))
+            .then(([oldText, newText]) => setDiff({ status: 'ready', rows: buildSideBySideDiff(oldText, newText) }))
+            .catch(err => {
+                if (isCanceled(err)) return;
+                console.error('Version diff error:', err.data || err.message || err);
+                setDiff({ status: 'error', error: 'Could not load the versions to compare.' });
+            });
+        return () => controller.abort();
+    }, [apiBaseUrl, fileId, oldVersion, newVersion]);
+
+    if (diff.status === 'loading') return <p className="py-4 text-center text-sm text-gray-500">Comparing...</p>;
+    if (diff.status === 'error') return <p className="py-4 text-center text-sm text-red-600">{diff.error}</p>;
+
+    const changedRows = diff.rows.filter(row => row.left?.type !== 'same' || row.right?.type !== 'same').length;
+    return (
+        <div>
+            <p className="mb-2 text-xs text-gray-500">
+                {changedRows === 0 ? 'The versions are identical.' : `${changedRows} changed row(s).`}
+            </p>
+            <div className="overflow-auto max-h-[50vh] border rounded">
+                <table className="w-full font-mono text-xs table-fixed">
+                    <colgroup>
+                        <col className="w-10" /><col /><col className="w-10" /><col />
+                    </colgroup>
+                    <thead className="bg-gray-50 text-gray-700 sticky top-0">
+                        <tr>
+                            <th colSpan="2" className="px-2 py-1 text-left font-semibold">Version {oldVersion.number}</th>
+                            <th colSpan="2" className="px-2 py-1 text-left font-semibold border-l">Version {newVersion.number}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {diff.rows.map((row, index) => (
+                            <tr key={index}>
+                                <DiffCell side={row.left} />
+                                <DiffCell side={row.right} />
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
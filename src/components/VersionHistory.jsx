@@ -0,0 +1,210 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { isCanceled, getErrorMessage } from '../utils/apiClient';
+import { toast } from 'react-toastify';
+import FilePreview from './FilePreview';
+import VersionDiff from './VersionDiff';
+import { listVersions, fetchVersionBlob, restoreVersion, getUploaderName } from '../utils/versions';
+import { saveBlob } from '../utils/download';
+import { EncryptionLockedError } from '../utils/encryption';
+import { getPreviewKind } from '../utils/fileTypes';
+import { formatBytes, formatDate } from '../utils/format';
+import useFocusTrap from '../hooks/useFocusTrap';
+
+const DIFFABLE_KINDS = ['text', 'code', 'markdown'];
+
+// "report.txt", version 3 -> "report (v3).txt"
+const versionFileName = (name, number) => {
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? `${name.slice(0, dot)} (v${number})${name.slice(dot)}` : `${name} (v${number})`;
+};
+
+// --- Component: Version History ---
+// Lists a file's earlier uploads with download, preview and restore; text files can
+// compare any two versions side by side. Restoring needs edit rights (`canRestore`).
+export default function VersionHistory({ apiBaseUrl, file, canRestore = true, onClose, onRestored }) {
+    const dialogRef = useRef(null);
+    useFocusTrap(dialogRef);
+    const [versions, setVersions] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [busyVersionId, setBusyVersionId] = useState(null); // Version being restored or downloaded
+    const [previewVersion, setPreviewVersion] = useState(null);
+    const [compare, setCompare] = useState({ oldId: '', newId: '', isOpen: false });
+
+    const canDiff = DIFFABLE_KINDS.includes(getPreviewKind(file.mimeType || '', file.name));
+
+    const loadVersions = useCallback(async (signal) => {
+        setIsLoading(true);
+        try {
+            const loaded = await listVersions(apiBaseUrl, file.id, { signal });
+            setVersions(loaded);
+            // Default comparison: the previous version against the current one
+            setCompare(prev => ({
+                ...prev,
+                oldId: loaded[1]?.id ?? loaded[0]?.id ?? '',
+                newId: loaded[0]?.id ?? '',
+            }));
+        } catch (err) {
+            if (isCanceled(err)) return;
+            toast.error(getErrorMessage(err, 'Failed to load version history.'));
+            console.error('Versions fetch error:', err.data || err.message || err);
+        } finally {
+            if (!signal?.aborted) setIsLoading(false);
+        }
+    }, [apiBaseUrl, file.id]);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        loadVersions(controller.signal);
+        return () => controller.abort();
+    }, [loadVersions]);
+
+    // Escape closes the panel, unless the version preview on top of it is open (it handles Escape itself)
+    useEffect(() => {
+        if (previewVersion) return undefined;
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose, previewVersion]);
+
+    const handleDownload = async (version) => {
+        setBusyVersionId(version.id);
+        try {
+            const { blob } = await fetchVersionBlob(apiBaseUrl, file.id, version.id);
+            saveBlob(blob, versionFileName(file.name, version.number)); // Named by version so it can't be mistaken for the current file
+        } catch (err) {
+            toast.error(err instanceof EncryptionLockedError
+                ? `Version ${version.number} is encrypted. Unlock its folder first, e.g. by previewing it.`
+                : getErrorMessage(err, `Failed to download version ${version.number}.`));
+            console.error('Version download error:', err.data || err.message || err);
+        } finally {
+            setBusyVersionId(null);
+        }
+    };
+
+    const handleRestore = async (version) => {
+        setBusyVersionId(version.id);
+        try {
+            await restoreVersion(apiBaseUrl, file.id, version.id);
+            toast.success(`Version ${version.number} is now the current version.`);
+            onRestored();
+            await loadVersions();
+        } catch (err) {
+            toast.error(getErrorMessage(err, `Failed to restore version ${version.number}.`));
+            console.error('Version restore error:', err.data || err.message || err);
+        } finally {
+            setBusyVersionId(null);
+        }
+    };
+
+    // Stable per version, so FilePreview only refetches when another version is picked
+    const loadPreviewBlob = useCallback(({ signal }) =>
+        fetchVersionBlob(apiBaseUrl, file.id, previewVersion.id, { signal }), [apiBaseUrl, file.id, previewVersion]);
+
+    const oldVersion = versions.find(v => v.id === compare.oldId);
+    const newVersion = versions.find(v => v.id === compare.newId);
+    const selectClass = 'border rounded py-1 px-2 text-gray-700 text-sm focus:outline-none focus:ring-1 focus:ring-blue-500';
+    const actionClass = 'font-medium hover:underline disabled:opacity-50 disabled:no-underline';
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4" onClick={onClose}>
+            <div
+                ref={dialogRef}
+                tabIndex={-1}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="version-history-title"
+                className="outline-none bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col"
+                onClick={e => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between gap-3 border-b px-4 py-3">
+                    <h2 id="version-history-title" className="font-semibold text-gray-800 truncate">Versions of {file.name}</h2>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-xl leading-none" aria-label="Close versions">×</button>
+                </div>
+
+                <div className="flex-1 overflow-y-auto px-4 py-3 space-y-4">
+                    {isLoading && versions.length === 0 && <p className="py-6 text-center text-sm text-gray-500">Loading versions...</p>}
+                    {!isLoading && versions.length === 0 && <p className="py-6 text-center text-sm text-gray-500 italic">No earlier versions.</p>}
+                    {versions.length > 0 && (
+                        <table className="w-full text-sm text-left text-gray-600">
+                            <thead className="text-xs text-gray-700 uppercase bg-gray-50">
+                                <tr>
+                                    <th scope="col" className="px-3 py-2">Version</th>
+                                    <th scope="col" className="px-3 py-2">Uploaded</th>
+                                    <th scope="col" className="px-3 py-2 hidden sm:table-cell">Size</th>
+                                    <th scope="col" className="px-3 py-2 hidden sm:table-cell">By</th>
+                                    <th scope="col" className="px-3 py-2 text-right">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {versions.map(version => {
+                                    const isBusy = busyVersionId === version.id;
+                                    return (
+                                        <tr key={version.id} className={`border-b ${version.isCurrent ? 'bg-blue-50' : ''}`}>
+                                            <td className="px-3 py-2 font-medium text-gray-900 whitespace-nowrap">
+                                                v{version.number}
+                                                {version.isCurrent && <span className="ml-2 rounded bg-blue-100 px-1.5 py-0.5 text-xs text-blue-800">Current</span>}
+                                            </td>
+                                            <td className="px-3 py-2 whitespace-nowrap">{formatDate(version.createdAt ? new Date(version.createdAt) : null)}</td>
+                                            <td className="px-3 py-2 hidden sm:table-cell">{version.size != null ? formatBytes(version.size) : '-'}</td>
+                                            <td className="px-3 py-2 hidden sm:table-cell">{getUploaderName(version)}</td>
+                                            <td className="px-3 py-2 text-right space-x-2 whitespace-nowrap">
+                                                <button onClick={() => setPreviewVersion(version)} disabled={isBusy} className={`${actionClass} text-gray-600 hover:text-gray-800`}>Preview</button>
+                                                <button onClick={() => handleDownload(version)} disabled={isBusy} className={`${actionClass} text-blue-600 hover:text-blue-800`}>Download</button>
+                                                {canRestore && !version.isCurrent && (
+                                                    <button onClick={() => handleRestore(version)} disabled={busyVersionId !== null} className={`${actionClass} text-yellow-600 hover:text-yellow-800`}>Restore as current</button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    )}
+
+                    {canDiff && versions.length > 1 && (
+                        <section className="border-t pt-3 space-y-3">
+                            <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                                <span className="font-semibold">Compare</span>
+                                <select aria-label="Older version" value={compare.oldId} onChange={e => setCompare({ ...compare, oldId: versions.find(v => String(v.id) === e.target.value)?.id, isOpen: false })} className={selectClass}>
+                                    {versions.map(v => <option key={v.id} value={v.id}>v{v.number}</option>)}
+                                </select>
+                                <span>with</span>
+                                <select aria-label="Newer version" value={compare.newId} onChange={e => setCompare({ ...compare, newId: versions.find(v => String(v.id) === e.target.value)?.id, isOpen: false })} className={selectClass}>
+                                    {versions.map(v => <option key={v.id} value={v.id}>v{v.number}</option>)}
+                                </select>
+                                <button
+                                    type="button"
+                                    onClick={() => setCompare({ ...compare, isOpen: true })}
+                                    disabled={!oldVersion || !newVersion || oldVersion === newVersion}
+                                    className="bg-blue-500 hover:bg-blue-700 text-white px-3 py-1 rounded font-bold text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    Show diff
+                                </button>
+                            </div>
+                            {compare.isOpen && oldVersion && newVersion && (
+                                <VersionDiff apiBaseUrl={apiBaseUrl} fileId={file.id} oldVersion={oldVersion} newVersion={newVersion} />
+                            )}
+                        </section>
+                    )}
+                </div>
+            </div>
+
+            {previewVersion && (
+                <div onClick={e => e.stopPropagation()}>
+                    <FilePreview
+                        apiBaseUrl={apiBaseUrl}
+                        file={{ ...file, size: previewVersion.size ?? file.size, mimeType: previewVersion.mimeType ?? file.mimeType }}
+                        files={[file]}
+                        onSelect={() => {}}
+                        onClose={() => setPreviewVersion(null)}
+                        onDownload={() => handleDownload(previewVersion)}
+                        loadBlob={loadPreviewBlob}
+                        subtitle={`Version ${previewVersion.number} · ${formatDate(previewVersion.createdAt ? new Date(previewVersion.createdAt) : null)}`}
+                    />
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+const SORT_OPTIONS = [
+    { key: 'name', label: 'Name' },
+    { key: 'type', label: 'Type' },
+    { key: 'size', label: 'Size' },
+    { key: 'modified', label: 'Modified' },
+];
+
+const COLUMN_OPTIONS = [
+    { key: 'type', label: 'Type' },
+    { key: 'size', label: 'Size' },
+    { key: 'modified', label: 'Modified' },
+];
+
+// --- Component: View Toolbar ---
+// Quick filter for the open folder, table/grid toggle, and (per mode) column visibility or sort controls
+export default function ViewToolbar({ filterText, onFilterChange, prefs, onPrefsChange }) {
+    const [showColumns, setShowColumns] = useState(false);
+    const columnsRef = useRef(null);
+
+    // Close the column menu on outside click
+    useEffect(() => {
+        if (!showColumns) return undefined;
+        const handleMouseDown = (e) => {
+            if (columnsRef.current && !columnsRef.current.contains(e.target)) setShowColumns(false);
+        };
+        document.addEventListener('mousedown', handleMouseDown);
+        return () => document.removeEventListener('mousedown', handleMouseDown);
+    }, [showColumns]);
+
+    const toggleButtonClass = (active) =>
+        `px-3 py-1.5 text-sm font-medium ${active ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`;
+
+    return (
+        <div className="flex flex-wrap items-center gap-3 mb-3">
+            <input
+                type="search"
+                value={filterText}
+                onChange={e => onFilterChange(e.target.value)}
+                placeholder="Filter this folder..."
+                aria-label="Filter items in this folder"
+                className="shadow-sm appearance-none border rounded py-1.5 px-3 text-gray-700 text-sm leading-tight focus:outline-none focus:ring-1 focus:ring-blue-500 w-full sm:w-64"
+            />
+
+            <div className="flex items-center gap-3 ml-auto">
+                {prefs.viewMode === 'grid' ? (
+                    // The grid has no column headers, so sorting lives here
+                    <div className="flex items-center gap-1 text-sm text-gray-600">
+                        <label htmlFor="grid-sort">Sort by</label>
+                        <select id="grid-sort" value={prefs.sortKey} onChange={e => onPrefsChange({ sortKey: e.target.value })}
+                            className="border rounded py-1 px-2 text-gray-700 text-sm focus:outline-none focus:ring-1 focus:ring-blue-500">
+                            {SORT_OPTIONS.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+                        </select>
+                        <button type="button" onClick={() => onPrefsChange({ sortDir: prefs.sortDir === 'asc' ? 'desc' : 'asc' })}
+                            className="px-2 py-1 rounded border bg-white hover:bg-gray-100" title="Reverse sort order"
+                            aria-label={prefs.sortDir === 'asc' ? 'Sorted ascending, switch to descending' : 'Sorted descending, switch to ascending'}>
+                            {prefs.sortDir === 'asc' ? '▲' : '▼'}
+                        </button>
+                    </div>
+                ) : (
+                    <div ref={columnsRef} className="relative">
+                        <button type="button" onClick={() => setShowColumns(!showColumns)} aria-expanded={showColumns}
+                            className="px-3 py-1.5 rounded border bg-white text-sm font-medium text-gray-700 hover:bg-gray-100">
+                            Columns
+                        </button>
+                        {showColumns && (
+                            <div className="absolute right-0 z-20 mt-1 w-40 rounded border bg-white shadow-lg p-2 space-y-1 text-sm">
+                                {COLUMN_OPTIONS.map(column => (
+                                    <label key={column.key} className="flex items-center gap-2 px-1 py-0.5 text-gray-700 cursor-pointer">
+                                        <input
+                                            type="checkbox"
+                                            checked={prefs.columns[column.key]}
+                                            onChange={e => onPrefsChange({ columns: { ...prefs.columns, [column.key]: e.target.checked } })}
+                                        />
+                                        {column.label}
+                                    </label>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                <div className="inline-flex rounded border overflow-hidden" role="group" aria-label="View mode">
+                    <button type="button" onClick={() => onPrefsChange({ viewMode: 'table' })} aria-pressed={prefs.viewMode === 'table'} className={toggleButtonClass(prefs.viewMode === 'table')}>
+                        ☰ Table
+                    </button>
+                    <button type="button" onClick={() => onPrefsChange({ viewMode: 'grid' })} aria-pressed={prefs.viewMode === 'grid'} className={toggleButtonClass(prefs.viewMode === 'grid')}>
+                        ▦ Grid
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,30 @@
+import React from 'react';
+import { formatBytes } from '../utils/format';
+
+// --- Component: ZIP Progress ---
+// Floating status card for the running ZIP download
+export default function ZipProgress({ job, onCancel }) {
+    const { archiveName, phase, foldersScanned, filesDone, filesTotal, bytesDone, bytesTotal } = job;
+    const percent = bytesTotal > 0 ? Math.min(100, Math.round((bytesDone * 100) / bytesTotal)) : 0;
+
+    return (
+        <div className="fixed bottom-4 left-4 z-40 w-80 p-4 border rounded shadow-lg bg-white text-sm" role="status" aria-live="polite">
+            <div className="flex items-center justify-between gap-2 mb-2">
+                <span className="font-semibold text-gray-800 truncate" title={archiveName}>{archiveName}</span>
+                <button onClick={onCancel} className="text-xs font-medium text-red-600 hover:text-red-800 hover:underline flex-shrink-0">Cancel</button>
+            </div>
+            {phase === 'scanning' ? (
+                <p className="text-gray-500">Scanning folders... ({foldersScanned} scanned)</p>
+            ) : (
+                <>
+                    <div className="h-1.5 w-full bg-gray-200 rounded" role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={percent} aria-label="ZIP progress">
+                        <div className="h-1.5 rounded bg-blue-500" style={{ width: `${percent}%` }} />
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500">
+                        {filesDone} / {filesTotal} files · {formatBytes(bytesDone)} of {formatBytes(bytesTotal)}
+                    </p>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,69 @@
+import { useCallback } from 'react';
+import { useLocation, useNavigate, matchPath } from 'react-router-dom';
+
+// --- Routes ---
+//   /                                   Root
+//   /files/:fileId                      Root, previewing a file
+//   /folders/:folderId                  A folder
+//   /folders/:folderId/files/:fileId    A folder, previewing one of its files
+//   /trash                              The Trash
+//   /shared                             Items other users shared with me
+//   /starred                            Items I starred
+//   /recent                             Files I recently uploaded, updated, previewed or downloaded
+//   /storage                            Storage usage and the largest items
+//   /account                            Account settings
+//   /forgot-password                    Request a password reset link (logged out)
+//   /reset-password?token=...           Choose a new password from an emailed link
+// Any of them may carry `?highlight=<item key>` to flag one row (e.g. a search result).
+const ROUTE_PATTERNS = ['/folders/:folderId/files/:fileId', '/folders/:folderId', '/files/:fileId', '/trash', '/shared', '/starred', '/recent', '/storage', '/account', '/forgot-password', '/reset-password', '/'];
+// Routes that show a page of their own instead of a folder
+const VIEW_URLS = {
+    trash: '/trash',
+    shared: '/shared',
+    starred: '/starred',
+    recent: '/recent',
+    storage: '/storage',
+    account: '/account',
+    forgotPassword: '/forgot-password',
+    resetPassword: '/reset-password',
+};
+
+// Backend ids are numeric today; keep other ids (e.g. UUIDs) as strings
+const parseRouteId = (value) => {
+    if (value == null) return null;
+    return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+export const folderUrl = (folderId, { highlight } = {}) => {
+    const path = folderId == null ? '/' : `/folders/${encodeURIComponent(folderId)}`;
+    return highlight ? `${path}?highlight=${encodeURIComponent(highlight)}` : path;
+};
+
+export const viewUrl = (name) => VIEW_URLS[name];
+
+export const previewUrl = (folderId, fileId) =>
+    `${folderId == null ? '' : folderUrl(folderId)}/files/${encodeURIComponent(fileId)}`;
+
+/**
+ * Reads the view ('drive' or a VIEW_URLS key), open folder and previewed file from the URL, and navigates by pushing
+ * history entries. `matched` is false for paths that are not app routes. `searchParams` is the query string, parsed.
+ */
+export default function useDriveRoute() {
+    const location = useLocation();
+    const navigate = useNavigate();
+
+    const match = ROUTE_PATTERNS.map(pattern => matchPath(pattern, location.pathname)).find(Boolean);
+    const folderId = parseRouteId(match?.params.folderId);
+    const fileId = parseRouteId(match?.params.fileId);
+    const view = Object.keys(VIEW_URLS).find(key => VIEW_URLS[key] === match?.pattern.path) || 'drive';
+    const searchParams = new URLSearchParams(location.search);
+    const highlightKey = searchParams.get('highlight');
+
+    // `options.highlight` is forwarded to the URL; the rest goes to navigate()
+    const goToFolder = useCallback((id, { highlight, ...options } = {}) => navigate(folderUrl(id, { highlight }), options), [navigate]);
+    const openPreview = useCallback((id, options) => navigate(previewUrl(folderId, id), options), [navigate, folderId]);
+    const closePreview = useCallback((options) => navigate(folderUrl(folderId), options), [navigate, folderId]);
+    const goToView = useCallback((name, options) => navigate(VIEW_URLS[name], options), [navigate]);
+
+    return { matched: !!match, view, folderId, fileId, highlightKey, searchParams, goToFolder, openPreview, closePreview, goToView };
+}
@@ -0,0 +1,54 @@
+import { useState, useEffect } from 'react';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Open traps, innermost last; only the innermost one handles Tab (dialogs can open over dialogs)
+const trapStack = [];
+
+const getFocusable = (container) =>
+    [...container.querySelectorAll(FOCUSABLE)].filter(el => !el.hidden && el.getClientRects().length > 0);
+
+/**
+ * Modal focus handling for a dialog element: focus moves into it on open (unless an
+ * `autoFocus` child already took it), Tab and Shift+Tab cycle inside it, and focus returns to
+ * whatever had it before once the dialog closes. The element should have tabIndex={-1} so it
+ * can take focus itself when it has nothing focusable.
+ */
+export default function useFocusTrap(containerRef) {
+    // Captured during the first render, before autoFocus children move focus
+    const [returnFocusTo] = useState(() => document.activeElement);
+
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!container) return undefined;
+        trapStack.push(container);
+        if (!container.contains(document.activeElement)) (getFocusable(container)[0] || container).focus();
+
+        const handleKeyDown = (e) => {
+            if (e.key !== 'Tab' || trapStack[trapStack.length - 1] !== container) return;
+            const focusable = getFocusable(container);
+            if (focusable.length === 0) {
+                e.preventDefault();
+                container.focus();
+                return;
+            }
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const inside = container.contains(document.activeElement);
+            if (e.shiftKey && (!inside || document.activeElement === first || document.activeElement === container)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+                e.preventDefault();
+                first.focus();
+            }
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('keydown', handleKeyDown);
+            trapStack.splice(trapStack.indexOf(container), 1);
+            // The opener may be gone (e.g. a deleted row); then focus stays where the browser puts it
+            if (returnFocusTo?.isConnected) returnFocusTo.focus();
+        };
+    }, [containerRef, returnFocusTo]);
+}
@@ -0,0 +1,143 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { isCanceled, getErrorMessage } from '../utils/apiClient';
+import { fetchFolder } from '../utils/folderWalk';
+import useKeyring from './useKeyring';
+import {
+    getFolderEncryption, setFolderEncryption, encryptSubfolders, rememberFolderEncryption, getRememberedEncryption,
+    createFolderEncryption, getUnlockedKey, lockKey, lockAllKeys, decryptBlob, EncryptionLockedError,
+} from '../utils/encryption';
+
+// --- Hook: Folder Encryption ---
+// Encryption state of the open folder (`folderId`; Root never is encrypted) and the passphrase prompt.
+// The folder's own record says whether it is encrypted (see utils/encryption.js); it is fetched while
+// `enabled`. Encrypted folders seen in the record or among `items` are remembered per user, so a record
+// that stops saying so is caught (`isEncryptionMissing`). `unlockRequest` is set while something waits
+// for a passphrase; render a dialog for it that calls `closeUnlockRequest(unlocked)`.
+// `onEncrypted(folderId)` runs after encryptOpenFolder changed a folder and its subfolders.
+export default function useFolderEncryption({ apiBaseUrl, userId, folderId, enabled, items, onEncrypted }) {
+    const [folderRecord, setFolderRecord] = useState(null); // { id, folder } of the open folder's own record; `folder` is null if it couldn't be fetched
+    const [unlockRequest, setUnlockRequest] = useState(null); // { keyParams, sample, reason, resolve } while an upload or download waits for a passphrase
+    const [showEncryptFolder, setShowEncryptFolder] = useState(false);
+
+    useEffect(() => {
+        if (!enabled || folderId === null) return undefined;
+        const controller = new AbortController();
+        fetchFolder(apiBaseUrl, folderId, { signal: controller.signal })
+            .then(folder => {
+                const encryption = getFolderEncryption(folder);
+                if (encryption) rememberFolderEncryption(userId, folderId, encryption);
+                setFolderRecord({ id: folderId, folder });
+            })
+            .catch(err => {
+                if (isCanceled(err)) return;
+                console.error('Folder record error:', err.data || err.message || err);
+                setFolderRecord({ id: folderId, folder: null });
+            });
+        return () => controller.abort();
+    }, [enabled, userId, folderId, apiBaseUrl]);
+
+    useEffect(() => {
+        if (userId == null) return;
+        items.forEach(item => {
+            const encryption = item.type === 'folder' && getFolderEncryption(item);
+            if (encryption) rememberFolderEncryption(userId, item.id, encryption);
+        });
+    }, [userId, items]);
+
+    useKeyring(); // Re-render when a folder is locked or unlocked
+    const openFolder = folderId !== null && folderRecord?.id === folderId ? folderRecord.folder : null;
+    const folderEncryption = getFolderEncryption(openFolder);
+    const rememberedEncryption = userId != null && folderId !== null ? getRememberedEncryption(userId, folderId) : null;
+    // Seen encrypted before, but the backend now says it isn't (or names another key): nothing goes in unencrypted
+    const isEncryptionMissing = Boolean(openFolder && rememberedEncryption && folderEncryption?.salt !== rememberedEncryption.salt);
+
+    // Resolves with true once `keyParams` is unlocked, asking for the passphrase if needed; false if the user cancels
+    const requestUnlock = useCallback((keyParams, { sample, reason } = {}) => {
+        if (getUnlockedKey(keyParams)) return Promise.resolve(true);
+        return new Promise(resolve => setUnlockRequest({ keyParams, sample, reason, resolve }));
+    }, []);
+
+    const closeUnlockRequest = (unlocked) => {
+        unlockRequest?.resolve(unlocked);
+        setUnlockRequest(null);
+    };
+
+    // Uploads must not start before the open folder's record says whether they need encrypting
+    const isFolderSettingsKnown = () => {
+        if (isEncryptionMissing) {
+            toast.error("This folder was encrypted, but the server no longer says so, so nothing was uploaded.");
+            return false;
+        }
+        if (folderId === null || openFolder) return true;
+        toast.warn(folderRecord?.id === folderId
+            ? "Couldn't check whether this folder is encrypted, so nothing was uploaded. Open the folder again and retry."
+            : "Still checking this folder's settings. Try again in a moment.");
+        return false;
+    };
+
+    // Resolves with the key new content of the open folder is encrypted with: null for a plain folder,
+    // undefined when the upload must not go ahead (settings unknown, or the passphrase prompt canceled)
+    const getUploadKey = async (reason) => {
+        if (!isFolderSettingsKnown()) return undefined;
+        if (!folderEncryption) return null;
+        if (!(await requestUnlock(folderEncryption, { reason }))) return undefined;
+        return getUnlockedKey(folderEncryption);
+    };
+
+    // Content from an encrypted folder, decrypted; asks for the passphrase when its key is locked.
+    // Plain content passes through. Resolves with null if the user cancels.
+    const decryptWithUnlock = async (blob, type, reason) => {
+        try {
+            return await decryptBlob(blob, type);
+        } catch (err) {
+            if (!(err instanceof EncryptionLockedError)) throw err;
+            if (!(await requestUnlock(err.keyParams, { sample: err.sample, reason }))) return null;
+            return decryptBlob(blob, type);
+        }
+    };
+
+    // Resolves with whether the open folder itself got encrypted; subfolders that couldn't be are reported
+    const encryptOpenFolder = async (passphrase) => {
+        const folder = openFolder;
+        let params = null;
+        try {
+            params = await createFolderEncryption(passphrase);
+            await setFolderEncryption(apiBaseUrl, folder.id, params);
+            rememberFolderEncryption(userId, folder.id, params);
+            setFolderRecord(prev => (prev?.id === folder.id ? { id: folder.id, folder: { ...prev.folder, encryption: params } } : prev));
+        } catch (err) {
+            if (params) lockKey(params);
+            toast.error(getErrorMessage(err, `Could not encrypt '${folder.name}'.`));
+            console.error('Encrypt folder error:', err.data || err.message || err);
+            return false;
+        }
+        // The folder itself is encrypted now, so the dialog closes whatever happens to the subfolders
+        const { encrypted, failed } = await encryptSubfolders(apiBaseUrl, folder, params);
+        encrypted.forEach(id => rememberFolderEncryption(userId, id, params));
+        setShowEncryptFolder(false);
+        if (failed.length) {
+            toast.warn(`'${folder.name}' is now encrypted, but ${failed.map(name => `'${name}'`).join(', ')} and what's inside couldn't be. Encrypt them before uploading into them.`);
+        } else {
+            toast.success(`'${folder.name}' and its subfolders are now encrypted. They stay unlocked until you lock them or log out.`);
+        }
+        onEncrypted?.(folder.id); // Subfolder rows show their lock
+        return true;
+    };
+
+    // On logout: keys of encrypted folders never outlive the session
+    const reset = useCallback(() => {
+        setUnlockRequest(null);
+        setShowEncryptFolder(false);
+        setFolderRecord(null);
+        lockAllKeys();
+    }, []);
+
+    return {
+        openFolder, folderEncryption, rememberedEncryption, isEncryptionMissing,
+        unlockRequest, requestUnlock, closeUnlockRequest,
+        isFolderSettingsKnown, getUploadKey, decryptWithUnlock,
+        showEncryptFolder, setShowEncryptFolder, encryptOpenFolder,
+        reset,
+    };
+}
@@ -0,0 +1,100 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { toast } from 'react-toastify';
+import { API, TEST_USER, backend, seedBackend } from '../test/mockBackend';
+import { createFolderEncryption, rememberFolderEncryption, unlockKey, lockAllKeys, getUnlockedKey, encryptFile } from '../utils/encryption';
+import useFolderEncryption from './useFolderEncryption';
+
+const PASSPHRASE = 'correct horse battery staple';
+
+const renderEncryption = (folderId, props = {}) => renderHook(() => useFolderEncryption({
+    apiBaseUrl: API, userId: TEST_USER.id, folderId, enabled: true, items: [], ...props,
+}));
+
+// A locked folder 2 encrypted with PASSPHRASE, inside plain folder 1
+const seedEncryptedFolder = async () => {
+    const params = await createFolderEncryption(PASSPHRASE);
+    lockAllKeys();
+    seedBackend({ loggedIn: true, folders: [{ id: 1, name: 'Projects' }, { id: 2, name: 'Private', parentId: 1, encryption: params }] });
+    return params;
+};
+
+afterEach(() => {
+    vi.restoreAllMocks();
+    lockAllKeys();
+});
+
+describe('useFolderEncryption', () => {
+    it('asks for the passphrase before handing out the key of the open folder', async () => {
+        const params = await seedEncryptedFolder();
+        const { result } = renderEncryption(2);
+        await waitFor(() => expect(result.current.folderEncryption).toMatchObject({ salt: params.salt }));
+
+        let uploadKey;
+        act(() => {
+            uploadKey = result.current.getUploadKey('Uploads here are encrypted.');
+        });
+        await waitFor(() => expect(result.current.unlockRequest).toMatchObject({ keyParams: { salt: params.salt }, reason: 'Uploads here are encrypted.' }));
+        await unlockKey(params, PASSPHRASE);
+        act(() => result.current.closeUnlockRequest(true));
+
+        expect(await uploadKey).toBe(getUnlockedKey(params));
+        expect(result.current.unlockRequest).toBeNull();
+    });
+
+    it('uploads into a plain folder without a key and holds off while its record loads', async () => {
+        await seedEncryptedFolder();
+        vi.spyOn(toast, 'warn');
+        const { result } = renderEncryption(1);
+
+        expect(result.current.isFolderSettingsKnown()).toBe(false);
+        expect(toast.warn).toHaveBeenCalledWith("Still checking this folder's settings. Try again in a moment.");
+        await waitFor(() => expect(result.current.openFolder).toMatchObject({ id: 1 }));
+        expect(await result.current.getUploadKey('')).toBeNull();
+    });
+
+    it('refuses uploads into a folder that was encrypted but no longer says so', async () => {
+        const params = await seedEncryptedFolder();
+        rememberFolderEncryption(TEST_USER.id, 1, params);
+        vi.spyOn(toast, 'error');
+        const { result } = renderEncryption(1);
+
+        await waitFor(() => expect(result.current.isEncryptionMissing).toBe(true));
+        expect(await result.current.getUploadKey('')).toBeUndefined();
+        expect(toast.error).toHaveBeenCalledWith('This folder was encrypted, but the server no longer says so, so nothing was uploaded.');
+    });
+
+    it('gives up decrypting when the passphrase prompt is canceled', async () => {
+        const params = await seedEncryptedFolder();
+        await unlockKey(params, PASSPHRASE);
+        const encrypted = await encryptFile(new File(['secret'], 'secret.txt'), getUnlockedKey(params));
+        lockAllKeys();
+        const plain = new Blob(['# Plan']);
+        const { result } = renderEncryption(2);
+
+        let decrypted;
+        act(() => {
+            decrypted = result.current.decryptWithUnlock(encrypted, 'text/plain', 'Enter the passphrase.');
+        });
+        await waitFor(() => expect(result.current.unlockRequest).not.toBeNull());
+        act(() => result.current.closeUnlockRequest(false));
+
+        expect(await decrypted).toBeNull();
+        expect(await result.current.decryptWithUnlock(plain, 'text/plain', '')).toBe(plain); // Plain content passes through
+    });
+
+    it('encrypts the open folder and its subfolders', async () => {
+        seedBackend({ loggedIn: true, folders: [{ id: 1, name: 'Projects' }, { id: 3, name: 'Drafts', parentId: 1 }] });
+        vi.spyOn(toast, 'success');
+        const onEncrypted = vi.fn();
+        const { result } = renderEncryption(1, { onEncrypted });
+        await waitFor(() => expect(result.current.openFolder).toMatchObject({ id: 1 }));
+
+        await act(() => result.current.encryptOpenFolder(PASSPHRASE));
+
+        expect(result.current.folderEncryption).not.toBeNull();
+        expect(backend.folders.get(3).encryption.salt).toBe(result.current.folderEncryption.salt);
+        expect(onEncrypted).toHaveBeenCalledWith(1);
+        expect(toast.success).toHaveBeenCalledWith("'Projects' and its subfolders are now encrypted. They stay unlocked until you lock them or log out.");
+    });
+});
@@ -0,0 +1,176 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { isCanceled, isNetworkError, getErrorMessage } from '../utils/apiClient';
+import { listFolderPage, appendListingPage, LISTING_PAGE_SIZE } from '../utils/folderWalk';
+import { saveFolderListing, getCachedListing, updateCachedListing } from '../utils/offlineCache';
+
+// Typing in the quick filter of a partly loaded folder asks the backend once the user pauses
+const FILTER_DEBOUNCE_MS = 300;
+
+// --- Hook: Folder Listing ---
+// The loaded contents of a folder, fetched a page at a time in the current sort order (`sortKey`,
+// `sortDir`). While pages are still to load, a new sort order or quick filter (`filterQuery`) asks the
+// backend for a new listing of `folderId`; a complete one has everything and is sorted and filtered by the caller.
+// Without a connection, the copy saved the last time the folder was listed is shown (`savedListing`).
+// `onListed()` runs after every live listing; `onFolderMissing(folderId)` when the backend no longer has it.
+// `isLoading` is also the "busy" flag of actions on the listed items, which set it themselves and end it with
+// a refetch (or `finishLoading()`).
+export default function useFolderListing({ apiBaseUrl, folderId, sortKey, sortDir, filterQuery, onListed, onFolderMissing }) {
+    const [items, setItems] = useState([]);
+    const [isLoading, setIsLoading] = useState(false); // For API calls/fetching
+    const [loadedFolderId, setLoadedFolderId] = useState(undefined); // Folder the current `items` belong to
+    const [nextPage, setNextPage] = useState(null); // Where the loaded listing continues (see listFolderPage); null once complete
+    const [listingOptions, setListingOptions] = useState(null); // { sortKey, sortDir, query } the loaded listing was requested with
+    const [isLoadingMore, setIsLoadingMore] = useState(false); // A further page is on its way (row actions stay enabled)
+    const [loadMoreFailed, setLoadMoreFailed] = useState(false); // Stops infinite scroll until the user retries
+    const [savedListing, setSavedListing] = useState(null); // { savedAt, complete } while `items` is a saved copy instead of a live listing
+
+    const fetchControllerRef = useRef(null); // AbortController of the folder listing in flight
+    const pageControllerRef = useRef(null); // AbortController of the further page in flight
+    const listingQueryRef = useRef(''); // Name filter the backend applies to the next listing
+    const loadedCountRef = useRef(0); // Items loaded so far, so a refetch can reload as many
+    const folderIdRef = useRef(folderId);
+    const onListedRef = useRef(onListed);
+    const onFolderMissingRef = useRef(onFolderMissing);
+
+    // Listings are requested in the current sort order, so the pages still to load continue it
+    const listingSortRef = useRef({ sortKey, sortDir });
+    useEffect(() => {
+        listingSortRef.current = { sortKey, sortDir };
+    }, [sortKey, sortDir]);
+
+    useEffect(() => {
+        folderIdRef.current = folderId;
+        onListedRef.current = onListed;
+        onFolderMissingRef.current = onFolderMissing;
+    }, [folderId, onListed, onFolderMissing]);
+
+    useEffect(() => {
+        loadedCountRef.current = items.length;
+    }, [items]);
+
+    // A newer fetch aborts the one in flight, so a slow response can't overwrite the folder on screen.
+    // Loads the first page; further pages follow as the list is scrolled (loadMoreItems). With `keepLoaded`
+    // (refetches after a change), as many items as were loaded come back, so the scroll position holds.
+    // `query` replaces the name filter of the listing; it is kept otherwise.
+    const fetchItems = useCallback(async (folderId, { keepLoaded = false, query } = {}) => {
+        fetchControllerRef.current?.abort();
+        pageControllerRef.current?.abort(); // A further page of the old listing must not land in the new one
+        pageControllerRef.current = null;
+        setIsLoadingMore(false);
+        const controller = new AbortController();
+        fetchControllerRef.current = controller;
+        setIsLoading(true); // Start loading indicator
+        if (query !== undefined) listingQueryRef.current = query;
+        const options = { ...listingSortRef.current, query: listingQueryRef.current };
+        const limit = keepLoaded ? Math.max(LISTING_PAGE_SIZE, loadedCountRef.current) : LISTING_PAGE_SIZE;
+        try {
+            const { items: fetchedItems, nextPage: continuation } = await listFolderPage(apiBaseUrl, folderId, { ...options, limit, signal: controller.signal });
+            // Sorting follows the user's view preferences at render time
+            setItems(fetchedItems);
+            setNextPage(continuation);
+            setListingOptions(options);
+            setLoadMoreFailed(false);
+            setLoadedFolderId(folderId);
+            setSavedListing(null);
+            if (!options.query) saveFolderListing(folderId, fetchedItems, { complete: !continuation }); // For browsing offline later; loadMoreItems adds further pages
+            onListedRef.current?.();
+        } catch (err) {
+            if (isCanceled(err)) return;
+            if (err.status === 401) return; // The session-expiry handler takes over
+            if (isNetworkError(err)) {
+                // Offline or server down: fall back to the copy saved the last time this folder was listed
+                const cached = await getCachedListing(folderId);
+                if (fetchControllerRef.current !== controller) return; // Navigated elsewhere meanwhile
+                if (cached) {
+                    setItems(cached.items);
+                    setNextPage(null); // Nothing more can load; what was saved is sorted and filtered by the caller, and the banner says if it is partial
+                    setListingOptions({ ...options, query: '' });
+                    setLoadedFolderId(folderId);
+                    setSavedListing({ savedAt: cached.savedAt, complete: cached.complete });
+                    return;
+                }
+                toast.error(navigator.onLine === false
+                    ? "This folder hasn't been opened on this device yet, so it isn't available offline."
+                    : getErrorMessage(err, 'Failed to fetch items.'));
+                return;
+            }
+            toast.error(getErrorMessage(err, 'Failed to fetch items.'));
+            console.error('Fetch error:', err.data || err.message || err);
+            if (err.status === 404 && folderId !== null) onFolderMissingRef.current?.(folderId); // Root can't go missing
+        } finally {
+            // An aborted fetch leaves the loading state to the one that replaced it
+            if (fetchControllerRef.current === controller) {
+                fetchControllerRef.current = null;
+                setIsLoading(false);
+            }
+        }
+    }, [apiBaseUrl]);
+
+    // Appends the next page of the loaded listing (infinite scroll)
+    const loadMoreItems = useCallback(async () => {
+        if (!nextPage || fetchControllerRef.current || pageControllerRef.current) return;
+        const folderId = loadedFolderId;
+        const controller = new AbortController();
+        pageControllerRef.current = controller;
+        setIsLoadingMore(true);
+        setLoadMoreFailed(false);
+        try {
+            const { items: pageItems, nextPage: continuation } = await listFolderPage(apiBaseUrl, folderId, { ...listingOptions, page: nextPage, signal: controller.signal });
+            setItems(prev => appendListingPage(prev, pageItems));
+            setNextPage(continuation);
+            if (!listingOptions.query) updateCachedListing(folderId, listing => appendListingPage(listing, pageItems), { complete: !continuation });
+        } catch (err) {
+            if (isCanceled(err) || err.status === 401) return;
+            setLoadMoreFailed(true);
+            toast.error(getErrorMessage(err, 'Failed to load more items.'));
+            console.error('Fetch error:', err.data || err.message || err);
+        } finally {
+            if (pageControllerRef.current === controller) {
+                pageControllerRef.current = null;
+                setIsLoadingMore(false);
+            }
+        }
+    }, [apiBaseUrl, nextPage, loadedFolderId, listingOptions]);
+
+    // Ends the loading state of an action whose folder is no longer listed; a listing in flight ends it itself
+    const finishLoading = useCallback(() => {
+        if (!fetchControllerRef.current) setIsLoading(false);
+    }, []);
+
+    // Pages come sorted and filtered by the backend. While some are still to load, a new sort order or filter
+    // needs a new listing; a complete one has everything and is sorted and filtered by the caller.
+    useEffect(() => {
+        if (!listingOptions || isLoading || loadedFolderId !== folderId) return undefined;
+        const sortChanged = listingOptions.sortKey !== sortKey || listingOptions.sortDir !== sortDir;
+        const needsListing = nextPage
+            ? sortChanged || filterQuery !== listingOptions.query
+            : !filterQuery.toLowerCase().includes(listingOptions.query.toLowerCase()); // Narrowing a filtered listing stays local
+        if (!needsListing) return undefined;
+        const timer = setTimeout(() => fetchItems(folderIdRef.current, { query: filterQuery }), sortChanged ? 0 : FILTER_DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [listingOptions, isLoading, loadedFolderId, folderId, sortKey, sortDir, nextPage, filterQuery, fetchItems]);
+
+    // On logout: a listing still in flight belongs to the previous session
+    const reset = useCallback(() => {
+        fetchControllerRef.current?.abort();
+        fetchControllerRef.current = null;
+        pageControllerRef.current?.abort();
+        pageControllerRef.current = null;
+        setIsLoading(false);
+        setIsLoadingMore(false);
+        setItems([]);
+        setNextPage(null);
+        setListingOptions(null);
+        setLoadMoreFailed(false);
+        listingQueryRef.current = '';
+        setLoadedFolderId(undefined);
+        setSavedListing(null);
+    }, []);
+
+    return {
+        items, setItems, isLoading, setIsLoading, finishLoading, loadedFolderId,
+        nextPage, listingOptions, isLoadingMore, loadMoreFailed, savedListing,
+        fetchItems, loadMoreItems, reset,
+    };
+}
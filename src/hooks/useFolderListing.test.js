@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { http, HttpResponse } from 'msw';
+import { toast } from 'react-toastify';
+import { server } from '../test/server';
+import { API, seedBackend } from '../test/mockBackend';
+import { saveFolderListing, getCachedListing, updateCachedListing } from '../utils/offlineCache';
+import useFolderListing from './useFolderListing';
+
+// jsdom has no IndexedDB
+vi.mock('../utils/offlineCache', () => ({
+    saveFolderListing: vi.fn(),
+    getCachedListing: vi.fn(),
+    updateCachedListing: vi.fn(),
+}));
+
+const manyFiles = (count) => Array.from({ length: count }, (_, i) => ({ id: 1000 + i, name: `file-${String(i).padStart(3, '0')}.txt`, folderId: null }));
+
+const renderListing = (props = {}) => renderHook(current => useFolderListing(current), {
+    initialProps: { apiBaseUrl: API, folderId: null, sortKey: 'name', sortDir: 'asc', filterQuery: '', ...props },
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+    vi.clearAllMocks();
+});
+
+describe('useFolderListing', () => {
+    it('lists the first page and appends the next one on request', async () => {
+        seedBackend({ loggedIn: true, files: manyFiles(250) });
+        const onListed = vi.fn();
+        const { result } = renderListing({ onListed });
+
+        await act(() => result.current.fetchItems(null));
+        expect(result.current.items).toHaveLength(200);
+        expect(result.current.nextPage).not.toBeNull();
+        expect(result.current.loadedFolderId).toBeNull();
+        expect(onListed).toHaveBeenCalledTimes(1);
+        expect(saveFolderListing).toHaveBeenCalledWith(null, expect.any(Array), { complete: false });
+
+        await act(() => result.current.loadMoreItems());
+        expect(result.current.items).toHaveLength(250);
+        expect(result.current.items.at(-1).name).toBe('file-249.txt');
+        expect(result.current.nextPage).toBeNull();
+        expect(updateCachedListing).toHaveBeenCalledWith(null, expect.any(Function), { complete: true });
+    });
+
+    it('reloads as many items as were loaded when keeping the loaded ones', async () => {
+        seedBackend({ loggedIn: true, files: manyFiles(450) });
+        const { result } = renderListing();
+        await act(() => result.current.fetchItems(null));
+        await act(() => result.current.loadMoreItems());
+        expect(result.current.items).toHaveLength(400);
+
+        await act(() => result.current.fetchItems(null, { keepLoaded: true }));
+        expect(result.current.items).toHaveLength(400);
+        expect(result.current.nextPage).not.toBeNull();
+    });
+
+    it('asks the backend for a filtered listing while pages are still to load', async () => {
+        seedBackend({ loggedIn: true, files: manyFiles(250) });
+        const { result, rerender } = renderListing();
+        await act(() => result.current.fetchItems(null));
+
+        rerender({ apiBaseUrl: API, folderId: null, sortKey: 'name', sortDir: 'asc', filterQuery: 'file-24' });
+        await waitFor(() => expect(result.current.listingOptions.query).toBe('file-24'));
+        expect(result.current.items.map(item => item.name)).toEqual(Array.from({ length: 10 }, (_, i) => `file-24${i}.txt`));
+        expect(result.current.nextPage).toBeNull();
+    });
+
+    it('reports a folder the backend no longer has', async () => {
+        seedBackend({ loggedIn: true });
+        vi.spyOn(toast, 'error');
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const onFolderMissing = vi.fn();
+        const { result } = renderListing({ folderId: 99, onFolderMissing });
+
+        await act(() => result.current.fetchItems(99));
+        expect(toast.error).toHaveBeenCalled();
+        expect(onFolderMissing).toHaveBeenCalledWith(99);
+        expect(result.current.isLoading).toBe(false);
+    });
+
+    it('shows the saved copy of the folder when the backend is out of reach', async () => {
+        seedBackend({ loggedIn: true });
+        server.use(
+            http.get(`${API}/api/folders`, () => HttpResponse.error()),
+            http.get(`${API}/api/files`, () => HttpResponse.error())
+        );
+        getCachedListing.mockResolvedValue({ items: [{ id: 1, type: 'file', name: 'notes.txt' }], complete: false, savedAt: 1234 });
+        const { result } = renderListing();
+
+        await act(() => result.current.fetchItems(null));
+        expect(getCachedListing).toHaveBeenCalledWith(null);
+        expect(result.current.items).toEqual([{ id: 1, type: 'file', name: 'notes.txt' }]);
+        expect(result.current.savedListing).toEqual({ savedAt: 1234, complete: false });
+        expect(result.current.nextPage).toBeNull();
+    });
+});
@@ -0,0 +1,167 @@
+import { useState, useRef, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { createFolderResolver, dirnameOf } from '../utils/folderUpload';
+import { appendListingPage, findFilesNamedLike } from '../utils/folderWalk';
+import { getFreeBytes } from '../utils/storage';
+import { hashFiles } from '../utils/fileHash';
+import { findDuplicates, planUploads } from '../utils/duplicates';
+import { MAX_ENCRYPTED_FILE_BYTES } from '../utils/encryption';
+import { formatBytes } from '../utils/format';
+
+// --- Hook: Folder Uploads ---
+// Files and local directory trees picked for upload into the open folder (`folderId`), checked before
+// they go to `uploadQueue` (see hooks/useUploadQueue.js). `loadedItems` are the folder's items loaded so far,
+// all of them once `isListingComplete`. `folderEncryption`, `isFolderSettingsKnown` and `getUploadKey` come
+// from hooks/useFolderEncryption.js for the same folder.
+// `duplicateCheck` and `quotaWarning` are set while a choice is up to the user; render a dialog for each
+// that calls its `onConfirm`, or `closeDuplicateCheck()` / `closeQuotaWarning()` to drop the upload.
+// `onFoldersCreated(folderId)` runs once a directory tree is created under `folderId`.
+export default function useFolderUploads({
+    apiBaseUrl, folderId, loadedItems, isListingComplete, storageUsage, uploadQueue,
+    folderEncryption, isFolderSettingsKnown, getUploadKey, onFoldersCreated,
+}) {
+    const [isPreparingFolders, setIsPreparingFolders] = useState(false); // Folder upload: creating the directory tree
+    const [hashProgress, setHashProgress] = useState(null); // 0..1 while picked files are hashed
+    const [duplicateCheck, setDuplicateCheck] = useState(null); // { duplicates, totalCount, onConfirm } for uploads matching files in the folder
+    const [quotaWarning, setQuotaWarning] = useState(null); // { message, onConfirm } for an upload that would exceed the quota
+    const sessionRef = useRef(0); // Bumped by reset, so checks started before it can tell
+
+    // Runs `startUpload` right away when `bytes` fit in the free space (minus uploads still queued),
+    // otherwise asks first. The server has the final say, so the user may still try.
+    const runWithinQuota = (bytes, startUpload) => {
+        const pendingBytes = uploadQueue.uploads
+            .filter(u => u.status === 'queued' || u.status === 'uploading')
+            .reduce((total, u) => total + u.file.size, 0);
+        const freeBytes = getFreeBytes(storageUsage) - pendingBytes;
+        if (bytes <= freeBytes) return startUpload();
+        setQuotaWarning({
+            message: `This upload needs ${formatBytes(bytes)}, but only ${formatBytes(Math.max(freeBytes, 0))} of your storage is free`
+                + `${pendingBytes > 0 ? ' after the uploads already in progress' : ''}. The server will likely reject files that don't fit.`,
+            onConfirm: () => {
+                setQuotaWarning(null);
+                startUpload();
+            },
+        });
+    };
+
+    // Queue files for upload into the folder that is open right now. They are hashed first, so files that
+    // match one already in the folder by name or content can be kept as a copy, replace it, or be skipped.
+    // In an encrypted folder they are encrypted on the way and only compared by name: a hash would tell
+    // the backend about the plaintext, and the hashes it keeps are of ciphertext. While the folder isn't
+    // fully loaded, names are looked up on the backend as well; content is compared with the loaded files only.
+    const uploadFiles = async (files) => {
+        if (!files || files.length === 0) return toast.warn("Please select a file.");
+        let batch = Array.from(files);
+        const targetFolderId = folderId;
+        let existingItems = loadedItems;
+        const session = sessionRef.current;
+        const encryptWith = await getUploadKey("Files uploaded to this folder are encrypted with its passphrase.");
+        if (encryptWith === undefined || session !== sessionRef.current) return;
+        if (encryptWith) {
+            const tooLarge = batch.filter(file => file.size > MAX_ENCRYPTED_FILE_BYTES);
+            if (tooLarge.length > 0) {
+                toast.error(`${tooLarge.map(file => file.name).join(', ')} can't be encrypted in the browser: files in encrypted folders can be up to ${formatBytes(MAX_ENCRYPTED_FILE_BYTES)}.`);
+                batch = batch.filter(file => !tooLarge.includes(file));
+                if (batch.length === 0) return;
+            }
+        }
+        if (!isListingComplete) {
+            try {
+                existingItems = appendListingPage(existingItems, await findFilesNamedLike(apiBaseUrl, targetFolderId, batch.map(file => file.name)));
+            } catch (err) {
+                if (session !== sessionRef.current) return;
+                toast.error("Couldn't check this folder for files with the same names, so nothing was uploaded.");
+                console.error('Duplicate lookup error:', err.data || err.message || err);
+                return;
+            }
+            if (session !== sessionRef.current) return;
+        }
+        let hashes = batch.map(() => null);
+        if (!encryptWith) {
+            setHashProgress(0);
+            hashes = await hashFiles(batch, { onProgress: setHashProgress });
+            if (session !== sessionRef.current) return; // Logged out meanwhile; reset cleared the progress
+            setHashProgress(null);
+        }
+        const duplicates = findDuplicates(batch, hashes, existingItems);
+
+        const queueUploads = (choices) => {
+            setDuplicateCheck(null);
+            const { uploads, skipped } = planUploads(batch, hashes, existingItems, duplicates, choices);
+            if (skipped.length > 0) toast.info(`Skipped ${skipped.length} file(s) already in this folder.`);
+            if (uploads.length === 0) return;
+            // A replaced file only takes up the growth over its old content
+            const bytes = uploads.reduce((total, { file, fileId }) => {
+                const oldSize = fileId != null ? existingItems.find(i => i.type === 'file' && i.id === fileId)?.size || 0 : 0;
+                return total + Math.max(file.size - oldSize, 0);
+            }, 0);
+            const entries = encryptWith ? uploads.map(upload => ({ ...upload, encryptWith })) : uploads;
+            runWithinQuota(bytes, () => uploadQueue.enqueue(entries, targetFolderId));
+        };
+        if (duplicates.length === 0) return queueUploads([]);
+        setDuplicateCheck({ duplicates, totalCount: batch.length, onConfirm: queueUploads });
+    };
+
+    // Recreate a local directory tree under `targetFolderId`, then queue each file into its folder
+    const uploadFolderTree = async (entries, targetFolderId) => {
+        const resolveFolder = createFolderResolver(apiBaseUrl, targetFolderId);
+
+        // Group by directory; parents are resolved first because the resolver walks up the path
+        const filesByDir = new Map();
+        entries.forEach(({ file, relativePath }) => {
+            const dir = file ? dirnameOf(relativePath) : relativePath;
+            if (!filesByDir.has(dir)) filesByDir.set(dir, []);
+            if (file) filesByDir.get(dir).push(file);
+        });
+
+        setIsPreparingFolders(true);
+        const failedDirs = [];
+        try {
+            for (const [dir, files] of filesByDir) {
+                try {
+                    const createdId = await resolveFolder(dir);
+                    if (files.length > 0) uploadQueue.enqueue(files, createdId);
+                } catch (err) {
+                    failedDirs.push(dir);
+                    console.error('Folder upload error:', err.data || err.message || err);
+                }
+            }
+        } finally {
+            setIsPreparingFolders(false);
+        }
+
+        if (failedDirs.length > 0) {
+            toast.error(`Could not create ${failedDirs.length} folder(s): ${failedDirs.join(', ')}`);
+        }
+        // Show newly created folders right away; file uploads refresh their own folders
+        onFoldersCreated?.(targetFolderId);
+    };
+
+    // `entries` are { file, relativePath } of a picked directory; empty directories come without a file
+    const uploadFolder = (entries) => {
+        if (!entries || entries.length === 0) return toast.warn("The selected folder is empty.");
+        if (!isFolderSettingsKnown()) return;
+        if (folderEncryption) return toast.warn("Folders can't be uploaded into an encrypted folder. Create the subfolders here and upload their files instead.");
+        const targetFolderId = folderId;
+        const bytes = entries.reduce((total, { file }) => total + (file?.size || 0), 0);
+        return runWithinQuota(bytes, () => uploadFolderTree(entries, targetFolderId));
+    };
+
+    const closeDuplicateCheck = () => setDuplicateCheck(null);
+    const closeQuotaWarning = () => setQuotaWarning(null);
+
+    // On logout: checks still running belong to the previous session
+    const reset = useCallback(() => {
+        sessionRef.current += 1;
+        setHashProgress(null);
+        setDuplicateCheck(null);
+        setQuotaWarning(null);
+    }, []);
+
+    return {
+        uploadFiles, uploadFolder,
+        isPreparingFolders, hashProgress,
+        duplicateCheck, closeDuplicateCheck, quotaWarning, closeQuotaWarning,
+        reset,
+    };
+}
@@ -0,0 +1,121 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { toast } from 'react-toastify';
+import { API, backend, seedBackend } from '../test/mockBackend';
+import { hashFiles } from '../utils/fileHash';
+import useFolderUploads from './useFolderUploads';
+
+// jsdom has no Web Worker to hash in
+vi.mock('../utils/fileHash', async (importOriginal) => ({
+    ...(await importOriginal()),
+    hashFiles: vi.fn(async (files) => files.map(() => null)),
+}));
+
+const renderUploads = (props = {}) => {
+    const uploadQueue = { uploads: [], enqueue: vi.fn() };
+    const hook = renderHook(() => useFolderUploads({
+        apiBaseUrl: API,
+        folderId: null,
+        loadedItems: [],
+        isListingComplete: true,
+        storageUsage: null,
+        uploadQueue,
+        folderEncryption: null,
+        isFolderSettingsKnown: () => true,
+        getUploadKey: async () => null,
+        ...props,
+    }));
+    return { ...hook, uploadQueue };
+};
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+describe('useFolderUploads', () => {
+    it('asks about files named like ones in the folder before queueing the batch', async () => {
+        const existing = { type: 'file', id: 5, name: 'notes.txt', size: 3 };
+        const { result, uploadQueue } = renderUploads({ loadedItems: [existing] });
+        const notes = new File(['new notes'], 'notes.txt');
+        const photo = new File(['jpg'], 'photo.jpg');
+
+        await act(() => result.current.uploadFiles([notes, photo]));
+        expect(result.current.duplicateCheck).toMatchObject({ totalCount: 2, duplicates: [{ file: notes, nameMatch: existing }] });
+        expect(uploadQueue.enqueue).not.toHaveBeenCalled();
+
+        act(() => result.current.duplicateCheck.onConfirm(['replace']));
+        expect(result.current.duplicateCheck).toBeNull();
+        expect(uploadQueue.enqueue).toHaveBeenCalledWith([{ file: notes, sha256: null, fileId: 5 }, { file: photo, sha256: null }], null);
+    });
+
+    it('looks names up on the backend while the folder is partly loaded', async () => {
+        seedBackend({ loggedIn: true, folders: [{ id: 3, name: 'Reports' }], files: [{ id: 7, name: 'report.pdf', folderId: 3 }] });
+        const { result } = renderUploads({ folderId: 3, isListingComplete: false });
+
+        await act(() => result.current.uploadFiles([new File(['pdf'], 'report.pdf')]));
+        expect(result.current.duplicateCheck.duplicates).toEqual([expect.objectContaining({ nameMatch: expect.objectContaining({ id: 7 }) })]);
+    });
+
+    it('warns before an upload that needs more than the free space', async () => {
+        const { result, uploadQueue } = renderUploads({ storageUsage: { used: 95, quota: 100 } });
+        const big = new File(['0123456789'], 'big.bin');
+
+        await act(() => result.current.uploadFiles([big]));
+        expect(result.current.quotaWarning.message).toMatch(/^This upload needs 10 Bytes, but only 5 Bytes of your storage is free\./);
+        expect(uploadQueue.enqueue).not.toHaveBeenCalled();
+
+        act(() => result.current.quotaWarning.onConfirm());
+        expect(result.current.quotaWarning).toBeNull();
+        expect(uploadQueue.enqueue).toHaveBeenCalledWith([{ file: big, sha256: null }], null);
+    });
+
+    it('creates the picked directory tree and queues each file into its folder', async () => {
+        seedBackend({ loggedIn: true, folders: [{ id: 1, name: 'Photos' }] });
+        const onFoldersCreated = vi.fn();
+        const { result, uploadQueue } = renderUploads({ onFoldersCreated });
+        const photo = new File(['jpg'], 'beach.jpg');
+
+        await act(() => result.current.uploadFolder([
+            { file: photo, relativePath: 'Photos/2024/beach.jpg' },
+            { file: null, relativePath: 'Empty' },
+        ]));
+        const created = [...backend.folders.values()];
+        const year = created.find(folder => folder.name === '2024');
+        expect(year).toMatchObject({ parentId: 1 }); // Photos already existed and is reused
+        expect(created.find(folder => folder.name === 'Empty')).toMatchObject({ parentId: null });
+        expect(uploadQueue.enqueue).toHaveBeenCalledWith([photo], year.id);
+        expect(onFoldersCreated).toHaveBeenCalledWith(null);
+        expect(result.current.isPreparingFolders).toBe(false);
+    });
+
+    it('keeps folders out of an encrypted folder', async () => {
+        vi.spyOn(toast, 'warn');
+        const { result, uploadQueue } = renderUploads({ folderId: 2, folderEncryption: { salt: 'abc' } });
+
+        act(() => result.current.uploadFolder([{ file: new File(['x'], 'x.txt'), relativePath: 'Docs/x.txt' }]));
+        expect(toast.warn).toHaveBeenCalledWith(expect.stringContaining("Folders can't be uploaded into an encrypted folder."));
+        expect(uploadQueue.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('drops a batch still being checked when reset', async () => {
+        let finishHashing;
+        hashFiles.mockImplementationOnce(files => new Promise(resolve => {
+            finishHashing = () => resolve(files.map(() => null));
+        }));
+        const { result, uploadQueue } = renderUploads();
+
+        let upload;
+        act(() => {
+            upload = result.current.uploadFiles([new File(['a'], 'a.txt')]);
+        });
+        await vi.waitFor(() => expect(result.current.hashProgress).toBe(0));
+        act(() => result.current.reset());
+        await act(async () => {
+            finishHashing();
+            await upload;
+        });
+
+        expect(result.current.hashProgress).toBeNull();
+        expect(uploadQueue.enqueue).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,113 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { getItemKey } from '../utils/itemActions';
+
+// Fields that need arrows, Space and Delete for themselves (the rename input, mainly)
+const isTextField = (el) => el.isContentEditable || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT'
+    || (el.tagName === 'INPUT' && !['checkbox', 'radio', 'button'].includes(el.type));
+
+// Items per row in the thumbnail grid: those sharing the first item's top edge
+const countColumns = (container) => {
+    const rows = [...container.querySelectorAll('[data-item-key]')];
+    if (rows.length === 0) return 1;
+    const top = rows[0].offsetTop;
+    return Math.max(1, rows.filter(row => row.offsetTop === top).length);
+};
+
+/**
+ * Roving focus over the items of a listing: one item is in the Tab order at a time and the keys
+ * below act on it. Spread `getItemProps(item)` on each row (or grid card) and attach
+ * `containerRef` to their common ancestor. For a windowed table (see useVirtualRows.js),
+ * `revealItem(index)` renders a row that isn't in the DOM; focus moves to it once it is.
+ *   ↑/↓ (and ←/→ in the grid), Home, End   Move between items
+ *   Enter                                 handlers.onOpen(item)
+ *   Space / Shift+Space                   handlers.onToggleSelect(item, shiftKey)
+ *   Delete                                handlers.onDelete(item)
+ *   F2                                    handlers.onRename(item)
+ * Arrows work from anywhere inside an item except text fields; the other keys only on the item itself,
+ * so its buttons and checkbox keep their native Enter and Space.
+ */
+export default function useItemKeyboard(items, { layout = 'list', handlers, revealItem }) {
+    const containerRef = useRef(null);
+    const [focusedKey, setFocusedKey] = useState(null);
+    const handlersRef = useRef(handlers);
+    const itemsRef = useRef(items);
+    const revealItemRef = useRef(revealItem);
+    const revealedKeyRef = useRef(null); // Item to focus once its row is rendered
+
+    useEffect(() => {
+        handlersRef.current = handlers;
+    }, [handlers]);
+
+    useEffect(() => {
+        itemsRef.current = items;
+        revealItemRef.current = revealItem;
+    }, [items, revealItem]);
+
+    // The remembered item may have been deleted or filtered out; then the first one takes the Tab stop
+    const activeKey = items.some(item => getItemKey(item) === focusedKey) ? focusedKey : (items[0] ? getItemKey(items[0]) : null);
+
+    const focusItem = useCallback((key) => {
+        const el = containerRef.current?.querySelector(`[data-item-key="${CSS.escape(key)}"]`);
+        const index = el ? -1 : itemsRef.current.findIndex(item => getItemKey(item) === key);
+        if (!el && (index === -1 || !revealItemRef.current)) return false;
+        setFocusedKey(key);
+        if (el) {
+            revealedKeyRef.current = null;
+            el.focus();
+        } else {
+            revealedKeyRef.current = key;
+            revealItemRef.current(index);
+        }
+        return true;
+    }, []);
+
+    // Focus a revealed row after the render that added it
+    useEffect(() => {
+        const key = revealedKeyRef.current;
+        const el = key && containerRef.current?.querySelector(`[data-item-key="${CSS.escape(key)}"]`);
+        if (!el) return;
+        revealedKeyRef.current = null;
+        el.focus();
+    });
+
+    const handleKeyDown = (e, item) => {
+        if (e.altKey || e.ctrlKey || e.metaKey || isTextField(e.target)) return;
+        const key = getItemKey(item);
+        const index = items.findIndex(i => getItemKey(i) === key);
+        const columns = layout === 'grid' && containerRef.current ? countColumns(containerRef.current) : 1;
+        const moves = {
+            ArrowDown: index + columns,
+            ArrowUp: index - columns,
+            ...(layout === 'grid' && { ArrowRight: index + 1, ArrowLeft: index - 1 }),
+            Home: 0,
+            End: items.length - 1,
+        };
+        if (e.key in moves) {
+            e.preventDefault();
+            const target = items[Math.min(Math.max(moves[e.key], 0), items.length - 1)];
+            if (target) focusItem(getItemKey(target));
+            return;
+        }
+
+        if (e.target !== e.currentTarget) return;
+        const { onOpen, onToggleSelect, onDelete, onRename } = handlersRef.current;
+        if (e.key === 'Enter') onOpen(item);
+        else if (e.key === ' ') onToggleSelect(item, e.shiftKey);
+        else if (e.key === 'Delete') onDelete(item);
+        else if (e.key === 'F2') onRename(item);
+        else return;
+        e.preventDefault();
+    };
+
+    const getItemProps = (item) => {
+        const key = getItemKey(item);
+        return {
+            'data-item-key': key,
+            tabIndex: key === activeKey ? 0 : -1,
+            onFocus: () => setFocusedKey(key), // Also when one of its buttons is tabbed to, so the Tab stop follows
+            onKeyDown: (e) => handleKeyDown(e, item),
+        };
+    };
+
+    return { containerRef, getItemProps, focusItem };
+}
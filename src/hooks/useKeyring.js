@@ -0,0 +1,9 @@
+import { useSyncExternalStore } from 'react';
+import { subscribeToKeyring, getKeyringVersion } from '../utils/encryption';
+
+// --- Hook: Keyring ---
+// Re-renders the caller whenever an encryption key is unlocked or locked (utils/encryption.js).
+// Returns a counter that changes with each of them, for use as an effect dependency.
+export default function useKeyring() {
+    return useSyncExternalStore(subscribeToKeyring, getKeyringVersion);
+}
@@ -0,0 +1,33 @@
+import { useEffect, useRef } from 'react';
+import { subscribeToFolderEvents } from '../utils/liveEvents';
+import { subscribeToTabMessages } from '../utils/tabSync';
+
+// --- Hook: Live Folder ---
+// Keeps the open folder current while `enabled`: server events (utils/liveEvents.js) go to
+// `onChange(change)`, and `onRefresh()` runs when the listing has to be refetched instead,
+// i.e. after the event stream reconnects or when another tab reports changing this folder.
+export default function useLiveFolder({ eventsUrl, folderId, enabled, onChange, onRefresh }) {
+    const handlersRef = useRef({ onChange, onRefresh });
+
+    useEffect(() => {
+        handlersRef.current = { onChange, onRefresh };
+    }, [onChange, onRefresh]);
+
+    useEffect(() => {
+        if (!enabled) return undefined;
+        return subscribeToFolderEvents(eventsUrl, folderId, {
+            onChange: change => {
+                if (change.folderId === undefined || change.folderId === folderId) handlersRef.current.onChange(change);
+            },
+            onResync: () => handlersRef.current.onRefresh(),
+        });
+    }, [eventsUrl, folderId, enabled]);
+
+    useEffect(() => {
+        if (!enabled) return undefined;
+        return subscribeToTabMessages(message => {
+            if (message?.type !== 'folderChanged') return;
+            if (message.folderId === undefined || message.folderId === folderId) handlersRef.current.onRefresh();
+        });
+    }, [folderId, enabled]);
+}
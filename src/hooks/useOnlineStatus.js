@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+
+// --- Hook: Online Status ---
+// The browser's view of the connection (navigator.onLine), updated on online/offline events.
+// It only knows about the local network; an unreachable backend still shows as online.
+export default function useOnlineStatus() {
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine !== false);
+
+    useEffect(() => {
+        const update = () => setIsOnline(navigator.onLine !== false);
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        return () => {
+            window.removeEventListener('online', update);
+            window.removeEventListener('offline', update);
+        };
+    }, []);
+
+    return isOnline;
+}
@@ -0,0 +1,60 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { addToOutbox, getOutbox, replayOutbox } from '../utils/outbox';
+import { postTabMessage, subscribeToTabMessages } from '../utils/tabSync';
+
+// --- Hook: Offline Outbox ---
+// Queues changes made while offline (see utils/outbox.js) and replays them on login and
+// whenever the browser comes back online. `onReplayed(result)` runs after a replay that
+// applied or rejected anything, so the caller can refresh and report conflicts.
+// Tabs share the outbox: a Web Lock keeps two of them from replaying it at the same time.
+export default function useOutbox({ apiBaseUrl, userId, isOnline, onReplayed }) {
+    const [pendingCount, setPendingCount] = useState(0);
+    const isReplayingRef = useRef(false);
+    const onReplayedRef = useRef(onReplayed);
+
+    useEffect(() => {
+        onReplayedRef.current = onReplayed;
+    }, [onReplayed]);
+
+    const refreshCount = useCallback(async () => {
+        if (userId == null) return setPendingCount(0);
+        const entries = await getOutbox(userId).catch(() => []);
+        setPendingCount(entries.length);
+    }, [userId]);
+
+    const enqueue = useCallback(async (change) => {
+        await addToOutbox({ ...change, userId });
+        refreshCount();
+        postTabMessage({ type: 'outboxChanged' });
+    }, [userId, refreshCount]);
+
+    const replay = useCallback(async () => {
+        if (userId == null || isReplayingRef.current) return;
+        isReplayingRef.current = true;
+        const run = () => replayOutbox(apiBaseUrl, userId);
+        try {
+            // A tab that waited for the lock finds the entries already replayed and does nothing
+            const result = await (navigator.locks ? navigator.locks.request('drive-clone-outbox', run) : run());
+            if (result.applied.length > 0 || result.conflicts.length > 0) {
+                onReplayedRef.current?.(result);
+                postTabMessage({ type: 'outboxChanged' });
+            }
+        } catch (err) {
+            console.error('Outbox replay error:', err.data || err.message || err);
+        } finally {
+            isReplayingRef.current = false;
+            refreshCount();
+        }
+    }, [apiBaseUrl, userId, refreshCount]);
+
+    useEffect(() => {
+        refreshCount();
+        if (isOnline) replay();
+    }, [isOnline, replay, refreshCount]);
+
+    useEffect(() => subscribeToTabMessages(message => {
+        if (message?.type === 'outboxChanged') refreshCount();
+    }), [refreshCount]);
+
+    return { pendingCount, enqueue, replay };
+}
@@ -0,0 +1,73 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// --- Recent Files ---
+// Files the user uploaded, updated, previewed or downloaded in this browser, newest first, kept in
+// localStorage under one key per user. An entry is { id, name, action, at, folderId, shared }:
+// `folderId` is the containing folder (null = Root), `shared` marks files opened from "Shared with me",
+// whose folder the user may not be able to open. `id` is null when the backend didn't return one.
+
+export const RECENT_LIMIT = 50;
+
+export const RECENT_ACTIONS = {
+    uploaded: 'Uploaded',
+    updated: 'Updated',
+    previewed: 'Previewed',
+    downloaded: 'Downloaded',
+};
+
+const storageKey = (userId) => `drive-clone:recent:${userId}`;
+
+const readEntries = (userId) => {
+    if (userId == null) return [];
+    try {
+        const stored = JSON.parse(localStorage.getItem(storageKey(userId)));
+        return Array.isArray(stored) ? stored : [];
+    } catch {
+        return []; // Unparseable or storage blocked
+    }
+};
+
+// One entry per file; files without an id are told apart by name and folder
+const sameFile = (a, b) => (a.id != null || b.id != null ? a.id === b.id : a.name === b.name && a.folderId === b.folderId);
+
+/**
+ * Returns `{ entries, addRecent, clearRecent }` for `userId`. `addRecent(file, action, { folderId, shared })`
+ * moves the file to the top of the list with `action` (a RECENT_ACTIONS key).
+ */
+export default function useRecentFiles(userId) {
+    const [state, setState] = useState(() => ({ userId, entries: readEntries(userId) }));
+
+    // Switch to the new user's list during render so the old user's files never flash
+    if (state.userId !== userId) setState({ userId, entries: readEntries(userId) });
+
+    useEffect(() => {
+        if (state.userId == null) return;
+        try {
+            localStorage.setItem(storageKey(state.userId), JSON.stringify(state.entries));
+        } catch (err) {
+            console.warn('Could not save recent files:', err);
+        }
+    }, [state]);
+
+    // Other tabs add entries too; pick them up so the next write doesn't drop them
+    useEffect(() => {
+        if (userId == null) return undefined;
+        const handleStorage = (e) => {
+            if (e.key === storageKey(userId)) setState({ userId, entries: readEntries(userId) });
+        };
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, [userId]);
+
+    const addRecent = useCallback((file, action, { folderId = null, shared = false } = {}) => {
+        setState(prev => {
+            if (prev.userId == null) return prev;
+            const entry = { id: file.id ?? null, name: file.name, action, at: new Date().toISOString(), folderId, shared };
+            return { ...prev, entries: [entry, ...prev.entries.filter(e => !sameFile(e, entry))].slice(0, RECENT_LIMIT) };
+        });
+    }, []);
+
+    const clearRecent = useCallback(() => setState(prev => ({ ...prev, entries: [] })), []);
+
+    return { entries: state.entries, addRecent, clearRecent };
+}
@@ -0,0 +1,37 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getStorageUsage } from '../utils/storage';
+import { isCanceled } from '../utils/apiClient';
+
+/**
+ * Returns `{ usage, refresh }` for the logged-in user. `usage` is `{ used, quota }` in bytes,
+ * or null before the first answer, when logged out, or when the backend reports no usage.
+ * `refresh()` refetches; a newer call aborts the one in flight.
+ */
+export default function useStorageUsage(apiBaseUrl, userId) {
+    const [usage, setUsage] = useState(null);
+    const controllerRef = useRef(null);
+
+    const refresh = useCallback(async () => {
+        controllerRef.current?.abort();
+        const controller = new AbortController();
+        controllerRef.current = controller;
+        try {
+            const next = await getStorageUsage(apiBaseUrl, { signal: controller.signal });
+            if (!controller.signal.aborted) setUsage(next);
+        } catch (err) {
+            // Keep showing the last known usage; the meter is informational
+            if (!isCanceled(err)) console.warn('Storage usage error:', err.data || err.message || err);
+        }
+    }, [apiBaseUrl]);
+
+    useEffect(() => {
+        if (userId == null) {
+            controllerRef.current?.abort();
+            setUsage(null);
+            return;
+        }
+        refresh();
+    }, [userId, refresh]);
+
+    return { usage, refresh };
+}
@@ -0,0 +1,159 @@
+import { useState, useRef, useMemo, useEffect } from 'react';
+import { isCanceled, getErrorMessage } from '../utils/apiClient';
+import { toast } from 'react-toastify';
+import { uploadFile } from '../utils/uploadFile';
+import { encryptFile } from '../utils/encryption';
+
+// How many files are sent to the backend at the same time
+export const MAX_CONCURRENT_UPLOADS = 3;
+
+let nextUploadId = 1;
+
+// --- Hook: Upload Queue ---
+// Keeps a list of queued/running/finished uploads. Each entry remembers the folder
+// that was open when it was queued, so navigating away does not change its target.
+// Entries may replace an existing file's content (`fileId`) and carry the file's SHA-256 (`sha256`).
+// Entries with `encryptWith` (an unlocked key, see utils/encryption.js) are encrypted right before they upload.
+// `onFileUploaded(upload, record)` gets each finished upload with the file record the backend returned (if any).
+export default function useUploadQueue({ apiBaseUrl, onFolderUploaded, onFileUploaded }) {
+    const [uploads, setUploads] = useState([]);
+
+    // Refs are the source of truth while uploads run; state only mirrors them for rendering
+    const uploadsRef = useRef([]);
+    const controllersRef = useRef(new Map());
+    const onFolderUploadedRef = useRef(onFolderUploaded);
+    const onFileUploadedRef = useRef(onFileUploaded);
+
+    useEffect(() => {
+        onFolderUploadedRef.current = onFolderUploaded;
+        onFileUploadedRef.current = onFileUploaded;
+    }, [onFolderUploaded, onFileUploaded]);
+
+    const queue = useMemo(() => {
+        const commit = (nextUploads) => {
+            uploadsRef.current = nextUploads;
+            setUploads(nextUploads);
+        };
+
+        const updateUpload = (id, changes) => {
+            commit(uploadsRef.current.map(u => (u.id === id ? { ...u, ...changes } : u)));
+        };
+
+        const isPending = (u) => u.status === 'queued' || u.status === 'uploading';
+
+        // Notify once a folder has no pending uploads left, instead of refetching per file
+        const settleFolder = (folderId) => {
+            const stillPending = uploadsRef.current.some(u => u.folderId === folderId && isPending(u));
+            if (!stillPending) onFolderUploadedRef.current?.(folderId);
+        };
+
+        const startUpload = async (upload) => {
+            const controller = new AbortController();
+            controllersRef.current.set(upload.id, controller);
+            updateUpload(upload.id, { status: 'uploading', progress: 0, error: null });
+
+            try {
+                let { file } = upload;
+                if (upload.encryptWith) {
+                    file = await encryptFile(file, upload.encryptWith);
+                    if (controller.signal.aborted) throw new DOMException('Upload canceled.', 'AbortError');
+                    updateUpload(upload.id, { file, encryptWith: null }); // A retry resumes the same ciphertext
+                }
+                const res = await uploadFile({
+                    apiBaseUrl,
+                    file,
+                    folderId: upload.folderId,
+                    fileId: upload.fileId,
+                    sha256: upload.sha256,
+                    signal: controller.signal,
+                    onProgress: (progress) => updateUpload(upload.id, { progress }),
+                });
+                updateUpload(upload.id, { status: 'done', progress: 100 });
+                onFileUploadedRef.current?.(upload, res.data?.file || res.data); // Single and chunked uploads answer differently
+            } catch (err) {
+                if (isCanceled(err)) {
+                    updateUpload(upload.id, { status: 'canceled' });
+                } else {
+                    const message = getErrorMessage(err, 'File upload failed.');
+                    updateUpload(upload.id, { status: 'error', error: message });
+                    toast.error(`Upload of '${upload.file.name}' failed: ${message}`);
+                    console.error('Upload error:', err.data || err.message || err);
+                }
+            } finally {
+                controllersRef.current.delete(upload.id);
+                // Skip if the queue was reset while this upload was running
+                if (uploadsRef.current.some(u => u.id === upload.id)) {
+                    settleFolder(upload.folderId);
+                    pump();
+                }
+            }
+        };
+
+        // Start queued uploads until the concurrency limit is reached
+        const pump = () => {
+            const active = uploadsRef.current.filter(u => u.status === 'uploading').length;
+            const slots = MAX_CONCURRENT_UPLOADS - active;
+            if (slots <= 0) return;
+            uploadsRef.current
+                .filter(u => u.status === 'queued')
+                .slice(0, slots)
+                .forEach(startUpload);
+        };
+
+        // `files` may mix plain Files and { file, fileId?, sha256?, encryptWith? } entries
+        const enqueue = (files, folderId) => {
+            const added = Array.from(files).map(entry => ({
+                id: nextUploadId++,
+                fileId: null,
+                sha256: null,
+                encryptWith: null,
+                ...(entry instanceof Blob ? { file: entry } : entry),
+                folderId,
+                status: 'queued',
+                progress: 0,
+                error: null,
+            }));
+            if (added.length === 0) return;
+            commit([...uploadsRef.current, ...added]);
+            pump();
+        };
+
+        const cancel = (id) => {
+            const upload = uploadsRef.current.find(u => u.id === id);
+            if (!upload) return;
+            if (upload.status === 'uploading') {
+                controllersRef.current.get(id)?.abort(); // startUpload marks it canceled
+            } else if (upload.status === 'queued') {
+                updateUpload(id, { status: 'canceled' });
+                settleFolder(upload.folderId);
+            }
+        };
+
+        const retry = (id) => {
+            const upload = uploadsRef.current.find(u => u.id === id);
+            if (!upload || isPending(upload)) return;
+            updateUpload(id, { status: 'queued', progress: 0, error: null });
+            pump();
+        };
+
+        const clearFinished = () => {
+            commit(uploadsRef.current.filter(isPending));
+        };
+
+        // Drop everything, aborting running uploads (used on logout)
+        const reset = () => {
+            controllersRef.current.forEach(controller => controller.abort());
+            commit([]);
+        };
+
+        return { enqueue, cancel, retry, clearFinished, reset };
+    }, [apiBaseUrl]);
+
+    // Abort anything still running when the queue owner unmounts (e.g. on logout)
+    useEffect(() => {
+        const controllers = controllersRef.current;
+        return () => controllers.forEach(controller => controller.abort());
+    }, []);
+
+    return { uploads, ...queue };
+}
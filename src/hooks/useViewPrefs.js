@@ -0,0 +1,55 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// --- Per-user View Preferences ---
+// Sort order, table/grid mode and visible columns, kept in localStorage under one key per user.
+
+export const DEFAULT_VIEW_PREFS = {
+    sortKey: 'name', // 'name' | 'type' | 'size' | 'modified'
+    sortDir: 'asc', // 'asc' | 'desc'
+    viewMode: 'table', // 'table' | 'grid'
+    columns: { type: true, size: true, modified: true }, // Optional table columns; Name and Actions always show
+};
+
+const storageKey = (userId) => `drive-clone:view-prefs:${userId}`;
+
+// Merge over the defaults so prefs saved by an older version still get newly added fields
+const readPrefs = (userId) => {
+    if (userId == null) return DEFAULT_VIEW_PREFS;
+    try {
+        const stored = JSON.parse(localStorage.getItem(storageKey(userId)));
+        if (!stored || typeof stored !== 'object') return DEFAULT_VIEW_PREFS;
+        return { ...DEFAULT_VIEW_PREFS, ...stored, columns: { ...DEFAULT_VIEW_PREFS.columns, ...stored.columns } };
+    } catch {
+        return DEFAULT_VIEW_PREFS; // Unparseable or storage blocked
+    }
+};
+
+/**
+ * Returns `{ prefs, updatePrefs }` for `userId`. Prefs are reloaded whenever the user
+ * changes (login/logout) and written back on every update.
+ */
+export default function useViewPrefs(userId) {
+    const [state, setState] = useState(() => ({ userId, prefs: readPrefs(userId) }));
+
+    // Switch to the new user's prefs during render so the old user's view never flashes
+    if (state.userId !== userId) setState({ userId, prefs: readPrefs(userId) });
+
+    useEffect(() => {
+        if (state.userId == null) return;
+        try {
+            localStorage.setItem(storageKey(state.userId), JSON.stringify(state.prefs));
+        } catch (err) {
+            console.warn('Could not save view preferences:', err);
+        }
+    }, [state]);
+
+    // Accepts a partial object or an updater function, like setState
+    const updatePrefs = useCallback((changes) => {
+        setState(prev => {
+            const patch = typeof changes === 'function' ? changes(prev.prefs) : changes;
+            return { ...prev, prefs: { ...prev.prefs, ...patch } };
+        });
+    }, []);
+
+    return { prefs: state.prefs, updatePrefs };
+}
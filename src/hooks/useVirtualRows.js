@@ -0,0 +1,82 @@
+import { useState, useRef, useEffect, useLayoutEffect, useCallback } from 'react';
+
+const DEFAULT_ROW_HEIGHT = 53; // A table row with one line of text and its action links
+const OVERSCAN_ROWS = 10; // Rendered above and below the viewport, so fast scrolling doesn't show gaps
+
+// Listings shorter than this render every row, which keeps find-in-page working for them
+export const VIRTUALIZE_FROM_ROWS = 100;
+
+/**
+ * Row windowing for a long table that scrolls with the page: only the rows in or near the viewport
+ * are rendered, and spacer rows of `paddingTop`/`paddingBottom` px stand in for the others.
+ * Attach `bodyRef` to the <tbody> and `measureRef` to the first rendered row; its height is taken
+ * for all rows. Render rows `start` to `end` (exclusive).
+ * `scrollToIndex(index, { block: 'nearest' | 'center', behavior })` brings a row into view, rendering
+ * it right away; it is null while windowing is off (every row is rendered then).
+ */
+export default function useVirtualRows(count, { enabled = true } = {}) {
+    const bodyRef = useRef(null);
+    // Rows in or near the viewport by index (not capped at `count`), and the row height they were computed with
+    const [range, setRange] = useState({ first: 0, last: 0, rowHeight: DEFAULT_ROW_HEIGHT });
+    const rowHeightRef = useRef(DEFAULT_ROW_HEIGHT);
+
+    // `offset`: how far below the first row the top of the viewport is, in px
+    const showRowsAt = useCallback((offset) => {
+        const rowHeight = rowHeightRef.current;
+        const first = Math.max(0, Math.floor(offset / rowHeight) - OVERSCAN_ROWS);
+        const last = Math.max(0, Math.ceil((offset + window.innerHeight) / rowHeight) + OVERSCAN_ROWS);
+        setRange(prev => (prev.first === first && prev.last === last && prev.rowHeight === rowHeight ? prev : { first, last, rowHeight }));
+    }, []);
+
+    const update = useCallback(() => {
+        if (bodyRef.current) showRowsAt(-bodyRef.current.getBoundingClientRect().top);
+    }, [showRowsAt]);
+
+    // Before paint, so a grown or filtered listing never flashes with the wrong rows
+    useLayoutEffect(() => {
+        if (enabled) update();
+    }, [enabled, count, update]);
+
+    useEffect(() => {
+        if (!enabled) return undefined;
+        window.addEventListener('scroll', update, { passive: true });
+        window.addEventListener('resize', update);
+        return () => {
+            window.removeEventListener('scroll', update);
+            window.removeEventListener('resize', update);
+        };
+    }, [enabled, update]);
+
+    const measureRef = useCallback((row) => {
+        if (!row?.offsetHeight || row.offsetHeight === rowHeightRef.current) return;
+        rowHeightRef.current = row.offsetHeight;
+        update();
+    }, [update]);
+
+    const scrollToIndex = useCallback((index, { block = 'nearest', behavior = 'auto' } = {}) => {
+        const body = bodyRef.current;
+        if (!body) return;
+        const rowHeight = rowHeightRef.current;
+        const bodyTop = body.getBoundingClientRect().top;
+        const rowTop = bodyTop + index * rowHeight; // Relative to the viewport
+        let delta = 0;
+        if (block === 'center') delta = rowTop - (window.innerHeight - rowHeight) / 2;
+        else if (rowTop < 0) delta = rowTop;
+        else if (rowTop + rowHeight > window.innerHeight) delta = rowTop + rowHeight - window.innerHeight;
+        if (delta) window.scrollBy({ top: delta, behavior });
+        showRowsAt(delta - bodyTop); // Where the scroll ends, even while a smooth one is still under way
+    }, [showRowsAt]);
+
+    if (!enabled) return { bodyRef, measureRef, start: 0, end: count, paddingTop: 0, paddingBottom: 0, scrollToIndex: null };
+    const start = Math.min(range.first, count);
+    const end = Math.min(Math.max(range.last, start), count);
+    return {
+        bodyRef,
+        measureRef,
+        start,
+        end,
+        paddingTop: start * range.rowHeight,
+        paddingBottom: (count - end) * range.rowHeight,
+        scrollToIndex,
+    };
+}
@@ -0,0 +1,127 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { downloadZip } from 'client-zip';
+import { collectTreeEntries } from '../utils/folderWalk';
+import { fetchFileBlob, saveBlob } from '../utils/download';
+import { getErrorMessage } from '../utils/apiClient';
+import { decryptDownload, EncryptionLockedError } from '../utils/encryption';
+
+// File System Access API lets the archive stream straight to disk instead of into memory
+const canStreamToDisk = () => typeof window.showSaveFilePicker === 'function';
+
+// --- Hook: ZIP Download ---
+// Builds a ZIP of files and folder subtrees in the browser. Files are fetched one at a
+// time and fed to the archive as it is written, so only the current file is in memory
+// when the browser can stream to disk. Files from encrypted folders go in decrypted: for a locked
+// one, `requestUnlock(keyParams, { sample, reason })` is asked to unlock it (resolving with whether it
+// did), and its files are left out if it doesn't.
+export default function useZipDownload({ apiBaseUrl, requestUnlock }) {
+    // { archiveName, phase: 'scanning' | 'zipping', foldersScanned, filesDone, filesTotal, bytesDone, bytesTotal }
+    const [job, setJob] = useState(null);
+    const controllerRef = useRef(null);
+    const requestUnlockRef = useRef(requestUnlock);
+
+    useEffect(() => {
+        requestUnlockRef.current = requestUnlock;
+    }, [requestUnlock]);
+
+    const start = useCallback(async (items, archiveName) => {
+        if (controllerRef.current) return toast.warn('A ZIP download is already running.');
+        const controller = new AbortController();
+        const { signal } = controller;
+        controllerRef.current = controller;
+        const updateJob = (changes) => setJob(prev => (prev ? { ...prev, ...changes } : prev));
+
+        let writable = null;
+        try {
+            // The save picker needs the click's user activation, so ask before any network work
+            if (canStreamToDisk()) {
+                const handle = await window.showSaveFilePicker({
+                    suggestedName: archiveName,
+                    types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }],
+                });
+                writable = await handle.createWritable();
+            }
+
+            setJob({ archiveName, phase: 'scanning', foldersScanned: 0, filesDone: 0, filesTotal: 0, bytesDone: 0, bytesTotal: 0 });
+            let foldersScanned = 0;
+            const entries = await collectTreeEntries(apiBaseUrl, items, {
+                signal,
+                onFolderScanned: () => updateJob({ foldersScanned: ++foldersScanned }),
+            });
+            const fileEntries = entries.filter(entry => entry.file);
+            updateJob({
+                phase: 'zipping',
+                filesTotal: fileEntries.length,
+                bytesTotal: fileEntries.reduce((sum, entry) => sum + (Number(entry.file.size) || 0), 0),
+            });
+
+            // The content of a downloaded file, or null if it stays locked. Once a passphrase prompt
+            // is canceled, the other files under that key are left out without asking again.
+            const declinedSalts = new Set();
+            const decryptEntry = async (download) => {
+                try {
+                    return (await decryptDownload(download)).blob;
+                } catch (err) {
+                    if (!(err instanceof EncryptionLockedError)) throw err;
+                    if (declinedSalts.has(err.keyParams.salt)) return null;
+                    const reason = `${archiveName} includes encrypted files. Unlock them to add them to the archive.`;
+                    if (await requestUnlockRef.current?.(err.keyParams, { sample: err.sample, reason })) return (await decryptDownload(download)).blob;
+                    declinedSalts.add(err.keyParams.salt);
+                    return null;
+                }
+            };
+
+            // Lazily fetch each file only when the archive writer asks for the next entry
+            let filesDone = 0;
+            let bytesDone = 0;
+            const lockedPaths = [];
+            async function* archiveInputs() {
+                for (const entry of entries) {
+                    if (entry.folder) {
+                        yield { name: entry.path };
+                        continue;
+                    }
+                    const blob = await decryptEntry(await fetchFileBlob(apiBaseUrl, entry.file.id, { fallbackName: entry.file.name, signal }));
+                    if (signal.aborted) throw new DOMException('ZIP download canceled.', 'AbortError');
+                    if (blob) {
+                        const lastModified = entry.file.updatedAt ? new Date(entry.file.updatedAt) : undefined;
+                        yield { name: entry.path, input: blob, lastModified };
+                        bytesDone += blob.size;
+                    } else {
+                        lockedPaths.push(entry.path);
+                    }
+                    updateJob({ filesDone: ++filesDone, bytesDone });
+                }
+            }
+
+            const zipResponse = downloadZip(archiveInputs());
+            if (writable) {
+                await zipResponse.body.pipeTo(writable, { signal }); // Aborts the partial file on failure
+            } else {
+                saveBlob(await zipResponse.blob(), archiveName); // Fallback: whole archive in memory
+            }
+            if (lockedPaths.length > 0) {
+                toast.warn(`Downloaded ${archiveName} (${filesDone - lockedPaths.length} file(s)) without ${lockedPaths.length} encrypted file(s) whose folder stayed locked: ${lockedPaths.join(', ')}.`);
+            } else {
+                toast.success(`Downloaded ${archiveName} (${filesDone} file(s)).`);
+            }
+        } catch (err) {
+            writable?.abort().catch(() => {}); // Discard the partial file (no-op if pipeTo already did)
+            if (signal.aborted) return toast.info('ZIP download canceled.');
+            if (err?.name === 'AbortError') return; // Save dialog dismissed
+            toast.error(getErrorMessage(err, `Failed to create ${archiveName}.`));
+            console.error('ZIP download error:', err.data || err.message || err);
+        } finally {
+            controllerRef.current = null;
+            setJob(null);
+        }
+    }, [apiBaseUrl]);
+
+    const cancel = useCallback(() => controllerRef.current?.abort(), []);
+
+    // Stop a running archive when the owner unmounts
+    useEffect(() => () => controllerRef.current?.abort(), []);
+
+    return { job, start, cancel };
+}
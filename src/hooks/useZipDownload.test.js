@@ -0,0 +1,77 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { toast } from 'react-toastify';
+import { API, backend, seedBackend } from '../test/mockBackend';
+import { createFolderEncryption, getUnlockedKey, unlockKey, lockAllKeys, encryptFile } from '../utils/encryption';
+import useZipDownload from './useZipDownload';
+
+// MSW's XMLHttpRequest interceptor hands blob responses over as decoded text, which mangles
+// ciphertext; file contents are read straight from the test backend instead
+vi.mock('../utils/download', async (importOriginal) => ({
+    ...await importOriginal(),
+    fetchFileBlob: async (apiBaseUrl, fileId, { fallbackName }) => {
+        const file = backend.files.get(fileId);
+        return { blob: new Blob([file.content]), contentType: 'application/octet-stream', filename: fallbackName, headers: {} };
+    },
+}));
+
+const PASSPHRASE = 'correct horse battery staple';
+
+// A folder with a plain file and a locked, encrypted subfolder
+const seedWithLockedFolder = async () => {
+    const params = await createFolderEncryption(PASSPHRASE);
+    const sealed = await encryptFile(new File(['secret'], 'secret.txt', { type: 'text/plain' }), getUnlockedKey(params));
+    lockAllKeys();
+    seedBackend({
+        loggedIn: true,
+        folders: [{ id: 1, name: 'Projects' }, { id: 2, name: 'Private', parentId: 1, encryption: params }],
+        files: [
+            { id: 10, name: 'plan.md', folderId: 1, content: '# Plan' },
+            { id: 11, name: 'secret.txt', folderId: 2, content: await sealed.arrayBuffer() },
+        ],
+    });
+    return params;
+};
+
+const downloadProjects = async (requestUnlock) => {
+    const { result } = renderHook(() => useZipDownload({ apiBaseUrl: API, requestUnlock }));
+    await act(() => result.current.start([{ type: 'folder', id: 1, name: 'Projects' }], 'Projects.zip'));
+};
+
+beforeEach(() => {
+    window.URL.createObjectURL = vi.fn(() => 'blob:zip');
+    window.URL.revokeObjectURL = vi.fn();
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+    lockAllKeys();
+});
+
+describe('useZipDownload', () => {
+    it('asks to unlock encrypted folders and adds their files once unlocked', async () => {
+        const params = await seedWithLockedFolder();
+        vi.spyOn(toast, 'success');
+        const requestUnlock = vi.fn(async (keyParams) => {
+            await unlockKey(params, PASSPHRASE);
+            return keyParams.salt === params.salt;
+        });
+
+        await downloadProjects(requestUnlock);
+
+        expect(requestUnlock).toHaveBeenCalledTimes(1);
+        expect(toast.success).toHaveBeenCalledWith('Downloaded Projects.zip (2 file(s)).');
+        expect(window.URL.createObjectURL).toHaveBeenCalled();
+    });
+
+    it('leaves out the files of folders that stay locked and says which', async () => {
+        await seedWithLockedFolder();
+        vi.spyOn(toast, 'warn');
+
+        await downloadProjects(vi.fn(async () => false));
+
+        expect(toast.warn).toHaveBeenCalledWith(expect.stringContaining('without 1 encrypted file(s) whose folder stayed locked: Projects/Private/secret.txt'));
+        expect(window.URL.createObjectURL).toHaveBeenCalled();
+    });
+});
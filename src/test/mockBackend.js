@@ -0,0 +1,419 @@
+import { http, HttpResponse } from 'msw';
+
+// --- Test Backend ---
+// In-memory stand-in for every endpoint the app calls, served through MSW (see server.js). Tests
+// arrange state with seedBackend(), inspect `backend` afterwards, and override single routes with
+// server.use(). State is reset after each test (setup.js).
+
+export const API = 'http://localhost:3000';
+
+export const TEST_USER = { id: 1, name: 'Test User', email: 'test@example.com' };
+export const TEST_PASSWORD = 'correct-horse-1';
+
+export const backend = {
+    loggedIn: false,
+    users: [], // { id, name, email, password }
+    folders: new Map(), // id -> { id, name, parentId, trashed, starred, encryption? }
+    files: new Map(), // id -> { id, name, folderId, mimeType, content, updatedAt, trashed, starred, versions: [{ id, content, createdAt }] }
+    uploads: new Map(), // uploadId -> { fileName, mimeType, folderId, fileId, chunks: Map(index -> string) }
+    shares: new Map(), // `${kind}/${id}` -> { permissions, links }
+    resetTokens: new Set(),
+    nextId: 1,
+};
+
+export const resetBackend = () => {
+    backend.loggedIn = false;
+    backend.users = [{ ...TEST_USER, password: TEST_PASSWORD }];
+    backend.folders.clear();
+    backend.files.clear();
+    backend.uploads.clear();
+    backend.shares.clear();
+    backend.resetTokens.clear();
+    backend.nextId = 100;
+};
+
+/**
+ * Arranges backend state for a test. `folders` are `{ id, name, parentId }`; `files` are
+ * `{ id, name, folderId, content?, mimeType? }`.
+ */
+export const seedBackend = ({ loggedIn = false, folders = [], files = [] } = {}) => {
+    backend.loggedIn = loggedIn;
+    folders.forEach(folder => backend.folders.set(folder.id, { parentId: null, trashed: false, starred: false, ...folder }));
+    files.forEach(file => backend.files.set(file.id, {
+        folderId: null,
+        content: '',
+        mimeType: 'text/plain',
+        updatedAt: '2024-01-01T00:00:00.000Z',
+        trashed: false,
+        starred: false,
+        versions: [],
+        ...file,
+    }));
+};
+
+const currentUser = () => backend.users[0];
+
+const publicUser = ({ id, name, email }) => ({ id, name, email });
+
+const publicFolder = ({ trashed, ...folder }) => ({ ...folder, trashedAt: trashed ? '2024-01-02T00:00:00.000Z' : undefined });
+
+const publicFile = ({ id, name, folderId, mimeType, content, updatedAt, trashed, starred }) => ({
+    id,
+    name,
+    folderId,
+    mimeType,
+    updatedAt,
+    starred,
+    size: new Blob([content]).size,
+    trashedAt: trashed ? '2024-01-02T00:00:00.000Z' : undefined,
+});
+
+const LISTING_SORT_VALUES = {
+    type: item => item.mimeType || '',
+    size: item => item.size ?? -1,
+    modified: item => item.updatedAt || '',
+};
+
+const compareBy = (sortKey) => (a, b) => {
+    const value = LISTING_SORT_VALUES[sortKey];
+    const byKey = value ? (value(a) < value(b) ? -1 : value(a) > value(b) ? 1 : 0) : 0;
+    return byKey || a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+};
+
+// A folder listing, paged as described in src/utils/folderWalk.js when the request has `limit`;
+// the cursor is the offset of the next page
+const listing = (request, key, records) => {
+    const params = new URL(request.url).searchParams;
+    if (!params.has('limit')) return HttpResponse.json(records);
+    const query = (params.get('q') || '').toLowerCase();
+    const matches = records
+        .filter(record => record.name.toLowerCase().includes(query))
+        .sort(compareBy(params.get('sort')));
+    if (params.get('order') === 'desc') matches.reverse();
+    const offset = Number(params.get('cursor')) || 0;
+    const end = offset + Number(params.get('limit'));
+    return HttpResponse.json({ [key]: matches.slice(offset, end), nextCursor: end < matches.length ? String(end) : null });
+};
+
+const parseFolderId = (value) => (value == null || value === '' || value === 'null' ? null : Number(value));
+
+const notFound = (what) => HttpResponse.json({ message: `${what} not found.` }, { status: 404 });
+
+const unauthorized = () => HttpResponse.json({ message: 'Not logged in.' }, { status: 401 });
+
+// Wraps a resolver so it answers 401 without a session, like the real backend
+const authed = (resolver) => (info) => (backend.loggedIn ? resolver(info) : unauthorized());
+
+const recordFor = (kind, id) => (kind === 'folders' ? backend.folders : backend.files).get(Number(id));
+
+const isKind = (kind) => kind === 'folders' || kind === 'files';
+
+const createFile = ({ name, mimeType, folderId, content }) => {
+    const file = {
+        id: backend.nextId++,
+        name,
+        folderId,
+        mimeType: mimeType || 'application/octet-stream',
+        content,
+        updatedAt: new Date().toISOString(),
+        trashed: false,
+        starred: false,
+        versions: [],
+    };
+    backend.files.set(file.id, file);
+    return file;
+};
+
+const replaceContent = (file, { content, mimeType }) => {
+    file.versions.push({ id: backend.nextId++, content: file.content, createdAt: file.updatedAt });
+    file.content = content;
+    if (mimeType) file.mimeType = mimeType;
+    file.updatedAt = new Date().toISOString();
+};
+
+const download = (name, mimeType, content) => new HttpResponse(content, {
+    headers: {
+        'Content-Type': mimeType,
+        'Content-Disposition': `attachment; filename="${name}"; filename*=UTF-8''${encodeURIComponent(name)}`,
+    },
+});
+
+// The folder and everything below it
+const descendantFolderIds = (folderId) => {
+    const ids = [folderId];
+    for (let i = 0; i < ids.length; i++) {
+        backend.folders.forEach(folder => {
+            if (folder.parentId === ids[i]) ids.push(folder.id);
+        });
+    }
+    return ids;
+};
+
+const setTrashed = (kind, id, trashed) => {
+    if (kind === 'files') {
+        backend.files.get(id).trashed = trashed;
+        return;
+    }
+    const folderIds = descendantFolderIds(id);
+    folderIds.forEach(folderId => {
+        backend.folders.get(folderId).trashed = trashed;
+    });
+    backend.files.forEach(file => {
+        if (folderIds.includes(file.folderId)) file.trashed = trashed;
+    });
+};
+
+const sharesFor = (kind, id) => {
+    const key = `${kind}/${id}`;
+    if (!backend.shares.has(key)) backend.shares.set(key, { permissions: [], links: [] });
+    return backend.shares.get(key);
+};
+
+export const handlers = [
+    // --- Account ---
+    http.get(`${API}/api/health`, () => HttpResponse.json({ status: 'ok' })),
+    http.get(`${API}/api/user/profile`, authed(() => HttpResponse.json(publicUser(currentUser())))),
+    http.patch(`${API}/api/user/profile`, authed(async ({ request }) => {
+        const { name, email } = await request.json();
+        Object.assign(currentUser(), { name, email });
+        return HttpResponse.json(publicUser(currentUser()));
+    })),
+    http.post(`${API}/api/user/login`, async ({ request }) => {
+        const { email, password } = await request.json();
+        const user = backend.users.find(u => u.email === email && u.password === password);
+        if (!user) return HttpResponse.json({ message: 'Invalid email or password.' }, { status: 401 });
+        backend.users = [user, ...backend.users.filter(u => u !== user)];
+        backend.loggedIn = true;
+        return HttpResponse.json({ user: publicUser(user) });
+    }),
+    http.post(`${API}/api/user/register`, async ({ request }) => {
+        const { name, email, password } = await request.json();
+        if (backend.users.some(u => u.email === email)) return HttpResponse.json({ message: 'Email already registered.' }, { status: 409 });
+        const user = { id: backend.nextId++, name, email, password };
+        backend.users = [user, ...backend.users];
+        backend.loggedIn = true;
+        return HttpResponse.json({ user: publicUser(user) }, { status: 201 });
+    }),
+    http.post(`${API}/api/user/logout`, () => {
+        backend.loggedIn = false;
+        return HttpResponse.json({ message: 'Logged out.' });
+    }),
+    http.put(`${API}/api/user/password`, authed(async ({ request }) => {
+        const { currentPassword, newPassword } = await request.json();
+        if (currentPassword !== currentUser().password) return HttpResponse.json({ message: 'Current password is incorrect.' }, { status: 403 });
+        currentUser().password = newPassword;
+        return HttpResponse.json({ message: 'Password changed.' });
+    })),
+    http.delete(`${API}/api/user`, authed(async ({ request }) => {
+        const { password } = await request.json();
+        if (password !== currentUser().password) return HttpResponse.json({ message: 'Password is incorrect.' }, { status: 403 });
+        backend.users = backend.users.slice(1);
+        backend.loggedIn = false;
+        return HttpResponse.json({ message: 'Account deleted.' });
+    })),
+    http.post(`${API}/api/user/forgot-password`, () => {
+        backend.resetTokens.add('reset-token');
+        return HttpResponse.json({ message: 'If the email is registered, a reset link is on its way.' });
+    }),
+    http.post(`${API}/api/user/reset-password`, async ({ request }) => {
+        const { token, newPassword } = await request.json();
+        if (!backend.resetTokens.delete(token)) return HttpResponse.json({ message: 'This reset link has expired.' }, { status: 400 });
+        currentUser().password = newPassword;
+        return HttpResponse.json({ message: 'Password reset.' });
+    }),
+    http.get(`${API}/api/user/storage`, authed(() => {
+        const used = [...backend.files.values()].reduce((total, file) => total + new Blob([file.content]).size, 0);
+        return HttpResponse.json({ used, quota: 1024 * 1024 * 1024 });
+    })),
+
+    // --- Folders ---
+    http.get(`${API}/api/folders`, authed(({ request }) => {
+        const parentId = parseFolderId(new URL(request.url).searchParams.get('parentId'));
+        if (parentId !== null && !backend.folders.get(parentId)) return notFound('Folder');
+        return listing(request, 'folders', [...backend.folders.values()].filter(f => f.parentId === parentId && !f.trashed).map(publicFolder));
+    })),
+    http.get(`${API}/api/folders/:id`, authed(({ params }) => {
+        const folder = backend.folders.get(Number(params.id));
+        return folder && !folder.trashed ? HttpResponse.json(publicFolder(folder)) : notFound('Folder');
+    })),
+    http.post(`${API}/api/folders`, authed(async ({ request }) => {
+        const { name, parentId } = await request.json();
+        const folder = { id: backend.nextId++, name, parentId: parseFolderId(parentId), trashed: false, starred: false };
+        backend.folders.set(folder.id, folder);
+        return HttpResponse.json(publicFolder(folder), { status: 201 });
+    })),
+    http.put(`${API}/api/folders/:id/encryption`, authed(async ({ params, request }) => {
+        const folder = backend.folders.get(Number(params.id));
+        if (!folder) return notFound('Folder');
+        if (folder.encryption) return HttpResponse.json({ message: 'This folder is already encrypted.' }, { status: 409 });
+        folder.encryption = await request.json();
+        return HttpResponse.json(publicFolder(folder));
+    })),
+
+    // --- Files ---
+    http.get(`${API}/api/files`, authed(({ request }) => {
+        const folderId = parseFolderId(new URL(request.url).searchParams.get('folderId'));
+        if (folderId !== null && !backend.folders.get(folderId)) return notFound('Folder');
+        return listing(request, 'files', [...backend.files.values()].filter(f => f.folderId === folderId && !f.trashed).map(publicFile));
+    })),
+    http.get(`${API}/api/files/download/:id`, authed(({ params }) => {
+        const file = backend.files.get(Number(params.id));
+        return file ? download(file.name, file.mimeType, file.content) : notFound('File');
+    })),
+    http.post(`${API}/api/files/upload/`, authed(async ({ request }) => {
+        const form = await request.formData();
+        const upload = form.get('file');
+        const file = createFile({ name: upload.name, mimeType: upload.type, folderId: parseFolderId(form.get('folderId')), content: await upload.text() });
+        return HttpResponse.json({ message: 'File uploaded successfully!', file: publicFile(file) }, { status: 201 });
+    })),
+    http.put(`${API}/api/files/:id`, authed(async ({ params, request }) => {
+        const file = backend.files.get(Number(params.id));
+        if (!file) return notFound('File');
+        const upload = (await request.formData()).get('file');
+        replaceContent(file, { content: await upload.text(), mimeType: upload.type });
+        return HttpResponse.json({ message: 'File updated successfully!', file: publicFile(file) });
+    })),
+    http.get(`${API}/api/files/:id/versions`, authed(({ params }) => {
+        const file = backend.files.get(Number(params.id));
+        if (!file) return notFound('File');
+        const versions = file.versions.map(version => ({ id: version.id, createdAt: version.createdAt, size: new Blob([version.content]).size, isCurrent: false }));
+        return HttpResponse.json([...versions, { id: 0, createdAt: file.updatedAt, size: new Blob([file.content]).size, isCurrent: true }]);
+    })),
+    http.get(`${API}/api/files/:id/versions/:versionId/download`, authed(({ params }) => {
+        const file = backend.files.get(Number(params.id));
+        const version = Number(params.versionId) === 0 ? file : file?.versions.find(v => v.id === Number(params.versionId));
+        return version ? download(file.name, file.mimeType, version.content) : notFound('Version');
+    })),
+    http.post(`${API}/api/files/:id/versions/:versionId/restore`, authed(({ params }) => {
+        const file = backend.files.get(Number(params.id));
+        const version = file?.versions.find(v => v.id === Number(params.versionId));
+        if (!version) return notFound('Version');
+        replaceContent(file, { content: version.content });
+        return HttpResponse.json({ message: 'Version restored.' });
+    })),
+
+    // Chunked uploads (protocol in src/utils/uploadFile.js)
+    http.post(`${API}/api/files/uploads`, authed(async ({ request }) => {
+        const { fileName, mimeType, folderId = null, fileId = null, chunkSize } = await request.json();
+        const uploadId = `upload-${backend.nextId++}`;
+        backend.uploads.set(uploadId, { fileName, mimeType, folderId, fileId, chunks: new Map() });
+        return HttpResponse.json({ uploadId, chunkSize, receivedChunks: [] }, { status: 201 });
+    })),
+    http.get(`${API}/api/files/uploads/:uploadId`, authed(({ params }) => {
+        const upload = backend.uploads.get(params.uploadId);
+        return upload ? HttpResponse.json({ uploadId: params.uploadId, receivedChunks: [...upload.chunks.keys()] }) : notFound('Upload');
+    })),
+    http.put(`${API}/api/files/uploads/:uploadId/chunks/:index`, authed(async ({ params, request }) => {
+        const upload = backend.uploads.get(params.uploadId);
+        if (!upload) return notFound('Upload');
+        upload.chunks.set(Number(params.index), await request.text());
+        return HttpResponse.json({ received: Number(params.index) });
+    })),
+    http.post(`${API}/api/files/uploads/:uploadId/complete`, authed(({ params }) => {
+        const upload = backend.uploads.get(params.uploadId);
+        if (!upload) return notFound('Upload');
+        backend.uploads.delete(params.uploadId);
+        const content = [...upload.chunks.entries()].sort(([a], [b]) => a - b).map(([, chunk]) => chunk).join('');
+        const existing = upload.fileId != null ? backend.files.get(upload.fileId) : null;
+        if (existing) replaceContent(existing, { content, mimeType: upload.mimeType });
+        const file = existing || createFile({ name: upload.fileName, mimeType: upload.mimeType, folderId: upload.folderId, content });
+        return HttpResponse.json({ message: 'File uploaded successfully!', file: publicFile(file) });
+    })),
+
+    // --- Both Item Kinds ---
+    http.patch(`${API}/api/:kind/:id`, authed(async ({ params, request }) => {
+        const record = isKind(params.kind) && recordFor(params.kind, params.id);
+        if (!record) return notFound('Item');
+        const changes = await request.json();
+        if (changes.name !== undefined) record.name = changes.name;
+        if (changes.parentId !== undefined) record.parentId = changes.parentId;
+        if (changes.folderId !== undefined) record.folderId = changes.folderId;
+        return HttpResponse.json(params.kind === 'folders' ? publicFolder(record) : publicFile(record));
+    })),
+    http.post(`${API}/api/:kind/:id/trash`, authed(({ params }) => {
+        if (!isKind(params.kind) || !recordFor(params.kind, params.id)) return notFound('Item');
+        setTrashed(params.kind, Number(params.id), true);
+        return HttpResponse.json({ message: 'Moved to Trash.' });
+    })),
+    http.post(`${API}/api/:kind/:id/restore`, authed(({ params }) => {
+        if (!isKind(params.kind) || !recordFor(params.kind, params.id)) return notFound('Item');
+        setTrashed(params.kind, Number(params.id), false);
+        return HttpResponse.json({ message: 'Restored.' });
+    })),
+    http.delete(`${API}/api/:kind/:id`, authed(({ params }) => {
+        if (!isKind(params.kind) || !recordFor(params.kind, params.id)) return notFound('Item');
+        (params.kind === 'folders' ? backend.folders : backend.files).delete(Number(params.id));
+        return HttpResponse.json({ message: 'Deleted.' });
+    })),
+    http.put(`${API}/api/:kind/:id/star`, authed(({ params }) => {
+        const record = isKind(params.kind) && recordFor(params.kind, params.id);
+        if (!record) return notFound('Item');
+        record.starred = true;
+        return HttpResponse.json({ message: 'Starred.' });
+    })),
+    http.delete(`${API}/api/:kind/:id/star`, authed(({ params }) => {
+        const record = isKind(params.kind) && recordFor(params.kind, params.id);
+        if (!record) return notFound('Item');
+        record.starred = false;
+        return HttpResponse.json({ message: 'Unstarred.' });
+    })),
+    http.get(`${API}/api/:kind/:id/shares`, authed(({ params }) => HttpResponse.json(sharesFor(params.kind, params.id)))),
+    http.post(`${API}/api/:kind/:id/shares`, authed(async ({ params, request }) => {
+        const { email, role } = await request.json();
+        const permission = { id: backend.nextId++, role, user: { id: backend.nextId++, name: email.split('@')[0], email } };
+        sharesFor(params.kind, params.id).permissions.push(permission);
+        return HttpResponse.json(permission, { status: 201 });
+    })),
+    http.patch(`${API}/api/:kind/:id/shares/:shareId`, authed(async ({ params, request }) => {
+        const permission = sharesFor(params.kind, params.id).permissions.find(p => p.id === Number(params.shareId));
+        if (!permission) return notFound('Share');
+        permission.role = (await request.json()).role;
+        return HttpResponse.json(permission);
+    })),
+    http.delete(`${API}/api/:kind/:id/shares/:shareId`, authed(({ params }) => {
+        const shares = sharesFor(params.kind, params.id);
+        shares.permissions = shares.permissions.filter(p => p.id !== Number(params.shareId));
+        return HttpResponse.json({ message: 'Access removed.' });
+    })),
+    http.post(`${API}/api/:kind/:id/links`, authed(async ({ params, request }) => {
+        const { expiresAt = null, password } = await request.json();
+        const link = { id: backend.nextId++, token: `token-${backend.nextId}`, expiresAt, hasPassword: Boolean(password) };
+        sharesFor(params.kind, params.id).links.push(link);
+        return HttpResponse.json(link, { status: 201 });
+    })),
+    http.delete(`${API}/api/:kind/:id/links/:linkId`, authed(({ params }) => {
+        const shares = sharesFor(params.kind, params.id);
+        shares.links = shares.links.filter(l => l.id !== Number(params.linkId));
+        return HttpResponse.json({ message: 'Link revoked.' });
+    })),
+
+    // --- Views ---
+    http.get(`${API}/api/trash`, authed(() => HttpResponse.json({
+        folders: [...backend.folders.values()].filter(f => f.trashed).map(publicFolder),
+        files: [...backend.files.values()].filter(f => f.trashed).map(publicFile),
+    }))),
+    http.delete(`${API}/api/trash`, authed(() => {
+        backend.folders.forEach((folder, id) => folder.trashed && backend.folders.delete(id));
+        backend.files.forEach((file, id) => file.trashed && backend.files.delete(id));
+        return HttpResponse.json({ message: 'Trash emptied.' });
+    })),
+    http.get(`${API}/api/starred`, authed(() => HttpResponse.json({
+        folders: [...backend.folders.values()].filter(f => f.starred && !f.trashed).map(publicFolder),
+        files: [...backend.files.values()].filter(f => f.starred && !f.trashed).map(publicFile),
+    }))),
+    http.get(`${API}/api/shared`, authed(() => HttpResponse.json([]))),
+    http.get(`${API}/api/search`, authed(({ request }) => {
+        const query = new URL(request.url).searchParams.get('q').toLowerCase();
+        const pathTo = (folderId) => {
+            const path = [];
+            for (let folder = backend.folders.get(folderId); folder; folder = backend.folders.get(folder.parentId)) path.unshift({ id: folder.id, name: folder.name });
+            return path;
+        };
+        return HttpResponse.json([
+            ...[...backend.folders.values()].filter(f => !f.trashed && f.name.toLowerCase().includes(query)).map(f => ({ ...publicFolder(f), type: 'folder', path: pathTo(f.parentId) })),
+            ...[...backend.files.values()].filter(f => !f.trashed && f.name.toLowerCase().includes(query)).map(f => ({ ...publicFile(f), type: 'file', path: pathTo(f.folderId) })),
+        ]);
+    })),
+    // Live updates: an open stream with nothing on it
+    http.get(`${API}/api/events`, authed(() => new HttpResponse(new ReadableStream(), { headers: { 'Content-Type': 'text/event-stream' } }))),
+];
@@ -0,0 +1,5 @@
+import { setupServer } from 'msw/node';
+import { handlers } from './mockBackend';
+
+// Intercepts the app's requests in tests; override routes per test with server.use()
+export const server = setupServer(...handlers);
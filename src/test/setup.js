@@ -0,0 +1,51 @@
+import '@testing-library/jest-dom/vitest';
+import { afterAll, afterEach, beforeAll } from 'vitest';
+import { cleanup } from '@testing-library/react';
+import { server } from './server';
+import { resetBackend } from './mockBackend';
+
+// Test files that need no DOM may opt into Node's environment (`@vitest-environment node`),
+// e.g. for Node's much faster Blob; what follows is for jsdom only
+const hasDom = typeof window !== 'undefined';
+
+// jsdom doesn't lay anything out
+if (hasDom) Element.prototype.scrollIntoView = () => {};
+
+// jsdom's Blob can only be read through FileReader. The app (and MSW, when it serializes request
+// bodies) use the promise-based readers, so provide them on top of it.
+const readBlob = (blob, method) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader[method](blob);
+});
+Blob.prototype.arrayBuffer ??= function arrayBuffer() {
+    return readBlob(this, 'readAsArrayBuffer');
+};
+Blob.prototype.text ??= function text() {
+    return readBlob(this, 'readAsText');
+};
+Blob.prototype.stream ??= function stream() {
+    return new ReadableStream({
+        start: async (controller) => {
+            controller.enqueue(new Uint8Array(await this.arrayBuffer()));
+            controller.close();
+        },
+    });
+};
+
+beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+
+afterEach(() => {
+    cleanup();
+    server.resetHandlers();
+    resetBackend();
+    if (hasDom) {
+        localStorage.clear();
+        sessionStorage.clear();
+    }
+});
+
+afterAll(() => server.close());
+
+resetBackend();
@@ -0,0 +1,31 @@
+import { api } from './apiClient';
+
+// --- Account ---
+//   PATCH  /api/user/profile          { name, email }                  -> user (or { user })
+//   PUT    /api/user/password         { currentPassword, newPassword }
+//   DELETE /api/user                  { password }                     Deletes the account and ends the session
+//   POST   /api/user/forgot-password  { email, resetUrl }              Emails a reset link; answers the same for unknown emails
+//   POST   /api/user/reset-password   { token, newPassword }
+// `resetUrl` is where this app shows the reset screen; the backend appends `?token=...` to it.
+// Wrong current passwords and expired tokens come back as 4xx with a message for the user.
+
+// The reset flow runs before login, and a wrong current password may come back as 401 too:
+// for these calls a 401 is an answer for the form, not an expired session
+const NO_SESSION_HANDLER = { skipAuthHandler: true };
+
+export const updateProfile = async (apiBaseUrl, { name, email }) => {
+    const res = await api.patch(`${apiBaseUrl}/api/user/profile`, { name, email });
+    return res.data?.user || res.data;
+};
+
+export const changePassword = (apiBaseUrl, currentPassword, newPassword) =>
+    api.put(`${apiBaseUrl}/api/user/password`, { currentPassword, newPassword }, NO_SESSION_HANDLER);
+
+export const deleteAccount = (apiBaseUrl, password) =>
+    api.delete(`${apiBaseUrl}/api/user`, { data: { password }, ...NO_SESSION_HANDLER });
+
+export const requestPasswordReset = (apiBaseUrl, email, resetUrl) =>
+    api.post(`${apiBaseUrl}/api/user/forgot-password`, { email, resetUrl }, NO_SESSION_HANDLER);
+
+export const resetPassword = (apiBaseUrl, token, newPassword) =>
+    api.post(`${apiBaseUrl}/api/user/reset-password`, { token, newPassword }, NO_SESSION_HANDLER);
@@ -0,0 +1,14 @@
+// --- Screen Reader Announcements ---
+// announce() hands a message to the visually hidden live region (components/LiveRegion.jsx).
+// Used for what sighted users notice without being told: a folder finished loading, the
+// selection changed, a keyboard command took effect. Action results already reach screen
+// readers through the toasts (role="alert"), so they aren't repeated here.
+
+const listeners = new Set();
+
+export const announce = (message) => listeners.forEach(listener => listener(message));
+
+export const subscribeToAnnouncements = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
@@ -0,0 +1,116 @@
+import axios from 'axios';
+
+// --- API Client ---
+// Every backend call goes through `api`, an axios instance that:
+//   - always sends the session cookie (withCredentials),
+//   - rejects with an ApiError instead of a raw axios error,
+//   - retries idempotent GETs on network errors and 408/429/5xx, with exponential backoff,
+//   - reports 401s to the handler registered with setUnauthorizedHandler (session expiry).
+// Requests that expect a 401 as a normal answer (login, the initial session check) pass
+// `skipAuthHandler: true` in their config; `retry: false` turns off the GET retries.
+
+const MAX_GET_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const HEALTH_TIMEOUT_MS = 5000;
+
+/**
+ * Normalized request failure. `code` is 'http' (the server answered with an error status),
+ * 'network', 'timeout' or 'canceled'. `serverMessage` is the backend's `message`, if any;
+ * `message` always has something displayable.
+ */
+export class ApiError extends Error {
+    constructor(message, { code = 'http', status = null, data = null, serverMessage = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = status;
+        this.data = data;
+        this.serverMessage = serverMessage;
+    }
+}
+
+const STATUS_MESSAGES = {
+    401: 'Your session has expired.',
+    403: "You don't have permission to do that.",
+    404: 'Not found.',
+    413: 'The file is too large.',
+};
+
+export const toApiError = (err) => {
+    if (err instanceof ApiError) return err;
+    if (axios.isCancel(err) || err?.name === 'AbortError') {
+        return new ApiError('Request canceled.', { code: 'canceled', cause: err });
+    }
+    if (err?.response) {
+        const { status, data } = err.response;
+        const serverMessage = typeof data?.message === 'string' ? data.message : null;
+        return new ApiError(serverMessage || STATUS_MESSAGES[status] || `Request failed (${status}).`, { status, data, serverMessage, cause: err });
+    }
+    if (err?.code === 'ECONNABORTED' || err?.code === 'ETIMEDOUT') {
+        return new ApiError('The server took too long to respond.', { code: 'timeout', cause: err });
+    }
+    return new ApiError('Could not reach the server.', { code: 'network', cause: err });
+};
+
+// The request never got an answer: offline, server down, DNS/CORS failure or timeout
+export const isNetworkError = (err) => err?.code === 'network' || err?.code === 'timeout';
+
+export const isCanceled = (err) => err?.code === 'canceled' || axios.isCancel(err) || err?.name === 'AbortError';
+
+// The backend's message when it sent one, otherwise the caller's wording for what failed
+export const getErrorMessage = (err, fallback) => err?.serverMessage || fallback;
+
+// Resolves after `ms`, or rejects with a canceled ApiError as soon as `signal` aborts
+export const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new ApiError('Request canceled.', { code: 'canceled' }));
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new ApiError('Request canceled.', { code: 'canceled' }));
+    }, { once: true });
+});
+
+let unauthorizedHandler = null;
+
+/** Registers the callback run when any request gets a 401; returns an unregister function. */
+export const setUnauthorizedHandler = (handler) => {
+    unauthorizedHandler = handler;
+    return () => {
+        if (unauthorizedHandler === handler) unauthorizedHandler = null;
+    };
+};
+
+export const api = axios.create({ withCredentials: true });
+
+api.interceptors.response.use(undefined, async (rawError) => {
+    const error = toApiError(rawError);
+    const config = rawError?.config;
+
+    if (error.status === 401 && !config?.skipAuthHandler) unauthorizedHandler?.(error);
+
+    // Retrying is pointless while the browser knows it is offline; callers fall back to cached data instead
+    const isRetryable = config?.method === 'get' && config.retry !== false && navigator.onLine !== false
+        && (isNetworkError(error) || RETRYABLE_STATUSES.includes(error.status));
+    const attempt = config?.retryAttempt ?? 0;
+    if (isRetryable && attempt < MAX_GET_RETRIES) {
+        const retryAfterSeconds = Number(rawError.response?.headers?.['retry-after']);
+        const delay = retryAfterSeconds > 0 ? retryAfterSeconds * 1000 : RETRY_BASE_DELAY_MS * 2 ** attempt;
+        await wait(delay, config.signal);
+        return api({ ...config, retryAttempt: attempt + 1 });
+    }
+    throw error;
+});
+
+/**
+ * Resolves true when the backend answers at all. Any HTTP status counts, so backends
+ * without GET /api/health (404) still pass; only network errors and timeouts fail.
+ */
+export const checkBackendHealth = async (apiBaseUrl) => {
+    try {
+        await api.get(`${apiBaseUrl}/api/health`, { timeout: HEALTH_TIMEOUT_MS, retry: false, skipAuthHandler: true });
+        return true;
+    } catch (err) {
+        return err.code === 'http';
+    }
+};
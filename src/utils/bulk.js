@@ -0,0 +1,30 @@
+// --- Helpers: Bulk Operations ---
+
+// How many requests a bulk action keeps in flight at once
+export const BULK_CONCURRENCY = 4;
+
+/**
+ * Runs `task(entry)` for every entry with at most `limit` running at the same time.
+ * Never rejects: resolves with `{ item, ok, value?, error? }` per entry, in input order,
+ * so callers can report successes and failures together.
+ */
+export const runWithConcurrency = async (entries, limit, task) => {
+    const results = new Array(entries.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < entries.length) {
+            const index = nextIndex++;
+            const item = entries[index];
+            try {
+                results[index] = { item, ok: true, value: await task(item) };
+            } catch (err) {
+                console.error('Bulk task error:', err.data || err.message || err);
+                results[index] = { item, ok: false, error: err.serverMessage || err.message || 'Unknown error' };
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, entries.length) }, worker));
+    return results;
+};
@@ -0,0 +1,72 @@
+import { api, isNetworkError } from './apiClient';
+import { saveFileCopy, getFileCopy } from './offlineCache';
+
+// Pulls the filename out of a Content-Disposition header: the RFC 6266 `filename*` (percent-encoded,
+// e.g. UTF-8''na%C3%AFve.txt) when present, otherwise `filename`, quoted or not
+export const parseContentDispositionFilename = (contentDisposition) => {
+    if (!contentDisposition) return null;
+    const extended = /filename\*\s*=\s*(?:[\w!#$%&+^`{}~-]*'[^']*')?("?)([^";]+)\1/i.exec(contentDisposition);
+    if (extended) {
+        try {
+            return decodeURIComponent(extended[2].trim());
+        } catch {
+            // Malformed percent-encoding; the plain parameter below is the fallback servers send for this
+        }
+    }
+    const plain = /filename\s*=\s*(?:"((?:\\.|[^"\\])*)"|([^;]*))/i.exec(contentDisposition);
+    const filename = plain?.[1]?.replace(/\\(.)/g, '$1') ?? plain?.[2]?.trim();
+    return filename || null;
+};
+
+// Direct URL of the download endpoint, for elements that load it themselves (e.g. <img> thumbnails)
+export const fileDownloadUrl = (apiBaseUrl, fileId) => `${apiBaseUrl}/api/files/download/${fileId}`;
+
+/**
+ * Fetches `url` (an authenticated download endpoint) as a blob.
+ * Resolves with `{ blob, contentType, filename, headers }`; `filename` falls back to
+ * `fallbackName` when the server sends no Content-Disposition.
+ */
+export const fetchUrlBlob = async (url, { fallbackName, signal, onProgress } = {}) => {
+    const response = await api.get(url, {
+        responseType: 'blob',
+        signal,
+        onDownloadProgress: onProgress,
+    });
+    const contentType = response.headers['content-type'] || 'application/octet-stream';
+    return {
+        blob: new Blob([response.data], { type: contentType }),
+        contentType,
+        filename: parseContentDispositionFilename(response.headers['content-disposition']) || fallbackName,
+        headers: response.headers,
+    };
+};
+
+/**
+ * Current content of a file; options as for fetchUrlBlob. With `keepOffline`, a copy goes
+ * into the offline cache, and that copy is returned (with `fromCache: true`) when the
+ * server can't be reached.
+ */
+export const fetchFileBlob = async (apiBaseUrl, fileId, { keepOffline = false, ...options } = {}) => {
+    try {
+        const result = await fetchUrlBlob(fileDownloadUrl(apiBaseUrl, fileId), options);
+        if (keepOffline) saveFileCopy(fileId, result);
+        return result;
+    } catch (err) {
+        if (!keepOffline || !isNetworkError(err)) throw err;
+        const copy = await getFileCopy(fileId);
+        if (!copy) throw err;
+        return { ...copy, fromCache: true };
+    }
+};
+
+// Hands a blob to the browser as a file download
+export const saveBlob = (blob, filename) => {
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', filename);
+    document.body.appendChild(link);
+    link.click();
+    link.parentNode.removeChild(link);
+    window.URL.revokeObjectURL(url);
+};
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import { server } from '../test/server';
+import { API, seedBackend } from '../test/mockBackend';
+import { parseContentDispositionFilename, fetchFileBlob, fetchUrlBlob } from './download';
+
+describe('parseContentDispositionFilename', () => {
+    it.each([
+        ['attachment; filename="report.pdf"', 'report.pdf'],
+        ['attachment; filename=report.pdf', 'report.pdf'],
+        ['attachment; filename=report.pdf; size=10', 'report.pdf'],
+        ['attachment; filename="quarterly report.pdf"', 'quarterly report.pdf'],
+        ['attachment; filename="semi;colon.txt"', 'semi;colon.txt'],
+        ['attachment; filename="say \\"hi\\".txt"', 'say "hi".txt'],
+        ['ATTACHMENT; FILENAME="upper.txt"', 'upper.txt'],
+        ["attachment; filename*=UTF-8''na%C3%AFve%20caf%C3%A9.txt", 'naïve café.txt'],
+        ["attachment; filename*=utf-8'en'%E2%82%AC%20rates.txt", '€ rates.txt'],
+        ["attachment; filename=\"fallback.txt\"; filename*=UTF-8''%F0%9F%93%84.txt", '📄.txt'],
+        ["attachment; filename*=UTF-8''broken%E2.txt; filename=\"fallback.txt\"", 'fallback.txt'],
+    ])('reads %s', (header, expected) => {
+        expect(parseContentDispositionFilename(header)).toBe(expected);
+    });
+
+    it.each([undefined, null, '', 'attachment', 'inline; filename=""'])('returns null for %j', (header) => {
+        expect(parseContentDispositionFilename(header)).toBeNull();
+    });
+});
+
+describe('fetchUrlBlob', () => {
+    it('names the blob after Content-Disposition', async () => {
+        seedBackend({ loggedIn: true, files: [{ id: 1, name: 'résumé final.txt', content: 'hello' }] });
+
+        const result = await fetchFileBlob(API, 1);
+
+        expect(result.filename).toBe('résumé final.txt');
+        expect(result.contentType).toBe('text/plain');
+        expect(await result.blob.text()).toBe('hello');
+    });
+
+    it('falls back to the given name without Content-Disposition', async () => {
+        server.use(http.get(`${API}/api/files/download/2`, () => new HttpResponse('data', { headers: { 'Content-Type': 'text/plain' } })));
+
+        const result = await fetchUrlBlob(`${API}/api/files/download/2`, { fallbackName: 'notes.txt' });
+
+        expect(result.filename).toBe('notes.txt');
+    });
+
+    it('rejects with the status for missing files', async () => {
+        seedBackend({ loggedIn: true });
+
+        await expect(fetchFileBlob(API, 404)).rejects.toMatchObject({ status: 404 });
+    });
+});
@@ -0,0 +1,68 @@
+import { getItemHash } from './fileHash';
+
+// --- Duplicate Uploads ---
+// Files in an upload batch that clash with files already in the target folder, by name or by
+// content (SHA-256, when the folder listing carries hashes; see utils/fileHash.js), and the
+// plan that follows from what the user chose for each.
+
+export const DUPLICATE_CHOICES = [
+    { value: 'keepBoth', label: 'Keep both', hint: 'Upload it under a new name if the name is taken' },
+    { value: 'replace', label: 'Replace', hint: 'Upload it as a new version of the existing file' },
+    { value: 'skip', label: 'Skip', hint: "Don't upload it" },
+];
+
+// "report.pdf" -> ["report", ".pdf"]; names without an extension, or with only a leading dot, keep it all in the base
+export const splitFileName = (name) => {
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+};
+
+// "report.pdf" -> "report (1).pdf", "report (2).pdf", ... until the name is free
+export const getAvailableName = (name, takenNames) => {
+    if (!takenNames.has(name)) return name;
+    const [base, extension] = splitFileName(name);
+    for (let n = 1; ; n++) {
+        const candidate = `${base} (${n})${extension}`;
+        if (!takenNames.has(candidate)) return candidate;
+    }
+};
+
+/**
+ * Checks each of `files` (with `hashes` in the same order, null where unknown) against the
+ * files in `existingItems`. Returns one `{ index, file, nameMatch, hashMatch }` per clash, where
+ * the matches are the existing file records (or null).
+ */
+export const findDuplicates = (files, hashes, existingItems) => {
+    const existingFiles = existingItems.filter(item => item.type === 'file' && item.pendingSync !== 'create');
+    return files.flatMap((file, index) => {
+        const nameMatch = existingFiles.find(item => item.name === file.name) || null;
+        const hashMatch = hashes[index] ? existingFiles.find(item => getItemHash(item) === hashes[index]) || null : null;
+        return nameMatch || hashMatch ? [{ index, file, nameMatch, hashMatch }] : [];
+    });
+};
+
+/**
+ * Turns the batch plus a choice per clash (`choices[i]` for `duplicates[i]`) into
+ * `{ uploads, skipped }`. Uploads are `{ file, sha256, fileId? }`; `fileId` means "replace
+ * that file's content". Kept copies whose name is taken get the next free "name (n).ext".
+ */
+export const planUploads = (files, hashes, existingItems, duplicates, choices) => {
+    const takenNames = new Set(existingItems.map(item => item.name));
+    files.forEach(file => takenNames.add(file.name));
+    const choiceByIndex = new Map(duplicates.map((duplicate, i) => [duplicate.index, { ...duplicate, choice: choices[i] }]));
+
+    const uploads = [];
+    const skipped = [];
+    files.forEach((file, index) => {
+        const duplicate = choiceByIndex.get(index);
+        const sha256 = hashes[index];
+        if (!duplicate) return uploads.push({ file, sha256 });
+        if (duplicate.choice === 'skip') return skipped.push(file);
+        if (duplicate.choice === 'replace') return uploads.push({ file, sha256, fileId: (duplicate.nameMatch || duplicate.hashMatch).id });
+        if (!duplicate.nameMatch) return uploads.push({ file, sha256 }); // Same content under another name; the name is free
+        const name = getAvailableName(file.name, takenNames);
+        takenNames.add(name);
+        uploads.push({ file: new File([file], name, { type: file.type, lastModified: file.lastModified }), sha256 });
+    });
+    return { uploads, skipped };
+};
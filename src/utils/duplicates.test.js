@@ -0,0 +1,15 @@
+import { describe, it, expect } from 'vitest';
+import { getAvailableName } from './duplicates';
+
+describe('getAvailableName', () => {
+    it.each([
+        ['report.pdf', [], 'report.pdf'],
+        ['report.pdf', ['report.pdf'], 'report (1).pdf'],
+        ['report.pdf', ['report.pdf', 'report (1).pdf'], 'report (2).pdf'],
+        ['archive.tar.gz', ['archive.tar.gz'], 'archive.tar (1).gz'],
+        ['Makefile', ['Makefile'], 'Makefile (1)'],
+        ['.env', ['.env'], '.env (1)'],
+    ])('names %s next to %j %s', (name, taken, expected) => {
+        expect(getAvailableName(name, new Set(taken))).toBe(expected);
+    });
+});
@@ -0,0 +1,305 @@
+import { api } from './apiClient';
+import { listFolder } from './folderWalk';
+
+// --- Encrypted Folders ---
+// Optional end-to-end encryption. Files uploaded into an encrypted folder are encrypted in the
+// browser with AES-GCM (256-bit), under a key derived from the folder's passphrase with
+// PBKDF2-SHA-256. The backend stores only ciphertext and never sees the passphrase or the key.
+//
+// Folder records carry the key parameters (base64 `salt` and `verifier`), set once with
+//   PUT /api/folders/:id/encryption   { version: 1, salt, iterations, verifier }
+// `verifier` is a known text encrypted under the key, so a passphrase can be checked before use.
+// Subfolders, existing and created later, get the same parameters, so one passphrase covers the whole tree.
+//
+// Encrypted files describe themselves, so they still open after being moved out of the folder:
+//   "DCENC" | format version (1 byte) | iterations (uint32) | salt (16 bytes) | segment size (uint32)
+//   then per segment of plaintext: IV (12 bytes) | ciphertext with its 16-byte GCM tag
+// Each segment is authenticated together with the header, its index and whether it is the last,
+// so segments can't be reordered, swapped between files or cut off the end.
+//
+// Whether a folder is encrypted isn't left to the backend alone: folders this browser has seen
+// encrypted are remembered per user, and uploads into them are refused if the backend stops saying so.
+//
+// Unlocked keys are kept in memory only and are gone after lock, logout or reload.
+// There is no recovery: without the passphrase nobody can decrypt the files.
+
+const MAGIC = [0x44, 0x43, 0x45, 0x4e, 0x43]; // "DCENC"
+const FORMAT_VERSION = 1;
+const HEADER_BYTES = 30;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const SEGMENT_BYTES = 4 * 1024 * 1024;
+const PBKDF2_ITERATIONS = 600000;
+const VERIFIER_TEXT = 'drive-clone passphrase check';
+
+// Sealed or opened segment by segment into a Blob, so only one segment is in memory at a time and the
+// browser's blob storage (which spills to disk) holds the rest; beyond this size it may still run out
+export const MAX_ENCRYPTED_FILE_BYTES = 2 * 1024 * 1024 * 1024;
+
+// Thrown when content is encrypted under a key that isn't unlocked. `keyParams` and `sample`
+// (the encrypted blob) are what unlockKey needs to unlock it.
+export class EncryptionLockedError extends Error {
+    constructor(keyParams, sample) {
+        super('This file is encrypted and its folder is locked.');
+        this.name = 'EncryptionLockedError';
+        this.keyParams = keyParams;
+        this.sample = sample;
+    }
+}
+
+export class EncryptedFileTooLargeError extends Error {
+    constructor(fileName) {
+        super(`${fileName} is too large to encrypt in the browser.`);
+        this.name = 'EncryptedFileTooLargeError';
+    }
+}
+
+export class WrongPassphraseError extends Error {
+    constructor() {
+        super('Wrong passphrase.');
+        this.name = 'WrongPassphraseError';
+    }
+}
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+// The folder record's encryption parameters, or null for a plain folder
+export const getFolderEncryption = (folder) => (folder?.encryption?.salt ? folder.encryption : null);
+
+export const setFolderEncryption = (apiBaseUrl, folderId, params) =>
+    api.put(`${apiBaseUrl}/api/folders/${folderId}/encryption`, params);
+
+// --- Known Encrypted Folders ---
+// Folder id -> { salt, iterations } of every folder this browser has seen encrypted, in localStorage
+// under one key per user. Salts are no secret (the backend stores them), so they outlive logout.
+const knownFoldersKey = (userId) => `drive-clone:encrypted-folders:${userId}`;
+
+const readKnownFolders = (userId) => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(knownFoldersKey(userId)));
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch {
+        return {}; // Unparseable or storage blocked
+    }
+};
+
+export const rememberFolderEncryption = (userId, folderId, { salt, iterations }) => {
+    const known = readKnownFolders(userId);
+    if (known[folderId]?.salt === salt) return;
+    known[folderId] = { salt, iterations };
+    try {
+        localStorage.setItem(knownFoldersKey(userId), JSON.stringify(known));
+    } catch (err) {
+        console.warn('Could not remember the encrypted folder:', err);
+    }
+};
+
+// The parameters this browser last saw `folderId` encrypted with, or null
+export const getRememberedEncryption = (userId, folderId) => readKnownFolders(userId)[folderId] || null;
+
+/**
+ * Gives the subfolders below `folder` the parameters `params` of the folder itself. Subfolders that
+ * are encrypted already keep their own passphrase, and so does everything below them.
+ * Resolves with `{ encrypted, failed }`: the ids of the subfolders that were updated, and the names
+ * of the folders that couldn't be updated or listed (nothing below them is).
+ */
+export const encryptSubfolders = async (apiBaseUrl, folder, params) => {
+    const encrypted = [];
+    const failed = [];
+    const visit = async (parent) => {
+        let folders;
+        try {
+            ({ folders } = await listFolder(apiBaseUrl, parent.id));
+        } catch (err) {
+            failed.push(parent.name);
+            console.error('List subfolders error:', err.data || err.message || err);
+            return;
+        }
+        for (const subfolder of folders) {
+            if (getFolderEncryption(subfolder)) continue;
+            try {
+                await setFolderEncryption(apiBaseUrl, subfolder.id, params);
+            } catch (err) {
+                failed.push(subfolder.name);
+                console.error('Encrypt subfolder error:', err.data || err.message || err);
+                continue;
+            }
+            encrypted.push(subfolder.id);
+            await visit(subfolder);
+        }
+    };
+    await visit(folder);
+    return { encrypted, failed };
+};
+
+// --- Keyring ---
+// Unlocked keys by salt. Listeners hear about every lock and unlock (see hooks/useKeyring.js).
+const keyring = new Map(); // salt -> { key, salt, iterations }
+const listeners = new Set();
+let keyringVersion = 0;
+
+const keyringChanged = () => {
+    keyringVersion += 1;
+    listeners.forEach(listener => listener());
+};
+
+export const subscribeToKeyring = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+export const getKeyringVersion = () => keyringVersion;
+
+// The unlocked key for `params` ({ salt, iterations }), or null while it is locked
+export const getUnlockedKey = (params) => (params ? keyring.get(params.salt) || null : null);
+
+export const lockKey = (params) => {
+    if (keyring.delete(params.salt)) keyringChanged();
+};
+
+export const lockAllKeys = () => {
+    if (!keyring.size) return;
+    keyring.clear();
+    keyringChanged();
+};
+
+const deriveKey = async (passphrase, salt, iterations) => {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+};
+
+const remember = (key, salt, iterations) => {
+    keyring.set(salt, { key, salt, iterations });
+    keyringChanged();
+};
+
+// New folder parameters for `passphrase`; the key stays unlocked for this session
+export const createFolderEncryption = async (passphrase) => {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const sealed = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(VERIFIER_TEXT)));
+    const verifier = new Uint8Array(IV_BYTES + sealed.length);
+    verifier.set(iv);
+    verifier.set(sealed, IV_BYTES);
+    const params = { version: FORMAT_VERSION, salt: toBase64(salt), iterations: PBKDF2_ITERATIONS, verifier: toBase64(verifier) };
+    remember(key, params.salt, params.iterations);
+    return params;
+};
+
+// --- File Format ---
+const readHeader = async (blob) => {
+    if (blob.size < HEADER_BYTES) return null;
+    const header = new Uint8Array(await blob.slice(0, HEADER_BYTES).arrayBuffer());
+    if (MAGIC.some((byte, i) => header[i] !== byte) || header[5] !== FORMAT_VERSION) return null;
+    const view = new DataView(header.buffer);
+    return {
+        header,
+        iterations: view.getUint32(6),
+        salt: toBase64(header.subarray(10, 10 + SALT_BYTES)),
+        segmentBytes: view.getUint32(26),
+    };
+};
+
+// Binds a segment to its file (the header), its position and whether it ends the file
+const segmentAad = (header, index, isLast) => {
+    const aad = new Uint8Array(HEADER_BYTES + 5);
+    aad.set(header);
+    new DataView(aad.buffer).setUint32(HEADER_BYTES, index);
+    aad[HEADER_BYTES + 4] = isLast ? 1 : 0;
+    return aad;
+};
+
+const segmentCount = (blob, segmentBytes) =>
+    Math.max(1, Math.ceil((blob.size - HEADER_BYTES) / (segmentBytes + IV_BYTES + TAG_BYTES)));
+
+const decryptSegment = async (key, blob, info, index, count) => {
+    const sealedBytes = info.segmentBytes + IV_BYTES + TAG_BYTES;
+    const start = HEADER_BYTES + index * sealedBytes;
+    const bytes = new Uint8Array(await blob.slice(start, start + sealedBytes).arrayBuffer());
+    return crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: bytes.subarray(0, IV_BYTES), additionalData: segmentAad(info.header, index, index === count - 1) },
+        key,
+        bytes.subarray(IV_BYTES)
+    );
+};
+
+/**
+ * Derives the key for `params` from `passphrase` and keeps it unlocked for the session.
+ * The passphrase is checked against `params.verifier`, or, for parameters taken from a file
+ * (EncryptionLockedError#keyParams has no verifier), against the encrypted `sample` blob.
+ * Rejects with WrongPassphraseError.
+ */
+export const unlockKey = async (params, passphrase, { sample } = {}) => {
+    const key = await deriveKey(passphrase, fromBase64(params.salt), params.iterations);
+    try {
+        if (params.verifier) {
+            const verifier = fromBase64(params.verifier);
+            await crypto.subtle.decrypt({ name: 'AES-GCM', iv: verifier.subarray(0, IV_BYTES) }, key, verifier.subarray(IV_BYTES));
+        } else {
+            const info = await readHeader(sample);
+            await decryptSegment(key, sample, info, 0, segmentCount(sample, info.segmentBytes));
+        }
+    } catch {
+        throw new WrongPassphraseError();
+    }
+    remember(key, params.salt, params.iterations);
+};
+
+/**
+ * Encrypts `file` under `unlocked` (a key from getUnlockedKey). The result keeps the name and
+ * type, with a fresh `lastModified`: resumable uploads are keyed by it (see utils/uploadFile.js),
+ * and each encryption of the same file produces different bytes.
+ * Rejects with EncryptedFileTooLargeError beyond MAX_ENCRYPTED_FILE_BYTES.
+ */
+export const encryptFile = async (file, { key, salt, iterations }) => {
+    if (file.size > MAX_ENCRYPTED_FILE_BYTES) throw new EncryptedFileTooLargeError(file.name);
+    const header = new Uint8Array(HEADER_BYTES);
+    header.set(MAGIC);
+    header[5] = FORMAT_VERSION;
+    const view = new DataView(header.buffer);
+    view.setUint32(6, iterations);
+    header.set(fromBase64(salt), 10);
+    view.setUint32(26, SEGMENT_BYTES);
+
+    const count = Math.max(1, Math.ceil(file.size / SEGMENT_BYTES));
+    let sealedFile = new Blob([header]);
+    for (let index = 0; index < count; index++) {
+        const plaintext = new Uint8Array(await file.slice(index * SEGMENT_BYTES, (index + 1) * SEGMENT_BYTES).arrayBuffer());
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const sealed = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: segmentAad(header, index, index === count - 1) },
+            key,
+            plaintext
+        );
+        sealedFile = new Blob([sealedFile, iv, sealed]);
+    }
+    return new File([sealedFile], file.name, { type: file.type, lastModified: Date.now() });
+};
+
+/**
+ * The plaintext of an encrypted blob (as `type`), or the blob itself when it isn't encrypted.
+ * Rejects with EncryptionLockedError while its key is locked, and with an OperationError
+ * when the content was damaged or tampered with.
+ */
+export const decryptBlob = async (blob, type = blob.type) => {
+    const info = await readHeader(blob);
+    if (!info) return blob;
+    const unlocked = keyring.get(info.salt);
+    if (!unlocked) throw new EncryptionLockedError({ salt: info.salt, iterations: info.iterations }, blob);
+    const count = segmentCount(blob, info.segmentBytes);
+    let plaintext = new Blob([]);
+    for (let index = 0; index < count; index++) plaintext = new Blob([plaintext, await decryptSegment(unlocked.key, blob, info, index, count)]);
+    return new Blob([plaintext], { type });
+};
+
+// A fetchUrlBlob/fetchFileBlob result with its content decrypted
+export const decryptDownload = async (result) => ({ ...result, blob: await decryptBlob(result.blob, result.contentType) });
@@ -0,0 +1,95 @@
+// @vitest-environment node
+// Node's Blob: jsdom's takes many seconds to read the multi-megabyte files below
+import { describe, it, expect, afterEach } from 'vitest';
+import { API, backend, seedBackend } from '../test/mockBackend';
+import { encryptSubfolders, createFolderEncryption, getUnlockedKey, lockAllKeys, encryptFile, decryptBlob, EncryptedFileTooLargeError, MAX_ENCRYPTED_FILE_BYTES } from './encryption';
+
+const PARAMS = { version: 1, salt: 'c2FsdA==', iterations: 1000, verifier: 'dmVyaWZpZXI=' };
+const OTHER_PARAMS = { ...PARAMS, salt: 'b3RoZXI=' };
+
+describe('encryptSubfolders', () => {
+    it('encrypts the whole tree below a folder, leaving folders with their own passphrase alone', async () => {
+        seedBackend({
+            loggedIn: true,
+            folders: [
+                { id: 1, name: 'Private', encryption: PARAMS },
+                { id: 2, name: 'Taxes', parentId: 1 },
+                { id: 3, name: '2024', parentId: 2 },
+                { id: 4, name: 'Medical', parentId: 1, encryption: OTHER_PARAMS },
+                { id: 5, name: 'Scans', parentId: 4 },
+                { id: 6, name: 'Elsewhere' },
+            ],
+        });
+
+        expect(await encryptSubfolders(API, { id: 1, name: 'Private' }, PARAMS)).toEqual({ encrypted: [2, 3], failed: [] });
+
+        expect(backend.folders.get(2).encryption).toEqual(PARAMS);
+        expect(backend.folders.get(3).encryption).toEqual(PARAMS);
+        expect(backend.folders.get(4).encryption).toEqual(OTHER_PARAMS);
+        expect(backend.folders.get(5).encryption).toBeUndefined();
+        expect(backend.folders.get(6).encryption).toBeUndefined();
+    });
+});
+
+const HEADER_BYTES = 30;
+const SEGMENT_BYTES = 4 * 1024 * 1024;
+const SEGMENT_OVERHEAD = 12 + 16; // IV and GCM tag
+
+const patterned = (size) => new Uint8Array(size).map((_, i) => i % 251);
+const sameBytes = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+const encryptWithNewKey = async (content) => {
+    const key = getUnlockedKey(await createFolderEncryption('correct horse battery staple'));
+    return encryptFile(new File([content], 'data.bin', { type: 'application/octet-stream' }), key);
+};
+
+describe('encryptFile', () => {
+    afterEach(() => {
+        lockAllKeys();
+    });
+
+    it('round-trips content', async () => {
+        const key = getUnlockedKey(await createFolderEncryption('correct horse battery staple'));
+
+        const encrypted = await encryptFile(new File(['top secret'], 'notes.txt', { type: 'text/plain' }), key);
+        expect(encrypted.size).toBe(30 + 12 + 'top secret'.length + 16); // Header, then one segment
+
+        expect(await (await decryptBlob(encrypted)).text()).toBe('top secret');
+    });
+
+    it.each([
+        ['spans several segments', 2 * SEGMENT_BYTES + 1000, 3],
+        ['ends exactly on a segment boundary', 2 * SEGMENT_BYTES, 2],
+        ['is empty', 0, 1],
+    ])('round-trips a file that %s', async (_, size, segments) => {
+        const content = patterned(size);
+
+        const encrypted = await encryptWithNewKey(content);
+        expect(encrypted.size).toBe(HEADER_BYTES + size + segments * SEGMENT_OVERHEAD);
+
+        const decrypted = new Uint8Array(await (await decryptBlob(encrypted)).arrayBuffer());
+        expect(sameBytes(decrypted, content)).toBe(true); // toEqual would diff megabytes element by element
+    });
+
+    it.each([
+        ['a segment in the middle is dropped', (header, [first, , last]) => [header, first, last]],
+        ['the last segment is dropped', (header, [first, second]) => [header, first, second]],
+        ['the last segment is cut short', (header, [first, second, last]) => [header, first, second, last.slice(0, last.size - 1)]],
+        ['two segments are swapped', (header, [first, second, last]) => [header, second, first, last]],
+    ])('rejects a file when %s', async (_, tamper) => {
+        const encrypted = await encryptWithNewKey(patterned(2 * SEGMENT_BYTES + 1000));
+        const sealedBytes = SEGMENT_BYTES + SEGMENT_OVERHEAD;
+        const segments = [0, 1, 2].map(i => encrypted.slice(HEADER_BYTES + i * sealedBytes, HEADER_BYTES + (i + 1) * sealedBytes));
+
+        const tampered = new Blob(tamper(encrypted.slice(0, HEADER_BYTES), segments));
+
+        await expect(decryptBlob(tampered)).rejects.toMatchObject({ name: 'OperationError' });
+    });
+
+    it('refuses files too large to encrypt in the browser', async () => {
+        const key = getUnlockedKey(await createFolderEncryption('correct horse battery staple'));
+        const huge = { name: 'disk.iso', size: MAX_ENCRYPTED_FILE_BYTES + 1 };
+
+        await expect(encryptFile(huge, key)).rejects.toBeInstanceOf(EncryptedFileTooLargeError);
+    });
+});
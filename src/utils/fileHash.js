@@ -0,0 +1,83 @@
+// --- File Hashing ---
+// SHA-256 of files and blobs as lowercase hex, computed in a Web Worker (workers/hashWorker.js)
+// so hashing a large upload doesn't freeze the page. One worker serves every request.
+// Backends that store hashes send them on file records as `sha256` (`hash` and `checksum` are
+// accepted too, optionally prefixed with "sha256:"); uploads send the hash along the same way.
+
+let worker = null;
+let nextRequestId = 1;
+const requests = new Map(); // id -> { resolve, reject, onProgress }
+
+const getWorker = () => {
+    if (worker) return worker;
+    worker = new Worker(new URL('../workers/hashWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+        const request = requests.get(data.id);
+        if (!request) return;
+        if (data.progress != null) return request.onProgress?.(data.progress);
+        requests.delete(data.id);
+        if (data.error) request.reject(new Error(data.error));
+        else request.resolve(data.hash);
+    };
+    // A worker that failed to load fails everything waiting on it; the next call starts a new one
+    worker.onerror = (event) => {
+        requests.forEach(request => request.reject(new Error(event.message || 'The hashing worker failed.')));
+        requests.clear();
+        worker.terminate();
+        worker = null;
+    };
+    return worker;
+};
+
+/**
+ * Resolves with the SHA-256 of `blob`. `onProgress` gets 0..1 as it is read; aborting `signal`
+ * stops the work and rejects with an AbortError.
+ */
+export const hashBlob = (blob, { signal, onProgress } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new DOMException('Hashing canceled.', 'AbortError'));
+    const id = nextRequestId++;
+    const hashWorker = getWorker();
+    requests.set(id, { resolve, reject, onProgress });
+    hashWorker.postMessage({ id, blob });
+    signal?.addEventListener('abort', () => {
+        if (!requests.delete(id)) return;
+        hashWorker.postMessage({ cancel: id });
+        reject(new DOMException('Hashing canceled.', 'AbortError'));
+    }, { once: true });
+});
+
+// Hashes `files` one after another (the worker works through them in turn anyway). Resolves with
+// a hash per file, null where hashing failed; `onProgress` gets 0..1 across the whole batch by size.
+export const hashFiles = async (files, { onProgress } = {}) => {
+    const totalBytes = files.reduce((total, file) => total + file.size, 0) || 1;
+    let doneBytes = 0;
+    const hashes = [];
+    for (const file of files) {
+        try {
+            hashes.push(await hashBlob(file, { onProgress: progress => onProgress?.((doneBytes + progress * file.size) / totalBytes) }));
+        } catch (err) {
+            console.warn(`Could not hash ${file.name}:`, err);
+            hashes.push(null);
+        }
+        doneBytes += file.size;
+    }
+    return hashes;
+};
+
+// true/false once `blob` has been checked against `expectedHash`, null when it couldn't be hashed
+export const verifyBlob = async (blob, expectedHash) => {
+    try {
+        return (await hashBlob(blob)) === expectedHash;
+    } catch (err) {
+        console.warn('Could not verify the download:', err);
+        return null;
+    }
+};
+
+// The hash the backend keeps for a file record, or null when it has none
+export const getItemHash = (item) => {
+    const raw = item?.sha256 ?? item?.hash ?? item?.checksum;
+    if (typeof raw !== 'string') return null;
+    const hex = raw.trim().replace(/^sha-?256[:=]/i, '').toLowerCase();
+    return /^[0-9a-f]{64}$/.test(hex) ? hex : null;
+};
@@ -0,0 +1,94 @@
+// --- Helpers: File Type Detection ---
+// Content types from the backend are often generic (application/octet-stream),
+// so the file extension is used as a second opinion.
+
+const CODE_LANGUAGES = {
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript',
+    ts: 'typescript', tsx: 'typescript',
+    json: 'json', css: 'css', scss: 'scss', less: 'less',
+    html: 'xml', htm: 'xml', xml: 'xml', svg: 'xml',
+    py: 'python', rb: 'ruby', php: 'php', java: 'java', kt: 'kotlin',
+    c: 'c', h: 'c', cpp: 'cpp', hpp: 'cpp', cs: 'csharp', go: 'go', rs: 'rust',
+    swift: 'swift', sh: 'bash', bash: 'bash', zsh: 'bash', ps1: 'powershell',
+    sql: 'sql', yml: 'yaml', yaml: 'yaml', toml: 'ini', ini: 'ini',
+    dockerfile: 'dockerfile', makefile: 'makefile',
+};
+
+const TEXT_EXTENSIONS = ['txt', 'log', 'csv', 'tsv', 'env', 'conf'];
+const MARKDOWN_EXTENSIONS = ['md', 'markdown'];
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'ico', 'avif'];
+const AUDIO_EXTENSIONS = ['mp3', 'wav', 'ogg', 'oga', 'm4a', 'flac', 'aac'];
+const VIDEO_EXTENSIONS = ['mp4', 'webm', 'ogv', 'mov', 'm4v'];
+
+// "Report.Final.PDF" -> "pdf"; files without a dot use their whole (lowercased) name, e.g. "makefile"
+export const getExtension = (fileName = '') => {
+    const lower = fileName.toLowerCase();
+    const dot = lower.lastIndexOf('.');
+    return dot === -1 ? lower : lower.slice(dot + 1);
+};
+
+export const getCodeLanguage = (fileName) => CODE_LANGUAGES[getExtension(fileName)] || null;
+
+/**
+ * Decides how a file can be shown inline:
+ * 'image' | 'pdf' | 'markdown' | 'code' | 'text' | 'audio' | 'video' | null (not previewable).
+ */
+export const getPreviewKind = (contentType = '', fileName = '') => {
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    const ext = getExtension(fileName);
+
+    if (MARKDOWN_EXTENSIONS.includes(ext) || type === 'text/markdown') return 'markdown';
+    if (CODE_LANGUAGES[ext]) return ext === 'svg' && type.startsWith('image/') ? 'image' : 'code';
+    if (type.startsWith('image/') || IMAGE_EXTENSIONS.includes(ext)) return 'image';
+    if (type === 'application/pdf' || ext === 'pdf') return 'pdf';
+    if (type.startsWith('audio/') || AUDIO_EXTENSIONS.includes(ext)) return 'audio';
+    if (type.startsWith('video/') || VIDEO_EXTENSIONS.includes(ext)) return 'video';
+    if (type.startsWith('text/') || type === 'application/json' || TEXT_EXTENSIONS.includes(ext)) return 'text';
+    return null;
+};
+
+// Where the plain extension isn't the MIME subtype, e.g. "jpg" -> image/jpeg
+const MEDIA_SUBTYPES = {
+    jpg: 'jpeg', ico: 'x-icon', svg: 'svg+xml',
+    mp3: 'mpeg', m4a: 'mp4', oga: 'ogg', ogv: 'ogg', mov: 'quicktime', m4v: 'mp4',
+};
+
+/**
+ * The content type to give a blob before it is shown as `kind` (see getPreviewKind). The kind may
+ * have come from the extension alone, and the served type is whatever the uploader sent, so it is
+ * only kept when it agrees with the kind; a "x.pdf" served as text/html must never load as HTML.
+ */
+export const getPreviewContentType = (kind, contentType = '', fileName = '') => {
+    if (kind === 'pdf') return 'application/pdf';
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    if (type.startsWith(`${kind}/`)) return type;
+    const ext = getExtension(fileName);
+    const extensions = { image: IMAGE_EXTENSIONS, audio: AUDIO_EXTENSIONS, video: VIDEO_EXTENSIONS }[kind] || [];
+    return extensions.includes(ext) ? `${kind}/${MEDIA_SUBTYPES[ext] || ext}` : 'application/octet-stream';
+};
+
+// Coarse groups for filtering; an item matches by extension or by MIME type prefix
+export const FILE_GROUPS = {
+    image: { label: 'Images', mime: ['image/'], extensions: IMAGE_EXTENSIONS },
+    document: { label: 'Documents', mime: ['application/pdf', 'text/', 'application/msword', 'application/vnd.openxmlformats-officedocument', 'application/vnd.oasis.opendocument'], extensions: ['pdf', 'doc', 'docx', 'odt', 'rtf', 'xls', 'xlsx', 'ods', 'ppt', 'pptx', 'odp', ...TEXT_EXTENSIONS, ...MARKDOWN_EXTENSIONS] },
+    audio: { label: 'Audio', mime: ['audio/'], extensions: AUDIO_EXTENSIONS },
+    video: { label: 'Video', mime: ['video/'], extensions: VIDEO_EXTENSIONS },
+    archive: { label: 'Archives', mime: ['application/zip', 'application/x-7z', 'application/x-rar', 'application/x-tar', 'application/gzip'], extensions: ['zip', '7z', 'rar', 'tar', 'gz', 'tgz', 'bz2', 'xz'] },
+    code: { label: 'Code', mime: ['application/javascript', 'application/json'], extensions: Object.keys(CODE_LANGUAGES) },
+};
+
+export const isInFileGroup = (item, group) => {
+    const definition = FILE_GROUPS[group];
+    if (!definition) return false;
+    const ext = getExtension(item.name);
+    const mime = (item.mimeType || item.mimetype || '').toLowerCase();
+    // Code extensions win over the generic text/* MIME match of the document group
+    if (group === 'document' && CODE_LANGUAGES[ext]) return false;
+    return definition.extensions.includes(ext) || (!!mime && definition.mime.some(prefix => mime.startsWith(prefix)));
+};
+
+// Short label for the Type column, e.g. "Folder", "PDF file"; extensionless files are just "File"
+export const getTypeLabel = (item) => {
+    if (item.type === 'folder') return 'Folder';
+    return item.name?.includes('.') ? `${getExtension(item.name).toUpperCase()} file` : 'File';
+};
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { getPreviewKind, getPreviewContentType } from './fileTypes';
+
+describe('getPreviewKind', () => {
+    it.each([
+        ['text/html', 'x.pdf', 'pdf'],
+        ['application/pdf', 'scan', 'pdf'],
+        ['application/octet-stream', 'photo.JPG', 'image'],
+        ['image/svg+xml', 'logo.svg', 'image'],
+        ['text/plain', 'logo.svg', 'code'],
+        ['text/plain', 'README.md', 'markdown'],
+        ['application/octet-stream', 'archive.zip', null],
+    ])('shows %s named %s as %s', (contentType, fileName, expected) => {
+        expect(getPreviewKind(contentType, fileName)).toBe(expected);
+    });
+});
+
+describe('getPreviewContentType', () => {
+    it('always types PDFs as PDF', () => {
+        expect(getPreviewContentType('pdf', 'text/html', 'x.pdf')).toBe('application/pdf');
+    });
+
+    it.each([
+        ['image', 'image/png; charset=binary', 'photo.png', 'image/png'],
+        ['image', 'text/html', 'photo.jpg', 'image/jpeg'],
+        ['audio', 'application/octet-stream', 'song.mp3', 'audio/mpeg'],
+        ['video', 'text/html', 'clip.mov', 'video/quicktime'],
+        ['video', 'text/html', 'clip', 'application/octet-stream'],
+    ])('gives a %s served as %s named %s the type %s', (kind, contentType, fileName, expected) => {
+        expect(getPreviewContentType(kind, contentType, fileName)).toBe(expected);
+    });
+});
@@ -0,0 +1,120 @@
+import { api } from './apiClient';
+
+// --- Helpers: Reading Local Directories ---
+
+// FileSystemDirectoryReader.readEntries returns entries in batches, so keep reading until empty
+const readAllEntries = (directoryReader) => new Promise((resolve, reject) => {
+    const entries = [];
+    const readBatch = () => {
+        directoryReader.readEntries((batch) => {
+            if (batch.length === 0) return resolve(entries);
+            entries.push(...batch);
+            readBatch();
+        }, reject);
+    };
+    readBatch();
+});
+
+const entryToFile = (fileEntry) => new Promise((resolve, reject) => fileEntry.file(resolve, reject));
+
+const walkEntry = async (entry, parentPath, results) => {
+    const relativePath = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+    if (entry.isFile) {
+        results.push({ file: await entryToFile(entry), relativePath });
+    } else if (entry.isDirectory) {
+        results.push({ file: null, relativePath }); // Keeps empty directories in the tree
+        const children = await readAllEntries(entry.createReader());
+        for (const child of children) {
+            await walkEntry(child, relativePath, results);
+        }
+    }
+};
+
+/**
+ * Collects `{ file, relativePath }` pairs from a drop event (`file` is null for directories).
+ * Returns null when nothing dropped is a directory, so callers can fall back to
+ * `dataTransfer.files`.
+ * Must be called synchronously inside the drop handler: `webkitGetAsEntry` stops
+ * working once the event has finished dispatching.
+ */
+export const collectDroppedEntries = (dataTransfer) => {
+    const entries = Array.from(dataTransfer.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+    if (!entries.some(entry => entry.isDirectory)) return null;
+
+    return (async () => {
+        const results = [];
+        for (const entry of entries) {
+            await walkEntry(entry, '', results);
+        }
+        return results;
+    })();
+};
+
+// Files picked through an <input webkitdirectory> already carry their relative path
+export const entriesFromDirectoryInput = (fileList) => Array.from(fileList).map(file => ({
+    file,
+    relativePath: file.webkitRelativePath || file.name,
+}));
+
+// --- Folder Resolver ---
+
+/**
+ * Returns a function mapping a relative directory path (e.g. "photos/2024") to a folder id
+ * under `rootFolderId`, creating missing folders through `POST /api/folders`.
+ * Existing folders with the same name are reused, so re-running an upload on a partly
+ * uploaded tree does not create duplicates. Lookups and creations are memoized, so
+ * concurrent calls for the same path share one request.
+ */
+export const createFolderResolver = (apiBaseUrl, rootFolderId) => {
+    const listings = new Map(); // parentId -> Promise<folder[]>
+    const resolved = new Map(); // relative path -> Promise<folderId>
+
+    const listFolders = (parentId) => {
+        if (!listings.has(parentId)) {
+            const promise = api.get(`${apiBaseUrl}/api/folders`, { params: { parentId } })
+                .then(res => (Array.isArray(res.data) ? res.data : res.data?.folders || []));
+            promise.catch(() => listings.delete(parentId));
+            listings.set(parentId, promise);
+        }
+        return listings.get(parentId);
+    };
+
+    const findOrCreate = async (parentId, name) => {
+        const existing = (await listFolders(parentId)).find(f => f.name === name);
+        if (existing) return existing.id;
+
+        const res = await api.post(`${apiBaseUrl}/api/folders`, { name, parentId });
+        const created = res.data?.folder || res.data;
+        if (created?.id != null) return created.id;
+
+        // Backend did not echo the new folder, look it up instead
+        listings.delete(parentId);
+        const refetched = (await listFolders(parentId)).find(f => f.name === name);
+        if (!refetched) throw new Error(`Folder '${name}' was not found after creating it.`);
+        return refetched.id;
+    };
+
+    const resolve = (dirPath) => {
+        if (!dirPath) return Promise.resolve(rootFolderId);
+        if (!resolved.has(dirPath)) {
+            const slash = dirPath.lastIndexOf('/');
+            const parentPath = slash === -1 ? '' : dirPath.slice(0, slash);
+            const name = dirPath.slice(slash + 1);
+            const promise = resolve(parentPath).then(parentId => findOrCreate(parentId, name));
+            promise.catch(() => resolved.delete(dirPath)); // Allow a later retry of the same path
+            resolved.set(dirPath, promise);
+        }
+        return resolved.get(dirPath);
+    };
+
+    return resolve;
+};
+
+// Directory part of a relative path ("a/b/c.txt" -> "a/b", "c.txt" -> "")
+export const dirnameOf = (relativePath) => {
+    const slash = relativePath.lastIndexOf('/');
+    return slash === -1 ? '' : relativePath.slice(0, slash);
+};
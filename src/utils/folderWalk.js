@@ -0,0 +1,141 @@
+import { api } from './apiClient';
+import { runWithConcurrency, BULK_CONCURRENCY } from './bulk';
+import { getItemKey } from './itemActions';
+import { splitFileName, getAvailableName } from './duplicates';
+
+// Both listing endpoints have answered with a bare array and with a wrapped one over time
+const unwrapList = (data, key) => (Array.isArray(data) ? data : data?.[key] || []);
+
+// Subfolders and files of one folder, tagged with `type` like the items table expects
+export const listFolder = async (apiBaseUrl, folderId, { signal } = {}) => {
+    const [folderRes, fileRes] = await Promise.all([
+        api.get(`${apiBaseUrl}/api/folders`, { params: { parentId: folderId }, signal }),
+        api.get(`${apiBaseUrl}/api/files`, { params: { folderId }, signal }),
+    ]);
+    return {
+        folders: unwrapList(folderRes.data, 'folders').map(f => ({ ...f, type: 'folder' })),
+        files: unwrapList(fileRes.data, 'files').map(f => ({ ...f, type: 'file' })),
+    };
+};
+
+// --- Paged Listing ---
+// The folder on screen is listed a page at a time. With `limit`, both listing endpoints take
+//   ?limit=<n>&cursor=<nextCursor of the previous page>&sort=name|type|size|modified&order=asc|desc&q=<name contains>
+// and answer with { folders | files: [...], nextCursor }, nextCursor being null on the last page.
+// Folders are paged through before files, the order the table shows them in. Backends that answer
+// with a bare array send everything at once; the client then sorts and filters on its own
+// (utils/itemSort.js), as it does for whatever is loaded anyway.
+export const LISTING_PAGE_SIZE = 200;
+
+const FIRST_PAGE = { kind: 'folders', cursor: null };
+
+/**
+ * Lists `folderId` from `page` on (the `nextPage` of the previous call; the start when omitted).
+ * Resolves with `{ items, nextPage }`, `nextPage` being null once everything is listed. Requests
+ * are repeated until `limit` items are in, so a short last page of folders is topped up with files.
+ */
+export const listFolderPage = async (apiBaseUrl, folderId, { page = FIRST_PAGE, limit = LISTING_PAGE_SIZE, sortKey = 'name', sortDir = 'asc', query = '', signal } = {}) => {
+    const items = [];
+    let nextPage = page;
+    while (nextPage && items.length < limit) {
+        const { kind, cursor } = nextPage;
+        const params = { [kind === 'folders' ? 'parentId' : 'folderId']: folderId, limit: limit - items.length, sort: sortKey, order: sortDir };
+        if (cursor) params.cursor = cursor;
+        if (query) params.q = query;
+        const res = await api.get(`${apiBaseUrl}/api/${kind}`, { params, signal });
+        const type = kind === 'folders' ? 'folder' : 'file';
+        items.push(...unwrapList(res.data, kind).map(item => ({ ...item, type })));
+        const nextCursor = Array.isArray(res.data) ? null : res.data?.nextCursor;
+        if (nextCursor) nextPage = { kind, cursor: nextCursor };
+        else nextPage = kind === 'folders' ? { kind: 'files', cursor: null } : null;
+    }
+    return { items, nextPage };
+};
+
+// Appends a page to a listing. Items already there (added by a live update, or moved between
+// pages by changes made meanwhile) keep their place.
+export const appendListingPage = (listing, pageItems) => {
+    const keys = new Set(listing.map(getItemKey));
+    return [...listing, ...pageItems.filter(item => !keys.has(getItemKey(item)))];
+};
+
+/**
+ * The files in `folderId` an upload of `names` can clash with, however little of the folder is loaded:
+ * files of the same name, and numbered copies of it ("report (1).pdf") that a kept copy must not take.
+ * Each name is looked up with the name filter. Rejects if any lookup fails.
+ */
+export const findFilesNamedLike = async (apiBaseUrl, folderId, names, { signal } = {}) => {
+    const lookUp = async (name) => {
+        const [base, extension] = splitFileName(name);
+        const isClash = (item) => item.name === name || (item.name.startsWith(`${base} (`) && item.name.endsWith(extension));
+        const matches = [];
+        let page = { kind: 'files', cursor: null };
+        while (page) {
+            const result = await listFolderPage(apiBaseUrl, folderId, { page, query: base, signal });
+            matches.push(...result.items.filter(isClash));
+            page = result.nextPage;
+        }
+        return matches;
+    };
+    const results = await runWithConcurrency([...new Set(names)], BULK_CONCURRENCY, lookUp);
+    const failed = results.find(result => !result.ok);
+    if (failed) throw new Error(failed.error);
+    return results.reduce((found, result) => appendListingPage(found, result.value), []);
+};
+
+/**
+ * Flattens a selection of items into archive entries, descending into folders.
+ * Resolves with `[{ path, file }]` for files and `[{ path, folder }]` for empty folders;
+ * paths use "/" and are unique, so duplicates get a numbered suffix.
+ * `onFolderScanned` is called after every folder listing, for progress reporting.
+ */
+export const collectTreeEntries = async (apiBaseUrl, items, { signal, onFolderScanned } = {}) => {
+    const entries = [];
+
+    const visit = async (itemsHere, prefix) => {
+        const taken = new Set();
+        for (const item of itemsHere) {
+            const name = getAvailableName(item.name, taken);
+            taken.add(name);
+            const path = `${prefix}${name}`;
+            if (item.type === 'file') {
+                entries.push({ path, file: item });
+                continue;
+            }
+            const { folders, files } = await listFolder(apiBaseUrl, item.id, { signal });
+            onFolderScanned?.();
+            if (folders.length === 0 && files.length === 0) {
+                entries.push({ path: `${path}/`, folder: item }); // Keep empty folders in the archive
+            } else {
+                await visit([...folders, ...files], `${path}/`);
+            }
+        }
+    };
+
+    await visit(items, '');
+    return entries;
+};
+
+// A folder's own record (`GET /api/folders/:id`), e.g. for its encryption settings
+export const fetchFolder = async (apiBaseUrl, folderId, { signal } = {}) => {
+    const res = await api.get(`${apiBaseUrl}/api/folders/${folderId}`, { signal });
+    return res.data?.folder || res.data;
+};
+
+/**
+ * Builds the Root→folder breadcrumb chain by following `parentId` links through
+ * `GET /api/folders/:id`. Rejects (e.g. with a 404) when any folder on the way is missing.
+ */
+export const resolveFolderPath = async (apiBaseUrl, folderId, { signal } = {}) => {
+    const chain = [];
+    const seen = new Set();
+    let nextId = folderId;
+    while (nextId != null) {
+        if (seen.has(nextId)) throw new Error('Folder hierarchy contains a cycle.');
+        seen.add(nextId);
+        const folder = await fetchFolder(apiBaseUrl, nextId, { signal });
+        chain.unshift({ id: folder.id, name: folder.name });
+        nextId = folder.parentId ?? null;
+    }
+    return [{ id: null, name: 'Root' }, ...chain];
+};
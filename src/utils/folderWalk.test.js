@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import { server } from '../test/server';
+import { API, seedBackend } from '../test/mockBackend';
+import { listFolderPage, appendListingPage, findFilesNamedLike } from './folderWalk';
+
+const names = (items) => items.map(item => item.name);
+
+describe('listFolderPage', () => {
+    it('pages through folders, then files', async () => {
+        seedBackend({
+            loggedIn: true,
+            folders: [{ id: 1, name: 'b' }, { id: 2, name: 'a' }, { id: 3, name: 'c' }],
+            files: [{ id: 10, name: 'y.txt' }, { id: 11, name: 'x.txt' }],
+        });
+
+        const first = await listFolderPage(API, null, { limit: 2 });
+        expect(names(first.items)).toEqual(['a', 'b']);
+
+        // The short last page of folders is topped up with files
+        const second = await listFolderPage(API, null, { limit: 2, page: first.nextPage });
+        expect(names(second.items)).toEqual(['c', 'x.txt']);
+        expect(second.items.map(item => item.type)).toEqual(['folder', 'file']);
+
+        const third = await listFolderPage(API, null, { limit: 2, page: second.nextPage });
+        expect(names(third.items)).toEqual(['y.txt']);
+        expect(third.nextPage).toBeNull();
+    });
+
+    it('passes the sort order and name filter to the backend', async () => {
+        seedBackend({ loggedIn: true, files: ['report-1.txt', 'notes.txt', 'report-2.txt', 'report-10.txt'].map((name, i) => ({ id: i + 1, name })) });
+
+        const { items, nextPage } = await listFolderPage(API, null, { sortKey: 'name', sortDir: 'desc', query: 'report' });
+
+        expect(names(items)).toEqual(['report-10.txt', 'report-2.txt', 'report-1.txt']);
+        expect(nextPage).toBeNull();
+    });
+
+    it('takes a bare array as the whole listing', async () => {
+        server.use(
+            http.get(`${API}/api/folders`, () => HttpResponse.json([{ id: 1, name: 'Only' }])),
+            http.get(`${API}/api/files`, () => HttpResponse.json([{ id: 2, name: 'one.txt' }, { id: 3, name: 'two.txt' }]))
+        );
+
+        const { items, nextPage } = await listFolderPage(API, null, { limit: 2 });
+
+        expect(names(items)).toEqual(['Only', 'one.txt', 'two.txt']);
+        expect(nextPage).toBeNull();
+    });
+});
+
+describe('appendListingPage', () => {
+    it('skips items the listing already has', () => {
+        const listing = [{ type: 'folder', id: 1, name: 'a' }, { type: 'file', id: 1, name: 'a.txt' }];
+        const page = [{ type: 'file', id: 1, name: 'a.txt' }, { type: 'file', id: 2, name: 'b.txt' }];
+
+        expect(names(appendListingPage(listing, page))).toEqual(['a', 'a.txt', 'b.txt']);
+    });
+});
+
+describe('findFilesNamedLike', () => {
+    it('finds files of the same name and their numbered copies', async () => {
+        seedBackend({
+            loggedIn: true,
+            folders: [{ id: 1, name: 'report.pdf' }],
+            files: [
+                { id: 10, name: 'report.pdf' },
+                { id: 11, name: 'report (1).pdf' },
+                { id: 12, name: 'report draft.pdf' },
+                { id: 13, name: 'notes.txt' },
+                { id: 14, name: 'report.pdf', folderId: 1 },
+            ],
+        });
+
+        const found = await findFilesNamedLike(API, null, ['report.pdf', 'notes.txt', 'new.txt']);
+
+        expect(found.map(item => item.id).sort()).toEqual([10, 11, 13]);
+    });
+});
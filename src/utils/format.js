@@ -0,0 +1,22 @@
+// --- Helper: Format Bytes ---
+export const formatBytes = (bytes, decimals = 2) => {
+    if (!+bytes) return '0 Bytes' // Handle 0 or non-numeric input
+    const k = 1024
+    const dm = decimals < 0 ? 0 : decimals
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB']
+    const i = Math.floor(Math.log(bytes) / Math.log(k))
+    // Prevent index out of bounds for extremely large numbers
+    const index = Math.min(i, sizes.length - 1);
+    return `${parseFloat((bytes / Math.pow(k, index)).toFixed(dm))} ${sizes[index]}`
+};
+
+// Backends differ on the timestamp field name; returns a Date or null
+export const getModifiedAt = (item) => {
+    const raw = item.updatedAt ?? item.updated_at ?? item.modifiedAt ?? item.createdAt ?? item.created_at;
+    if (!raw) return null;
+    const date = new Date(raw);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// --- Helper: Format Date ---
+export const formatDate = (date) => (date ? date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : '-');
@@ -0,0 +1,41 @@
+// --- Helper: Minimal IndexedDB Wrapper ---
+// One database for all client-side persistence. Add new object stores to STORES and
+// bump DB_VERSION; the upgrade handler creates whichever stores are missing.
+const DB_NAME = 'drive-clone';
+const DB_VERSION = 3;
+const STORES = ['chunkedUploads', 'searchIndex', 'offlineFolders', 'offlineFiles', 'outbox'];
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+export const openDb = () => {
+    if (!dbPromise) {
+        if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available.'));
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            STORES.forEach(store => {
+                if (!db.objectStoreNames.contains(store)) db.createObjectStore(store);
+            });
+        };
+        dbPromise = requestToPromise(request);
+        dbPromise.catch(() => { dbPromise = null; }); // Let a later call try again
+    }
+    return dbPromise;
+};
+
+const withStore = async (storeName, mode, callback) => {
+    const db = await openDb();
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+    return requestToPromise(callback(store));
+};
+
+export const idbGet = (storeName, key) => withStore(storeName, 'readonly', store => store.get(key));
+export const idbGetAll = (storeName) => withStore(storeName, 'readonly', store => store.getAll());
+export const idbPut = (storeName, key, value) => withStore(storeName, 'readwrite', store => store.put(value, key));
+export const idbDelete = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
+export const idbClear = (storeName) => withStore(storeName, 'readwrite', store => store.clear());
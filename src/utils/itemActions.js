@@ -0,0 +1,78 @@
+import { api } from './apiClient';
+
+// --- Item Actions ---
+// Renames and moves go through PATCH on the item; PUT /api/files/:id stays reserved
+// for replacing file content.
+//   PATCH /api/folders/:id  { name } | { parentId }
+//   PATCH /api/files/:id    { name } | { folderId }
+//
+// Deleting moves an item to the Trash; only purging from the Trash removes it for good:
+//   POST   /api/{folders|files}/:id/trash     Move to Trash (a folder takes its contents along)
+//   POST   /api/{folders|files}/:id/restore   Back to its original folder (Root if that is gone)
+//   DELETE /api/{folders|files}/:id           Permanently delete a trashed item
+//   GET    /api/trash                         [{ id, name, type, size, trashedAt, ... }]
+//   DELETE /api/trash                         Empty the Trash
+
+const endpointFor = (item) => (item.type === 'folder' ? 'folders' : 'files');
+
+// Folders and files have separate id spaces, so rows are keyed by type + id
+export const getItemKey = (item) => `${item.type}-${item.id}`;
+
+export const trashItem = (apiBaseUrl, item) =>
+    api.post(`${apiBaseUrl}/api/${endpointFor(item)}/${item.id}/trash`, {});
+
+export const restoreItem = (apiBaseUrl, item) =>
+    api.post(`${apiBaseUrl}/api/${endpointFor(item)}/${item.id}/restore`, {});
+
+// Permanent; the UI only offers this for items already in the Trash
+export const deleteItem = (apiBaseUrl, item) =>
+    api.delete(`${apiBaseUrl}/api/${endpointFor(item)}/${item.id}`);
+
+// Trashed items, tagged with `type`; the backend may list them mixed or as { folders, files }
+export const listTrash = async (apiBaseUrl, { signal } = {}) => {
+    const res = await api.get(`${apiBaseUrl}/api/trash`, { signal });
+    if (Array.isArray(res.data)) return res.data.map(item => ({ ...item, type: item.type === 'folder' ? 'folder' : 'file' }));
+    return [
+        ...(res.data?.folders || []).map(f => ({ ...f, type: 'folder' })),
+        ...(res.data?.files || []).map(f => ({ ...f, type: 'file' })),
+    ];
+};
+
+export const emptyTrash = (apiBaseUrl) => api.delete(`${apiBaseUrl}/api/trash`);
+
+export const renameItem = (apiBaseUrl, item, name) =>
+    api.patch(`${apiBaseUrl}/api/${endpointFor(item)}/${item.id}`, { name });
+
+export const moveItem = (apiBaseUrl, item, targetFolderId) => {
+    const payload = item.type === 'folder' ? { parentId: targetFolderId } : { folderId: targetFolderId };
+    return api.patch(`${apiBaseUrl}/api/${endpointFor(item)}/${item.id}`, payload);
+};
+
+/**
+ * Checks whether `items` (all from `sourceFolderId`) may be moved into `targetFolderId`.
+ * `targetPathIds` is the chain of folder ids from Root down to the target, so a folder
+ * being dropped into itself or any of its descendants can be detected.
+ * Returns an error message, or null when the move is allowed.
+ */
+export const getMoveError = (items, sourceFolderId, targetFolderId, targetPathIds) => {
+    if (targetFolderId === sourceFolderId) return 'Items are already in this folder.';
+    for (const item of items) {
+        if (item.type !== 'folder') continue;
+        if (item.id === targetFolderId) return `Cannot move folder '${item.name}' into itself.`;
+        if (targetPathIds.includes(item.id)) return `Cannot move folder '${item.name}' into one of its own subfolders.`;
+    }
+    return null;
+};
+
+// Drag-and-drop payload for rows of the items table
+export const DRAG_ITEM_MIME = 'application/x-drive-item';
+
+export const hasDraggedItem = (dataTransfer) => Array.from(dataTransfer.types || []).includes(DRAG_ITEM_MIME);
+
+export const readDraggedItem = (dataTransfer) => {
+    try {
+        return JSON.parse(dataTransfer.getData(DRAG_ITEM_MIME));
+    } catch {
+        return null;
+    }
+};
@@ -0,0 +1,34 @@
+import { getTypeLabel } from './fileTypes';
+import { getModifiedAt } from './format';
+
+// --- Helpers: Sorting & Quick Filter ---
+
+const compareNames = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+
+// Missing values (folders have no size, some items no timestamp) compare as -1 so they sort as smallest
+const SORT_VALUES = {
+    size: item => (item.type === 'file' && item.size != null ? Number(item.size) : -1),
+    modified: item => getModifiedAt(item)?.getTime() ?? -1,
+};
+
+/**
+ * Returns a sorted copy of `items`. Folders always stay above files; within each group
+ * items are ordered by `sortKey` ('name' | 'type' | 'size' | 'modified') in `sortDir`,
+ * with the name as tie-breaker.
+ */
+export const sortItems = (items, sortKey = 'name', sortDir = 'asc') => {
+    const direction = sortDir === 'desc' ? -1 : 1;
+    return [...items].sort((a, b) => {
+        if (a.type !== b.type) return a.type === 'folder' ? -1 : 1;
+        let result = 0;
+        if (sortKey === 'type') result = getTypeLabel(a).localeCompare(getTypeLabel(b));
+        else if (SORT_VALUES[sortKey]) result = SORT_VALUES[sortKey](a) - SORT_VALUES[sortKey](b);
+        return direction * (result || compareNames(a, b));
+    });
+};
+
+// Case-insensitive substring match on the name
+export const filterItemsByName = (items, text) => {
+    const needle = text.trim().toLowerCase();
+    return needle ? items.filter(item => item.name.toLowerCase().includes(needle)) : items;
+};
@@ -0,0 +1,84 @@
+import { getItemKey } from './itemActions';
+
+// --- Live Folder Events ---
+// Changes made anywhere (another device, a teammate, another tab) arrive as server-sent events
+// for the folder being viewed:
+//   GET {eventsUrl}?folderId=<id|null>   text/event-stream, sent with the session cookie
+//   event: change
+//   data: { "folderId": 12, "action": "created" | "updated" | "deleted", "item": { "type": "file", "id": 7, ... } }
+// `folderId` is the folder whose listing changed; a move arrives as "deleted" in the source and
+// "created" in the target. "deleted" items only need `type` and `id`; the others carry the full
+// record as the listing endpoints return it. Backends without the stream simply don't get live updates.
+
+// Reconnect delays after the stream is closed for good (EventSource retries transient drops itself)
+const RECONNECT_BASE_MS = 2000;
+const RECONNECT_MAX_MS = 60000;
+
+/** Returns `items` with `change` applied: created/updated items are upserted, deleted ones removed. */
+export const applyItemChange = (items, change) => {
+    const item = { ...change.item, type: change.item.type === 'folder' ? 'folder' : 'file' };
+    const key = getItemKey(item);
+    if (change.action === 'deleted') return items.filter(i => getItemKey(i) !== key);
+    const index = items.findIndex(i => getItemKey(i) === key);
+    if (index === -1) return [...items, item];
+    return items.map((i, n) => (n === index ? { ...i, ...item } : i));
+};
+
+const parseChange = (data) => {
+    try {
+        const change = JSON.parse(data);
+        const valid = ['created', 'updated', 'deleted'].includes(change?.action) && change.item?.id != null;
+        return valid ? change : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Subscribes to changes in `folderId` and returns an unsubscribe function.
+ * `onChange(change)` gets each parsed event. `onResync()` runs when the stream comes back after
+ * a drop, since events sent meanwhile are lost; refetch the listing then. If the first
+ * connection attempt fails the backend is assumed to have no stream and nothing is retried.
+ */
+export const subscribeToFolderEvents = (eventsUrl, folderId, { onChange, onResync }) => {
+    if (typeof EventSource === 'undefined') return () => {};
+    const url = `${eventsUrl}?${new URLSearchParams({ folderId: folderId ?? 'null' })}`;
+    let source = null;
+    let hasConnected = false;
+    let wasDropped = false;
+    let attempt = 0;
+    let reconnectTimer = null;
+
+    const connect = () => {
+        source = new EventSource(url, { withCredentials: true });
+        source.addEventListener('open', () => {
+            attempt = 0;
+            hasConnected = true;
+            if (wasDropped) onResync?.();
+            wasDropped = false;
+        });
+        source.addEventListener('change', (event) => {
+            const change = parseChange(event.data);
+            if (change) onChange(change);
+            else console.warn('Ignoring malformed live event:', event.data);
+        });
+        source.addEventListener('error', () => {
+            wasDropped = hasConnected;
+            if (source.readyState !== EventSource.CLOSED) return; // The browser is retrying by itself
+            source.close();
+            if (!hasConnected) {
+                console.info('Live updates unavailable: could not open', url);
+                return;
+            }
+            const delay = Math.min(RECONNECT_BASE_MS * 2 ** attempt, RECONNECT_MAX_MS);
+            attempt += 1;
+            reconnectTimer = setTimeout(connect, delay);
+        });
+    };
+
+    connect();
+    return () => {
+        clearTimeout(reconnectTimer);
+        source?.close();
+    };
+};
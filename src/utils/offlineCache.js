@@ -0,0 +1,103 @@
+import { idbGet, idbGetAll, idbPut, idbDelete, idbClear } from './idb';
+
+// --- Offline Cache ---
+// Saved copies of what the user has seen, so browsing keeps working without a connection:
+//   offlineFolders   folder key -> { items, complete, path, savedAt }   Last listing and breadcrumb chain
+//   offlineFiles     file id    -> { fileId, blob, contentType, filename, savedAt }
+// plus the logged-in user in localStorage, so a reload without a connection can still open them.
+// Everything is cleared on logout and when another account logs in. Failures are logged and
+// otherwise ignored: the cache is a fallback, never the reason an online action fails.
+
+// Only recently opened files are kept, and only ones small enough to be worth it
+const MAX_CACHED_FILES = 30;
+const MAX_CACHED_FILE_BYTES = 20 * 1024 * 1024;
+
+const FOLDER_STORE = 'offlineFolders';
+const FILE_STORE = 'offlineFiles';
+
+const USER_KEY = 'drive-clone:offline-user';
+
+const folderKey = (folderId) => (folderId == null ? 'root' : String(folderId));
+
+const warn = (what) => (err) => console.warn(`Offline cache: could not ${what}:`, err);
+
+// Merges `changes` into the folder's entry, keeping whichever of items/path isn't being replaced
+const updateFolderEntry = async (folderId, changes) => {
+    const key = folderKey(folderId);
+    const existing = await idbGet(FOLDER_STORE, key).catch(() => null);
+    await idbPut(FOLDER_STORE, key, { ...existing, ...changes });
+};
+
+// `complete` is false while further pages of the listing were never loaded
+export const saveFolderListing = (folderId, items, { complete = true } = {}) =>
+    updateFolderEntry(folderId, { items, complete, savedAt: Date.now() }).catch(warn('save a folder listing'));
+
+// Root→folder crumbs, for rebuilding breadcrumbs of a deep link while offline
+export const saveFolderPath = (path) =>
+    updateFolderEntry(path[path.length - 1].id, { path }).catch(warn('save a folder path'));
+
+/** Resolves with `{ items, complete, savedAt }` for a folder listed before, or null. */
+export const getCachedListing = async (folderId) => {
+    const entry = await idbGet(FOLDER_STORE, folderKey(folderId)).catch(() => null);
+    return entry?.items ? { items: entry.items, complete: entry.complete !== false, savedAt: entry.savedAt } : null;
+};
+
+export const getCachedFolderPath = async (folderId) =>
+    (await idbGet(FOLDER_STORE, folderKey(folderId)).catch(() => null))?.path || null;
+
+/**
+ * Applies `updater(items)` to a cached listing, e.g. to show a change queued while offline.
+ * `complete` replaces the saved flag (e.g. once the last page is added); it is kept otherwise.
+ */
+export const updateCachedListing = async (folderId, updater, { complete } = {}) => {
+    const cached = await getCachedListing(folderId);
+    if (cached) await saveFolderListing(folderId, updater(cached.items), { complete: complete ?? cached.complete });
+};
+
+// Keeps the newest MAX_CACHED_FILES copies
+const pruneFiles = async () => {
+    const entries = await idbGetAll(FILE_STORE);
+    const stale = entries.sort((a, b) => b.savedAt - a.savedAt).slice(MAX_CACHED_FILES);
+    await Promise.all(stale.map(entry => idbDelete(FILE_STORE, entry.fileId)));
+};
+
+export const saveFileCopy = (fileId, { blob, contentType, filename }) => {
+    if (blob.size > MAX_CACHED_FILE_BYTES) return Promise.resolve();
+    return idbPut(FILE_STORE, fileId, { fileId, blob, contentType, filename, savedAt: Date.now() })
+        .then(pruneFiles)
+        .catch(warn('save a file'));
+};
+
+/** Resolves with `{ blob, contentType, filename }` of a saved copy, or null. */
+export const getFileCopy = async (fileId) => {
+    const entry = await idbGet(FILE_STORE, fileId).catch(() => null);
+    return entry ? { blob: entry.blob, contentType: entry.contentType, filename: entry.filename } : null;
+};
+
+export const clearOfflineCache = () => {
+    try {
+        localStorage.removeItem(USER_KEY);
+    } catch {
+        // Storage blocked; nothing was saved then
+    }
+    return Promise.all([idbClear(FOLDER_STORE), idbClear(FILE_STORE)]).catch(warn('clear'));
+};
+
+// The user the saved copies belong to, or null
+export const getOfflineUser = () => {
+    try {
+        return JSON.parse(localStorage.getItem(USER_KEY));
+    } catch {
+        return null;
+    }
+};
+
+// Called on every login; another account than last time drops the previous account's copies
+export const rememberOfflineUser = (user) => {
+    if (getOfflineUser()?.id !== user.id) clearOfflineCache();
+    try {
+        localStorage.setItem(USER_KEY, JSON.stringify(user));
+    } catch {
+        // Storage blocked: offline reloads just won't find a user
+    }
+};
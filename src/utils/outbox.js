@@ -0,0 +1,88 @@
+import { api, isNetworkError, getErrorMessage } from './apiClient';
+import { listFolder } from './folderWalk';
+import { idbGetAll, idbPut, idbDelete } from './idb';
+import { renameItem, trashItem } from './itemActions';
+
+// --- Offline Outbox ---
+// Changes made while offline, kept in IndexedDB and replayed in order once the connection is back:
+//   { type: 'createFolder', parentId, name, tempId }
+//   { type: 'rename', parentId, item: { id, type, name }, name }   `item.name` is the name before the rename
+//   { type: 'trash', parentId, item: { id, type, name } }
+// Every entry also carries `id`, `userId`, `seq` and `createdAt`. Before a change is sent, its
+// folder is listed again; if someone changed the item in the meantime the change is dropped
+// and reported as a conflict rather than applied over theirs.
+
+const OUTBOX_STORE = 'outbox';
+
+let nextSeq = 0; // Orders entries queued within the same millisecond
+
+export const addToOutbox = async (change) => {
+    const createdAt = Date.now();
+    const seq = nextSeq++;
+    const entry = { ...change, id: `${createdAt}-${seq}`, seq, createdAt };
+    await idbPut(OUTBOX_STORE, entry.id, entry);
+    return entry;
+};
+
+/** The user's queued changes, oldest first. */
+export const getOutbox = async (userId) => {
+    const entries = await idbGetAll(OUTBOX_STORE);
+    return entries.filter(entry => entry.userId === userId).sort((a, b) => a.createdAt - b.createdAt || a.seq - b.seq);
+};
+
+// Short description for summaries, e.g. "Rename 'a.txt' to 'b.txt'"
+export const describeChange = (entry) => {
+    if (entry.type === 'createFolder') return `Create folder '${entry.name}'`;
+    if (entry.type === 'rename') return `Rename '${entry.item.name}' to '${entry.name}'`;
+    return `Delete '${entry.item.name}'`;
+};
+
+// Reason the change can no longer be applied as queued, or null
+const findConflict = async (apiBaseUrl, entry) => {
+    const { folders, files } = await listFolder(apiBaseUrl, entry.parentId);
+    if (entry.type === 'createFolder') {
+        return folders.some(f => f.name === entry.name) ? `A folder named '${entry.name}' already exists there.` : null;
+    }
+    const siblings = entry.item.type === 'folder' ? folders : files;
+    const current = siblings.find(i => i.id === entry.item.id);
+    if (!current) return `'${entry.item.name}' was moved or deleted in the meantime.`;
+    if (current.name !== entry.item.name) return `'${entry.item.name}' was renamed to '${current.name}' in the meantime.`;
+    if (entry.type === 'rename' && siblings.some(i => i.name === entry.name)) return `Another ${entry.item.type} is already named '${entry.name}'.`;
+    return null;
+};
+
+const sendChange = (apiBaseUrl, entry) => {
+    if (entry.type === 'createFolder') return api.post(`${apiBaseUrl}/api/folders`, { name: entry.name, parentId: entry.parentId });
+    if (entry.type === 'rename') return renameItem(apiBaseUrl, entry.item, entry.name);
+    if (entry.type === 'trash') return trashItem(apiBaseUrl, entry.item);
+    return Promise.reject(new Error(`Unknown outbox change '${entry.type}'.`));
+};
+
+/**
+ * Replays the user's outbox in order. A network error or an expired session stops the replay,
+ * leaving that change and the ones after it for the next attempt; any other failure counts as
+ * a conflict. Resolves with `{ applied: [entry], conflicts: [{ entry, reason }], remaining }`.
+ */
+export const replayOutbox = async (apiBaseUrl, userId) => {
+    const entries = await getOutbox(userId);
+    const result = { applied: [], conflicts: [], remaining: 0 };
+    for (const [index, entry] of entries.entries()) {
+        try {
+            const conflict = await findConflict(apiBaseUrl, entry);
+            if (conflict) {
+                result.conflicts.push({ entry, reason: conflict });
+            } else {
+                await sendChange(apiBaseUrl, entry);
+                result.applied.push(entry);
+            }
+        } catch (err) {
+            if (isNetworkError(err) || err.status === 401) {
+                result.remaining = entries.length - index;
+                break;
+            }
+            result.conflicts.push({ entry, reason: getErrorMessage(err, err.message) });
+        }
+        await idbDelete(OUTBOX_STORE, entry.id);
+    }
+    return result;
+};
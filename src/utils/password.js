@@ -0,0 +1,49 @@
+// --- Password Rules ---
+// Client-side checks for new passwords (register, change, reset). They catch weak and
+// mistyped passwords early; the backend still enforces its own policy.
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+// One character repeated, or starting with one of the passwords every list of leaked ones opens with
+const isObvious = (password) => /^(.)\1+$/.test(password) || /^(?:123456|password|qwerty)/i.test(password);
+
+// How many of lower case, upper case, digits and symbols are used
+const countCharacterKinds = (password) =>
+    [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(pattern => pattern.test(password)).length;
+
+/**
+ * Unmet requirements for a new password, as sentences for the user; empty when it's acceptable.
+ * `context` ({ name, email }) rejects passwords built from the account's own details.
+ */
+export const getPasswordIssues = (password, { name, email } = {}) => {
+    const issues = [];
+    if (password.length < MIN_PASSWORD_LENGTH) issues.push(`Use at least ${MIN_PASSWORD_LENGTH} characters.`);
+    if (countCharacterKinds(password) < 2) issues.push('Mix letters with numbers or symbols, or upper and lower case.');
+    if (password && isObvious(password)) issues.push("Avoid common passwords like 'password1' or '12345678'.");
+    const lower = password.toLowerCase();
+    const personal = [name, email?.split('@')[0]].filter(part => part && part.trim().length >= 3).map(part => part.trim().toLowerCase());
+    if (personal.some(part => lower.includes(part))) issues.push("Don't use your name or email address.");
+    return issues;
+};
+
+/** Returns `{ score, label }` with `score` from 0 (very weak) to 4 (strong). */
+export const getPasswordStrength = (password) => {
+    if (!password) return { score: 0, label: STRENGTH_LABELS[0] };
+    let score = 0;
+    if (password.length >= MIN_PASSWORD_LENGTH) score += 1;
+    if (password.length >= 12) score += 1;
+    if (countCharacterKinds(password) >= 3) score += 1;
+    if (password.length >= 16 || (password.length >= 12 && countCharacterKinds(password) === 4)) score += 1;
+    if (isObvious(password)) score = 0;
+    return { score, label: STRENGTH_LABELS[score] };
+};
+
+/** First reason a new password and its confirmation can't be submitted, or null. */
+export const validateNewPassword = (password, confirmPassword, context) => {
+    const [issue] = getPasswordIssues(password, context);
+    if (issue) return issue;
+    if (password !== confirmPassword) return "The passwords don't match.";
+    return null;
+};
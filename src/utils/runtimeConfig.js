@@ -0,0 +1,50 @@
+// --- Runtime Config ---
+// The backend URL is resolved in three layers, later ones winning:
+//   1. the built-in default (http://localhost:3000),
+//   2. VITE_API_BASE_URL at build time (.env, .env.production, CI variables),
+//   3. `apiBaseUrl` in /config.json, fetched when the app starts.
+// The third layer lets one build be deployed to staging and production: each server
+// serves its own config.json next to index.html. A missing or invalid file is ignored, and so is one
+// that takes longer than CONFIG_TIMEOUT_MS: the app doesn't render until it has settled.
+// The live-update stream (utils/liveEvents.js) defaults to `${apiBaseUrl}/api/events` and can be
+// pointed elsewhere the same way, with VITE_EVENTS_URL or `eventsUrl`.
+
+const DEFAULT_API_BASE_URL = 'http://localhost:3000';
+
+// Relative to the app's base path, so subdirectory deployments find their own file
+const CONFIG_URL = `${import.meta.env.BASE_URL}config.json`;
+const CONFIG_TIMEOUT_MS = 5000;
+
+const trimTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+let config = {
+    apiBaseUrl: trimTrailingSlash(import.meta.env.VITE_API_BASE_URL || DEFAULT_API_BASE_URL),
+    eventsUrl: import.meta.env.VITE_EVENTS_URL || null,
+};
+
+const readUrl = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+let loadPromise = null;
+
+/** Fetches /config.json once and merges it over the build-time config. Never rejects. */
+export const loadRuntimeConfig = () => {
+    loadPromise ??= fetch(CONFIG_URL, { cache: 'no-store', signal: AbortSignal.timeout(CONFIG_TIMEOUT_MS) })
+        .then(res => (res.ok ? res.json() : null))
+        .then(runtime => {
+            const apiBaseUrl = readUrl(runtime?.apiBaseUrl);
+            const eventsUrl = readUrl(runtime?.eventsUrl);
+            if (apiBaseUrl) config = { ...config, apiBaseUrl: trimTrailingSlash(apiBaseUrl) };
+            if (eventsUrl) config = { ...config, eventsUrl };
+        })
+        // Dev servers answer unknown paths with index.html, which fails to parse; that's "no override"
+        .catch(err => {
+            if (err?.name === 'TimeoutError') console.warn(`${CONFIG_URL} took over ${CONFIG_TIMEOUT_MS} ms; using the built-in config.`);
+        })
+        .then(() => config);
+    return loadPromise;
+};
+
+// Only meaningful after loadRuntimeConfig() has settled (main.jsx waits for it before rendering)
+export const getApiBaseUrl = () => config.apiBaseUrl;
+
+export const getEventsUrl = () => config.eventsUrl || `${config.apiBaseUrl}/api/events`;
@@ -0,0 +1,41 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+// Fresh module state per test: the config is loaded once per page
+const importConfig = async () => {
+    vi.resetModules();
+    return import('./runtimeConfig');
+};
+
+afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+});
+
+describe('loadRuntimeConfig', () => {
+    it('merges config.json over the built-in config', async () => {
+        vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify({ apiBaseUrl: 'https://api.example.com/' }))));
+        const { loadRuntimeConfig, getApiBaseUrl, getEventsUrl } = await importConfig();
+
+        await loadRuntimeConfig();
+
+        expect(getApiBaseUrl()).toBe('https://api.example.com');
+        expect(getEventsUrl()).toBe('https://api.example.com/api/events');
+    });
+
+    it('falls back to the built-in config when config.json hangs', async () => {
+        const timeout = new AbortController();
+        vi.spyOn(AbortSignal, 'timeout').mockReturnValue(timeout.signal);
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.stubGlobal('fetch', vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+        })));
+        const { loadRuntimeConfig, getApiBaseUrl } = await importConfig();
+        const defaultUrl = getApiBaseUrl();
+
+        const loaded = loadRuntimeConfig();
+        timeout.abort(new DOMException('The operation timed out.', 'TimeoutError'));
+
+        expect(await loaded).toMatchObject({ apiBaseUrl: defaultUrl });
+        expect(console.warn).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,188 @@
+import { api } from './apiClient';
+import { listFolder } from './folderWalk';
+import { runWithConcurrency, BULK_CONCURRENCY } from './bulk';
+import { idbGet, idbPut, idbClear } from './idb';
+import { getExtension, isInFileGroup, FILE_GROUPS } from './fileTypes';
+import { getModifiedAt } from './format';
+
+// --- Drive Search ---
+// Uses the backend search endpoint when there is one:
+//   GET /api/search?q=  -> [{ id, name, type, size, updatedAt, path: [{ id, name }, ...] }]
+// where `path` is the chain of folders containing the item (Root excluded).
+// Otherwise falls back to a client-side index built by crawling /api/folders and /api/files.
+
+// Rebuild the client-side index after this long
+export const SEARCH_INDEX_TTL_MS = 5 * 60 * 1000;
+export const MAX_SEARCH_RESULTS = 200;
+
+const INDEX_STORE = 'searchIndex';
+
+// null = not probed yet; false once the backend answered 404/405/501
+let backendSearchSupported = null;
+// In-memory copy of the index: { userId, builtAt, entries }
+let memoryIndex = null;
+let pendingBuild = null; // Crawl in progress, shared by concurrent searches
+let cacheGeneration = 0; // Bumped on clear, so a crawl that outlives its session keeps nothing
+
+const ROOT = { id: null, name: 'Root' };
+
+/**
+ * Crawls the whole drive breadth-first. Every entry is the listed item plus
+ * `pathIds`/`pathNames`: the chain of its containing folders, starting at Root.
+ */
+const crawlDrive = async (apiBaseUrl, { onProgress } = {}) => {
+    const entries = [];
+    let level = [{ id: null, pathIds: [ROOT.id], pathNames: [ROOT.name] }];
+    let foldersScanned = 0;
+
+    while (level.length > 0) {
+        const results = await runWithConcurrency(level, BULK_CONCURRENCY, folder => listFolder(apiBaseUrl, folder.id));
+        const nextLevel = [];
+        results.forEach(({ item: parent, ok, value, error }) => {
+            if (!ok) {
+                console.warn(`Search index: skipped folder ${parent.id} (${error})`);
+                return;
+            }
+            const location = { pathIds: parent.pathIds, pathNames: parent.pathNames };
+            value.folders.forEach(folder => {
+                entries.push({ ...folder, ...location });
+                nextLevel.push({ id: folder.id, pathIds: [...parent.pathIds, folder.id], pathNames: [...parent.pathNames, folder.name] });
+            });
+            value.files.forEach(file => entries.push({ ...file, ...location }));
+        });
+        foldersScanned += level.length;
+        onProgress?.(foldersScanned);
+        level = nextLevel;
+    }
+    return entries;
+};
+
+/**
+ * Returns the cached client-side index for `userId`, rebuilding it when missing,
+ * older than SEARCH_INDEX_TTL_MS, or when `force` is set. The index is kept in memory
+ * and in IndexedDB so a reload doesn't trigger a full crawl.
+ */
+export const getSearchIndex = async (apiBaseUrl, userId, { force = false, onProgress } = {}) => {
+    const isFresh = (index) => index && index.userId === userId && Date.now() - index.builtAt < SEARCH_INDEX_TTL_MS;
+
+    if (!force && isFresh(memoryIndex)) return memoryIndex;
+    if (!force) {
+        const stored = await idbGet(INDEX_STORE, userId).catch(() => null);
+        if (isFresh(stored)) {
+            memoryIndex = stored;
+            return stored;
+        }
+    }
+    if (!pendingBuild) {
+        const generation = cacheGeneration;
+        pendingBuild = crawlDrive(apiBaseUrl, { onProgress })
+            .then(entries => {
+                const index = { userId, builtAt: Date.now(), entries };
+                if (generation !== cacheGeneration) return index;
+                memoryIndex = index;
+                idbPut(INDEX_STORE, userId, index).catch(err => console.warn('Could not persist search index:', err));
+                return index;
+            })
+            .finally(() => {
+                if (generation === cacheGeneration) pendingBuild = null;
+            });
+    }
+    return pendingBuild;
+};
+
+// Drop the index in memory and on disk (e.g. on logout): it holds the name and path of every item in the drive
+export const clearSearchIndexCache = () => {
+    memoryIndex = null;
+    pendingBuild = null;
+    cacheGeneration += 1;
+    return idbClear(INDEX_STORE).catch(err => console.warn('Could not clear search index:', err));
+};
+
+// Backend results carry their location as `path`; bring them into the index entry shape
+const normalizeBackendResult = (result) => {
+    const path = Array.isArray(result.path) ? result.path : [];
+    return {
+        ...result,
+        type: result.type === 'folder' ? 'folder' : 'file',
+        pathIds: [ROOT.id, ...path.map(f => f.id)],
+        pathNames: [ROOT.name, ...path.map(f => f.name)],
+    };
+};
+
+const searchBackend = async (apiBaseUrl, query, signal) => {
+    const res = await api.get(`${apiBaseUrl}/api/search`, { params: { q: query }, signal });
+    const results = Array.isArray(res.data) ? res.data : res.data?.results || [];
+    return results.map(normalizeBackendResult);
+};
+
+// Every whitespace-separated term has to appear in the name
+const matchesQuery = (entry, terms) => {
+    const name = entry.name.toLowerCase();
+    return terms.every(term => name.includes(term));
+};
+
+/**
+ * Applies the search filters:
+ * `{ type: 'all' | 'folder' | 'file' | <FILE_GROUPS key>, extension, minSize, maxSize, modifiedFrom, modifiedTo }`.
+ * Sizes are in bytes, dates are 'YYYY-MM-DD' strings from date inputs (both ends inclusive).
+ */
+export const matchesFilters = (entry, filters) => {
+    const { type = 'all', extension, minSize, maxSize, modifiedFrom, modifiedTo } = filters;
+    const isFolder = entry.type === 'folder';
+
+    if (type === 'folder' && !isFolder) return false;
+    if (type === 'file' && isFolder) return false;
+    if (FILE_GROUPS[type] && (isFolder || !isInFileGroup(entry, type))) return false;
+    if (extension && (isFolder || getExtension(entry.name) !== extension.replace(/^\./, '').toLowerCase())) return false;
+
+    if (minSize != null || maxSize != null) {
+        if (isFolder || entry.size == null) return false;
+        if (minSize != null && entry.size < minSize) return false;
+        if (maxSize != null && entry.size > maxSize) return false;
+    }
+
+    if (modifiedFrom || modifiedTo) {
+        const modifiedAt = getModifiedAt(entry);
+        if (!modifiedAt) return false;
+        if (modifiedFrom && modifiedAt < new Date(`${modifiedFrom}T00:00:00`)) return false;
+        if (modifiedTo && modifiedAt > new Date(`${modifiedTo}T23:59:59.999`)) return false;
+    }
+    return true;
+};
+
+/**
+ * Searches the drive by name. Resolves with `{ results, truncated, source: 'backend' | 'index' }`.
+ * Results are ordered folders first, then names starting with the query, then alphabetically.
+ */
+export const searchDrive = async (apiBaseUrl, userId, query, filters, { signal, onIndexProgress } = {}) => {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    let candidates = null;
+    let source = 'index';
+
+    if (backendSearchSupported !== false) {
+        try {
+            candidates = await searchBackend(apiBaseUrl, query, signal);
+            backendSearchSupported = true;
+            source = 'backend';
+        } catch (err) {
+            if (![404, 405, 501].includes(err.status)) throw err;
+            backendSearchSupported = false;
+        }
+    }
+    if (!candidates) {
+        candidates = (await getSearchIndex(apiBaseUrl, userId, { onProgress: onIndexProgress })).entries;
+    }
+
+    const firstTerm = terms[0] || '';
+    const matches = candidates
+        .filter(entry => matchesQuery(entry, terms) && matchesFilters(entry, filters))
+        .sort((a, b) => {
+            if (a.type !== b.type) return a.type === 'folder' ? -1 : 1;
+            const aStarts = a.name.toLowerCase().startsWith(firstTerm);
+            const bStarts = b.name.toLowerCase().startsWith(firstTerm);
+            if (aStarts !== bStarts) return aStarts ? -1 : 1;
+            return a.name.localeCompare(b.name);
+        });
+
+    return { results: matches.slice(0, MAX_SEARCH_RESULTS), truncated: matches.length > MAX_SEARCH_RESULTS, source };
+};
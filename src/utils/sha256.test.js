@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { createSha256 } from './sha256';
+
+const bytesOf = (text) => new TextEncoder().encode(text);
+
+const hash = (...chunks) => {
+    const sha = createSha256();
+    chunks.forEach(chunk => sha.update(chunk));
+    return sha.digest();
+};
+
+// Splits `bytes` into pieces of `size` bytes (the last may be shorter)
+const chunked = (bytes, size) => Array.from({ length: Math.ceil(bytes.length / size) }, (_, i) => bytes.subarray(i * size, (i + 1) * size));
+
+const MESSAGE_448 = 'abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq';
+const DIGEST_448 = '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1';
+
+describe('createSha256', () => {
+    // FIPS 180-4 examples and NIST test vectors
+    it.each([
+        ['', 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'],
+        ['abc', 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'],
+        [MESSAGE_448, DIGEST_448],
+        ['abcdefghbcdefghicdefghijdefghijkefghijklfghijklmghijklmnhijklmnoijklmnopjklmnopqklmnopqrlmnopqrsmnopqrstnopqrstu',
+            'cf5b16a778af8380036ce59e7b0492370b249b11e8f07a51afac45037afee9d1'],
+    ])('hashes %j', (text, expected) => {
+        expect(hash(bytesOf(text))).toBe(expected);
+    });
+
+    it('hashes a million "a"s fed in chunks that cross block boundaries', () => {
+        const million = new Uint8Array(1000000).fill(0x61);
+        const expected = 'cdc76e5c9914fb9281a1c7e284d73e67f1809a48a497200e046d39ccc7112cd0';
+
+        expect(hash(million)).toBe(expected);
+        expect(hash(...chunked(million, 1000))).toBe(expected);
+        expect(hash(...chunked(million, 63))).toBe(expected);
+        expect(hash(...chunked(million, 65))).toBe(expected);
+    });
+
+    it.each([1, 7, 55, 56, 64])('gives the same digest when the input is fed %i byte(s) at a time', (size) => {
+        expect(hash(...chunked(bytesOf(MESSAGE_448), size))).toBe(DIGEST_448);
+    });
+
+    it('treats empty chunks as no input', () => {
+        expect(hash(new Uint8Array(0), bytesOf('ab'), new Uint8Array(0), bytesOf('c'))).toBe(hash(bytesOf('abc')));
+    });
+
+    it('matches Web Crypto for lengths around the padding boundaries', async () => {
+        for (const length of [55, 56, 57, 63, 64, 65, 119, 120, 128]) {
+            const bytes = new Uint8Array(length).map((_, i) => (i * 31 + 7) % 256);
+            const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+            const expected = Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+            expect(hash(...chunked(bytes, 10))).toBe(expected);
+        }
+    });
+});
@@ -0,0 +1,61 @@
+import { api } from './apiClient';
+
+// --- Sharing ---
+// Items are shared per user (by email) or through public links:
+//   GET    /api/{folders|files}/:id/shares              { permissions: [{ id, role, user: { id, name, email } }], links: [...] }
+//   POST   /api/{folders|files}/:id/shares              { email, role }  -> permission
+//   PATCH  /api/{folders|files}/:id/shares/:shareId     { role }
+//   DELETE /api/{folders|files}/:id/shares/:shareId
+//   POST   /api/{folders|files}/:id/links               { expiresAt?, password? }  -> { id, token, url?, expiresAt, hasPassword }
+//   DELETE /api/{folders|files}/:id/links/:linkId       Revoke
+//   GET    /api/shared                                  Items shared with me, each with `role` and `owner`
+// Folder/file listings tag every item with the caller's `role`: 'owner' | 'editor' | 'viewer'.
+// A shared folder's role applies to everything inside it.
+
+export const SHARE_ROLES = [
+    { value: 'viewer', label: 'Viewer' },
+    { value: 'editor', label: 'Editor' },
+];
+
+const sharesUrl = (apiBaseUrl, item) => `${apiBaseUrl}/api/${item.type === 'folder' ? 'folders' : 'files'}/${item.id}`;
+
+// Items from backends without sharing carry no role; they belong to the caller
+export const getItemRole = (item) => item.role ?? item.permission ?? 'owner';
+
+// Viewers may open and download only; editors may also change content, rename, move and delete
+export const canEditItem = (item) => getItemRole(item) !== 'viewer';
+
+// Only owners manage who else has access
+export const canShareItem = (item) => getItemRole(item) === 'owner';
+
+export const getShares = async (apiBaseUrl, item, { signal } = {}) => {
+    const res = await api.get(`${sharesUrl(apiBaseUrl, item)}/shares`, { signal });
+    return { permissions: res.data?.permissions || [], links: res.data?.links || [] };
+};
+
+export const addShare = async (apiBaseUrl, item, email, role) =>
+    (await api.post(`${sharesUrl(apiBaseUrl, item)}/shares`, { email, role })).data;
+
+export const updateShare = (apiBaseUrl, item, shareId, role) =>
+    api.patch(`${sharesUrl(apiBaseUrl, item)}/shares/${shareId}`, { role });
+
+export const removeShare = (apiBaseUrl, item, shareId) =>
+    api.delete(`${sharesUrl(apiBaseUrl, item)}/shares/${shareId}`);
+
+// `expiresAt` is an ISO string or null; an empty password means no password
+export const createShareLink = async (apiBaseUrl, item, { expiresAt, password }) => {
+    const payload = { expiresAt: expiresAt || null, ...(password && { password }) };
+    return (await api.post(`${sharesUrl(apiBaseUrl, item)}/links`, payload)).data;
+};
+
+export const revokeShareLink = (apiBaseUrl, item, linkId) =>
+    api.delete(`${sharesUrl(apiBaseUrl, item)}/links/${linkId}`);
+
+// The backend may return a ready-made URL; otherwise links resolve through the public endpoint
+export const getShareLinkUrl = (apiBaseUrl, link) => link.url || `${apiBaseUrl}/api/public/links/${link.token}`;
+
+export const listSharedWithMe = async (apiBaseUrl, { signal } = {}) => {
+    const res = await api.get(`${apiBaseUrl}/api/shared`, { signal });
+    const items = Array.isArray(res.data) ? res.data : res.data?.items || [];
+    return items.map(item => ({ ...item, type: item.type === 'folder' ? 'folder' : 'file' }));
+};
@@ -0,0 +1,27 @@
+import { api } from './apiClient';
+
+// --- Starred Items ---
+// Stars belong to the user who set them and are kept by the backend:
+//   PUT    /api/{folders|files}/:id/star    Star the item
+//   DELETE /api/{folders|files}/:id/star    Unstar it
+//   GET    /api/starred                     Starred items; folders carry `parentId`, files `folderId`
+// Folder/file listings flag starred items with `starred: true`.
+
+const starUrl = (apiBaseUrl, item) => `${apiBaseUrl}/api/${item.type === 'folder' ? 'folders' : 'files'}/${item.id}/star`;
+
+export const isStarred = (item) => Boolean(item.starred);
+
+export const setStarred = (apiBaseUrl, item, starred) =>
+    (starred ? api.put(starUrl(apiBaseUrl, item), {}) : api.delete(starUrl(apiBaseUrl, item)));
+
+// Tagged with `type`; the backend may list them mixed or as { folders, files }
+export const listStarred = async (apiBaseUrl, { signal } = {}) => {
+    const res = await api.get(`${apiBaseUrl}/api/starred`, { signal });
+    const tagged = Array.isArray(res.data)
+        ? res.data.map(item => ({ ...item, type: item.type === 'folder' ? 'folder' : 'file' }))
+        : [...(res.data?.folders || []).map(f => ({ ...f, type: 'folder' })), ...(res.data?.files || []).map(f => ({ ...f, type: 'file' }))];
+    return tagged.map(item => ({ ...item, starred: true }));
+};
+
+// Folder the item sits in (null = Root)
+export const getContainingFolderId = (item) => (item.type === 'folder' ? item.parentId : item.folderId) ?? null;
@@ -0,0 +1,130 @@
+import { api } from './apiClient';
+import { listFolder } from './folderWalk';
+import { BULK_CONCURRENCY } from './bulk';
+import { FILE_GROUPS, isInFileGroup } from './fileTypes';
+
+// --- Storage Usage ---
+//   GET /api/user/storage   -> { used, quota }   Bytes; a missing or 0 quota means unlimited
+// Folder sizes are not reported by the listings, so they are computed here by walking the
+// subtree, unless the backend already puts a `size` on folder items.
+
+// Recompute a cached folder size after this long, even if nothing invalidated it
+export const FOLDER_SIZE_TTL_MS = 5 * 60 * 1000;
+
+// null = not probed yet; false once the backend answered 404/405/501
+let usageEndpointSupported = null;
+
+/** Resolves with `{ used, quota }` in bytes (`quota` null = unlimited), or null when the backend has no usage endpoint. */
+export const getStorageUsage = async (apiBaseUrl, { signal } = {}) => {
+    if (usageEndpointSupported === false) return null;
+    try {
+        const res = await api.get(`${apiBaseUrl}/api/user/storage`, { signal });
+        usageEndpointSupported = true;
+        const data = res.data?.data || res.data || {};
+        const quota = Number(data.quota ?? data.quotaBytes ?? data.limit) || null;
+        return { used: Number(data.used ?? data.usedBytes) || 0, quota };
+    } catch (err) {
+        if (![404, 405, 501].includes(err.status)) throw err;
+        usageEndpointSupported = false;
+        return null;
+    }
+};
+
+// Bytes left under the quota (never negative), or Infinity when there is no quota
+export const getFreeBytes = (usage) => (usage?.quota ? Math.max(usage.quota - usage.used, 0) : Infinity);
+
+// --- Recursive Folder Sizes ---
+const folderSizeCache = new Map(); // folderId -> { size, computedAt }
+const pendingSizes = new Map(); // folderId -> Promise, shared by every row asking for the same folder
+let cacheGeneration = 0; // Bumped on clear, so walks started before it don't store stale sizes
+
+// All size walks together keep at most BULK_CONCURRENCY listings in flight
+let activeListings = 0;
+const listingQueue = [];
+const limitListing = (task) => new Promise((resolve, reject) => {
+    const run = () => {
+        activeListings++;
+        task().then(resolve, reject).finally(() => {
+            activeListings--;
+            listingQueue.shift()?.();
+        });
+    };
+    if (activeListings < BULK_CONCURRENCY) run();
+    else listingQueue.push(run);
+});
+
+const sumSizes = (items) => items.reduce((total, item) => total + (Number(item.size) || 0), 0);
+
+/**
+ * Total size of everything below `folderId`. Every subfolder's size is cached on the way,
+ * so opening a folder whose size was just computed for its parent costs no requests.
+ */
+export const getFolderSize = (apiBaseUrl, folderId) => {
+    const cached = folderSizeCache.get(folderId);
+    if (cached && Date.now() - cached.computedAt < FOLDER_SIZE_TTL_MS) return Promise.resolve(cached.size);
+
+    if (!pendingSizes.has(folderId)) {
+        const generation = cacheGeneration;
+        const promise = limitListing(() => listFolder(apiBaseUrl, folderId))
+            .then(async ({ folders, files }) => {
+                const subfolderSizes = await Promise.all(folders.map(folder =>
+                    (folder.size != null ? Number(folder.size) || 0 : getFolderSize(apiBaseUrl, folder.id))
+                ));
+                const size = sumSizes(files) + subfolderSizes.reduce((total, s) => total + s, 0);
+                if (generation === cacheGeneration) folderSizeCache.set(folderId, { size, computedAt: Date.now() });
+                return size;
+            })
+            .finally(() => {
+                if (pendingSizes.get(folderId) === promise) pendingSizes.delete(folderId);
+            });
+        pendingSizes.set(folderId, promise);
+    }
+    return pendingSizes.get(folderId);
+};
+
+// Forget every computed size, e.g. after uploads, moves or deletes, or on logout
+export const clearFolderSizeCache = () => {
+    cacheGeneration++;
+    folderSizeCache.clear();
+    pendingSizes.clear();
+};
+
+// --- Usage Breakdown ---
+export const OTHER_FILE_GROUP = 'other';
+
+const getFileGroup = (entry) => Object.keys(FILE_GROUPS).find(group => isInFileGroup(entry, group)) || OTHER_FILE_GROUP;
+
+/**
+ * Summarizes drive index entries (see utils/search.js) for the Storage page:
+ * `{ totalBytes, fileCount, byGroup: [{ group, label, bytes, count }], largestFiles, largestFolders }`.
+ * Folder totals are recursive; groups and lists are sorted by size, largest first.
+ */
+export const summarizeStorage = (entries, { limit = 10 } = {}) => {
+    const files = entries.filter(entry => entry.type === 'file');
+    const groups = new Map();
+    const folderBytes = new Map(); // folderId -> recursive size
+
+    files.forEach(file => {
+        const size = Number(file.size) || 0;
+        const group = getFileGroup(file);
+        const current = groups.get(group) || { group, label: FILE_GROUPS[group]?.label || 'Other', bytes: 0, count: 0 };
+        groups.set(group, { ...current, bytes: current.bytes + size, count: current.count + 1 });
+        // Every folder on the path contains the file; Root (null) is the whole drive
+        file.pathIds.forEach(id => {
+            if (id !== null) folderBytes.set(id, (folderBytes.get(id) || 0) + size);
+        });
+    });
+
+    const bySize = (a, b) => b.size - a.size;
+    return {
+        totalBytes: sumSizes(files),
+        fileCount: files.length,
+        byGroup: [...groups.values()].sort((a, b) => b.bytes - a.bytes),
+        largestFiles: files.map(file => ({ ...file, size: Number(file.size) || 0 })).sort(bySize).slice(0, limit),
+        largestFolders: entries
+            .filter(entry => entry.type === 'folder' && folderBytes.has(entry.id))
+            .map(folder => ({ ...folder, size: folderBytes.get(folder.id) }))
+            .sort(bySize)
+            .slice(0, limit),
+    };
+};
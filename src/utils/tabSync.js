@@ -0,0 +1,36 @@
+// --- Tab Sync ---
+// Messages between tabs of this app in the same browser, over a BroadcastChannel:
+//   { type: 'login', user }            A tab logged in; tabs on the login screen follow
+//   { type: 'logout', reason }         A tab logged out (reason 'expired': its session expired); all others follow
+//   { type: 'userUpdated', user }      The profile was edited; tabs of the same user take the new name/email
+//   { type: 'folderChanged', folderId } A tab changed that folder (undefined: unknown which); tabs showing it refetch
+//   { type: 'outboxChanged' }          The offline outbox was added to or replayed
+// A tab never receives its own messages. Browsers without BroadcastChannel just don't sync.
+
+const CHANNEL_NAME = 'drive-clone';
+
+let channel = null;
+const listeners = new Set();
+
+const getChannel = () => {
+    if (!channel && typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = (event) => listeners.forEach(listener => listener(event.data));
+    }
+    return channel;
+};
+
+export const postTabMessage = (message) => {
+    try {
+        getChannel()?.postMessage(message);
+    } catch (err) {
+        console.warn('Tab sync: could not post message:', err);
+    }
+};
+
+/** Calls `listener(message)` for messages from other tabs; returns an unsubscribe function. */
+export const subscribeToTabMessages = (listener) => {
+    getChannel();
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
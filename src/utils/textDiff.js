@@ -0,0 +1,47 @@
+import { diffLines } from 'diff';
+
+// --- Helper: Side-by-side Text Diff ---
+
+const splitLines = (value) => {
+    const lines = value.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop(); // diffLines keeps the trailing newline on each chunk
+    return lines;
+};
+
+/**
+ * Line diff of two texts laid out for a two-column view. Each row is
+ * `{ left, right }` where a side is `{ number, text, type: 'same' | 'removed' | 'added' }`
+ * or null (blank filler). Removed lines are paired with the added lines that replace them.
+ */
+export const buildSideBySideDiff = (oldText, newText) => {
+    const rows = [];
+    let leftNumber = 1;
+    let rightNumber = 1;
+    let pendingRemoved = []; // Removed lines waiting for added lines to pair with
+
+    const flushRemoved = () => {
+        pendingRemoved.forEach(left => rows.push({ left, right: null }));
+        pendingRemoved = [];
+    };
+
+    diffLines(oldText, newText).forEach(change => {
+        const lines = splitLines(change.value);
+        if (change.removed) {
+            lines.forEach(text => pendingRemoved.push({ number: leftNumber++, text, type: 'removed' }));
+        } else if (change.added) {
+            lines.forEach(text => {
+                const right = { number: rightNumber++, text, type: 'added' };
+                rows.push({ left: pendingRemoved.shift() ?? null, right });
+            });
+            flushRemoved();
+        } else {
+            flushRemoved();
+            lines.forEach(text => rows.push({
+                left: { number: leftNumber++, text, type: 'same' },
+                right: { number: rightNumber++, text, type: 'same' },
+            }));
+        }
+    });
+    flushRemoved();
+    return rows;
+};
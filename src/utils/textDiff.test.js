@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { buildSideBySideDiff } from './textDiff';
+
+// Rows as "left | right", with "-"/"+" for removed/added lines and "." for a blank filler
+const layout = (rows) => rows.map(({ left, right }) => {
+    const side = (line, mark) => (line ? `${line.type === 'same' ? '' : mark}${line.text}` : '.');
+    return `${side(left, '-')} | ${side(right, '+')}`;
+});
+
+describe('buildSideBySideDiff', () => {
+    it('lays identical texts out line by line', () => {
+        const rows = buildSideBySideDiff('a\nb\n', 'a\nb\n');
+
+        expect(layout(rows)).toEqual(['a | a', 'b | b']);
+        expect(rows[1].left.number).toBe(2);
+        expect(rows[1].right.number).toBe(2);
+    });
+
+    it('pairs a replaced block line by line, with fillers where it grew', () => {
+        const rows = buildSideBySideDiff('a\nold 1\nold 2\nz\n', 'a\nnew 1\nnew 2\nnew 3\nz\n');
+
+        expect(layout(rows)).toEqual(['a | a', '-old 1 | +new 1', '-old 2 | +new 2', '. | +new 3', 'z | z']);
+        expect(rows[4].left.number).toBe(4);
+        expect(rows[4].right.number).toBe(5);
+    });
+
+    it('keeps removed lines that nothing replaced', () => {
+        expect(layout(buildSideBySideDiff('a\nb\nc\n', 'a\nc\n'))).toEqual(['a | a', '-b | .', 'c | c']);
+    });
+
+    it('shows a missing trailing newline as a changed last line', () => {
+        expect(layout(buildSideBySideDiff('a\nb\n', 'a\nb'))).toEqual(['a | a', '-b | +b']);
+    });
+});
@@ -0,0 +1,181 @@
+import { api, isCanceled, isNetworkError, wait } from './apiClient';
+import { idbGet, idbPut, idbDelete } from './idb';
+
+// --- Chunked Upload Protocol ---
+// POST   /api/files/uploads                       { fileName, size, mimeType, chunkSize, folderId | fileId, sha256? }
+//                                                 -> { uploadId, chunkSize, receivedChunks }
+// GET    /api/files/uploads/:uploadId             -> { uploadId, chunkSize, receivedChunks }
+// PUT    /api/files/uploads/:uploadId/chunks/:i   raw bytes of chunk i (application/octet-stream)
+// POST   /api/files/uploads/:uploadId/complete    -> the created/updated file
+// Passing `fileId` instead of `folderId` replaces that file's content on completion.
+// `sha256` (hex, see utils/fileHash.js) lets the backend check what it received and keep the hash;
+// the single-request upload sends it as a form field of the same name.
+// See mock-server/chunked-upload-server.js for a reference implementation.
+
+export const CHUNK_SIZE = 8 * 1024 * 1024;
+// Files below this size go through the single multipart request
+export const CHUNKED_UPLOAD_THRESHOLD = 2 * CHUNK_SIZE;
+
+const MAX_CHUNK_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_MS = 1000;
+const UPLOAD_STORE = 'chunkedUploads';
+
+// null = not probed yet; set to false once the backend rejects the init request
+let chunkedUploadsSupported = null;
+
+// Network errors and 5xx are worth retrying; 4xx and cancellations are not
+const isRetryable = (err) => !isCanceled(err) && (isNetworkError(err) || err.status >= 500);
+
+// Same file + same destination = same resumable session, even after a page reload
+const sessionKey = ({ file, folderId, fileId }) => [
+    fileId != null ? `file:${fileId}` : `folder:${folderId ?? 'root'}`,
+    file.name,
+    file.size,
+    file.lastModified,
+].join('|');
+
+// IndexedDB may be unavailable (private mode etc.); resuming is then best-effort
+const loadSession = (key) => idbGet(UPLOAD_STORE, key).catch(() => null);
+const saveSession = (key, session) => idbPut(UPLOAD_STORE, key, session).catch(err => console.warn('Could not persist upload state:', err));
+const forgetSession = (key) => idbDelete(UPLOAD_STORE, key).catch(() => {});
+
+const resumeSession = async (apiBaseUrl, key, signal) => {
+    const saved = await loadSession(key);
+    if (!saved) return null;
+    try {
+        const res = await api.get(`${apiBaseUrl}/api/files/uploads/${saved.uploadId}`, { signal });
+        // The server's list of received chunks wins over what we stored locally
+        return { ...saved, chunkSize: res.data.chunkSize || saved.chunkSize, completedChunks: res.data.receivedChunks || [] };
+    } catch (err) {
+        if (err.status === 404) {
+            await forgetSession(key); // Session expired server-side, start over
+            return null;
+        }
+        throw err;
+    }
+};
+
+const startSession = async ({ apiBaseUrl, key, file, folderId, fileId, sha256, signal }) => {
+    const payload = { fileName: file.name, size: file.size, mimeType: file.type || 'application/octet-stream', chunkSize: CHUNK_SIZE };
+    if (fileId != null) payload.fileId = fileId;
+    else payload.folderId = folderId;
+    if (sha256) payload.sha256 = sha256;
+
+    const res = await api.post(`${apiBaseUrl}/api/files/uploads`, payload, { signal });
+    const session = {
+        uploadId: res.data.uploadId,
+        chunkSize: res.data.chunkSize || CHUNK_SIZE,
+        completedChunks: res.data.receivedChunks || [],
+        createdAt: Date.now(),
+    };
+    await saveSession(key, session);
+    return session;
+};
+
+const sendChunk = async ({ apiBaseUrl, uploadId, index, blob, signal, onChunkProgress }) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await api.put(`${apiBaseUrl}/api/files/uploads/${uploadId}/chunks/${index}`, blob, {
+                headers: { 'Content-Type': 'application/octet-stream' },
+                signal,
+                onUploadProgress: (e) => onChunkProgress(e.loaded),
+            });
+        } catch (err) {
+            if (attempt >= MAX_CHUNK_ATTEMPTS || !isRetryable(err)) throw err;
+            onChunkProgress(0);
+            await wait(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), signal);
+        }
+    }
+};
+
+/**
+ * Uploads `file` in parts, resuming a previous session for the same file and destination
+ * if one is recorded in IndexedDB. Throws an error with `unsupported = true` when the
+ * backend has no chunk endpoints.
+ */
+export const uploadFileChunked = async ({ apiBaseUrl, file, folderId = null, fileId = null, sha256 = null, signal, onProgress }) => {
+    const key = sessionKey({ file, folderId, fileId });
+
+    let session = await resumeSession(apiBaseUrl, key, signal);
+    if (!session) {
+        try {
+            session = await startSession({ apiBaseUrl, key, file, folderId, fileId, sha256, signal });
+        } catch (err) {
+            if ([404, 405, 501].includes(err.status)) err.unsupported = true;
+            throw err;
+        }
+    }
+
+    const { uploadId, chunkSize } = session;
+    const totalChunks = Math.max(1, Math.ceil(file.size / chunkSize));
+    const completed = new Set(session.completedChunks);
+    const chunkBytes = (index) => Math.min(chunkSize, file.size - index * chunkSize);
+
+    let confirmedBytes = [...completed].reduce((sum, index) => sum + chunkBytes(index), 0);
+    const reportProgress = (inFlightBytes = 0) => {
+        if (file.size > 0) onProgress?.(Math.round(((confirmedBytes + inFlightBytes) * 100) / file.size));
+    };
+    reportProgress();
+
+    // Chunks go one at a time so a resumed session never has gaps in the middle
+    for (let index = 0; index < totalChunks; index++) {
+        if (completed.has(index)) continue;
+        const start = index * chunkSize;
+        await sendChunk({
+            apiBaseUrl,
+            uploadId,
+            index,
+            blob: file.slice(start, start + chunkSize),
+            signal,
+            onChunkProgress: reportProgress,
+        });
+        completed.add(index);
+        confirmedBytes += chunkBytes(index);
+        reportProgress();
+        await saveSession(key, { ...session, completedChunks: [...completed] });
+    }
+
+    const res = await api.post(`${apiBaseUrl}/api/files/uploads/${uploadId}/complete`, {}, { signal });
+    await forgetSession(key);
+    return res;
+};
+
+// The original one-shot multipart request: POST for new files, PUT to replace `fileId`
+const uploadFileSingle = ({ apiBaseUrl, file, folderId = null, fileId = null, sha256 = null, signal, onProgress }) => {
+    const formData = new FormData();
+    if (fileId == null) formData.append('folderId', folderId); // Send null if root
+    if (sha256) formData.append('sha256', sha256);
+    formData.append('file', file);
+
+    const config = {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        signal,
+        onUploadProgress: (e) => {
+            if (e.total) onProgress?.(Math.round((e.loaded * 100) / e.total));
+        },
+    };
+    return fileId == null
+        ? api.post(`${apiBaseUrl}/api/files/upload/`, formData, config)
+        : api.put(`${apiBaseUrl}/api/files/${fileId}`, formData, config);
+};
+
+/**
+ * Sends a new file into `folderId`, or replaces the content of `fileId`.
+ * Large files use the resumable chunked protocol when the backend supports it;
+ * everything else (and backends without chunk endpoints) uses a single request.
+ * Resolves with the response of the final request.
+ */
+export const uploadFile = async (options) => {
+    if (options.file.size >= CHUNKED_UPLOAD_THRESHOLD && chunkedUploadsSupported !== false) {
+        try {
+            const res = await uploadFileChunked(options);
+            chunkedUploadsSupported = true;
+            return res;
+        } catch (err) {
+            if (!err.unsupported) throw err;
+            console.warn('Backend does not support chunked uploads, falling back to a single request.');
+            chunkedUploadsSupported = false;
+        }
+    }
+    return uploadFileSingle(options);
+};
@@ -0,0 +1,44 @@
+import { api } from './apiClient';
+import { fetchUrlBlob } from './download';
+import { decryptDownload } from './encryption';
+
+// --- File Versions ---
+// Replacing a file's content (PUT /api/files/:id or a chunked upload with `fileId`) keeps
+// the previous content as a version:
+//   GET  /api/files/:id/versions                          [{ id, createdAt, size, mimeType, uploadedBy, isCurrent }]
+//   GET  /api/files/:id/versions/:versionId/download      Content of one version
+//   POST /api/files/:id/versions/:versionId/restore       Make it current; the replaced content becomes a version too
+// `uploadedBy` may be a user object ({ id, name, email }) or a plain name.
+
+const versionsUrl = (apiBaseUrl, fileId) => `${apiBaseUrl}/api/files/${fileId}/versions`;
+
+// Some backends omit the flag on the current version; the newest one is current then
+const normalizeVersions = (versions) => {
+    const sorted = [...versions].sort((a, b) => new Date(b.createdAt ?? b.created_at) - new Date(a.createdAt ?? a.created_at));
+    const hasCurrent = sorted.some(v => v.isCurrent);
+    return sorted.map((version, index) => ({
+        ...version,
+        createdAt: version.createdAt ?? version.created_at,
+        isCurrent: hasCurrent ? !!version.isCurrent : index === 0,
+        number: sorted.length - index, // 1 = oldest upload
+    }));
+};
+
+// Newest first, each with `number` and `isCurrent` filled in
+export const listVersions = async (apiBaseUrl, fileId, { signal } = {}) => {
+    const res = await api.get(versionsUrl(apiBaseUrl, fileId), { signal });
+    return normalizeVersions(Array.isArray(res.data) ? res.data : res.data?.versions || []);
+};
+
+// Content of one version, decrypted if it was uploaded to an encrypted folder (see utils/encryption.js)
+export const fetchVersionBlob = (apiBaseUrl, fileId, versionId, options) =>
+    fetchUrlBlob(`${versionsUrl(apiBaseUrl, fileId)}/${versionId}/download`, options).then(decryptDownload);
+
+export const restoreVersion = (apiBaseUrl, fileId, versionId) =>
+    api.post(`${versionsUrl(apiBaseUrl, fileId)}/${versionId}/restore`, {});
+
+export const getUploaderName = (version) => {
+    const uploader = version.uploadedBy ?? version.uploader ?? version.uploaderName;
+    if (!uploader) return 'Unknown';
+    return typeof uploader === 'string' ? uploader : uploader.name || uploader.email || 'Unknown';
+};
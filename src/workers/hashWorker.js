@@ -0,0 +1,30 @@
+import { createSha256 } from '../utils/sha256';
+
+// --- Hash Worker ---
+// SHA-256 of a File or Blob, read in slices so large files never sit in memory whole.
+// In:  { id, blob } to hash, { cancel: id } to stop one
+// Out: { id, progress } (0..1) after each slice, then { id, hash } or { id, error }
+
+const SLICE_BYTES = 4 * 1024 * 1024;
+const canceled = new Set();
+
+self.onmessage = async ({ data }) => {
+    if (data.cancel != null) {
+        canceled.add(data.cancel);
+        return;
+    }
+    const { id, blob } = data;
+    try {
+        const hasher = createSha256();
+        for (let offset = 0; offset < blob.size; offset += SLICE_BYTES) {
+            if (canceled.has(id)) return;
+            hasher.update(new Uint8Array(await blob.slice(offset, offset + SLICE_BYTES).arrayBuffer()));
+            self.postMessage({ id, progress: Math.min(offset + SLICE_BYTES, blob.size) / blob.size });
+        }
+        self.postMessage({ id, hash: hasher.digest() });
+    } catch (err) {
+        self.postMessage({ id, error: err.message || String(err) });
+    } finally {
+        canceled.delete(id);
+    }
+};
@@ -5,6 +5,10 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
    
   plugins: [react()],
+  test: {
+    environment: 'jsdom',
+    setupFiles: './src/test/setup.js',
+  },
   // Set the base path for deployment.
   // Must be a string, starting and ending with '/' for subdirectory deployment.
  